@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+// Shows Web Push notifications (messages, connection requests...) even when no
+// Global Connect tab is open. Payloads come from server/utils/notify.js.
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Global Connect', {
+      body: data.body || '',
+      icon: '/favicon.ico',
+      tag: data.tag,
+      renotify: Boolean(data.tag),
+      data: { url: data.url || '/dashboard' }
+    })
+  );
+});
+
+// Focus an open tab on the notification's page, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/dashboard', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) {
+        return existing.focus().then((client) => client.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -7,9 +7,14 @@ import { io } from 'socket.io-client';
 
 // Redux actions
 import { setSocket } from './redux/slices/socketSlice';
+import { addNotification, updateNotification } from './redux/slices/notificationSlice';
+import { setUserStatus } from './redux/slices/presenceSlice';
+import { messagesDelivered, messagesRead, messagePreviewAdded } from './redux/slices/messageSlice';
+import { pollResultsUpdated, postPreviewUpdated } from './redux/slices/postSlice';
 import { toast } from 'react-hot-toast';
 
 import { checkAuthStatus } from './redux/slices/authSlice';
+import { refreshAccessToken } from './utils/axios';
 
 // Components
 import Layout from './components/layout/Layout';
@@ -24,6 +29,12 @@ import Network from './pages/Network';
 import Profile from './pages/Profile';
 import Admin from './pages/Admin';
 import Feed from './pages/Feed';
+import Company from './pages/Company';
+import Settings from './pages/Settings';
+import VerifyEmail from './pages/VerifyEmail';
+import Unsubscribe from './pages/Unsubscribe';
+import Article from './pages/Article';
+import ArticleEditor from './pages/ArticleEditor';
 
 function App() {
   console.log('App function called');
@@ -79,9 +90,8 @@ function App() {
       
       // Initialize socket connection
       const socket = io(socketUrl, {
-        auth: {
-          token: localStorage.getItem('token')
-        },
+        // Read the token on every (re)connect since access tokens are refreshed
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         transports: ['websocket', 'polling'],
         timeout: 10000,
         reconnection: true,
@@ -98,8 +108,18 @@ function App() {
         console.log('Disconnected from server');
       });
 
-      socket.on('connect_error', (error) => {
+      socket.on('connect_error', async (error) => {
         console.error('Socket connection error:', error);
+        // The access token may simply have expired; refresh it and try again
+        if (error.message?.startsWith('Authentication error')) {
+          try {
+            await refreshAccessToken();
+            socket.connect();
+            return;
+          } catch (refreshError) {
+            console.error('Socket token refresh failed:', refreshError);
+          }
+        }
         toast.error('Failed to connect to server. Some features may not work.');
       });
 
@@ -116,6 +136,52 @@ function App() {
         toast.error('Failed to reconnect to server');
       });
 
+      // Stored notifications for the dropdown
+      socket.on('notification:new', (notification) => {
+        dispatch(addNotification(notification));
+      });
+      socket.on('notification:update', (notification) => {
+        dispatch(updateNotification(notification));
+      });
+
+      // Browser notification for types the user wants pushed, only while the tab is in the background
+      socket.on('notification:push', ({ title, message }) => {
+        if (document.hidden && 'Notification' in window && window.Notification.permission === 'granted') {
+          new window.Notification(title, { body: message, icon: '/favicon.ico' });
+        }
+      });
+
+      // Tell senders their direct messages reached this client, wherever the user is in the app
+      socket.on('message:new', (message) => {
+        if (message?._id && !message.isGroup) {
+          socket.emit('message:delivered', { messageIds: [message._id] });
+        }
+      });
+      socket.on('message:delivered', (receipt) => {
+        dispatch(messagesDelivered(receipt));
+      });
+      socket.on('message:read', (receipt) => {
+        dispatch(messagesRead(receipt));
+      });
+      socket.on('message:preview', (preview) => {
+        dispatch(messagePreviewAdded(preview));
+      });
+
+      // Link cards for the user's own posts, unfurled after posting
+      socket.on('post:preview', (preview) => {
+        dispatch(postPreviewUpdated(preview));
+      });
+
+      // Live poll results, for polls the user voted in or wrote
+      socket.on('poll:update', (results) => {
+        dispatch(pollResultsUpdated(results));
+      });
+
+      // Connections coming online or going offline
+      socket.on('user_status_change', (data) => {
+        dispatch(setUserStatus(data));
+      });
+
       // Store socket in Redux
       dispatch(setSocket(socket));
 
@@ -182,6 +248,8 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Home />} />
             <Route path="/register" element={<Home />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
             
             {/* Protected Routes - Require authentication */}
             <Route path="/dashboard" element={<ProtectedRoute><Layout /></ProtectedRoute>}>
@@ -192,6 +260,11 @@ function App() {
               <Route path="messages" element={<Messages />} />
               <Route path="profile" element={<Profile />} />
               <Route path="profile/:userId" element={<Profile />} />
+              <Route path="companies/:companyId" element={<Company />} />
+              <Route path="articles/new" element={<ArticleEditor />} />
+              <Route path="articles/:slug" element={<Article />} />
+              <Route path="articles/:slug/edit" element={<ArticleEditor />} />
+              <Route path="settings" element={<Settings />} />
             </Route>
             
             {/* Admin Routes - Require admin role */}
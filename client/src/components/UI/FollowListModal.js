@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { getFollowList } from '../../redux/slices/userSlice';
+
+// Paged list of a user's followers or the people they follow. `list` is 'followers' or 'following'.
+const FollowListModal = ({ userId, list, onClose }) => {
+  const dispatch = useDispatch();
+  const [users, setUsers] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    dispatch(getFollowList({ userId, list, page }))
+      .unwrap()
+      .then(data => {
+        setUsers(prev => (page === 1 ? data.users : [...prev, ...data.users]));
+        setHasNext(Boolean(data.pagination?.hasNext));
+      })
+      .catch(error => toast.error(error || 'Failed to load list'))
+      .finally(() => setLoading(false));
+  }, [dispatch, userId, list, page]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">{list === 'followers' ? 'Followers' : 'Following'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+
+        {users.length === 0 && !loading && (
+          <p className="text-center py-6 text-gray-500">
+            {list === 'followers' ? 'No followers yet' : 'Not following anyone yet'}
+          </p>
+        )}
+
+        <ul className="divide-y divide-gray-100">
+          {users.map(person => (
+            <li key={person._id}>
+              <Link to={`/dashboard/profile/${person._id}`} onClick={onClose} className="flex items-center space-x-3 py-3 hover:bg-gray-50 rounded-lg px-2">
+                <div className="w-10 h-10 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center flex-shrink-0">
+                  {person.profilePic ? (
+                    <img src={person.profilePic} alt={person.name} className="w-10 h-10 rounded-full object-cover" />
+                  ) : (
+                    <span className="text-white font-semibold">{person.name?.charAt(0).toUpperCase()}</span>
+                  )}
+                </div>
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{person.name}</p>
+                  <p className="text-sm text-gray-500 truncate">{person.bio || person.location || ''}</p>
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+
+        {loading && (
+          <div className="text-center py-4">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
+          </div>
+        )}
+
+        {hasNext && !loading && (
+          <button
+            onClick={() => setPage(page + 1)}
+            className="w-full mt-4 px-4 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FollowListModal;
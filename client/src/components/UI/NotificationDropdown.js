@@ -65,6 +65,14 @@ const NotificationDropdown = () => {
             </svg>
           </div>
         );
+      case 'NEW_FOLLOWER':
+        return (
+          <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
+            <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+            </svg>
+          </div>
+        );
       case 'MESSAGE':
         return (
           <div className="w-8 h-8 bg-green-100 rounded-full flex items-center justify-center">
@@ -82,6 +90,7 @@ const NotificationDropdown = () => {
           </div>
         );
       case 'POST_COMMENT':
+      case 'COMMENT_REPLY':
         return (
           <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
             <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -105,7 +114,14 @@ const NotificationDropdown = () => {
             </svg>
           </div>
         );
+      case 'MENTION':
+        return (
+          <div className="w-8 h-8 bg-indigo-100 rounded-full flex items-center justify-center">
+            <span className="text-sm font-bold text-indigo-600">@</span>
+          </div>
+        );
       case 'JOB_APPLICATION':
+      case 'JOB_ALERT':
         return (
           <div className="w-8 h-8 bg-yellow-100 rounded-full flex items-center justify-center">
             <svg className="w-4 h-4 text-yellow-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -221,6 +237,21 @@ const NotificationDropdown = () => {
                         <p className="text-sm text-gray-600 mt-1">
                           {notification.message}
                         </p>
+
+                        {/* Grouped notifications show who was involved */}
+                        {notification.senders?.length > 1 && (
+                          <div className="flex -space-x-2 mt-2">
+                            {notification.senders.map(sender => (
+                              <div key={sender._id} className="w-6 h-6 rounded-full ring-2 ring-white bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center overflow-hidden" title={sender.name}>
+                                {sender.profilePic ? (
+                                  <img src={sender.profilePic} alt={sender.name} className="w-6 h-6 object-cover" />
+                                ) : (
+                                  <span className="text-white text-xs font-semibold">{sender.name?.charAt(0).toUpperCase()}</span>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
                         
                         <div className="flex items-center space-x-2 mt-2">
                           {!notification.isRead && (
@@ -0,0 +1,44 @@
+import React from 'react';
+import { useSelector } from 'react-redux';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// "Active now", "Active 5m ago", "Active 3h ago", "Active 2d ago"
+export const formatLastSeen = (presence) => {
+  if (!presence) return '';
+  if (presence.isOnline) return 'Active now';
+  if (!presence.lastSeen) return '';
+
+  const elapsed = Math.max(Date.now() - new Date(presence.lastSeen).getTime(), 0);
+  if (elapsed < MINUTE) return 'Active just now';
+  if (elapsed < HOUR) return `Active ${Math.floor(elapsed / MINUTE)}m ago`;
+  if (elapsed < DAY) return `Active ${Math.floor(elapsed / HOUR)}h ago`;
+  if (elapsed < 30 * DAY) return `Active ${Math.floor(elapsed / DAY)}d ago`;
+  return '';
+};
+
+export const usePresence = (userId) => useSelector((state) => state.presence.byUser[userId]);
+
+// Green dot on an avatar while the user is online. The avatar's wrapper must be `relative`.
+export const OnlineDot = ({ userId }) => {
+  const presence = usePresence(userId);
+  if (!presence?.isOnline) return null;
+
+  return (
+    <span
+      className="absolute bottom-0 right-0 w-3.5 h-3.5 bg-green-500 border-2 border-white rounded-full"
+      title="Online"
+      aria-label="Online"
+    />
+  );
+};
+
+// "Active 5m ago" under a name; nothing when unknown
+export const LastSeenText = ({ userId, className = 'text-xs text-gray-500' }) => {
+  const label = formatLastSeen(usePresence(userId));
+  if (!label) return null;
+
+  return <p className={className}>{label}</p>;
+};
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { submitReport, REPORT_REASONS } from '../../redux/slices/reportSlice';
+
+// Ask for a reason and report a post, comment, job or user.
+// `target` is { targetType, targetId, postId? }; `label` names the thing being reported.
+const ReportModal = ({ target, label, onClose }) => {
+  const dispatch = useDispatch();
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) return;
+
+    setSubmitting(true);
+    try {
+      const result = await dispatch(submitReport({ ...target, reason, details: details.trim() || undefined })).unwrap();
+      toast.success(result.message || 'Report submitted');
+      onClose();
+    } catch (error) {
+      toast.error(error || 'Failed to submit report');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold mb-1">Report {label}</h2>
+        <p className="text-sm text-gray-500 mb-4">Reports are anonymous to the person you report.</p>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {REPORT_REASONS.map(option => (
+            <label key={option.value} className="flex items-center space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name="reason"
+                value={option.value}
+                checked={reason === option.value}
+                onChange={(e) => setReason(e.target.value)}
+                className="h-4 w-4 text-blue-600"
+              />
+              <span className="text-gray-800">{option.label}</span>
+            </label>
+          ))}
+          <textarea
+            placeholder="Anything else we should know? (optional)"
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={500}
+            rows={3}
+            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+          />
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!reason || submitting}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {submitting ? 'Submitting...' : 'Submit report'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReportModal;
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getAuditLog, exportAuditLog } from '../../redux/slices/auditSlice';
+
+const emptyFilters = { action: '', targetType: '', actor: '', targetId: '', from: '', to: '' };
+
+// `user.profile_edit` -> `User profile edit`
+const actionLabel = (action) => {
+  const text = action.replace(/[._]/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const formatValue = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Drop empty filters and make the date range cover whole days
+const toParams = (filters) => {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    if (key === 'from') params.from = new Date(`${value}T00:00:00`).toISOString();
+    else if (key === 'to') params.to = new Date(`${value}T23:59:59.999`).toISOString();
+    else params[key] = value.trim();
+  });
+  return params;
+};
+
+const AuditLogTab = () => {
+  const dispatch = useDispatch();
+  const { entries, actions, targetTypes, pagination, loading } = useSelector((state) => state.audit);
+  const [draft, setDraft] = useState(emptyFilters);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    dispatch(getAuditLog({ ...toParams(filters), page }))
+      .unwrap()
+      .catch(error => toast.error(error || 'Failed to fetch audit log'));
+  }, [dispatch, filters, page]);
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+    setPage(1);
+  };
+
+  const handleReset = () => {
+    setDraft(emptyFilters);
+    setFilters(emptyFilters);
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await dispatch(exportAuditLog(toParams(filters))).unwrap();
+    } catch (error) {
+      toast.error(error || 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="text-lg font-semibold text-gray-900">Audit Log</h3>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      <form onSubmit={handleApply} className="flex flex-wrap gap-3 mb-6">
+        <select
+          value={draft.action}
+          onChange={(e) => setDraft({ ...draft, action: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{actionLabel(action)}</option>
+          ))}
+        </select>
+        <select
+          value={draft.targetType}
+          onChange={(e) => setDraft({ ...draft, targetType: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">All targets</option>
+          {targetTypes.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Actor ID"
+          value={draft.actor}
+          onChange={(e) => setDraft({ ...draft, actor: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          placeholder="Target ID"
+          value={draft.targetId}
+          onChange={(e) => setDraft({ ...draft, targetId: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="date"
+          value={draft.from}
+          onChange={(e) => setDraft({ ...draft, from: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="date"
+          value={draft.to}
+          onChange={(e) => setDraft({ ...draft, to: e.target.value })}
+          className={inputClass}
+        />
+        <button type="submit" className="px-3 py-2 text-sm text-white bg-gray-800 rounded-lg hover:bg-gray-900">
+          Apply
+        </button>
+        <button
+          type="button"
+          onClick={handleReset}
+          className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          Reset
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No audit entries match these filters</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.map(entry => (
+                <tr key={entry._id} className="align-top">
+                  <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <p className="font-medium text-gray-900">{entry.actor?.name || 'Deleted user'}</p>
+                    <p className="text-xs text-gray-500">{entry.actorRole}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{actionLabel(entry.action)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className="text-xs uppercase font-semibold bg-gray-100 text-gray-700 px-2 py-0.5 rounded">
+                      {entry.targetType}
+                    </span>
+                    <p className="text-xs text-gray-500 font-mono mt-1">{entry.targetId}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {Object.keys(entry.changes?.after || entry.changes?.before || {}).map(field => (
+                      <p key={field} className="break-all">
+                        <span className="font-medium">{field}:</span>{' '}
+                        <span className="text-red-600 line-through">{formatValue(entry.changes.before?.[field])}</span>
+                        {' → '}
+                        <span className="text-green-700">{formatValue(entry.changes.after?.[field])}</span>
+                      </p>
+                    ))}
+                    {entry.metadata && (
+                      <details className="mt-1">
+                        <summary className="text-xs text-blue-600 cursor-pointer">Details</summary>
+                        <pre className="text-xs text-gray-500 whitespace-pre-wrap break-all">
+                          {JSON.stringify(entry.metadata, null, 2)}
+                        </pre>
+                      </details>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-500 font-mono">{entry.ip || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && (pagination.hasPrev || pagination.hasNext) && (
+        <div className="flex justify-center space-x-3 mt-6">
+          <button
+            disabled={!pagination.hasPrev}
+            onClick={() => setPage(page - 1)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <button
+            disabled={!pagination.hasNext}
+            onClick={() => setPage(page + 1)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogTab;
@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getReportQueue, resolveReports, dismissReports, REPORT_REASONS } from '../../redux/slices/reportSlice';
+import { hasPermission } from '../../utils/permissions';
+
+const reasonLabel = (reason) => REPORT_REASONS.find(option => option.value === reason)?.label || reason;
+
+// Count how often each reason was given, most common first
+const summarizeReasons = (reasons = []) => {
+  const counts = reasons.reduce((acc, reason) => ({ ...acc, [reason]: (acc[reason] || 0) + 1 }), {});
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+// One-line preview of the reported thing
+const describeTarget = (entry) => {
+  const { target, targetType } = entry;
+  if (!target) return 'This content has already been deleted';
+  switch (targetType) {
+    case 'post':
+      return target.content;
+    case 'comment':
+      return target.text;
+    case 'job':
+      return `${target.title} at ${target.company}`;
+    case 'user':
+      return `${target.name} (${target.email})`;
+    default:
+      return '';
+  }
+};
+
+const ReportsQueue = () => {
+  const dispatch = useDispatch();
+  const { queue, pagination, loading } = useSelector((state) => state.report);
+  const { user } = useSelector((state) => state.auth);
+  const [status, setStatus] = useState('open');
+  const [type, setType] = useState('');
+  const [page, setPage] = useState(1);
+  const [notes, setNotes] = useState({});
+
+  useEffect(() => {
+    dispatch(getReportQueue({ status, type: type || undefined, page }));
+  }, [dispatch, status, type, page]);
+
+  const keyOf = (entry) => `${entry.targetType}:${entry.targetId}`;
+
+  const canRemove = (entry) => hasPermission(user, entry.targetType === 'job' ? 'jobs:moderate' : 'posts:moderate');
+
+  const handleResolve = async (entry, action) => {
+    const confirmations = {
+      content_removed: `Remove this ${entry.targetType}?`,
+      user_deactivated: `Deactivate ${entry.targetOwner?.name || 'this user'}?`
+    };
+    if (confirmations[action] && !window.confirm(confirmations[action])) return;
+
+    try {
+      await dispatch(resolveReports({
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        action,
+        note: notes[keyOf(entry)]
+      })).unwrap();
+      toast.success('Reports resolved');
+    } catch (error) {
+      toast.error(error || 'Failed to resolve reports');
+    }
+  };
+
+  const handleDismiss = async (entry) => {
+    try {
+      await dispatch(dismissReports({
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        note: notes[keyOf(entry)]
+      })).unwrap();
+      toast.success('Reports dismissed');
+    } catch (error) {
+      toast.error(error || 'Failed to dismiss reports');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h3 className="text-lg font-semibold text-gray-900">Moderation Queue</h3>
+        <div className="flex space-x-3">
+          <select
+            value={status}
+            onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="open">Open</option>
+            <option value="resolved">Resolved</option>
+            <option value="dismissed">Dismissed</option>
+          </select>
+          <select
+            value={type}
+            onChange={(e) => { setType(e.target.value); setPage(1); }}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All content</option>
+            <option value="post">Posts</option>
+            <option value="comment">Comments</option>
+            <option value="job">Jobs</option>
+            <option value="user">Users</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        </div>
+      ) : queue.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No {status} reports</p>
+      ) : (
+        <div className="space-y-4">
+          {queue.map(entry => (
+            <div key={keyOf(entry)} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-start">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2 mb-1">
+                    <span className="text-xs uppercase font-semibold bg-gray-100 text-gray-700 px-2 py-0.5 rounded">
+                      {entry.targetType}
+                    </span>
+                    <span className="text-sm text-red-600 font-medium">
+                      {entry.reportCount} report{entry.reportCount === 1 ? '' : 's'}
+                    </span>
+                    {entry.targetOwner && entry.targetType !== 'user' && (
+                      <span className="text-sm text-gray-500">by {entry.targetOwner.name}</span>
+                    )}
+                  </div>
+                  <p className="text-gray-900 line-clamp-3">{describeTarget(entry)}</p>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {summarizeReasons(entry.reasons).map(([reason, count]) => (
+                      <span key={reason} className="text-xs bg-red-50 text-red-700 px-2 py-0.5 rounded-full">
+                        {reasonLabel(reason)} × {count}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+                <span className="text-xs text-gray-400 whitespace-nowrap ml-4">
+                  {new Date(entry.lastReportedAt).toLocaleString()}
+                </span>
+              </div>
+
+              <details className="mt-3">
+                <summary className="text-sm text-blue-600 cursor-pointer">Reports and history</summary>
+                <ul className="mt-2 space-y-2">
+                  {entry.reports.map(report => (
+                    <li key={report._id} className="text-sm text-gray-700 border-l-2 border-gray-200 pl-3">
+                      <span className="font-medium">{report.reporter?.name || 'Deleted user'}</span>
+                      {' · '}{reasonLabel(report.reason)}
+                      {report.details && <p className="text-gray-500">{report.details}</p>}
+                      {report.history?.filter(item => item.action !== 'reported').map(item => (
+                        <p key={item._id} className="text-xs text-gray-500">
+                          {item.action} by {item.by?.name || 'unknown'} on {new Date(item.at).toLocaleString()}
+                          {item.note ? ` — ${item.note}` : ''}
+                        </p>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+
+              {status === 'open' && (
+                <div className="mt-4 flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    placeholder="Note (optional)"
+                    value={notes[keyOf(entry)] || ''}
+                    onChange={(e) => setNotes({ ...notes, [keyOf(entry)]: e.target.value })}
+                    maxLength={1000}
+                    className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <button
+                    onClick={() => handleDismiss(entry)}
+                    className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Dismiss
+                  </button>
+                  <button
+                    onClick={() => handleResolve(entry, 'none')}
+                    className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Resolve
+                  </button>
+                  {entry.targetType !== 'user' && entry.target && canRemove(entry) && (
+                    <button
+                      onClick={() => handleResolve(entry, 'content_removed')}
+                      className="px-3 py-2 text-sm text-white bg-red-600 rounded-lg hover:bg-red-700"
+                    >
+                      Remove {entry.targetType}
+                    </button>
+                  )}
+                  {entry.targetOwner && hasPermission(user, 'users:ban') && (
+                    <button
+                      onClick={() => handleResolve(entry, 'user_deactivated')}
+                      className="px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                    >
+                      Deactivate user
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && (pagination.hasPrev || pagination.hasNext) && (
+        <div className="flex justify-center space-x-3 mt-6">
+          <button
+            disabled={!pagination.hasPrev}
+            onClick={() => setPage(page - 1)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <button
+            disabled={!pagination.hasNext}
+            onClick={() => setPage(page + 1)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportsQueue;
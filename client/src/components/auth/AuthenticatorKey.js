@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Split a base32 secret into groups of four so it's easier to type into an app
+const formatSecret = (secret = '') => secret.match(/.{1,4}/g)?.join(' ') || '';
+
+// Setup key for an authenticator app, plus a link that opens it on devices with one installed
+const AuthenticatorKey = ({ secret, otpauthUri }) => (
+  <div className="space-y-2">
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-center font-mono text-sm tracking-wider break-all">
+      {formatSecret(secret)}
+    </div>
+    <a href={otpauthUri} className="block text-center text-sm text-blue-600 hover:text-blue-700">
+      Open in authenticator app
+    </a>
+  </div>
+);
+
+export default AuthenticatorKey;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { toast } from 'react-hot-toast';
+
+// Grid of one-time backup codes with a copy button
+const BackupCodesList = ({ codes }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Backup codes copied');
+    } catch (error) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4 font-mono text-sm text-center">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="mt-2 text-sm text-blue-600 hover:text-blue-700"
+      >
+        Copy codes
+      </button>
+    </div>
+  );
+};
+
+export default BackupCodesList;
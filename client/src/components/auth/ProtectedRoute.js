@@ -1,6 +1,7 @@
 import React from 'react';
 import { useSelector } from 'react-redux';
 import { Navigate } from 'react-router-dom';
+import { hasPermission } from '../../utils/permissions';
 
 const ProtectedRoute = ({ children, adminOnly = false }) => {
   const { user, isAuthenticated } = useSelector((state) => state.auth);
@@ -9,7 +10,7 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && user?.role !== 'admin') {
+  if (adminOnly && !hasPermission(user, 'admin:access')) {
     return <Navigate to="/" replace />;
   }
 
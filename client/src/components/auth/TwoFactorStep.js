@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import {
+  verifyTwoFactorLogin,
+  setupTwoFactorLogin,
+  enableTwoFactorLogin,
+  cancelTwoFactorChallenge,
+  finishTwoFactorEnrollment
+} from '../../redux/slices/authSlice';
+import BackupCodesList from './BackupCodesList';
+import AuthenticatorKey from './AuthenticatorKey';
+
+// Second step of sign-in: enter a code, or set up 2FA when the account's role requires it
+const TwoFactorStep = ({ onComplete }) => {
+  const dispatch = useDispatch();
+  const { twoFactorChallenge } = useSelector((state) => state.auth);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // Each setup call replaces the pending secret, so only request it once per challenge
+  const setupRequestedFor = useRef(null);
+
+  const isEnrollment = twoFactorChallenge?.type === 'enroll';
+  const challengeToken = twoFactorChallenge?.challengeToken;
+  const backupCodes = twoFactorChallenge?.backupCodes;
+
+  useEffect(() => {
+    if (!isEnrollment || setupRequestedFor.current === challengeToken) return;
+    setupRequestedFor.current = challengeToken;
+    dispatch(setupTwoFactorLogin())
+      .unwrap()
+      .then(setEnrollment)
+      .catch((error) => {
+        toast.error(error || 'Failed to start two-factor setup');
+        dispatch(cancelTwoFactorChallenge());
+      });
+  }, [dispatch, isEnrollment, challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setSubmitting(true);
+    try {
+      if (isEnrollment) {
+        await dispatch(enableTwoFactorLogin(code.trim())).unwrap();
+      } else {
+        const result = await dispatch(verifyTwoFactorLogin(code.trim())).unwrap();
+        toast.success('Login successful!');
+        if (result.remainingBackupCodes !== undefined) {
+          toast(`${result.remainingBackupCodes} backup code(s) left`);
+        }
+        onComplete();
+      }
+    } catch (error) {
+      toast.error(error || 'Verification failed');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFinishEnrollment = () => {
+    dispatch(finishTwoFactorEnrollment());
+    toast.success('Two-factor authentication enabled');
+    onComplete();
+  };
+
+  if (backupCodes) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Save these backup codes somewhere safe. Each one can be used once if you lose access to your authenticator app.
+        </p>
+        <BackupCodesList codes={backupCodes} />
+        <button
+          onClick={handleFinishEnrollment}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          I've saved my codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {isEnrollment ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Your account requires two-factor authentication. Add this key to an authenticator app
+            (Google Authenticator, 1Password, Authy...), then enter the 6-digit code it shows.
+          </p>
+          {enrollment && <AuthenticatorKey secret={enrollment.secret} otpauthUri={enrollment.otpauthUri} />}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">
+          {useBackupCode
+            ? 'Enter one of your backup codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputMode={useBackupCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        autoFocus
+        maxLength={useBackupCode ? 11 : 6}
+        className="input w-full text-center tracking-widest"
+        placeholder={useBackupCode ? 'xxxxx-xxxxx' : '123456'}
+      />
+
+      <button
+        type="submit"
+        disabled={submitting || (isEnrollment && !enrollment)}
+        className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {submitting ? 'Verifying...' : isEnrollment ? 'Enable and sign in' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        {!isEnrollment ? (
+          <button
+            type="button"
+            onClick={() => {
+              setUseBackupCode(!useBackupCode);
+              setCode('');
+            }}
+            className="text-blue-600 hover:text-blue-700"
+          >
+            {useBackupCode ? 'Use authenticator code' : 'Use a backup code'}
+          </button>
+        ) : <span />}
+        <button
+          type="button"
+          onClick={() => dispatch(cancelTwoFactorChallenge())}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorStep;
@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import {
+  getJobApplications,
+  moveApplicationStage,
+  updateJobPipeline
+} from '../../redux/slices/jobSlice';
+
+const CLOSING_STAGES = ['hired', 'rejected', 'withdrawn'];
+
+const columnColor = (stageKey) => {
+  if (stageKey === 'hired') return 'border-green-300 bg-green-50';
+  if (stageKey === 'rejected' || stageKey === 'withdrawn') return 'border-red-200 bg-red-50';
+  return 'border-gray-200 bg-gray-50';
+};
+
+// Kanban-style board of a job's applications grouped by pipeline stage.
+// Cards can be dragged between columns or moved with the stage selector.
+const ApplicationBoard = ({ job, onClose }) => {
+  const dispatch = useDispatch();
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [dragOverStage, setDragOverStage] = useState(null);
+  const [isEditingStages, setIsEditingStages] = useState(false);
+  const [stagesInput, setStagesInput] = useState('');
+
+  const stages = job.pipelineStages || [];
+  const applications = job.applications || [];
+
+  useEffect(() => {
+    setLoading(true);
+    dispatch(getJobApplications(job._id)).finally(() => setLoading(false));
+  }, [dispatch, job._id]);
+
+  const toggleEditStages = () => {
+    if (!isEditingStages) {
+      setStagesInput(stages.map(stage => stage.label).join(', '));
+    }
+    setIsEditingStages(!isEditingStages);
+  };
+
+  const handleMove = async (applicationId, stage) => {
+    const application = applications.find(app => app._id === applicationId);
+    if (!application || application.stage === stage) return;
+
+    try {
+      await dispatch(moveApplicationStage({ jobId: job._id, applicationId, stage })).unwrap();
+      // Refresh to pick up populated stage history
+      dispatch(getJobApplications(job._id));
+      toast.success('Application moved');
+    } catch (error) {
+      toast.error(error || 'Failed to move application');
+    }
+  };
+
+  const handleSaveStages = async (e) => {
+    e.preventDefault();
+    const labels = stagesInput.split(',').map(label => label.trim()).filter(Boolean);
+    // Keep existing keys for stages whose labels are unchanged
+    const nextStages = labels.map(label => {
+      const existing = stages.find(stage => stage.label.toLowerCase() === label.toLowerCase());
+      return existing ? { key: existing.key, label } : { label };
+    });
+
+    try {
+      await dispatch(updateJobPipeline({ jobId: job._id, stages: nextStages })).unwrap();
+      setIsEditingStages(false);
+      toast.success('Pipeline updated');
+    } catch (error) {
+      toast.error(error || 'Failed to update pipeline');
+    }
+  };
+
+  const stageLabel = (key) => stages.find(stage => stage.key === key)?.label || key;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-7xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h2 className="text-2xl font-bold">Applications for {job.title}</h2>
+            <p className="text-sm text-gray-500">{applications.length} candidates</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={toggleEditStages}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm font-medium"
+            >
+              {isEditingStages ? 'Cancel' : 'Edit Stages'}
+            </button>
+            <button
+              onClick={onClose}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 text-sm font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        {isEditingStages && (
+          <form onSubmit={handleSaveStages} className="mb-4 flex space-x-2">
+            <input
+              type="text"
+              value={stagesInput}
+              onChange={(e) => setStagesInput(e.target.value)}
+              placeholder="Stages in order, comma separated"
+              className="flex-1 px-4 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 text-sm font-medium">
+              Save
+            </button>
+          </form>
+        )}
+
+        {loading && applications.length === 0 ? (
+          <div className="text-center py-8">
+            <div className="text-xl">Loading applications...</div>
+          </div>
+        ) : (
+          <div className="flex space-x-4 overflow-x-auto pb-2">
+            {stages.map((stage) => {
+              const cards = applications.filter(app => (app.stage || 'applied') === stage.key);
+              return (
+                <div
+                  key={stage.key}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    setDragOverStage(stage.key);
+                  }}
+                  onDragLeave={() => setDragOverStage(null)}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    setDragOverStage(null);
+                    handleMove(e.dataTransfer.getData('text/plain'), stage.key);
+                  }}
+                  className={`flex-shrink-0 w-64 rounded-lg border-2 p-3 ${columnColor(stage.key)} ${
+                    dragOverStage === stage.key ? 'ring-2 ring-blue-400' : ''
+                  }`}
+                >
+                  <div className="flex justify-between items-center mb-3">
+                    <h3 className="font-semibold text-gray-800">{stage.label}</h3>
+                    <span className="text-xs bg-white text-gray-600 px-2 py-0.5 rounded-full">{cards.length}</span>
+                  </div>
+                  <div className="space-y-2 min-h-[4rem]">
+                    {cards.map((application) => (
+                      <div
+                        key={application._id}
+                        draggable
+                        onDragStart={(e) => e.dataTransfer.setData('text/plain', application._id)}
+                        className="bg-white rounded-lg shadow-sm border border-gray-100 p-3 cursor-move"
+                      >
+                        <div className="flex items-center space-x-2 mb-1">
+                          <img
+                            src={application.userId?.profilePic || '/default-avatar.svg'}
+                            alt={application.userId?.name}
+                            className="w-8 h-8 rounded-full object-cover"
+                            onError={(e) => {
+                              e.target.src = '/default-avatar.svg';
+                            }}
+                          />
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">{application.userId?.name || 'Unknown'}</p>
+                            <p className="text-xs text-gray-500">Applied {new Date(application.appliedAt).toLocaleDateString()}</p>
+                          </div>
+                        </div>
+                        <select
+                          value={application.stage || stage.key}
+                          onChange={(e) => handleMove(application._id, e.target.value)}
+                          className="w-full mt-2 text-xs px-2 py-1 border border-gray-200 rounded-md"
+                        >
+                          {stages.map((option) => (
+                            <option key={option.key} value={option.key} disabled={option.key === 'withdrawn'}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        <div className="flex justify-between mt-2">
+                          {application.resume ? (
+                            <a href={application.resume} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-600 hover:underline">
+                              Resume
+                            </a>
+                          ) : <span />}
+                          <button
+                            onClick={() => setExpandedId(expandedId === application._id ? null : application._id)}
+                            className="text-xs text-gray-500 hover:text-gray-700"
+                          >
+                            {expandedId === application._id ? 'Hide history' : 'History'}
+                          </button>
+                        </div>
+                        {expandedId === application._id && (
+                          <ul className="mt-2 border-t pt-2 space-y-1">
+                            {(application.stageHistory || []).map((entry, index) => (
+                              <li key={index} className="text-xs text-gray-600">
+                                <span className="font-medium">{stageLabel(entry.to)}</span>
+                                {' · '}{new Date(entry.movedAt).toLocaleString()}
+                                {entry.movedBy?.name && <> · {entry.movedBy.name}</>}
+                                {entry.note && <p className="text-gray-500 italic">{entry.note}</p>}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {CLOSING_STAGES.includes(stage.key) && cards.length === 0 && (
+                    <p className="text-xs text-gray-400 text-center">Drop here to close</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApplicationBoard;
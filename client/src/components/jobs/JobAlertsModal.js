@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getJobAlerts, createJobAlert, updateJobAlert, deleteJobAlert } from '../../redux/slices/jobSlice';
+
+const FREQUENCY_LABELS = {
+  immediate: 'As soon as posted',
+  daily: 'Daily email',
+  weekly: 'Weekly email'
+};
+
+// Short, readable description of a saved search's filters
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.q) parts.push(`"${filters.q}"`);
+  if (filters.jobType) parts.push(filters.jobType);
+  if (filters.experienceLevel) parts.push(`${filters.experienceLevel} level`);
+  if (filters.location) parts.push(`in ${filters.location}`);
+  if (filters.isRemote !== undefined && filters.isRemote !== null) parts.push(filters.isRemote ? 'remote' : 'on-site');
+  if (filters.minSalary) parts.push(`from ${filters.minSalary}`);
+  if (filters.maxSalary) parts.push(`up to ${filters.maxSalary}`);
+  return parts.join(' · ') || 'All jobs';
+};
+
+// Lists the user's job alerts. When `currentFilters` is given, also offers to save them as a new alert.
+const JobAlertsModal = ({ currentFilters, onClose }) => {
+  const dispatch = useDispatch();
+  const { alerts } = useSelector((state) => state.job);
+  const hasCurrentFilters = Boolean(currentFilters && Object.values(currentFilters).some(value => value !== '' && value !== undefined));
+  const [name, setName] = useState(currentFilters?.q || '');
+  const [frequency, setFrequency] = useState('daily');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(getJobAlerts())
+      .unwrap()
+      .catch(error => toast.error(error || 'Failed to load job alerts'));
+  }, [dispatch]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await dispatch(createJobAlert({ name, filters: currentFilters, frequency })).unwrap();
+      toast.success('Job alert saved');
+      setName('');
+    } catch (error) {
+      toast.error(error || 'Failed to save job alert');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (alertId, changes) => {
+    try {
+      await dispatch(updateJobAlert({ alertId, ...changes })).unwrap();
+    } catch (error) {
+      toast.error(error || 'Failed to update job alert');
+    }
+  };
+
+  const handleDelete = async (alertId) => {
+    if (!window.confirm('Delete this job alert?')) return;
+    try {
+      await dispatch(deleteJobAlert(alertId)).unwrap();
+      toast.success('Job alert deleted');
+    } catch (error) {
+      toast.error(error || 'Failed to delete job alert');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Job Alerts</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+
+        {hasCurrentFilters && (
+          <form onSubmit={handleCreate} className="mb-6 p-4 bg-blue-50 rounded-lg space-y-3">
+            <p className="text-sm text-gray-700">
+              Save this search: <span className="font-medium">{describeFilters(currentFilters)}</span>
+            </p>
+            <input
+              type="text"
+              placeholder="Alert name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={100}
+              required
+              className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+            />
+            <div className="flex items-center space-x-3">
+              <select
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-200 rounded-lg bg-white"
+              >
+                {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={saving || !name.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save alert'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {alerts.length === 0 ? (
+          <p className="text-center py-6 text-gray-500">
+            No job alerts yet. Search or filter jobs, then save the search to get notified about new matches.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {alerts.map(alert => (
+              <li key={alert._id} className="py-3">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className={`font-medium truncate ${alert.isActive ? 'text-gray-900' : 'text-gray-400'}`}>{alert.name}</p>
+                    <p className="text-sm text-gray-500 truncate">{describeFilters(alert.filters)}</p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(alert._id)}
+                    className="text-sm text-red-600 hover:text-red-700 ml-3"
+                  >
+                    Delete
+                  </button>
+                </div>
+                <div className="flex items-center space-x-3 mt-2">
+                  <select
+                    value={alert.frequency}
+                    onChange={(e) => handleUpdate(alert._id, { frequency: e.target.value })}
+                    className="px-2 py-1 text-sm border border-gray-200 rounded-lg bg-gray-50"
+                  >
+                    {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center space-x-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={alert.isActive}
+                      onChange={(e) => handleUpdate(alert._id, { isActive: e.target.checked })}
+                    />
+                    <span>{alert.isActive ? 'On' : 'Paused'}</span>
+                  </label>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobAlertsModal;
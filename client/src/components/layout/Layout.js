@@ -1,12 +1,14 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom';
 import Navbar from './Navbar';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 const Layout = () => {
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
       <main className="pt-16">
+        <VerifyEmailBanner />
         <Outlet />
       </main>
     </div>
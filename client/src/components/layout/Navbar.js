@@ -4,6 +4,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { logout } from '../../redux/slices/authSlice';
 import { toast } from 'react-hot-toast';
 import NotificationDropdown from '../UI/NotificationDropdown';
+import { hasPermission } from '../../utils/permissions';
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -84,7 +85,7 @@ const Navbar = () => {
               >
                 Messages
               </Link>
-              {user?.role === 'admin' && (
+              {hasPermission(user, 'admin:access') && (
                 <Link
                   to="/admin"
                   className={`px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
@@ -131,6 +132,13 @@ const Navbar = () => {
                     >
                       Profile
                     </Link>
+                    <Link
+                      to="/dashboard/settings"
+                      className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      onClick={() => setIsUserMenuOpen(false)}
+                    >
+                      Settings
+                    </Link>
                     <button
                       onClick={handleLogout}
                       className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
@@ -231,7 +239,18 @@ const Navbar = () => {
             >
               Profile
             </Link>
-            {user?.role === 'admin' && (
+            <Link
+              to="/dashboard/settings"
+              className={`block px-3 py-2 rounded-md text-base font-medium transition-colors duration-200 ${
+                isActive('/dashboard/settings')
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'text-gray-700 hover:text-blue-600 hover:bg-blue-50'
+              }`}
+              onClick={() => setIsMenuOpen(false)}
+            >
+              Settings
+            </Link>
+            {hasPermission(user, 'admin:access') && (
               <Link
                 to="/admin"
                 className={`block px-3 py-2 rounded-md text-base font-medium transition-colors duration-200 ${
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { resendVerification } from '../../redux/slices/authSlice';
+
+// Reminder shown to signed-in users who haven't confirmed their email yet
+const VerifyEmailBanner = () => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.isVerified) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await dispatch(resendVerification()).unwrap();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-between text-sm">
+        <p className="text-yellow-800">
+          Please verify your email address. Check your inbox for the link we sent to {user.email}.
+        </p>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="ml-4 text-yellow-900 font-medium hover:underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
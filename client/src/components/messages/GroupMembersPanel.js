@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import {
+  renameGroup,
+  addGroupParticipants,
+  removeGroupParticipant,
+  promoteGroupAdmin
+} from '../../redux/slices/messageSlice';
+
+// Side panel listing group members, with rename/add/remove/leave actions
+const GroupMembersPanel = ({ conversation, connections, currentUser, onLeft }) => {
+  const dispatch = useDispatch();
+  const [name, setName] = useState(conversation.name || '');
+  const [newMemberId, setNewMemberId] = useState('');
+
+  const participants = conversation.participants || [];
+  const adminIds = (conversation.admins || []).map(admin => admin._id || admin);
+  const isGroupAdmin = adminIds.includes(currentUser._id);
+  const participantIds = participants.map(p => p._id || p);
+  const addableConnections = (connections || []).filter(c => !participantIds.includes(c._id));
+
+  const run = async (action, successMessage) => {
+    try {
+      await dispatch(action).unwrap();
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error || 'Something went wrong');
+      return false;
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === conversation.name) return;
+    await run(renameGroup({ conversationId: conversation._id, name: name.trim() }), 'Group renamed');
+  };
+
+  const handleAdd = async () => {
+    if (!newMemberId) return;
+    const added = await run(addGroupParticipants({ conversationId: conversation._id, userIds: [newMemberId] }), 'Member added');
+    if (added) setNewMemberId('');
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave "${conversation.name}"?`)) return;
+    const left = await run(removeGroupParticipant({ conversationId: conversation._id, userId: currentUser._id }), 'You left the group');
+    if (left) onLeft();
+  };
+
+  return (
+    <div className="w-72 border-l border-gray-200 bg-white flex flex-col">
+      <div className="p-4 border-b border-gray-200">
+        {isGroupAdmin ? (
+          <form onSubmit={handleRename} className="flex space-x-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={100}
+              className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button type="submit" className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              Save
+            </button>
+          </form>
+        ) : (
+          <h4 className="font-semibold text-gray-900">{conversation.name}</h4>
+        )}
+        <p className="text-xs text-gray-500 mt-2">{participants.length} members</p>
+      </div>
+
+      <div className="flex-1 overflow-y-auto divide-y">
+        {participants.map((participant) => {
+          const participantId = participant._id || participant;
+          const isAdminMember = adminIds.includes(participantId);
+          const isMe = participantId === currentUser._id;
+          return (
+            <div key={participantId} className="flex items-center justify-between p-3">
+              <div className="flex items-center space-x-2 min-w-0">
+                <img
+                  src={participant.profilePic || '/default-avatar.svg'}
+                  alt={participant.name}
+                  className="w-8 h-8 rounded-full object-cover"
+                  onError={(e) => {
+                    e.target.src = '/default-avatar.svg';
+                  }}
+                />
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-900 truncate">{isMe ? 'You' : participant.name}</p>
+                  {isAdminMember && <p className="text-xs text-blue-600">Admin</p>}
+                </div>
+              </div>
+              {isGroupAdmin && !isMe && (
+                <div className="flex space-x-2">
+                  {!isAdminMember && (
+                    <button
+                      onClick={() => run(promoteGroupAdmin({ conversationId: conversation._id, userId: participantId }), 'Member promoted')}
+                      className="text-xs text-gray-500 hover:text-blue-600"
+                    >
+                      Make admin
+                    </button>
+                  )}
+                  <button
+                    onClick={() => run(removeGroupParticipant({ conversationId: conversation._id, userId: participantId }), 'Member removed')}
+                    className="text-xs text-gray-500 hover:text-red-600"
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {isGroupAdmin && addableConnections.length > 0 && (
+        <div className="p-3 border-t border-gray-200 flex space-x-2">
+          <select
+            value={newMemberId}
+            onChange={(e) => setNewMemberId(e.target.value)}
+            className="flex-1 min-w-0 text-sm px-2 py-2 border border-gray-200 rounded-lg"
+          >
+            <option value="">Add a connection...</option>
+            {addableConnections.map(connection => (
+              <option key={connection._id} value={connection._id}>{connection.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleAdd}
+            disabled={!newMemberId}
+            className="px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      )}
+
+      <div className="p-3 border-t border-gray-200">
+        <button
+          onClick={handleLeave}
+          className="w-full px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+        >
+          Leave group
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GroupMembersPanel;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { createGroupConversation } from '../../redux/slices/messageSlice';
+
+const NewGroupModal = ({ connections, onClose, onCreated }) => {
+  const dispatch = useDispatch();
+  const [name, setName] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [search, setSearch] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const toggleMember = (userId) => {
+    setSelectedIds(prev => (
+      prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedIds.length === 0) return;
+
+    setSubmitting(true);
+    try {
+      const conversation = await dispatch(createGroupConversation({
+        name: name.trim(),
+        participantIds: selectedIds
+      })).unwrap();
+      toast.success('Group created');
+      onCreated(conversation);
+    } catch (error) {
+      toast.error(error || 'Failed to create group');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const filteredConnections = (connections || []).filter(connection =>
+    connection.name?.toLowerCase().includes(search.toLowerCase())
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold mb-4">New Group</h2>
+        <form onSubmit={handleSubmit}>
+          <input
+            type="text"
+            placeholder="Group name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+            required
+          />
+          <input
+            type="text"
+            placeholder="Search connections..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="w-full px-4 py-2 mt-4 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+          />
+          <div className="mt-3 max-h-64 overflow-y-auto border border-gray-100 rounded-xl divide-y">
+            {filteredConnections.length > 0 ? filteredConnections.map((connection) => (
+              <label key={connection._id} className="flex items-center space-x-3 p-3 cursor-pointer hover:bg-gray-50">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(connection._id)}
+                  onChange={() => toggleMember(connection._id)}
+                  className="h-4 w-4 text-blue-600 rounded"
+                />
+                <span className="text-sm text-gray-900">{connection.name}</span>
+              </label>
+            )) : (
+              <p className="p-3 text-sm text-gray-500">No connections found</p>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">{selectedIds.length} selected</p>
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !name.trim() || selectedIds.length === 0}
+              className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {submitting ? 'Creating...' : 'Create Group'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NewGroupModal;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// An article as it appears in the feed or on a profile: cover, title, excerpt and reading time.
+// `article` is a feed post's card or an article from the list endpoint.
+const ArticleCard = ({ article, badge }) => {
+  if (!article?.slug) return null;
+
+  return (
+    <Link
+      to={`/dashboard/articles/${article.slug}`}
+      className="block border border-gray-200 rounded-xl overflow-hidden bg-white hover:bg-gray-50 transition-colors mb-4"
+    >
+      {article.coverImage && (
+        <img src={article.coverImage} alt="" loading="lazy" className="w-full h-48 object-cover" />
+      )}
+      <div className="p-4">
+        <div className="flex items-center space-x-2 text-xs text-gray-500 uppercase tracking-wide">
+          <span>Article</span>
+          <span>·</span>
+          <span>{article.readingTime || 1} min read</span>
+          {badge && (
+            <span className="normal-case tracking-normal bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">{badge}</span>
+          )}
+        </div>
+        <p className="text-lg font-semibold text-gray-900 mt-1 line-clamp-2">{article.title}</p>
+        {article.excerpt && (
+          <p className="text-sm text-gray-600 mt-1 line-clamp-3">{article.excerpt}</p>
+        )}
+      </div>
+    </Link>
+  );
+};
+
+export default ArticleCard;
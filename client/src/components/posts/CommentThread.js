@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { editComment, likeComment, getReplies, addReply, editReply, likeReply, deleteReply } from '../../redux/slices/postSlice';
+import MentionInput from './MentionInput';
+import RichText from './RichText';
+
+// One comment or reply: author, text (or the edit box), and its actions
+const CommentItem = ({ item, small, maxLength, onLike, onReply, onEdit, onDelete, onReport }) => {
+  const { user } = useSelector((state) => state.auth);
+  const [editing, setEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+
+  const isOwn = item.userId?._id === user._id;
+  const isLiked = item.likes?.includes(user._id);
+
+  const startEditing = () => {
+    setEditText(item.text);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    if (!editText.trim()) return;
+    if (await onEdit(editText)) setEditing(false);
+  };
+
+  return (
+    <div className="flex items-start space-x-3">
+      <div className={`${small ? 'w-6 h-6' : 'w-8 h-8'} bg-gray-300 rounded-full flex items-center justify-center flex-shrink-0`}>
+        <span className="text-sm text-gray-600">{item.userId?.name?.charAt(0)}</span>
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="bg-gray-100 rounded-lg p-3">
+          <div className="flex items-center justify-between">
+            <div className="font-semibold text-sm text-gray-900">{item.userId?.name}</div>
+            {!isOwn && onReport && (
+              <button onClick={onReport} className="text-gray-400 hover:text-red-600 text-xs" title="Report comment">
+                Report
+              </button>
+            )}
+            {onDelete && (
+              <button onClick={onDelete} className="text-red-500 hover:text-red-700 text-xs" title="Delete">
+                🗑️
+              </button>
+            )}
+          </div>
+          {editing ? (
+            <div className="mt-2 space-y-2">
+              <MentionInput
+                multiline
+                value={editText}
+                onChange={setEditText}
+                maxLength={maxLength}
+                rows="2"
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="flex space-x-2 text-xs">
+                <button
+                  onClick={handleSave}
+                  disabled={!editText.trim()}
+                  className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Save
+                </button>
+                <button onClick={() => setEditing(false)} className="px-3 py-1 text-gray-600 hover:text-gray-900">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="text-gray-700 break-words"><RichText text={item.text} /></div>
+          )}
+        </div>
+        <div className="flex items-center space-x-3 text-xs text-gray-500 mt-1">
+          <span>{item.createdAt ? new Date(item.createdAt).toLocaleDateString() : ''}</span>
+          {item.isEdited && <span title={item.editedAt ? new Date(item.editedAt).toLocaleString() : ''}>(edited)</span>}
+          <button
+            onClick={onLike}
+            className={`font-medium ${isLiked ? 'text-red-500' : 'hover:text-red-500'}`}
+          >
+            {isLiked ? 'Liked' : 'Like'}{item.likes?.length > 0 ? ` · ${item.likes.length}` : ''}
+          </button>
+          {onReply && (
+            <button onClick={onReply} className="font-medium hover:text-blue-600">Reply</button>
+          )}
+          {isOwn && !editing && (
+            <button onClick={startEditing} className="font-medium hover:text-blue-600">Edit</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// A top-level comment with its replies. The feed sends the first few replies; the rest
+// are paged in with "View more replies".
+const CommentThread = ({ post, comment, onDelete, onReport }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [replying, setReplying] = useState(false);
+  const [replyText, setReplyText] = useState('');
+  const [loadingReplies, setLoadingReplies] = useState(false);
+
+  const postId = post._id;
+  const commentId = comment._id;
+  const replies = comment.replies || [];
+  const replyCount = comment.replyCount ?? replies.length;
+  const hasMoreReplies = comment.hasMoreReplies ?? replies.length < replyCount;
+
+  // Resolves to whether the action succeeded, so edit boxes know when to close
+  const run = async (action, failure) => {
+    try {
+      await dispatch(action).unwrap();
+      return true;
+    } catch (error) {
+      toast.error(error || failure);
+      return false;
+    }
+  };
+
+  const handleViewMoreReplies = async () => {
+    setLoadingReplies(true);
+    await run(getReplies({ postId, commentId, page: (comment.repliesPage || 0) + 1 }), 'Failed to load replies');
+    setLoadingReplies(false);
+  };
+
+  const handleReply = async () => {
+    if (!replyText.trim()) return;
+    if (await run(addReply({ postId, commentId, text: replyText }), 'Failed to add reply')) {
+      setReplyText('');
+      setReplying(false);
+    }
+  };
+
+  const handleDeleteReply = async (replyId) => {
+    if (window.confirm('Are you sure you want to delete this reply?')) {
+      await run(deleteReply({ postId, commentId, replyId }), 'Failed to delete reply');
+    }
+  };
+
+  return (
+    <div>
+      <CommentItem
+        item={comment}
+        maxLength={1000}
+        onLike={() => run(likeComment({ postId, commentId }), 'Failed to like comment')}
+        onReply={() => setReplying(!replying)}
+        onEdit={(text) => run(editComment({ postId, commentId, text }), 'Failed to edit comment')}
+        onDelete={((comment.userId?._id === user._id) || (post.userId?._id === user._id)) ? onDelete : null}
+        onReport={onReport}
+      />
+
+      {(replies.length > 0 || replying) && (
+        <div className="ml-11 mt-2 space-y-2">
+          {replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              item={reply}
+              small
+              maxLength={500}
+              onLike={() => run(likeReply({ postId, commentId, replyId: reply._id }), 'Failed to like reply')}
+              onEdit={(text) => run(editReply({ postId, commentId, replyId: reply._id, text }), 'Failed to edit reply')}
+              onDelete={reply.userId?._id === user._id ? () => handleDeleteReply(reply._id) : null}
+            />
+          ))}
+
+          {hasMoreReplies && (
+            <button
+              onClick={handleViewMoreReplies}
+              disabled={loadingReplies}
+              className="text-xs font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {loadingReplies ? 'Loading...' : `View more replies (${Math.max(replyCount - replies.length, 1)})`}
+            </button>
+          )}
+
+          {replying && (
+            <div className="flex space-x-2">
+              <MentionInput
+                value={replyText}
+                onChange={setReplyText}
+                maxLength={500}
+                placeholder={`Reply to ${comment.userId?.name || 'comment'}...`}
+                className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={handleReply}
+                disabled={!replyText.trim()}
+                className="bg-blue-600 text-white px-3 py-1 text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Reply
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+
+// The unfurled card for the first link in a post or message (see server/utils/linkPreview.js)
+const LinkPreviewCard = ({ preview, compact }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+  if (!preview?.url) return null;
+
+  const showImage = preview.image && !imageFailed;
+
+  return (
+    <a
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+      className={`block border border-gray-200 rounded-xl overflow-hidden bg-white text-gray-900 hover:bg-gray-50 transition-colors ${compact ? 'mt-2' : 'mb-4'}`}
+    >
+      {showImage && (
+        <img
+          src={preview.image}
+          alt=""
+          loading="lazy"
+          referrerPolicy="no-referrer"
+          onError={() => setImageFailed(true)}
+          className={`w-full object-cover ${compact ? 'h-28' : 'h-48'}`}
+        />
+      )}
+      <div className={compact ? 'p-2' : 'p-3'}>
+        {preview.siteName && (
+          <p className="text-xs text-gray-500 uppercase tracking-wide truncate">{preview.siteName}</p>
+        )}
+        {preview.title && (
+          <p className={`font-semibold line-clamp-2 ${compact ? 'text-sm' : ''}`}>{preview.title}</p>
+        )}
+        {preview.description && (
+          <p className={`text-gray-600 mt-1 line-clamp-2 ${compact ? 'text-xs' : 'text-sm'}`}>{preview.description}</p>
+        )}
+      </div>
+    </a>
+  );
+};
+
+export default LinkPreviewCard;
@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import api from '../../utils/axios';
+
+// The `@query` being typed just before the caret, if any
+const MENTION_QUERY_PATTERN = /(^|\s)@([\p{L}\p{N}_.'-]{1,30})$/u;
+const SUGGESTION_LIMIT = 5;
+const SEARCH_DELAY = 250;
+
+// A text input or textarea that suggests people after "@" and inserts the picked one as
+// `@[Name](userId)`, the form the server reads mentions in
+const MentionInput = ({ value, onChange, multiline = false, className, ...props }) => {
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+
+  useEffect(() => {
+    if (!query) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/users/search', { params: { q: query, limit: SUGGESTION_LIMIT } });
+        if (!cancelled) {
+          setSuggestions(response.data.users || []);
+          setHighlighted(0);
+        }
+      } catch (error) {
+        if (!cancelled) setSuggestions([]);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    const beforeCaret = e.target.value.slice(0, e.target.selectionStart);
+    setQuery(beforeCaret.match(MENTION_QUERY_PATTERN)?.[2] || null);
+  };
+
+  const pick = (person) => {
+    const caret = inputRef.current?.selectionStart ?? value.length;
+    const beforeCaret = value.slice(0, caret).replace(MENTION_QUERY_PATTERN, (match, space) => `${space}@[${person.name.replace(/[[\]\n]/g, '')}](${person._id}) `);
+    onChange(beforeCaret + value.slice(caret));
+    setQuery(null);
+
+    // Put the caret after the inserted mention
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(beforeCaret.length, beforeCaret.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        pick(suggestions[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setQuery(null);
+        return;
+      }
+    }
+    props.onKeyDown?.(e);
+  };
+
+  const Field = multiline ? 'textarea' : 'input';
+
+  return (
+    <div className="relative flex-1">
+      <Field
+        {...props}
+        ref={inputRef}
+        type={multiline ? undefined : 'text'}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setQuery(null)}
+        className={className}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-20 left-0 mt-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((person, index) => (
+            <li key={person._id}>
+              <button
+                type="button"
+                // Keep focus in the field so the caret position survives the click
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(person);
+                }}
+                className={`w-full flex items-center space-x-2 px-3 py-2 text-left text-sm ${
+                  index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                {person.profilePic ? (
+                  <img src={person.profilePic} alt="" className="w-6 h-6 rounded-full object-cover" />
+                ) : (
+                  <span className="w-6 h-6 bg-gray-300 rounded-full flex items-center justify-center text-xs text-gray-600">
+                    {person.name?.charAt(0).toUpperCase()}
+                  </span>
+                )}
+                <span className="text-gray-900">{person.name}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MentionInput;
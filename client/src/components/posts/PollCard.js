@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { votePoll, getPollVoters } from '../../redux/slices/postSlice';
+
+// "3 days left", "5 hours left", or "Less than an hour left"
+const timeLeft = (endsAt) => {
+  const hours = Math.floor((new Date(endsAt) - Date.now()) / (60 * 60 * 1000));
+  if (hours >= 24) {
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} left`;
+  }
+  if (hours >= 1) return `${hours} hour${hours === 1 ? '' : 's'} left`;
+  return 'Less than an hour left';
+};
+
+// Who picked each option, for the poll's author
+const PollVotersModal = ({ postId, onClose }) => {
+  const dispatch = useDispatch();
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    dispatch(getPollVoters(postId))
+      .unwrap()
+      .then(data => setOptions(data.options))
+      .catch(error => toast.error(error || 'Failed to load voters'))
+      .finally(() => setLoading(false));
+  }, [dispatch, postId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-[80vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Votes</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
+        </div>
+
+        {loading && <p className="text-center py-6 text-gray-500">Loading...</p>}
+
+        {options.map((option) => (
+          <div key={option._id} className="mb-4">
+            <h3 className="font-semibold text-gray-900">
+              {option.text} <span className="text-sm font-normal text-gray-500">· {option.voteCount}</span>
+            </h3>
+            {option.voters.length === 0 ? (
+              <p className="text-sm text-gray-500 mt-1">No votes</p>
+            ) : (
+              <ul className="mt-2 space-y-2">
+                {option.voters.map((voter) => (
+                  <li key={voter._id}>
+                    <Link
+                      to={`/dashboard/profile/${voter._id}`}
+                      onClick={onClose}
+                      className="flex items-center space-x-3 hover:bg-gray-50 rounded-lg p-1"
+                    >
+                      {voter.profilePic ? (
+                        <img src={voter.profilePic} alt={voter.name} className="w-8 h-8 rounded-full object-cover" />
+                      ) : (
+                        <div className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center">
+                          <span className="text-sm text-gray-600">{voter.name?.charAt(0)}</span>
+                        </div>
+                      )}
+                      <span className="text-sm font-medium text-gray-900">{voter.name}</span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// A poll under its question. Results show once the user has voted, to the author, and after
+// the poll closes; until then the options can be picked.
+const PollCard = ({ post }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [selected, setSelected] = useState([]);
+  const [voting, setVoting] = useState(false);
+  const [showVoters, setShowVoters] = useState(false);
+
+  const { poll } = post;
+  if (!poll) return null;
+
+  const isAuthor = post.userId?._id === user?._id;
+  const showResults = poll.options.some(option => option.voteCount !== undefined);
+  const myVotes = poll.myVotes || [];
+
+  const toggleOption = (optionId) => {
+    if (!poll.allowMultiple) {
+      setSelected([optionId]);
+      return;
+    }
+    setSelected(prev => (prev.includes(optionId) ? prev.filter(id => id !== optionId) : [...prev, optionId]));
+  };
+
+  const handleVote = async () => {
+    if (selected.length === 0) return;
+    setVoting(true);
+    try {
+      await dispatch(votePoll({ postId: post._id, optionIds: selected })).unwrap();
+      setSelected([]);
+    } catch (error) {
+      toast.error(error || 'Failed to vote');
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded-xl p-4">
+      <div className="space-y-2">
+        {poll.options.map((option) => (showResults ? (
+          <div key={option._id} className="relative overflow-hidden rounded-lg bg-gray-100">
+            <div
+              className={`absolute inset-y-0 left-0 ${myVotes.includes(option._id) ? 'bg-blue-200' : 'bg-gray-200'}`}
+              style={{ width: `${option.percentage}%` }}
+            />
+            <div className="relative flex justify-between px-3 py-2 text-sm">
+              <span className="font-medium text-gray-900">
+                {option.text}{myVotes.includes(option._id) && ' ✓'}
+              </span>
+              <span className="text-gray-700">{option.percentage}%</span>
+            </div>
+          </div>
+        ) : (
+          <button
+            key={option._id}
+            type="button"
+            onClick={() => toggleOption(option._id)}
+            className={`w-full text-left px-3 py-2 text-sm rounded-lg border transition-colors ${
+              selected.includes(option._id)
+                ? 'border-blue-600 bg-blue-50 text-blue-700 font-medium'
+                : 'border-gray-300 text-gray-900 hover:border-blue-400'
+            }`}
+          >
+            {option.text}
+          </button>
+        )))}
+      </div>
+
+      {!showResults && (
+        <button
+          onClick={handleVote}
+          disabled={voting || selected.length === 0}
+          className="mt-3 bg-blue-600 text-white px-4 py-2 text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {voting ? 'Voting...' : 'Vote'}
+        </button>
+      )}
+
+      <div className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500 mt-3">
+        <span>{poll.voterCount} vote{poll.voterCount === 1 ? '' : 's'}</span>
+        <span>·</span>
+        <span>{poll.isClosed ? 'Poll closed' : timeLeft(poll.endsAt)}</span>
+        {poll.allowMultiple && (
+          <>
+            <span>·</span>
+            <span>Multiple choice</span>
+          </>
+        )}
+        {isAuthor && poll.voterCount > 0 && (
+          <button onClick={() => setShowVoters(true)} className="ml-auto font-medium text-blue-600 hover:text-blue-800">
+            View voters
+          </button>
+        )}
+      </div>
+
+      {showVoters && <PollVotersModal postId={post._id} onClose={() => setShowVoters(false)} />}
+    </div>
+  );
+};
+
+export default PollCard;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// `@[Name](userId)` mentions, or a `#hashtag` not inside a word or URL (mirrors server/utils/mentions.js)
+const TOKEN_PATTERN = /@\[([^\]\n]{1,100})\]\(([a-f\d]{24})\)|(^|[^\p{L}\p{N}_/&#])#([\p{L}\p{N}_]{1,50})(?![\p{L}\p{N}_])/giu;
+
+// Post or comment text with mentions linked to profiles and hashtags to their posts
+const RichText = ({ text }) => {
+  const parts = [];
+  let last = 0;
+
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const [token, name, userId, prefix = '', tag] = match;
+    const start = match.index + (tag ? prefix.length : 0);
+    if (tag && !/\p{L}/u.test(tag)) continue;
+
+    parts.push(text.slice(last, start));
+    parts.push(userId ? (
+      <Link key={start} to={`/dashboard/profile/${userId}`} className="text-blue-600 font-medium hover:underline">
+        @{name}
+      </Link>
+    ) : (
+      <Link key={start} to={`/dashboard/feed?tag=${encodeURIComponent(tag.toLowerCase())}`} className="text-blue-600 hover:underline">
+        #{tag}
+      </Link>
+    ));
+    last = match.index + token.length;
+  }
+  parts.push(String(text || '').slice(last));
+
+  return <>{parts}</>;
+};
+
+export default RichText;
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getNotificationPreferences, updateNotificationPreferences } from '../../redux/slices/notificationSlice';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush } from '../../utils/push';
+
+const TYPE_LABELS = [
+  ['MESSAGE', 'Messages'],
+  ['CONNECTION_REQUEST', 'Connection requests'],
+  ['CONNECTION_ACCEPTED', 'Accepted connection requests'],
+  ['NEW_FOLLOWER', 'New followers'],
+  ['POST_LIKE', 'Likes on your posts'],
+  ['POST_COMMENT', 'Comments on your posts'],
+  ['COMMENT_REPLY', 'Replies to your comments'],
+  ['MENTION', 'Mentions of you'],
+  ['POST_SHARED', 'Shares of your posts'],
+  ['POST_FROM_CONNECTION', 'New posts from connections'],
+  ['JOB_APPLICATION', 'Applications to your jobs'],
+  ['JOB_APPLICATION_UPDATE', 'Updates on your applications'],
+  ['JOB_ALERT', 'Job alerts']
+];
+
+const CHANNEL_LABELS = [
+  ['inApp', 'In-app'],
+  ['email', 'Email'],
+  ['push', 'Browser']
+];
+
+const DIGEST_OPTIONS = [
+  ['daily', 'Daily'],
+  ['weekly', 'Weekly'],
+  ['off', 'Off']
+];
+
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const NotificationPreferencesSection = () => {
+  const dispatch = useDispatch();
+  const { preferences } = useSelector((state) => state.notification);
+  const [deviceSubscribed, setDeviceSubscribed] = useState(false);
+  const [deviceUpdating, setDeviceUpdating] = useState(false);
+
+  useEffect(() => {
+    dispatch(getNotificationPreferences());
+    getPushSubscription()
+      .then((subscription) => setDeviceSubscribed(Boolean(subscription)))
+      .catch(() => setDeviceSubscribed(false));
+  }, [dispatch]);
+
+  const save = async (changes) => {
+    try {
+      await dispatch(updateNotificationPreferences(changes)).unwrap();
+    } catch (error) {
+      toast.error(error || 'Failed to update notification preferences');
+    }
+  };
+
+  const enableDevicePush = async () => {
+    setDeviceUpdating(true);
+    try {
+      await subscribeToPush();
+      setDeviceSubscribed(true);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message || 'Failed to enable browser notifications');
+      return false;
+    } finally {
+      setDeviceUpdating(false);
+    }
+  };
+
+  const disableDevicePush = async () => {
+    setDeviceUpdating(true);
+    try {
+      await unsubscribeFromPush();
+      setDeviceSubscribed(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable browser notifications');
+    } finally {
+      setDeviceUpdating(false);
+    }
+  };
+
+  const handleChannelChange = async (type, channel, enabled) => {
+    // Browser notifications need this device subscribed (and the user's permission) first
+    if (channel === 'push' && enabled && isPushSupported() && !deviceSubscribed) {
+      await enableDevicePush();
+    }
+    save({ types: { [type]: { [channel]: enabled } } });
+  };
+
+  if (!preferences) {
+    return null;
+  }
+
+  const quietHours = preferences.quietHours || {};
+  const pushBlocked = 'Notification' in window && window.Notification.permission === 'denied';
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+      <div className="mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Notifications</h2>
+        <p className="text-sm text-gray-500">Choose what you hear about and where</p>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-2 font-medium"></th>
+            {CHANNEL_LABELS.map(([channel, label]) => (
+              <th key={channel} className="py-2 font-medium text-center w-20">{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {TYPE_LABELS.map(([type, label]) => (
+            <tr key={type}>
+              <td className="py-2 text-gray-700">{label}</td>
+              {CHANNEL_LABELS.map(([channel]) => (
+                <td key={channel} className="py-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(preferences.types?.[type]?.[channel])}
+                    onChange={(e) => handleChannelChange(type, channel, e.target.checked)}
+                    aria-label={`${label}: ${channel}`}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {pushBlocked && (
+        <p className="text-xs text-gray-500 mt-2">Browser notifications are blocked for this site in your browser settings.</p>
+      )}
+      {isPushSupported() && !pushBlocked && (
+        <div className="flex items-center justify-between mt-3 text-sm">
+          <span className="text-gray-600">
+            {deviceSubscribed
+              ? 'Browser notifications are on for this device, even when Global Connect is closed.'
+              : 'Browser notifications are off for this device.'}
+          </span>
+          <button
+            onClick={deviceSubscribed ? disableDevicePush : enableDevicePush}
+            disabled={deviceUpdating}
+            className="text-blue-600 hover:text-blue-700 disabled:opacity-50"
+          >
+            {deviceSubscribed ? 'Turn off on this device' : 'Turn on for this device'}
+          </button>
+        </div>
+      )}
+
+      <div className="border-t border-gray-100 mt-6 pt-4">
+        <label className="flex items-center space-x-2 text-gray-900 font-medium">
+          <input
+            type="checkbox"
+            checked={Boolean(quietHours.enabled)}
+            onChange={(e) => save({ quietHours: { enabled: e.target.checked, timezone: quietHours.timezone === 'UTC' ? browserTimezone : quietHours.timezone } })}
+          />
+          <span>Quiet hours</span>
+        </label>
+        <p className="text-sm text-gray-500 mt-1">No emails or browser notifications during these hours. They still show up here.</p>
+        {quietHours.enabled && (
+          <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-gray-700">
+            <span>From</span>
+            <input
+              type="time"
+              value={quietHours.start || '22:00'}
+              onChange={(e) => e.target.value && save({ quietHours: { start: e.target.value } })}
+              className="px-2 py-1 border border-gray-200 rounded-lg"
+            />
+            <span>to</span>
+            <input
+              type="time"
+              value={quietHours.end || '07:00'}
+              onChange={(e) => e.target.value && save({ quietHours: { end: e.target.value } })}
+              className="px-2 py-1 border border-gray-200 rounded-lg"
+            />
+            <span className="text-gray-500">({quietHours.timezone})</span>
+            {quietHours.timezone !== browserTimezone && (
+              <button
+                onClick={() => save({ quietHours: { timezone: browserTimezone } })}
+                className="text-blue-600 hover:text-blue-700"
+              >
+                Use {browserTimezone}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="border-t border-gray-100 mt-6 pt-4">
+        <label htmlFor="digest-frequency" className="text-gray-900 font-medium">Email digest</label>
+        <p className="text-sm text-gray-500 mt-1">
+          A summary of unread messages, connection requests and application updates, sent only when something is waiting.
+        </p>
+        <select
+          id="digest-frequency"
+          value={preferences.digest?.frequency || 'weekly'}
+          onChange={(e) => save({ digest: { frequency: e.target.value } })}
+          className="mt-3 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+        >
+          {DIGEST_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {preferences.mutedConversations?.length > 0 && (
+        <p className="text-sm text-gray-500 mt-4">
+          {preferences.mutedConversations.length} muted conversation(s). Unmute them from the chat header in Messages.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default NotificationPreferencesSection;
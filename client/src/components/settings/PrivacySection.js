@@ -0,0 +1,49 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getPrivacySettings, updatePrivacySettings } from '../../redux/slices/userSlice';
+
+const PrivacySection = () => {
+  const dispatch = useDispatch();
+  const { privacy } = useSelector((state) => state.user);
+
+  useEffect(() => {
+    dispatch(getPrivacySettings());
+  }, [dispatch]);
+
+  const handleReadReceiptsChange = async (readReceipts) => {
+    try {
+      await dispatch(updatePrivacySettings({ readReceipts })).unwrap();
+    } catch (error) {
+      toast.error(error || 'Failed to update privacy settings');
+    }
+  };
+
+  if (!privacy) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+      <div className="mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Privacy</h2>
+        <p className="text-sm text-gray-500">Control what others can see about your activity</p>
+      </div>
+
+      <label className="flex items-center space-x-2 text-gray-900 font-medium">
+        <input
+          type="checkbox"
+          checked={privacy.readReceipts}
+          onChange={(e) => handleReadReceiptsChange(e.target.checked)}
+        />
+        <span>Read receipts</span>
+      </label>
+      <p className="text-sm text-gray-500 mt-1">
+        When off, people aren't told when you've read their messages, and you won't see when they've read yours.
+        Delivery ticks still show.
+      </p>
+    </div>
+  );
+};
+
+export default PrivacySection;
@@ -0,0 +1,100 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { getSessions, revokeSession, revokeOtherSessions } from '../../redux/slices/authSlice';
+
+// Rough "Chrome on Windows" style label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Safari\//.test(userAgent) ? 'Safari' : 'Unknown browser';
+  const os =
+    /Android/.test(userAgent) ? 'Android' :
+    /iPhone|iPad|iPod/.test(userAgent) ? 'iOS' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' : 'Unknown OS';
+  return `${browser} on ${os}`;
+};
+
+const SessionsSection = () => {
+  const dispatch = useDispatch();
+  const { sessions } = useSelector((state) => state.auth);
+
+  useEffect(() => {
+    dispatch(getSessions());
+  }, [dispatch]);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await dispatch(revokeSession(sessionId)).unwrap();
+      toast.success('Device signed out');
+    } catch (error) {
+      toast.error(error || 'Failed to sign out device');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) return;
+    try {
+      const result = await dispatch(revokeOtherSessions()).unwrap();
+      toast.success(`Signed out of ${result.revokedCount} other device(s)`);
+    } catch (error) {
+      toast.error(error || 'Failed to sign out other devices');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Where you're signed in</h2>
+          <p className="text-sm text-gray-500">Sign out of devices you don't recognize</p>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            className="px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 font-medium"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      <div className="divide-y divide-gray-100">
+        {sessions.map((session) => (
+          <div key={session._id} className="flex items-center justify-between py-4">
+            <div>
+              <p className="font-medium text-gray-900">
+                {describeDevice(session.userAgent)}
+                {session.current && (
+                  <span className="ml-2 text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">This device</span>
+                )}
+              </p>
+              <p className="text-sm text-gray-500">
+                {session.ip ? `${session.ip} · ` : ''}
+                Last active {new Date(session.lastUsedAt).toLocaleString()}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => handleRevoke(session._id)}
+                className="text-sm text-gray-500 hover:text-red-600"
+              >
+                Sign out
+              </button>
+            )}
+          </div>
+        ))}
+        {sessions.length === 0 && (
+          <p className="py-4 text-sm text-gray-500">No active sessions</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsSection;
@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} from '../../redux/slices/authSlice';
+import BackupCodesList from '../auth/BackupCodesList';
+import AuthenticatorKey from '../auth/AuthenticatorKey';
+
+const inputClass = 'px-3 py-2 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const TwoFactorSection = () => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState(null);
+  // 'setup' | 'disable' | 'regenerate' while a form is open
+  const [mode, setMode] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+
+  const loadStatus = useCallback(() => {
+    dispatch(getTwoFactorStatus())
+      .unwrap()
+      .then(setStatus)
+      .catch((error) => toast.error(error));
+  }, [dispatch]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetForm = () => {
+    setMode(null);
+    setEnrollment(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      const result = await dispatch(setupTwoFactor()).unwrap();
+      setEnrollment(result);
+      setBackupCodes(null);
+      setMode('setup');
+    } catch (error) {
+      toast.error(error || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (mode === 'setup') {
+        const result = await dispatch(enableTwoFactor(code.trim())).unwrap();
+        setBackupCodes(result.backupCodes);
+        toast.success('Two-factor authentication enabled');
+      } else if (mode === 'regenerate') {
+        const codes = await dispatch(regenerateBackupCodes(code.trim())).unwrap();
+        setBackupCodes(codes);
+        toast.success('New backup codes generated');
+      } else if (mode === 'disable') {
+        await dispatch(disableTwoFactor({ password, code: code.trim() })).unwrap();
+        setBackupCodes(null);
+        toast.success('Two-factor authentication disabled');
+      }
+      resetForm();
+      loadStatus();
+    } catch (error) {
+      toast.error(error || 'Verification failed');
+      setCode('');
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">
+            Two-factor authentication
+            <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+              {status.enabled ? 'On' : 'Off'}
+            </span>
+          </h2>
+          <p className="text-sm text-gray-500">
+            {status.enabled
+              ? `Codes from your authenticator app are required to sign in. ${status.remainingBackupCodes} backup code(s) left.`
+              : 'Require a code from an authenticator app when you sign in'}
+          </p>
+        </div>
+        {!mode && !status.enabled && (
+          <button
+            onClick={handleStartSetup}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+          >
+            Set up
+          </button>
+        )}
+      </div>
+
+      {backupCodes && (
+        <div className="mb-4 space-y-2">
+          <p className="text-sm text-gray-600">
+            Save these backup codes somewhere safe. Each one works once; older codes no longer work.
+          </p>
+          <BackupCodesList codes={backupCodes} />
+        </div>
+      )}
+
+      {!mode && status.enabled && (
+        <div className="flex space-x-3">
+          <button
+            onClick={() => setMode('regenerate')}
+            className="px-4 py-2 text-sm text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50 font-medium"
+          >
+            New backup codes
+          </button>
+          {!status.required && (
+            <button
+              onClick={() => setMode('disable')}
+              className="px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 font-medium"
+            >
+              Turn off
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {mode === 'setup' && enrollment && (
+            <>
+              <p className="text-sm text-gray-600">
+                Add this key to your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <AuthenticatorKey secret={enrollment.secret} otpauthUri={enrollment.otpauthUri} />
+            </>
+          )}
+          {mode === 'disable' && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={`${inputClass} w-full`}
+              placeholder="Current password"
+            />
+          )}
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              maxLength={11}
+              required
+              className={`${inputClass} flex-1`}
+              placeholder={mode === 'setup' ? '6-digit code' : 'Authenticator or backup code'}
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              {mode === 'setup' ? 'Enable' : mode === 'disable' ? 'Turn off' : 'Generate'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSection;
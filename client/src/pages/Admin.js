@@ -3,15 +3,18 @@ import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { logout } from '../redux/slices/authSlice';
-import { getUsers, deleteUser, banUser, unbanUser } from '../redux/slices/userSlice';
+import { getUsers, deleteUser, banUser, unbanUser, getRoles, updateUserRole } from '../redux/slices/userSlice';
 import { getPostsAdmin, deletePost } from '../redux/slices/postSlice';
 import { getJobsAdmin, createJob, deleteJob, updateApplicationStatus } from '../redux/slices/jobSlice';
+import ReportsQueue from '../components/admin/ReportsQueue';
+import AuditLogTab from '../components/admin/AuditLogTab';
+import { hasPermission } from '../utils/permissions';
 
 const Admin = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { user } = useSelector((state) => state.auth);
-  const { users, loading: usersLoading } = useSelector((state) => state.user);
+  const { users, roles, permissionDescriptions, loading: usersLoading } = useSelector((state) => state.user);
   const { posts, loading: postsLoading } = useSelector((state) => state.post);
   const { jobs, loading: jobsLoading } = useSelector((state) => state.job);
   
@@ -37,13 +40,15 @@ const Admin = () => {
     isUrgent: false
   });
 
+  const can = useCallback((permission) => hasPermission(user, permission), [user]);
+
   useEffect(() => {
-    if (user && user.role === 'admin') {
-      dispatch(getUsers());
-      dispatch(getPostsAdmin());
-      dispatch(getJobsAdmin());
-    }
-  }, [dispatch, user]);
+    if (can('users:view')) dispatch(getUsers());
+    if (can('users:assign_roles')) dispatch(getRoles());
+    if (can('posts:moderate')) dispatch(getPostsAdmin());
+    // The applications tab is built from the jobs list
+    if (can('jobs:moderate') || can('jobs:review')) dispatch(getJobsAdmin());
+  }, [dispatch, can]);
 
   // Build applications table from current jobs list
   const loadJobApplications = useCallback(async () => {
@@ -132,6 +137,16 @@ const Admin = () => {
     }
   };
 
+  const handleRoleChange = async (targetUser, role) => {
+    if (!window.confirm(`Make ${targetUser.name} a ${role}?`)) return;
+    try {
+      await dispatch(updateUserRole({ userId: targetUser._id, role })).unwrap();
+      toast.success(`${targetUser.name} is now a ${role}`);
+    } catch (error) {
+      toast.error(error || 'Failed to update role');
+    }
+  };
+
   const handleDeletePost = async (postId) => {
     if (window.confirm('Are you sure you want to delete this post?')) {
       try {
@@ -210,7 +225,7 @@ const Admin = () => {
     }
   };
 
-  if (!user || user.role !== 'admin') {
+  if (!can('admin:access')) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
@@ -228,6 +243,9 @@ const Admin = () => {
     activeUsers: (Array.isArray(users) ? users : []).filter(u => u.isActive)?.length || 0
   };
 
+  // The users table shadows `user`
+  const currentUserId = user._id;
+
   const filteredUsers = (Array.isArray(users) ? users : []).filter(user => 
     user.name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
     user.email?.toLowerCase().includes(searchQuery.toLowerCase())
@@ -248,7 +266,7 @@ const Admin = () => {
             <span className="text-2xl mr-2">👋</span>
             <span className="text-lg font-semibold text-gray-900">{user.name}</span>
             <span className="mx-2 text-gray-600">|</span>
-            <span className="text-lg text-gray-600">Admin</span>
+            <span className="text-lg text-gray-600 capitalize">{user.role}</span>
           </div>
           <button
             onClick={handleLogout}
@@ -323,11 +341,13 @@ const Admin = () => {
             <nav className="flex space-x-8 px-6">
               {[
                 { id: 'dashboard', name: 'Dashboard', icon: '📊' },
-                { id: 'users', name: 'Users', icon: '👥' },
-                { id: 'posts', name: 'Posts', icon: '📝' },
-                { id: 'jobs', name: 'Jobs', icon: '💼' },
-                { id: 'applications', name: 'Applications', icon: '📄' }
-              ].map((tab) => (
+                { id: 'users', name: 'Users', icon: '👥', permission: 'users:view' },
+                { id: 'posts', name: 'Posts', icon: '📝', permission: 'posts:moderate' },
+                { id: 'jobs', name: 'Jobs', icon: '💼', permission: 'jobs:moderate' },
+                { id: 'applications', name: 'Applications', icon: '📄', permission: 'jobs:review' },
+                { id: 'reports', name: 'Reports', icon: '🚩', permission: 'reports:manage' },
+                { id: 'audit', name: 'Audit Log', icon: '🛡️', permission: 'audit:view' }
+              ].filter(tab => !tab.permission || can(tab.permission)).map((tab) => (
                 <button
                   key={tab.id}
                   onClick={() => setActiveTab(tab.id)}
@@ -430,6 +450,7 @@ const Admin = () => {
                         <tr>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skills</th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
@@ -454,6 +475,21 @@ const Admin = () => {
                               </div>
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{user.email}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {can('users:assign_roles') && roles.length > 0 && user._id !== currentUserId ? (
+                                <select
+                                  value={user.role}
+                                  onChange={(e) => handleRoleChange(user, e.target.value)}
+                                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm capitalize"
+                                >
+                                  {roles.map(({ role }) => (
+                                    <option key={role} value={role}>{role}</option>
+                                  ))}
+                                </select>
+                              ) : (
+                                <span className="capitalize">{user.role}</span>
+                              )}
+                            </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{user.skills?.join(', ')}</td>
                             <td className="px-6 py-4 whitespace-nowrap">
                               <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -464,7 +500,7 @@ const Admin = () => {
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                               <div className="flex space-x-2">
-                                {user.isActive ? (
+                                {can('users:ban') && (user.isActive ? (
                                   <button
                                     onClick={() => handleBanUser(user._id)}
                                     className="text-yellow-600 hover:text-yellow-900 text-xs font-medium"
@@ -478,13 +514,15 @@ const Admin = () => {
                                   >
                                     Unban
                                   </button>
+                                ))}
+                                {can('users:delete') && (
+                                  <button
+                                    onClick={() => handleDeleteUser(user._id)}
+                                    className="text-red-600 hover:text-red-900 text-xs font-medium"
+                                  >
+                                    Delete
+                                  </button>
                                 )}
-                                <button
-                                  onClick={() => handleDeleteUser(user._id)}
-                                  className="text-red-600 hover:text-red-900 text-xs font-medium"
-                                >
-                                  Delete
-                                </button>
                               </div>
                             </td>
                           </tr>
@@ -493,6 +531,28 @@ const Admin = () => {
                     </table>
                   </div>
                 )}
+
+                {roles.length > 0 && (
+                  <details className="mt-6">
+                    <summary className="text-sm text-blue-600 cursor-pointer">What each role can do</summary>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+                      {roles.map(({ role, permissions }) => (
+                        <div key={role} className="border border-gray-200 rounded-lg p-4">
+                          <h4 className="font-semibold text-gray-900 capitalize mb-2">{role}</h4>
+                          {permissions.length === 0 ? (
+                            <p className="text-sm text-gray-500">No admin permissions</p>
+                          ) : (
+                            <ul className="text-sm text-gray-700 space-y-1">
+                              {permissions.map(permission => (
+                                <li key={permission}>{permissionDescriptions[permission] || permission}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                )}
               </div>
             )}
 
@@ -623,6 +683,12 @@ const Admin = () => {
               </div>
             )}
 
+            {/* Reports Tab */}
+            {activeTab === 'reports' && <ReportsQueue />}
+
+            {/* Audit Log Tab */}
+            {activeTab === 'audit' && <AuditLogTab />}
+
             {/* Applications Tab */}
             {activeTab === 'applications' && (
               <div>
@@ -696,6 +762,11 @@ const Admin = () => {
                               }`}>
                                 {application.status}
                               </span>
+                              {application.stage && (
+                                <span className="ml-2 text-xs text-gray-500">
+                                  {application.pipelineStages?.find(stage => stage.key === application.stage)?.label || application.stage}
+                                </span>
+                              )}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                               <div className="flex space-x-2">
@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import 'react-quill/dist/quill.snow.css';
+import { getArticle, publishArticle, unpublishArticle, deleteArticle, shareArticle } from '../redux/slices/articleSlice';
+import { addPostToFeed } from '../redux/slices/postSlice';
+
+// Reads an article at /dashboard/articles/:slug. Its author can publish, unpublish, edit and
+// delete it; anyone can share a published article into the feed.
+const Article = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { current: article, loading, error } = useSelector((state) => state.article);
+  const [sharing, setSharing] = useState(false);
+  const [shareText, setShareText] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    dispatch(getArticle(slug));
+  }, [dispatch, slug]);
+
+  const run = async (action, success, failure) => {
+    setBusy(true);
+    try {
+      const result = await dispatch(action).unwrap();
+      toast.success(success);
+      return result;
+    } catch (err) {
+      toast.error(err || failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Are you sure you want to delete this article?')) return;
+    if (await run(deleteArticle(article._id), 'Article deleted', 'Failed to delete article')) {
+      navigate('/dashboard/profile');
+    }
+  };
+
+  const handleShare = async () => {
+    const post = await run(shareArticle({ id: article._id, content: shareText }), 'Shared to your feed', 'Failed to share article');
+    if (post) {
+      dispatch(addPostToFeed(post));
+      setSharing(false);
+      setShareText('');
+    }
+  };
+
+  if (loading || (!article && !error)) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!article) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-16 text-center">
+        <div className="text-4xl mb-2">📰</div>
+        <p className="text-gray-700 font-medium">{error || 'Article not found'}</p>
+        <Link to="/dashboard/feed" className="text-sm text-blue-600 hover:text-blue-800">Back to feed</Link>
+      </div>
+    );
+  }
+
+  const author = article.userId;
+  const isAuthor = author?._id === user?._id;
+  const isPublished = article.status === 'published';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4">
+        <article className="bg-white rounded-xl shadow-lg border border-gray-100 overflow-hidden">
+          {article.coverImage && (
+            <img src={article.coverImage} alt="" className="w-full h-72 object-cover" />
+          )}
+          <div className="p-8">
+            {!isPublished && (
+              <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                {article.status === 'draft' ? 'This is a draft.' : 'This article is unpublished.'} It isn't public.
+              </div>
+            )}
+
+            <h1 className="text-4xl font-bold text-gray-900 leading-tight">{article.title}</h1>
+
+            <div className="flex items-center space-x-3 mt-4 mb-8">
+              <Link to={`/dashboard/profile/${author?._id}`} className="flex items-center space-x-3">
+                {author?.profilePic ? (
+                  <img src={author.profilePic} alt={author.name} className="w-10 h-10 rounded-full object-cover" />
+                ) : (
+                  <div className="w-10 h-10 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center">
+                    <span className="text-white font-semibold">{author?.name?.charAt(0).toUpperCase()}</span>
+                  </div>
+                )}
+                <span className="font-semibold text-gray-900 hover:underline">{author?.name}</span>
+              </Link>
+              <span className="text-sm text-gray-500">
+                {article.publishedAt ? new Date(article.publishedAt).toLocaleDateString() : 'Not published'}
+                {' · '}{article.readingTime} min read
+              </span>
+            </div>
+
+            {/* The body is sanitized on the server before it is stored */}
+            <div className="ql-snow">
+              <div
+                className="ql-editor text-gray-800 text-lg leading-relaxed"
+                style={{ padding: 0 }}
+                dangerouslySetInnerHTML={{ __html: article.body }}
+              />
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mt-10 pt-6 border-t border-gray-100">
+              {isPublished && (
+                <button
+                  onClick={() => setSharing(!sharing)}
+                  className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-4 py-2 rounded-lg hover:from-blue-700 hover:to-purple-700"
+                >
+                  Share to feed
+                </button>
+              )}
+              {isAuthor && (
+                <>
+                  <Link
+                    to={`/dashboard/articles/${article.slug}/edit`}
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    Edit
+                  </Link>
+                  {isPublished ? (
+                    <button
+                      onClick={() => run(unpublishArticle(article._id), 'Article unpublished', 'Failed to unpublish article')}
+                      disabled={busy}
+                      className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Unpublish
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => run(publishArticle(article._id), 'Article published', 'Failed to publish article')}
+                      disabled={busy}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Publish
+                    </button>
+                  )}
+                  <button
+                    onClick={handleDelete}
+                    disabled={busy}
+                    className="px-4 py-2 text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+
+            {sharing && (
+              <div className="mt-4 space-y-2">
+                <textarea
+                  value={shareText}
+                  onChange={(e) => setShareText(e.target.value)}
+                  maxLength={2000}
+                  rows="3"
+                  placeholder="Say something about this article (optional)"
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <div className="flex justify-end space-x-2">
+                  <button onClick={() => setSharing(false)} className="px-4 py-2 text-gray-600 hover:text-gray-900">
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleShare}
+                    disabled={busy}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Share
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </article>
+      </div>
+    </div>
+  );
+};
+
+export default Article;
@@ -0,0 +1,235 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import ReactQuill from 'react-quill';
+import 'react-quill/dist/quill.snow.css';
+import { getArticle, createArticle, updateArticle, publishArticle, uploadArticleImage } from '../redux/slices/articleSlice';
+
+const TOOLBAR = [
+  [{ header: [1, 2, 3, false] }],
+  ['bold', 'italic', 'underline', 'strike'],
+  ['blockquote', 'code-block'],
+  [{ list: 'ordered' }, { list: 'bullet' }],
+  ['link', 'image'],
+  ['clean']
+];
+
+// Writes a new article (/dashboard/articles/new) or edits one (/dashboard/articles/:slug/edit)
+const ArticleEditor = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const quillRef = useRef(null);
+
+  const [article, setArticle] = useState(null);
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [coverImage, setCoverImage] = useState('');
+  const [loading, setLoading] = useState(Boolean(slug));
+  const [saving, setSaving] = useState(false);
+  const [uploadingCover, setUploadingCover] = useState(false);
+
+  useEffect(() => {
+    if (!slug) return;
+    setLoading(true);
+    dispatch(getArticle(slug))
+      .unwrap()
+      .then((loaded) => {
+        if (loaded.userId?._id !== user?._id) {
+          navigate(`/dashboard/articles/${slug}`, { replace: true });
+          return;
+        }
+        setArticle(loaded);
+        setTitle(loaded.title);
+        setBody(loaded.body);
+        setCoverImage(loaded.coverImage || '');
+      })
+      .catch((error) => {
+        toast.error(error || 'Failed to load article');
+        navigate('/dashboard/profile', { replace: true });
+      })
+      .finally(() => setLoading(false));
+  }, [dispatch, navigate, slug, user?._id]);
+
+  // Inline images are uploaded rather than embedded, since only URLs survive sanitizing
+  const handleImage = useCallback(() => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        const url = await dispatch(uploadArticleImage(file)).unwrap();
+        const editor = quillRef.current.getEditor();
+        const range = editor.getSelection(true);
+        editor.insertEmbed(range.index, 'image', url, 'user');
+        editor.setSelection(range.index + 1);
+      } catch (error) {
+        toast.error(error || 'Failed to upload image');
+      }
+    };
+    input.click();
+  }, [dispatch]);
+
+  const modules = useMemo(() => ({
+    toolbar: { container: TOOLBAR, handlers: { image: handleImage } }
+  }), [handleImage]);
+
+  const handleCoverChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setUploadingCover(true);
+    try {
+      setCoverImage(await dispatch(uploadArticleImage(file)).unwrap());
+    } catch (error) {
+      toast.error(error || 'Failed to upload image');
+    } finally {
+      setUploadingCover(false);
+    }
+  };
+
+  // Creates the article on first save; resolves to the saved article
+  const save = async () => {
+    const articleData = { title, body, coverImage };
+    const saved = article
+      ? await dispatch(updateArticle({ id: article._id, ...articleData })).unwrap()
+      : await dispatch(createArticle(articleData)).unwrap();
+    setArticle(saved);
+    return saved;
+  };
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      toast.error('Give your article a title');
+      return;
+    }
+    setSaving(true);
+    try {
+      const saved = await save();
+      if (saved.status === 'published') {
+        toast.success('Article updated');
+        navigate(`/dashboard/articles/${saved.slug}`);
+      } else {
+        toast.success('Draft saved');
+        if (saved.slug !== slug) navigate(`/dashboard/articles/${saved.slug}/edit`, { replace: true });
+      }
+    } catch (error) {
+      toast.error(error || 'Failed to save article');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    if (!title.trim()) {
+      toast.error('Give your article a title');
+      return;
+    }
+    setSaving(true);
+    try {
+      const saved = await save();
+      const published = await dispatch(publishArticle(saved._id)).unwrap();
+      toast.success('Article published');
+      navigate(`/dashboard/articles/${published.slug}`);
+    } catch (error) {
+      toast.error(error || 'Failed to publish article');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const isPublished = article?.status === 'published';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4">
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-2xl font-bold text-gray-900">{article ? 'Edit article' : 'Write an article'}</h1>
+            {article && (
+              <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full capitalize">{article.status}</span>
+            )}
+          </div>
+
+          {coverImage ? (
+            <div className="relative mb-4">
+              <img src={coverImage} alt="Cover" className="w-full h-56 object-cover rounded-lg" />
+              <button
+                type="button"
+                onClick={() => setCoverImage('')}
+                className="absolute top-2 right-2 bg-white text-gray-700 text-sm px-3 py-1 rounded-lg shadow hover:bg-gray-100"
+              >
+                Remove cover
+              </button>
+            </div>
+          ) : (
+            <label className="mb-4 flex items-center justify-center h-32 border-2 border-dashed border-gray-300 rounded-lg text-gray-500 hover:border-blue-400 hover:text-blue-600 cursor-pointer">
+              <input type="file" accept="image/*" onChange={handleCoverChange} className="hidden" />
+              {uploadingCover ? 'Uploading...' : '📷 Add a cover image'}
+            </label>
+          )}
+
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={150}
+            placeholder="Title"
+            className="w-full text-3xl font-bold text-gray-900 border-0 border-b border-gray-200 focus:ring-0 focus:border-blue-500 px-0 mb-4"
+          />
+
+          <ReactQuill
+            ref={quillRef}
+            theme="snow"
+            value={body}
+            onChange={setBody}
+            modules={modules}
+            placeholder="Write your article..."
+            className="mb-6 [&_.ql-container]:min-h-[300px] [&_.ql-editor]:text-base"
+          />
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => navigate(-1)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || uploadingCover}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {isPublished ? 'Update' : 'Save draft'}
+            </button>
+            {!isPublished && (
+              <button
+                type="button"
+                onClick={handlePublish}
+                disabled={saving || uploadingCover}
+                className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-2 rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Publish'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArticleEditor;
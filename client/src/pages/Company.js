@@ -0,0 +1,410 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import api from '../utils/axios';
+import { hasPermission } from '../utils/permissions';
+import {
+  getCompany,
+  getCompanyJobs,
+  updateCompany,
+  uploadCompanyImage,
+  addCompanyMember,
+  removeCompanyMember,
+  followCompany,
+  unfollowCompany,
+  clearCurrentCompany
+} from '../redux/slices/companySlice';
+
+const Company = () => {
+  const { companyId } = useParams();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { currentCompany: company, companyJobs, loading, error } = useSelector((state) => state.company);
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [editForm, setEditForm] = useState({
+    name: '',
+    description: '',
+    website: '',
+    industry: '',
+    location: '',
+    size: ''
+  });
+  const [memberQuery, setMemberQuery] = useState('');
+  const [memberResults, setMemberResults] = useState([]);
+
+  useEffect(() => {
+    dispatch(getCompany(companyId));
+    dispatch(getCompanyJobs({ companyId }));
+    return () => {
+      dispatch(clearCurrentCompany());
+    };
+  }, [dispatch, companyId]);
+
+  useEffect(() => {
+    if (company) {
+      setEditForm({
+        name: company.name || '',
+        description: company.description || '',
+        website: company.website || '',
+        industry: company.industry || '',
+        location: company.location || '',
+        size: company.size || ''
+      });
+    }
+  }, [company]);
+
+  const canManage = !!company && !!user && (
+    hasPermission(user, 'companies:manage') || (company.admins || []).some(admin => admin._id === user._id)
+  );
+
+  const handleUpdateCompany = async (e) => {
+    e.preventDefault();
+    try {
+      await dispatch(updateCompany({ companyId: company._id, ...editForm })).unwrap();
+      setIsEditing(false);
+      toast.success('Company updated successfully!');
+    } catch (error) {
+      toast.error(error || 'Failed to update company');
+    }
+  };
+
+  const handleToggleFollow = async () => {
+    try {
+      await dispatch((company.isFollowing ? unfollowCompany : followCompany)(company._id)).unwrap();
+    } catch (error) {
+      toast.error(error || 'Failed to update follow');
+    }
+  };
+
+  const handleImageChange = async (e, kind) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      toast.error('Please select an image file');
+      return;
+    }
+
+    if (file.size > 5 * 1024 * 1024) { // 5MB limit
+      toast.error('Image size should be less than 5MB');
+      return;
+    }
+
+    try {
+      await dispatch(uploadCompanyImage({ companyId: company._id, kind, file })).unwrap();
+      toast.success(kind === 'logo' ? 'Logo updated!' : 'Banner updated!');
+    } catch (error) {
+      toast.error(error || 'Failed to upload image');
+    }
+  };
+
+  const handleMemberSearch = async (e) => {
+    e.preventDefault();
+    if (!memberQuery.trim()) return;
+    try {
+      const response = await api.get('/users/search', { params: { q: memberQuery.trim(), limit: 5 } });
+      setMemberResults(response.data.users || []);
+    } catch (error) {
+      toast.error('Failed to search users');
+    }
+  };
+
+  const handleAddMember = async (userId, role) => {
+    try {
+      await dispatch(addCompanyMember({ companyId: company._id, userId, role })).unwrap();
+      setMemberResults([]);
+      setMemberQuery('');
+      toast.success(role === 'admin' ? 'Admin added' : 'Recruiter added');
+    } catch (error) {
+      toast.error(error || 'Failed to add member');
+    }
+  };
+
+  const handleRemoveMember = async (userId) => {
+    try {
+      await dispatch(removeCompanyMember({ companyId: company._id, userId })).unwrap();
+      toast.success('Member removed');
+    } catch (error) {
+      toast.error(error || 'Failed to remove member');
+    }
+  };
+
+  if (loading || (!company && !error)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-xl">Loading company...</div>
+      </div>
+    );
+  }
+
+  if (!company) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-xl">Company not found</div>
+      </div>
+    );
+  }
+
+  const members = [
+    ...(company.admins || []).map(member => ({ ...member, companyRole: 'admin' })),
+    ...(company.recruiters || []).map(member => ({ ...member, companyRole: 'recruiter' }))
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4">
+        {/* Banner Image */}
+        <div className="relative mb-6">
+          <div className="h-48 bg-gradient-to-r from-blue-500 to-purple-600 rounded-xl overflow-hidden">
+            {company.banner ? (
+              <img
+                src={company.banner}
+                alt="Banner"
+                className="w-full h-full object-cover"
+                onError={(e) => {
+                  e.target.src = '/default-banner.svg';
+                }}
+              />
+            ) : (
+              <div className="w-full h-full bg-gradient-to-r from-blue-500 to-purple-600"></div>
+            )}
+            {canManage && isEditing && (
+              <label className="absolute top-2 right-2 bg-white bg-opacity-90 text-gray-700 px-3 py-2 rounded-lg cursor-pointer hover:bg-opacity-100 text-sm font-medium">
+                Change banner
+                <input type="file" accept="image/*" onChange={(e) => handleImageChange(e, 'banner')} className="hidden" />
+              </label>
+            )}
+          </div>
+          {/* Logo Overlay */}
+          <div className="absolute -bottom-16 left-8">
+            <div className="relative w-32 h-32 bg-white rounded-xl flex items-center justify-center shadow-lg border-4 border-white overflow-hidden">
+              {company.logo ? (
+                <img src={company.logo} alt={company.name} className="w-full h-full object-cover" />
+              ) : (
+                <span className="text-4xl font-bold text-blue-600">{company.name?.charAt(0).toUpperCase()}</span>
+              )}
+              {canManage && isEditing && (
+                <label className="absolute bottom-1 right-1 bg-white p-2 rounded-full shadow cursor-pointer hover:bg-blue-100">
+                  <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536M9 13h6m2 2a2 2 0 11-4 0 2 2 0 014 0z" /></svg>
+                  <input type="file" accept="image/*" onChange={(e) => handleImageChange(e, 'logo')} className="hidden" />
+                </label>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Company Header */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-6 mt-16">
+          <div className="flex items-center justify-between">
+            <div className="flex-1">
+              <h1 className="text-4xl font-bold text-gray-900 mb-2">{company.name}</h1>
+              <p className="text-gray-600 text-lg mb-4">
+                {[company.industry, company.location, company.size && `${company.size} employees`].filter(Boolean).join(' · ') || 'Company page'}
+              </p>
+              {company.website && (
+                <a href={company.website} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                  {company.website}
+                </a>
+              )}
+              <p className="text-sm text-gray-500 mt-2">
+                {company.openJobsCount || 0} open roles · {company.followerCount || 0} followers
+              </p>
+            </div>
+            {!canManage && (
+              <button
+                onClick={handleToggleFollow}
+                className={company.isFollowing
+                  ? 'bg-gray-200 text-gray-700 px-6 py-3 rounded-xl hover:bg-gray-300 transition-all duration-200 font-medium'
+                  : 'bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg'}
+              >
+                {company.isFollowing ? 'Following' : 'Follow'}
+              </button>
+            )}
+            {canManage && (
+              <button
+                onClick={() => setIsEditing(!isEditing)}
+                className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg"
+              >
+                {isEditing ? 'Cancel Edit' : 'Edit Company'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Edit Company Form */}
+        {isEditing && canManage && (
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-6">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">Edit Company</h2>
+            <form onSubmit={handleUpdateCompany}>
+              <div className="grid md:grid-cols-2 gap-4 mb-4">
+                <input
+                  type="text"
+                  placeholder="Company Name"
+                  value={editForm.name}
+                  onChange={(e) => setEditForm({...editForm, name: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  required
+                />
+                <input
+                  type="url"
+                  placeholder="Website (https://...)"
+                  value={editForm.website}
+                  onChange={(e) => setEditForm({...editForm, website: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <input
+                  type="text"
+                  placeholder="Industry"
+                  value={editForm.industry}
+                  onChange={(e) => setEditForm({...editForm, industry: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <input
+                  type="text"
+                  placeholder="Location"
+                  value={editForm.location}
+                  onChange={(e) => setEditForm({...editForm, location: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <select
+                  value={editForm.size}
+                  onChange={(e) => setEditForm({...editForm, size: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Company size</option>
+                  <option value="1-10">1-10 employees</option>
+                  <option value="11-50">11-50 employees</option>
+                  <option value="51-200">51-200 employees</option>
+                  <option value="201-500">201-500 employees</option>
+                  <option value="501-1000">501-1000 employees</option>
+                  <option value="1000+">1000+ employees</option>
+                </select>
+              </div>
+              <textarea
+                placeholder="About the company"
+                value={editForm.description}
+                onChange={(e) => setEditForm({...editForm, description: e.target.value})}
+                rows="4"
+                className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-4"
+              />
+              <button
+                type="submit"
+                className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg"
+              >
+                Save Changes
+              </button>
+            </form>
+          </div>
+        )}
+
+        {/* About Section */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">About</h2>
+          <p className="text-gray-700 whitespace-pre-wrap">{company.description || 'No description available'}</p>
+        </div>
+
+        {/* Team Section */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Hiring Team</h2>
+          <div className="space-y-3">
+            {members.map((member) => (
+              <div key={member._id} className="flex items-center justify-between">
+                <Link to={`/dashboard/profile/${member._id}`} className="flex items-center space-x-3">
+                  <img
+                    src={member.profilePic || '/default-avatar.svg'}
+                    alt={member.name}
+                    className="w-10 h-10 rounded-full object-cover"
+                    onError={(e) => {
+                      e.target.src = '/default-avatar.svg';
+                    }}
+                  />
+                  <div>
+                    <p className="font-medium text-gray-900">{member.name}</p>
+                    <p className="text-xs text-gray-500 capitalize">{member.companyRole}</p>
+                  </div>
+                </Link>
+                {canManage && (
+                  <button
+                    onClick={() => handleRemoveMember(member._id)}
+                    className="text-sm text-red-600 hover:text-red-700"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {canManage && (
+            <div className="mt-6 border-t pt-4">
+              <form onSubmit={handleMemberSearch} className="flex space-x-2">
+                <input
+                  type="text"
+                  placeholder="Search people to add..."
+                  value={memberQuery}
+                  onChange={(e) => setMemberQuery(e.target.value)}
+                  className="flex-1 px-4 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button type="submit" className="px-4 py-2 bg-gray-100 text-gray-700 rounded-xl hover:bg-gray-200">
+                  Search
+                </button>
+              </form>
+              {memberResults.map((result) => (
+                <div key={result._id} className="flex items-center justify-between mt-3">
+                  <span className="text-gray-800">{result.name}</span>
+                  <div className="space-x-2">
+                    <button
+                      onClick={() => handleAddMember(result._id, 'recruiter')}
+                      className="text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded-full hover:bg-blue-200"
+                    >
+                      Add recruiter
+                    </button>
+                    <button
+                      onClick={() => handleAddMember(result._id, 'admin')}
+                      className="text-sm px-3 py-1 bg-purple-100 text-purple-700 rounded-full hover:bg-purple-200"
+                    >
+                      Add admin
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Open Roles Section */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Open roles at {company.name}</h2>
+          {companyJobs.length > 0 ? (
+            <div className="space-y-4">
+              {companyJobs.map((job) => (
+                <div key={job._id} className="border border-gray-200 rounded-lg p-4">
+                  <h3 className="font-semibold text-gray-900">{job.title}</h3>
+                  <p className="text-sm text-gray-600">{job.location}{job.isRemote ? ' · Remote' : ''}</p>
+                  <div className="flex space-x-2 mt-2">
+                    <span className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-medium">{job.jobType}</span>
+                    <span className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-xs font-medium">{job.experienceLevel}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-8">
+              <p className="text-gray-500">No open roles right now</p>
+            </div>
+          )}
+          <Link
+            to={`/dashboard/jobs?companyId=${company._id}`}
+            className="inline-block mt-4 text-blue-600 hover:underline font-medium"
+          >
+            Browse all jobs at {company.name}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Company;
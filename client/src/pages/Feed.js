@@ -1,34 +1,93 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { getFeed, createPost, likePost, addComment, deletePost, deleteComment, sharePost } from '../redux/slices/postSlice';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getFeed, getHashtagPosts, getTrendingHashtags, createPost, likePost, addComment, deletePost, deleteComment, sharePost, getComments } from '../redux/slices/postSlice';
 import { toast } from 'react-hot-toast';
+import ReportModal from '../components/UI/ReportModal';
+import CommentThread from '../components/posts/CommentThread';
+import MentionInput from '../components/posts/MentionInput';
+import RichText from '../components/posts/RichText';
+import LinkPreviewCard from '../components/posts/LinkPreviewCard';
+import PollCard from '../components/posts/PollCard';
+import ArticleCard from '../components/posts/ArticleCard';
+
+// Poll durations offered in the composer, in days
+const POLL_DURATIONS = [1, 3, 7, 14];
+const EMPTY_POLL = { options: ['', ''], durationDays: 7, allowMultiple: false };
 
 const Feed = () => {
   const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
-  const { feed, loading } = useSelector((state) => state.post);
+  const { feed, feedMode, pagination, loading, loadingMore, trendingHashtags } = useSelector((state) => state.post);
+  // `?tag=react` shows posts with that hashtag instead of the feed
+  const [searchParams] = useSearchParams();
+  const tag = searchParams.get('tag');
   
   const [newPost, setNewPost] = useState('');
   const [commentText, setCommentText] = useState('');
   const [replyingTo, setReplyingTo] = useState(null);
   const [mediaFiles, setMediaFiles] = useState([]);
+  // Set while composing a poll; the post text is its question
+  const [poll, setPoll] = useState(null);
+  // { target, label } for the content being reported
+  const [reporting, setReporting] = useState(null);
+
+  useEffect(() => {
+    if (tag) {
+      dispatch(getHashtagPosts({ tag }));
+    } else if (user) {
+      dispatch(getFeed({ userId: user._id }));
+    }
+  }, [dispatch, user, tag]);
 
   useEffect(() => {
-    if (user) {
-      dispatch(getFeed(user._id));
+    dispatch(getTrendingHashtags());
+  }, [dispatch]);
+
+  const handleModeChange = (mode) => {
+    if (mode !== feedMode) {
+      dispatch(getFeed({ userId: user._id, mode }));
     }
-  }, [dispatch, user]);
+  };
+
+  const handleLoadMore = () => {
+    if (tag) {
+      dispatch(getHashtagPosts({ tag, page: (pagination.current || 1) + 1 }));
+    } else {
+      dispatch(getFeed({ userId: user._id, mode: feedMode, cursor: pagination.nextCursor }));
+    }
+  };
 
   const handleMediaChange = (e) => {
     setMediaFiles(Array.from(e.target.files));
   };
 
+  const updatePollOption = (index, text) => {
+    setPoll(prev => ({ ...prev, options: prev.options.map((option, i) => (i === index ? text : option)) }));
+  };
+
   const handleCreatePost = async (e) => {
     e.preventDefault();
     if (!newPost.trim() && mediaFiles.length === 0) {
       toast.error('Please write something or add media to post');
       return;
     }
+    if (poll) {
+      const options = poll.options.map(option => option.trim());
+      if (!newPost.trim() || options.some(option => !option)) {
+        toast.error('Add a question and fill in every option');
+        return;
+      }
+      try {
+        await dispatch(createPost({ content: newPost, visibility: 'public', poll: { ...poll, options } })).unwrap();
+        setNewPost('');
+        setPoll(null);
+        toast.success('Poll created successfully!');
+      } catch (error) {
+        toast.error(error || 'Failed to create poll');
+      }
+      return;
+    }
     try {
       let uploadedUrls = [];
       if (mediaFiles.length > 0) {
@@ -111,6 +170,14 @@ const Feed = () => {
     }
   };
 
+  const handleMoreComments = async (post) => {
+    try {
+      await dispatch(getComments({ postId: post._id, page: (post.commentsPage || 1) + 1 })).unwrap();
+    } catch (error) {
+      toast.error('Failed to load comments');
+    }
+  };
+
   if (!user) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -134,29 +201,99 @@ const Feed = () => {
                 )}
               </div>
               <div className="flex-1">
-                <textarea
+                <MentionInput
+                  multiline
                   value={newPost}
-                  onChange={(e) => setNewPost(e.target.value)}
-                  placeholder="What's on your mind? Share your thoughts..."
+                  onChange={setNewPost}
+                  placeholder={poll ? 'Ask a question...' : "What's on your mind? Use @ to mention people and # for topics..."}
                   className="w-full p-4 border border-gray-200 rounded-xl resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
                   rows="3"
                 />
 
-                <div className="mt-2 flex items-center space-x-2">
-                  <input
-                    type="file"
-                    accept="image/*,video/*"
-                    multiple
-                    onChange={handleMediaChange}
-                    className="hidden"
-                    id="media-upload"
-                  />
-                  <label htmlFor="media-upload" className="cursor-pointer flex items-center space-x-2 text-gray-500 hover:text-blue-600 transition-colors duration-200">
-                    <span className="text-xl">📷</span>
-                    <span className="text-sm">Photo/Video</span>
-                  </label>
-                  {mediaFiles.length > 0 && (
-                    <span className="text-xs text-gray-500">{mediaFiles.length} file(s) selected</span>
+                {poll && (
+                  <div className="mt-3 space-y-2">
+                    {poll.options.map((option, index) => (
+                      <div key={index} className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={option}
+                          onChange={(e) => updatePollOption(index, e.target.value)}
+                          maxLength={100}
+                          placeholder={`Option ${index + 1}`}
+                          className="flex-1 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        {poll.options.length > 2 && (
+                          <button
+                            type="button"
+                            onClick={() => setPoll(prev => ({ ...prev, options: prev.options.filter((_, i) => i !== index) }))}
+                            className="text-gray-400 hover:text-red-600 text-lg leading-none"
+                            title="Remove option"
+                          >
+                            &times;
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                      {poll.options.length < 4 && (
+                        <button
+                          type="button"
+                          onClick={() => setPoll(prev => ({ ...prev, options: [...prev.options, ''] }))}
+                          className="font-medium text-blue-600 hover:text-blue-800"
+                        >
+                          + Add option
+                        </button>
+                      )}
+                      <select
+                        value={poll.durationDays}
+                        onChange={(e) => setPoll(prev => ({ ...prev, durationDays: Number(e.target.value) }))}
+                        className="border border-gray-300 rounded-lg px-2 py-1"
+                      >
+                        {POLL_DURATIONS.map(days => (
+                          <option key={days} value={days}>{days === 7 ? '1 week' : days === 14 ? '2 weeks' : `${days} day${days === 1 ? '' : 's'}`}</option>
+                        ))}
+                      </select>
+                      <label className="flex items-center space-x-1 text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={poll.allowMultiple}
+                          onChange={(e) => setPoll(prev => ({ ...prev, allowMultiple: e.target.checked }))}
+                        />
+                        <span>Allow multiple choices</span>
+                      </label>
+                    </div>
+                  </div>
+                )}
+
+                <div className="mt-2 flex items-center space-x-4">
+                  {!poll && (
+                    <>
+                      <input
+                        type="file"
+                        accept="image/*,video/*"
+                        multiple
+                        onChange={handleMediaChange}
+                        className="hidden"
+                        id="media-upload"
+                      />
+                      <label htmlFor="media-upload" className="cursor-pointer flex items-center space-x-2 text-gray-500 hover:text-blue-600 transition-colors duration-200">
+                        <span className="text-xl">📷</span>
+                        <span className="text-sm">Photo/Video</span>
+                      </label>
+                      {mediaFiles.length > 0 && (
+                        <span className="text-xs text-gray-500">{mediaFiles.length} file(s) selected</span>
+                      )}
+                    </>
+                  )}
+                  {mediaFiles.length === 0 && (
+                    <button
+                      type="button"
+                      onClick={() => setPoll(poll ? null : EMPTY_POLL)}
+                      className="flex items-center space-x-2 text-gray-500 hover:text-blue-600 transition-colors duration-200"
+                    >
+                      <span className="text-xl">📊</span>
+                      <span className="text-sm">{poll ? 'Remove poll' : 'Poll'}</span>
+                    </button>
                   )}
                 </div>
 
@@ -181,6 +318,50 @@ const Feed = () => {
           </form>
         </div>
 
+        {/* Trending Hashtags */}
+        {trendingHashtags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+            <span className="text-gray-500">Trending:</span>
+            {trendingHashtags.map(({ tag: trending }) => (
+              <Link
+                key={trending}
+                to={`/dashboard/feed?tag=${encodeURIComponent(trending)}`}
+                className={`px-3 py-1 rounded-full transition-colors duration-200 ${
+                  trending === tag ? 'bg-blue-600 text-white' : 'bg-white text-blue-600 border border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                #{trending}
+              </Link>
+            ))}
+          </div>
+        )}
+
+        {/* Feed Mode */}
+        {tag ? (
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">#{tag}</h2>
+            <Link to="/dashboard/feed" className="text-sm text-blue-600 hover:text-blue-800">Back to feed</Link>
+          </div>
+        ) : (
+          <div className="flex justify-end items-center space-x-2 mb-4 text-sm">
+            <span className="text-gray-500">Sort by:</span>
+            {[
+              { id: 'ranked', label: 'Top' },
+              { id: 'latest', label: 'Latest' }
+            ].map(option => (
+              <button
+                key={option.id}
+                onClick={() => handleModeChange(option.id)}
+                className={`px-3 py-1 rounded-full transition-colors duration-200 ${
+                  feedMode === option.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Feed Posts */}
         {loading ? (
           <div className="text-center py-8">
@@ -188,7 +369,9 @@ const Feed = () => {
           </div>
         ) : !feed || !Array.isArray(feed) || feed.length === 0 ? (
           <div className="text-center py-8">
-            <div className="text-xl text-gray-500">No posts yet. Start connecting with people!</div>
+            <div className="text-xl text-gray-500">
+              {tag ? `No posts with #${tag} yet.` : 'No posts yet. Start connecting with people!'}
+            </div>
           </div>
         ) : (
           <div className="space-y-6">
@@ -217,6 +400,17 @@ const Feed = () => {
                       <span className="text-blue-600">Public</span>
                     </div>
                   </div>
+                  {post.userId?._id !== user._id && (
+                    <button
+                      onClick={() => setReporting({ target: { targetType: 'post', targetId: post._id }, label: 'post' })}
+                      className="text-gray-400 hover:text-red-600 p-2 rounded-full hover:bg-red-50 transition-all duration-200"
+                      title="Report post"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9" />
+                      </svg>
+                    </button>
+                  )}
                   {post.userId?._id === user._id && (
                     <button
                       onClick={() => handleDeletePost(post._id)}
@@ -234,12 +428,17 @@ const Feed = () => {
                 <div className="mb-6">
                   {post.isShared && (
                     <div className="mb-3 p-3 bg-gray-50 rounded-lg border-l-4 border-blue-500">
-                      <p className="text-sm text-gray-600 font-medium">{post.content}</p>
+                      <p className="text-sm text-gray-600 font-medium"><RichText text={post.content} /></p>
                     </div>
                   )}
-                  <p className="text-gray-900 text-lg leading-relaxed mb-4">
-                    {post.isShared ? post.originalContent : post.content}
-                  </p>
+                  {(post.isShared ? post.originalContent : post.content) && (
+                    <p className="text-gray-900 text-lg leading-relaxed mb-4">
+                      <RichText text={post.isShared ? post.originalContent : post.content} />
+                    </p>
+                  )}
+                  <PollCard post={post} />
+                  <ArticleCard article={post.article} />
+                  <LinkPreviewCard preview={post.isShared ? post.originalLinkPreview : post.linkPreview} />
                   {post.images && post.images.length > 0 && (
                     <div className="grid grid-cols-2 gap-3 rounded-xl overflow-hidden">
                       {post.images.map((image, index) => (
@@ -285,7 +484,7 @@ const Feed = () => {
                       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
                       </svg>
-                      <span className="font-medium">{post.comments?.length || 0}</span>
+                      <span className="font-medium">{post.commentCount ?? post.comments?.length ?? 0}</span>
                     </button>
 
                     <button
@@ -306,36 +505,25 @@ const Feed = () => {
                     <h4 className="font-semibold text-gray-900 mb-3">Comments</h4>
                     <div className="space-y-3">
                       {post.comments.map((comment) => (
-                        <div key={comment._id} className="flex items-start space-x-3">
-                          <div className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center">
-                            <span className="text-sm text-gray-600">
-                              {comment.author?.name?.charAt(0)}
-                            </span>
-                          </div>
-                          <div className="flex-1">
-                            <div className="bg-gray-100 rounded-lg p-3">
-                              <div className="flex items-center justify-between">
-                                <div className="font-semibold text-sm text-gray-900">
-                                  {comment.userId?.name}
-                                </div>
-                                {((comment.userId?._id === user._id) || (post.userId?._id === user._id)) && (
-                                  <button
-                                    onClick={() => handleDeleteComment(post._id, comment._id)}
-                                    className="text-red-500 hover:text-red-700 text-xs"
-                                    title="Delete comment"
-                                  >
-                                    🗑️
-                                  </button>
-                                )}
-                              </div>
-                              <div className="text-gray-700">{comment.text || comment.content}</div>
-                            </div>
-                            <div className="text-xs text-gray-500 mt-1">
-                               {comment.createdAt ? new Date(comment.createdAt).toLocaleDateString() : ''}
-                            </div>
-                          </div>
-                        </div>
+                        <CommentThread
+                          key={comment._id}
+                          post={post}
+                          comment={comment}
+                          onDelete={() => handleDeleteComment(post._id, comment._id)}
+                          onReport={() => setReporting({
+                            target: { targetType: 'comment', targetId: comment._id, postId: post._id },
+                            label: 'comment'
+                          })}
+                        />
                       ))}
+                      {(post.hasMoreComments ?? post.comments.length < (post.commentCount || 0)) && (
+                        <button
+                          onClick={() => handleMoreComments(post)}
+                          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                        >
+                          View more comments
+                        </button>
+                      )}
                     </div>
                   </div>
                 )}
@@ -344,12 +532,11 @@ const Feed = () => {
                 {replyingTo === post._id && (
                   <div className="mt-4 border-t pt-4">
                     <div className="flex space-x-3">
-                      <input
-                        type="text"
+                      <MentionInput
                         value={commentText}
-                        onChange={(e) => setCommentText(e.target.value)}
+                        onChange={setCommentText}
                         placeholder="Write a comment..."
-                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       />
                       <button
                         onClick={() => handleComment(post._id)}
@@ -363,9 +550,29 @@ const Feed = () => {
                 )}
               </div>
             ))}
+
+            {pagination?.hasNext && (
+              <div className="text-center">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="px-6 py-2 text-sm text-blue-600 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
+
+      {reporting && (
+        <ReportModal
+          target={reporting.target}
+          label={reporting.label}
+          onClose={() => setReporting(null)}
+        />
+      )}
     </div>
   );
 };
@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import LoginModal from '../components/auth/LoginModal';
 import RegisterModal from '../components/auth/RegisterModal';
+import { hasPermission } from '../utils/permissions';
 
 const Home = () => {
   const navigate = useNavigate();
@@ -14,7 +15,7 @@ const Home = () => {
     if (!isAuthenticated) {
       setShowRegisterModal(true);
     } else {
-      if (user?.role === 'admin') {
+      if (hasPermission(user, 'admin:access')) {
         navigate('/admin');
       } else {
         navigate('/dashboard');
@@ -37,7 +38,7 @@ const Home = () => {
   // Handle redirect after successful login/register
   useEffect(() => {
     if (isAuthenticated && user) {
-      if (user.role === 'admin') {
+      if (hasPermission(user, 'admin:access')) {
         navigate('/admin');
       } else {
         navigate('/dashboard');
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { toast } from 'react-hot-toast';
 import { 
@@ -6,18 +7,37 @@ import {
   createJob, 
   applyToJob, 
   saveJob, 
-  getJob 
+  getJob,
+  withdrawApplication,
+  getRecommendedJobs
 } from '../redux/slices/jobSlice';
+import { updateProfile } from '../redux/slices/userSlice';
+import { getMyCompanies, createCompany } from '../redux/slices/companySlice';
+import ApplicationBoard from '../components/jobs/ApplicationBoard';
+import JobAlertsModal from '../components/jobs/JobAlertsModal';
+import ReportModal from '../components/UI/ReportModal';
+import { hasPermission } from '../utils/permissions';
 
 const Jobs = () => {
   const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
-  const { jobs, loading } = useSelector((state) => state.job);
+  const { jobs, loading, recommendations, recommendationsLoading } = useSelector((state) => state.job);
+  const { myCompanies } = useSelector((state) => state.company);
+  const [searchParams] = useSearchParams();
+  const companyFilter = searchParams.get('companyId') || '';
   
   const [showJobForm, setShowJobForm] = useState(false);
+  const [showCompanyForm, setShowCompanyForm] = useState(false);
+  const [companyFormData, setCompanyFormData] = useState({ name: '', industry: '', location: '', website: '' });
   const [showApplicationForm, setShowApplicationForm] = useState(false);
   const [selectedJob, setSelectedJob] = useState(null);
+  const [boardJobId, setBoardJobId] = useState(null);
+  const [reportJobId, setReportJobId] = useState(null);
+  // null when closed; otherwise the search to offer saving (empty when just managing alerts)
+  const [alertsFilters, setAlertsFilters] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [view, setView] = useState('all');
+  const [remotePreference, setRemotePreference] = useState(user?.jobPreferences?.remote || 'any');
   const [filters, setFilters] = useState({
     jobType: '',
     location: '',
@@ -26,6 +46,7 @@ const Jobs = () => {
   
   const [jobFormData, setJobFormData] = useState({
     title: '',
+    companyId: '',
     company: '',
     location: '',
     description: '',
@@ -44,8 +65,43 @@ const Jobs = () => {
   });
 
   useEffect(() => {
-    dispatch(getJobs(filters));
-  }, [dispatch, filters]);
+    dispatch(getJobs(companyFilter ? { ...filters, companyId: companyFilter } : filters));
+  }, [dispatch, filters, companyFilter]);
+
+  useEffect(() => {
+    dispatch(getMyCompanies());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (view === 'recommended') {
+      dispatch(getRecommendedJobs());
+    }
+  }, [dispatch, view]);
+
+  const handleRemotePreferenceChange = async (remote) => {
+    setRemotePreference(remote);
+    try {
+      await dispatch(updateProfile({ userId: user._id, jobPreferences: { remote } })).unwrap();
+      dispatch(getRecommendedJobs());
+    } catch (error) {
+      toast.error(error || 'Failed to save preference');
+    }
+  };
+
+  const canPostJobs = hasPermission(user, 'companies:manage') || myCompanies.length > 0;
+
+  const handleCreateCompany = async (e) => {
+    e.preventDefault();
+    try {
+      const company = await dispatch(createCompany(companyFormData)).unwrap();
+      setShowCompanyForm(false);
+      setCompanyFormData({ name: '', industry: '', location: '', website: '' });
+      setJobFormData((prev) => ({ ...prev, companyId: company._id }));
+      toast.success('Company page created!');
+    } catch (error) {
+      toast.error(error || 'Failed to create company');
+    }
+  };
 
   const handleCreateJob = async (e) => {
     e.preventDefault();
@@ -59,7 +115,7 @@ const Jobs = () => {
       await dispatch(createJob(jobData)).unwrap();
       setShowJobForm(false);
       setJobFormData({
-        title: '', company: '', location: '', description: '', requirements: '',
+        title: '', companyId: '', company: '', location: '', description: '', requirements: '',
         responsibilities: '', skills: '', jobType: 'full-time', experienceLevel: 'entry',
         salary: '', contactEmail: ''
       });
@@ -131,35 +187,67 @@ const Jobs = () => {
     }
   };
 
-  const hasAppliedToJob = (job) => {
-    return job.applications && job.applications.some(app => 
-      app.userId === user._id
-    );
+  const getMyApplication = (job) => {
+    if (!job.applications) return null;
+    return job.applications.find(app => app.userId === user._id) || null;
   };
 
-  const getApplicationStatus = (job) => {
-    if (!job.applications) return null;
-    const application = job.applications.find(app => app.userId === user._id);
-    return application ? application.status : null;
+  const isJobOwner = (job) => {
+    const posterId = job.postedBy?._id || job.postedBy;
+    return posterId === user._id;
+  };
+
+  const getStageLabel = (job, application) => {
+    const stageKey = application.stage || (application.status === 'Approved' ? 'hired' : application.status === 'Rejected' ? 'rejected' : 'applied');
+    const stage = (job.pipelineStages || []).find(s => s.key === stageKey);
+    return stage ? stage.label : application.status;
+  };
+
+  const handleWithdraw = async (job, application) => {
+    if (!window.confirm('Withdraw your application for this job?')) return;
+    try {
+      await dispatch(withdrawApplication({ jobId: job._id, applicationId: application._id })).unwrap();
+      toast.success('Application withdrawn');
+    } catch (error) {
+      toast.error(error || 'Failed to withdraw application');
+    }
   };
 
   const renderApplyButton = (job) => {
-    if (job.postedBy === user._id) {
+    if (isJobOwner(job) || hasPermission(user, 'jobs:review')) {
       return (
-        <span className="text-gray-500 text-sm">Your job posting</span>
+        <button
+          onClick={() => setBoardJobId(job._id)}
+          className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors duration-200 font-medium"
+        >
+          Applications ({job.applications?.length || 0})
+        </button>
       );
     }
 
-    if (hasAppliedToJob(job)) {
-      const status = getApplicationStatus(job);
+    const application = getMyApplication(job);
+    if (application) {
+      const stage = application.stage;
+      const isClosed = ['hired', 'rejected', 'withdrawn'].includes(stage) || application.status !== 'Pending';
       return (
-        <span className={`text-sm font-medium px-3 py-1 rounded-full ${
-          status === 'Approved' ? 'bg-green-100 text-green-800' :
-          status === 'Rejected' ? 'bg-red-100 text-red-800' :
-          'bg-yellow-100 text-yellow-800'
-        }`}>
-          {status}
-        </span>
+        <div className="flex items-center space-x-2">
+          <span className={`text-sm font-medium px-3 py-1 rounded-full ${
+            stage === 'hired' || application.status === 'Approved' ? 'bg-green-100 text-green-800' :
+            stage === 'withdrawn' ? 'bg-gray-100 text-gray-700' :
+            application.status === 'Rejected' ? 'bg-red-100 text-red-800' :
+            'bg-yellow-100 text-yellow-800'
+          }`}>
+            {getStageLabel(job, application)}
+          </span>
+          {!isClosed && (
+            <button
+              onClick={() => handleWithdraw(job, application)}
+              className="text-sm text-gray-500 hover:text-red-600"
+            >
+              Withdraw
+            </button>
+          )}
+        </div>
       );
     }
 
@@ -181,6 +269,110 @@ const Jobs = () => {
     dispatch(getJob(job._id));
   };
 
+  // `match` is set for recommended jobs and adds the match score and skill breakdown
+  const renderJobCard = (job, match) => (
+    <div key={job._id} className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1">
+      <div className="flex justify-between items-start mb-4">
+        <h3 className="text-xl font-bold text-gray-900 leading-tight">{job.title}</h3>
+        <button
+          onClick={() => handleSaveJob(job._id)}
+          className={`transition-colors duration-200 p-1 ${
+            user.savedJobs && user.savedJobs.includes(job._id) 
+              ? 'text-yellow-500' 
+              : 'text-gray-400 hover:text-yellow-500'
+          }`}
+          title={user.savedJobs && user.savedJobs.includes(job._id) ? 'Remove from saved' : 'Save Job'}
+        >
+          <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
+            <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+          </svg>
+        </button>
+      </div>
+      
+      <div className="flex items-center space-x-2 mb-3">
+        <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+        </svg>
+        {job.companyId?._id ? (
+          <Link to={`/dashboard/companies/${job.companyId._id}`} className="text-gray-700 font-medium hover:text-blue-600 hover:underline">
+            {job.companyId.name}
+          </Link>
+        ) : (
+          <p className="text-gray-700 font-medium">{job.company}</p>
+        )}
+      </div>
+      
+      <div className="flex items-center space-x-2 mb-4">
+        <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+        </svg>
+        <p className="text-gray-600">{job.location}</p>
+      </div>
+      
+      {match && (
+        <div className="mb-4">
+          <p className="text-sm font-semibold text-green-700 mb-1">{match.matchPercent}% match</p>
+          <div className="w-full bg-gray-200 rounded-full h-1.5 mb-3">
+            <div className="bg-green-500 h-1.5 rounded-full" style={{ width: `${match.matchPercent}%` }}></div>
+          </div>
+          {match.matchedSkills.length > 0 && (
+            <p className="text-xs text-gray-600 mb-1">
+              <span className="font-medium text-green-700">You have:</span> {match.matchedSkills.join(', ')}
+            </p>
+          )}
+          {match.missingSkills.length > 0 && (
+            <p className="text-xs text-gray-600">
+              <span className="font-medium text-gray-500">Missing:</span> {match.missingSkills.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      <p className="text-gray-700 mb-4 line-clamp-3 leading-relaxed">{job.description}</p>
+      
+      <div className="flex flex-wrap gap-2 mb-4">
+        {job.skills && job.skills.slice(0, 3).map((skill, index) => (
+          <span key={index} className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-xs font-medium">
+            {skill}
+          </span>
+        ))}
+        {job.skills && job.skills.length > 3 && (
+          <span className="bg-gray-100 text-gray-600 px-3 py-1 rounded-full text-xs font-medium">
+            +{job.skills.length - 3} more
+          </span>
+        )}
+      </div>
+      
+      <div className="flex justify-between items-center mb-6">
+        <span className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-medium">
+          {job.jobType}
+        </span>
+        <span className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-xs font-medium">
+          {job.experienceLevel}
+        </span>
+      </div>
+      
+      <div className="flex space-x-3">
+        <button
+          onClick={() => handleJobSelect(job)}
+          className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200 font-medium"
+        >
+          View Details
+        </button>
+        {renderApplyButton(job)}
+      </div>
+      {!isJobOwner(job) && (
+        <button
+          onClick={() => setReportJobId(job._id)}
+          className="mt-3 text-xs text-gray-400 hover:text-red-600"
+        >
+          Report job
+        </button>
+      )}
+    </div>
+  );
+
   const filteredJobs = (Array.isArray(jobs) ? jobs : []).filter(job => {
     const matchesSearch = job.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
                          job.company?.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -209,7 +401,20 @@ const Jobs = () => {
             <h1 className="text-4xl font-bold text-gray-900 mb-2">Job Opportunities</h1>
             <p className="text-gray-600">Discover your next career move</p>
           </div>
-          {user.role === 'admin' && (
+          <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setAlertsFilters({})}
+            className="px-6 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors duration-200 font-medium"
+          >
+            Job Alerts
+          </button>
+          <button
+            onClick={() => setShowCompanyForm(true)}
+            className="px-6 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors duration-200 font-medium"
+          >
+            Create Company Page
+          </button>
+          {canPostJobs && (
             <button
               onClick={() => setShowJobForm(true)}
               className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
@@ -222,135 +427,146 @@ const Jobs = () => {
               </div>
             </button>
           )}
+          </div>
         </div>
 
+        <div className="flex space-x-8 mb-6 border-b border-gray-200">
+          <button
+            onClick={() => setView('all')}
+            className={`pb-2 px-1 border-b-2 font-medium text-sm transition-colors duration-200 ${view === 'all' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            All Jobs
+          </button>
+          <button
+            onClick={() => setView('recommended')}
+            className={`pb-2 px-1 border-b-2 font-medium text-sm transition-colors duration-200 ${view === 'recommended' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+          >
+            Jobs for you
+          </button>
+        </div>
+
+        {view === 'recommended' && (
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8 flex flex-wrap items-center justify-between gap-4">
+            <p className="text-gray-600">
+              Matched to your skills, experience, location and the jobs you've saved or applied to.
+            </p>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Work style</span>
+              <select
+                value={remotePreference}
+                onChange={(e) => handleRemotePreferenceChange(e.target.value)}
+                className="px-3 py-2 border border-gray-200 rounded-lg bg-gray-50"
+              >
+                <option value="any">Remote or on-site</option>
+                <option value="remote">Remote only</option>
+                <option value="onsite">On-site</option>
+              </select>
+            </label>
+          </div>
+        )}
+
         {/* Search and Filters */}
-        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Search & Filter Jobs</h3>
-          <div className="grid md:grid-cols-4 gap-4">
-            <div className="relative">
+        {view === 'all' && (
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Search & Filter Jobs</h3>
+              <button
+                onClick={() => setAlertsFilters({ q: searchQuery.trim(), ...filters })}
+                disabled={!searchQuery.trim() && !Object.values(filters).some(Boolean)}
+                className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+              >
+                Save search as alert
+              </button>
+            </div>
+            <div className="grid md:grid-cols-4 gap-4">
+              <div className="relative">
+                <input
+                  type="text"
+                  placeholder="Search jobs..."
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
+                />
+                <svg className="absolute right-3 top-3.5 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                </svg>
+              </div>
+              <select
+                value={filters.jobType}
+                onChange={(e) => setFilters({...filters, jobType: e.target.value})}
+                className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
+              >
+                <option value="">All Job Types</option>
+                <option value="full-time">Full Time</option>
+                <option value="part-time">Part Time</option>
+                <option value="contract">Contract</option>
+                <option value="internship">Internship</option>
+              </select>
               <input
                 type="text"
-                placeholder="Search jobs..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Location"
+                value={filters.location}
+                onChange={(e) => setFilters({...filters, location: e.target.value})}
                 className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
               />
-              <svg className="absolute right-3 top-3.5 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-              </svg>
+              <select
+                value={filters.experienceLevel}
+                onChange={(e) => setFilters({...filters, experienceLevel: e.target.value})}
+                className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
+              >
+                <option value="">All Experience Levels</option>
+                <option value="entry">Entry Level</option>
+                <option value="mid">Mid Level</option>
+                <option value="senior">Senior Level</option>
+                <option value="executive">Executive</option>
+              </select>
             </div>
-            <select
-              value={filters.jobType}
-              onChange={(e) => setFilters({...filters, jobType: e.target.value})}
-              className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
-            >
-              <option value="">All Job Types</option>
-              <option value="full-time">Full Time</option>
-              <option value="part-time">Part Time</option>
-              <option value="contract">Contract</option>
-              <option value="internship">Internship</option>
-            </select>
-            <input
-              type="text"
-              placeholder="Location"
-              value={filters.location}
-              onChange={(e) => setFilters({...filters, location: e.target.value})}
-              className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
-            />
-            <select
-              value={filters.experienceLevel}
-              onChange={(e) => setFilters({...filters, experienceLevel: e.target.value})}
-              className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
-            >
-              <option value="">All Experience Levels</option>
-              <option value="entry">Entry Level</option>
-              <option value="mid">Mid Level</option>
-              <option value="senior">Senior Level</option>
-              <option value="executive">Executive</option>
-            </select>
           </div>
-        </div>
+        )}
 
         {/* Jobs Grid */}
         <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-          {(Array.isArray(filteredJobs) ? filteredJobs : []).map((job) => (
-            <div key={job._id} className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1">
-              <div className="flex justify-between items-start mb-4">
-                <h3 className="text-xl font-bold text-gray-900 leading-tight">{job.title}</h3>
-                <button
-                  onClick={() => handleSaveJob(job._id)}
-                  className={`transition-colors duration-200 p-1 ${
-                    user.savedJobs && user.savedJobs.includes(job._id) 
-                      ? 'text-yellow-500' 
-                      : 'text-gray-400 hover:text-yellow-500'
-                  }`}
-                  title={user.savedJobs && user.savedJobs.includes(job._id) ? 'Remove from saved' : 'Save Job'}
-                >
-                  <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-                    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
-                  </svg>
-                </button>
-              </div>
-              
-              <div className="flex items-center space-x-2 mb-3">
-                <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
-                </svg>
-                <p className="text-gray-700 font-medium">{job.company}</p>
-              </div>
-              
-              <div className="flex items-center space-x-2 mb-4">
-                <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-                </svg>
-                <p className="text-gray-600">{job.location}</p>
-              </div>
-              
-              <p className="text-gray-700 mb-4 line-clamp-3 leading-relaxed">{job.description}</p>
-              
-              <div className="flex flex-wrap gap-2 mb-4">
-                {job.skills && job.skills.slice(0, 3).map((skill, index) => (
-                  <span key={index} className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-xs font-medium">
-                    {skill}
-                  </span>
-                ))}
-                {job.skills && job.skills.length > 3 && (
-                  <span className="bg-gray-100 text-gray-600 px-3 py-1 rounded-full text-xs font-medium">
-                    +{job.skills.length - 3} more
-                  </span>
-                )}
-              </div>
-              
-              <div className="flex justify-between items-center mb-6">
-                <span className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-medium">
-                  {job.jobType}
-                </span>
-                <span className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-xs font-medium">
-                  {job.experienceLevel}
-                </span>
-              </div>
-              
-              <div className="flex space-x-3">
-                <button
-                  onClick={() => handleJobSelect(job)}
-                  className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200 font-medium"
-                >
-                  View Details
-                </button>
-                {renderApplyButton(job)}
-              </div>
-            </div>
-          ))}
+          {view === 'recommended'
+            ? recommendations.map(({ job, ...match }) => renderJobCard(job, match))
+            : (Array.isArray(filteredJobs) ? filteredJobs : []).map((job) => renderJobCard(job))}
         </div>
 
-        {filteredJobs.length === 0 && !loading && (
+        {view === 'all' && filteredJobs.length === 0 && !loading && (
           <div className="text-center py-12">
             <p className="text-gray-500 text-lg">No jobs found matching your criteria</p>
           </div>
         )}
 
+        {view === 'recommended' && recommendations.length === 0 && !recommendationsLoading && (
+          <div className="text-center py-12">
+            <p className="text-gray-500 text-lg">No recommendations yet</p>
+            <p className="text-gray-400">Add skills and experience to your profile to get better matches</p>
+          </div>
+        )}
+
+        {alertsFilters && (
+          <JobAlertsModal
+            currentFilters={alertsFilters}
+            onClose={() => setAlertsFilters(null)}
+          />
+        )}
+
+        {reportJobId && (
+          <ReportModal
+            target={{ targetType: 'job', targetId: reportJobId }}
+            label="job"
+            onClose={() => setReportJobId(null)}
+          />
+        )}
+
+        {/* Application Pipeline Board */}
+        {boardJobId && jobs.find(job => job._id === boardJobId) && (
+          <ApplicationBoard
+            job={jobs.find(job => job._id === boardJobId)}
+            onClose={() => setBoardJobId(null)}
+          />
+        )}
+
         {/* Job Creation Modal */}
         {showJobForm && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -366,14 +582,28 @@ const Jobs = () => {
                     className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
                     required
                   />
-                  <input
-                    type="text"
-                    placeholder="Company"
-                    value={jobFormData.company}
-                    onChange={(e) => setJobFormData({...jobFormData, company: e.target.value})}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-                    required
-                  />
+                  {myCompanies.length > 0 ? (
+                    <select
+                      value={jobFormData.companyId}
+                      onChange={(e) => setJobFormData({...jobFormData, companyId: e.target.value})}
+                      className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                      required={!hasPermission(user, 'companies:manage')}
+                    >
+                      <option value="">Select Company</option>
+                      {myCompanies.map((company) => (
+                        <option key={company._id} value={company._id}>{company.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      placeholder="Company"
+                      value={jobFormData.company}
+                      onChange={(e) => setJobFormData({...jobFormData, company: e.target.value})}
+                      className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                      required
+                    />
+                  )}
                   <input
                     type="text"
                     placeholder="Location"
@@ -470,6 +700,58 @@ const Jobs = () => {
           </div>
         )}
 
+        {/* Company Creation Modal */}
+        {showCompanyForm && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+              <h2 className="text-2xl font-bold mb-4">Create Company Page</h2>
+              <form onSubmit={handleCreateCompany} className="space-y-4">
+                <input
+                  type="text"
+                  placeholder="Company Name"
+                  value={companyFormData.name}
+                  onChange={(e) => setCompanyFormData({...companyFormData, name: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder="Industry"
+                  value={companyFormData.industry}
+                  onChange={(e) => setCompanyFormData({...companyFormData, industry: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                />
+                <input
+                  type="text"
+                  placeholder="Location"
+                  value={companyFormData.location}
+                  onChange={(e) => setCompanyFormData({...companyFormData, location: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                />
+                <input
+                  type="url"
+                  placeholder="Website (https://...)"
+                  value={companyFormData.website}
+                  onChange={(e) => setCompanyFormData({...companyFormData, website: e.target.value})}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                />
+                <div className="flex space-x-3 mt-6">
+                  <button type="submit" className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg flex-1">
+                    Create Company
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowCompanyForm(false)}
+                    className="bg-gray-200 text-gray-700 px-6 py-3 rounded-xl hover:bg-gray-300 transition-all duration-200 font-medium flex-1"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
         {/* Application Modal */}
         {showApplicationForm && selectedJob && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -6,15 +6,38 @@ import {
   getConversation, 
   sendMessage, 
   markConversationAsRead,
-  addMessage 
+  addMessage,
+  getGroupConversations,
+  getGroupMessages,
+  markGroupAsRead,
+  upsertGroup,
+  removeGroup,
+  setConversationMuted
 } from '../redux/slices/messageSlice';
 import { setCurrentConversation } from '../redux/slices/messageSlice';
 import { getConnections } from '../redux/slices/userSlice';
+import NewGroupModal from '../components/messages/NewGroupModal';
+import GroupMembersPanel from '../components/messages/GroupMembersPanel';
+import { hasPermission } from '../utils/permissions';
+import { getPresence } from '../redux/slices/presenceSlice';
+import { OnlineDot, LastSeenText } from '../components/UI/PresenceIndicator';
+import LinkPreviewCard from '../components/posts/LinkPreviewCard';
+
+// Ticks on the user's own direct messages: sent, delivered, read
+const MessageStatus = ({ message }) => {
+  if (message.isRead) {
+    return <span className="text-sky-300 font-semibold" title={message.readAt ? `Read ${new Date(message.readAt).toLocaleString()}` : 'Read'}>✓✓</span>;
+  }
+  if (message.deliveredAt) {
+    return <span title="Delivered">✓✓</span>;
+  }
+  return <span title="Sent">✓</span>;
+};
 
 const Messages = () => {
   const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
-  const { conversations, messages, loading, error } = useSelector((state) => state.message);
+  const { conversations, groups, messages, loading, error } = useSelector((state) => state.message);
   const { connections } = useSelector((state) => state.user);
   const { socket } = useSelector((state) => state.socket);
   
@@ -26,21 +49,57 @@ const Messages = () => {
   const [hasError, setHasError] = useState(false);
   const messagesEndRef = useRef(null);
   const [typing, setTyping] = useState(false);
+  const [showNewGroup, setShowNewGroup] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+
+  // Group details (members, name) stay live in the store as they change
+  const activeGroup = selectedConversation?.isGroup
+    ? groups.find(group => group._id === selectedConversation._id) || selectedConversation
+    : null;
+  // Direct chats are listed by the other user's id; muting needs the conversation itself
+  const activeDirect = selectedConversation && !selectedConversation.isGroup
+    ? conversations.find(conversation => conversation._id === selectedConversation._id)
+    : null;
+  const muteTarget = activeGroup
+    ? { conversationId: activeGroup._id, isMuted: Boolean(activeGroup.isMuted) }
+    : activeDirect?.conversationId
+      ? { conversationId: activeDirect.conversationId, isMuted: Boolean(activeDirect.isMuted) }
+      : null;
+
+  const handleToggleMute = async () => {
+    if (!muteTarget) return;
+    try {
+      await dispatch(setConversationMuted({ conversationId: muteTarget.conversationId, muted: !muteTarget.isMuted })).unwrap();
+      toast.success(muteTarget.isMuted ? 'Notifications turned on' : 'Conversation muted');
+    } catch (error) {
+      toast.error(error || 'Failed to update conversation');
+    }
+  };
+
+  const muteButton = muteTarget && (
+    <button
+      onClick={handleToggleMute}
+      className="px-4 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium"
+    >
+      {muteTarget.isMuted ? 'Unmute' : 'Mute'}
+    </button>
+  );
 
   // Define handleConversationSelect before it's used
   const handleConversationSelect = useCallback((conversation) => {
     // keep reducer in sync for real-time append
     dispatch(setCurrentConversation(conversation));
     setSelectedConversation(conversation);
+    setShowMembers(false);
     // Mark messages as read
     if (conversation.unreadCount > 0) {
-      dispatch(markConversationAsRead(conversation._id));
+      dispatch(conversation.isGroup ? markGroupAsRead(conversation._id) : markConversationAsRead(conversation._id));
     }
   }, [dispatch]);
 
   // Get all users for admin (not just connections) - declared before use
   const getAllUsers = () => {
-    if (user?.role === 'admin') {
+    if (hasPermission(user, 'messages:unrestricted')) {
       // For admin, show all users in the system
       return connections || [];
     }
@@ -56,6 +115,9 @@ const Messages = () => {
           // First try to get connections
           await dispatch(getConnections()).unwrap();
           
+          // Group threads load independently of connection-based conversations
+          dispatch(getGroupConversations());
+
           // Then try to get conversations
           try {
             await dispatch(getConversations()).unwrap();
@@ -81,7 +143,7 @@ const Messages = () => {
               error.includes('Forbidden')) {
             setIsInitialized(true); // Mark as initialized to prevent infinite retries
             setHasError(false); // Don't treat this as an error
-            if (user?.role === 'admin') {
+            if (hasPermission(user, 'messages:unrestricted')) {
               toast.error('Failed to load admin data. Please refresh the page.');
             } else {
               // Show friendly message instead of error
@@ -120,9 +182,22 @@ const Messages = () => {
     }
   }, [isInitialized, connections, handleConversationSelect]);
 
+  // Online dots for direct chats and connections; live changes arrive over the socket
+  const presenceIds = [...conversations.map(conv => conv._id), ...connections.map(conn => conn._id)].join(',');
+  useEffect(() => {
+    if (isInitialized && presenceIds) {
+      dispatch(getPresence(presenceIds.split(',')));
+    }
+  }, [dispatch, isInitialized, presenceIds]);
+
   // Handle conversation selection
   useEffect(() => {
     if (selectedConversation && isInitialized) {
+      if (selectedConversation.isGroup) {
+        // Fetching group messages also marks the group as read
+        dispatch(getGroupMessages({ conversationId: selectedConversation._id }));
+        return;
+      }
       dispatch(getConversation({
         userId: selectedConversation._id
       }));
@@ -131,31 +206,72 @@ const Messages = () => {
     }
   }, [dispatch, selectedConversation, isInitialized]);
 
-  // Socket event listeners
+  // Socket event listeners. Handlers are removed one by one: App.js listens to some of
+  // the same events (delivery receipts) and must keep its own listeners.
   useEffect(() => {
     if (socket && isInitialized) {
-      // Listen for incoming messages
-      socket.on('message:new', (data) => {
-        console.log('New message received:', data);
+      const handleNewMessage = (data) => {
         dispatch(addMessage(data));
+        // Viewing the open direct chat reads the message; the sender sees it as read
+        const isOpenDirectChat = !data.isGroup && selectedConversation && !selectedConversation.isGroup &&
+          (data.senderId === selectedConversation._id || data.sender?._id === selectedConversation._id);
+        if (isOpenDirectChat && !document.hidden) {
+          dispatch(markConversationAsRead(selectedConversation._id));
+        }
         // Don't automatically refresh conversations to prevent infinite loops
         // Conversations will be updated when user navigates or manually refreshes
-      });
+      };
 
-      // Listen for typing indicators
-      socket.on('user_typing', (data) => {
-        if (data.userId === selectedConversation?._id) {
+      // Typing indicators
+      const handleTyping = (data) => {
+        if (selectedConversation?.isGroup) {
+          if (data.conversationId === selectedConversation._id) {
+            setTyping(data.isTyping ? data.name || true : false);
+          }
+        } else if (data.userId === selectedConversation?._id && !data.conversationId) {
           setTyping(data.isTyping);
         }
-      });
+      };
+
+      // Group membership changes
+      const handleGroupChange = (conversation) => {
+        dispatch(upsertGroup(conversation));
+      };
+      const handleGroupRemoved = ({ conversationId }) => {
+        dispatch(removeGroup(conversationId));
+        if (selectedConversation?._id === conversationId) {
+          setSelectedConversation(null);
+        }
+      };
+
+      socket.on('message:new', handleNewMessage);
+      socket.on('user_typing', handleTyping);
+      socket.on('conversation:new', handleGroupChange);
+      socket.on('conversation:updated', handleGroupChange);
+      socket.on('conversation:removed', handleGroupRemoved);
 
       return () => {
-        socket.off('message:new');
-        socket.off('user_typing');
+        socket.off('message:new', handleNewMessage);
+        socket.off('user_typing', handleTyping);
+        socket.off('conversation:new', handleGroupChange);
+        socket.off('conversation:updated', handleGroupChange);
+        socket.off('conversation:removed', handleGroupRemoved);
       };
     }
   }, [socket, selectedConversation, dispatch, isInitialized, loading]);
 
+  // Messages that arrived while the tab was hidden are read once it's back in view
+  useEffect(() => {
+    if (!selectedConversation || selectedConversation.isGroup) return undefined;
+    const handleVisibility = () => {
+      if (!document.hidden) {
+        dispatch(markConversationAsRead(selectedConversation._id));
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [dispatch, selectedConversation]);
+
   // Scroll to bottom when messages change
   useEffect(() => {
     scrollToBottom();
@@ -187,7 +303,9 @@ const Messages = () => {
 
     try {
       const messageData = {
-        receiverId: selectedConversation._id,
+        ...(selectedConversation.isGroup
+          ? { conversationId: selectedConversation._id }
+          : { receiverId: selectedConversation._id }),
         content: messageText.trim(),
         messageType: 'text'
       };
@@ -201,15 +319,18 @@ const Messages = () => {
 
   const handleTyping = () => {
     if (socket && selectedConversation) {
+      const target = selectedConversation.isGroup
+        ? { conversationId: selectedConversation._id }
+        : { receiverId: selectedConversation._id };
       socket.emit('typing', {
-        receiverId: selectedConversation._id,
+        ...target,
         isTyping: true
       });
       
       // Stop typing indicator after 1 second
       setTimeout(() => {
         socket.emit('typing', {
-          receiverId: selectedConversation._id,
+          ...target,
           isTyping: false
         });
       }, 1000);
@@ -221,6 +342,10 @@ const Messages = () => {
     conv.user?.name?.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
+  const filteredGroups = groups.filter(group =>
+    group.name?.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
   // Filter users based on search query
   const filteredUsers = getAllUsers().filter(user => 
     user.name?.toLowerCase().includes(searchQuery.toLowerCase())
@@ -283,7 +408,7 @@ const Messages = () => {
                 <div className="relative">
                   <input
                     type="text"
-                    placeholder={user?.role === 'admin' ? "Search conversations and users..." : "Search conversations..."}
+                    placeholder={hasPermission(user, 'messages:unrestricted') ? "Search conversations and users..." : "Search conversations..."}
                     value={searchQuery}
                     onChange={(e) => setSearchQuery(e.target.value)}
                     className="w-full px-4 py-3 pl-10 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white"
@@ -295,6 +420,49 @@ const Messages = () => {
               </div>
               
               <div className="overflow-y-auto h-full">
+                {/* Group Conversations */}
+                <div className="px-4 py-2 bg-gray-100 border-b border-gray-200 flex items-center justify-between">
+                  <h3 className="text-sm font-medium text-gray-700">Groups</h3>
+                  <button
+                    onClick={() => setShowNewGroup(true)}
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                  >
+                    + New group
+                  </button>
+                </div>
+                {filteredGroups.length > 0 && (
+                  <div className="space-y-1 border-b border-gray-200">
+                    {filteredGroups.map((group) => (
+                      <div
+                        key={group._id}
+                        onClick={() => handleConversationSelect(group)}
+                        className={`p-4 cursor-pointer hover:bg-gray-50 transition-all duration-200 ${
+                          selectedConversation?._id === group._id ? 'bg-blue-50 border-r-2 border-blue-500' : ''
+                        }`}
+                      >
+                        <div className="flex items-center space-x-4">
+                          <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-teal-600 rounded-full flex items-center justify-center shadow-md">
+                            <span className="text-white font-semibold">{group.name?.charAt(0).toUpperCase()}</span>
+                          </div>
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center justify-between mb-1">
+                              <h4 className="font-semibold text-gray-900 truncate">{group.name}</h4>
+                              {group.unreadCount > 0 && (
+                                <span className="bg-blue-500 text-white text-xs rounded-full px-2 py-1 font-medium">
+                                  {group.unreadCount}
+                                </span>
+                              )}
+                            </div>
+                            <p className="text-sm text-gray-600 truncate">
+                              {group.lastMessage?.content || `${group.participants?.length || 0} members`}
+                            </p>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {filteredConversations.length > 0 ? (
                   <div className="space-y-1">
                     {filteredConversations.map((conversation) => (
@@ -306,7 +474,7 @@ const Messages = () => {
                         }`}
                       >
                         <div className="flex items-center space-x-4">
-                          <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md">
+                          <div className="relative w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md">
                             {conversation.user?.profilePic ? (
                               <img
                                 src={conversation.user.profilePic}
@@ -316,6 +484,7 @@ const Messages = () => {
                             ) : (
                               <span className="text-white font-semibold">{conversation.user?.name?.charAt(0).toUpperCase()}</span>
                             )}
+                            <OnlineDot userId={conversation._id} />
                           </div>
                           <div className="flex-1 min-w-0">
                             <div className="flex items-center justify-between mb-1">
@@ -359,7 +528,7 @@ const Messages = () => {
                   <div className="mt-6">
                     <div className="px-4 py-2 bg-gray-100 border-t border-gray-200">
                       <h3 className="text-sm font-medium text-gray-700">
-                        {user?.role === 'admin' ? 'All Users' : 'Connected Users'}
+                        {hasPermission(user, 'messages:unrestricted') ? 'All Users' : 'Connected Users'}
                       </h3>
                     </div>
                     <div className="space-y-1">
@@ -379,7 +548,7 @@ const Messages = () => {
                               className="p-4 cursor-pointer hover:bg-gray-50 transition-all duration-200"
                             >
                               <div className="flex items-center space-x-4">
-                                <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md">
+                                <div className="relative w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md">
                                   {connection.profilePic ? (
                                     <img
                                       src={connection.profilePic}
@@ -389,6 +558,7 @@ const Messages = () => {
                                   ) : (
                                     <span className="text-white font-semibold">{connection.name?.charAt(0).toUpperCase()}</span>
                                   )}
+                                  <OnlineDot userId={connection._id} />
                                 </div>
                                 <div className="flex-1 min-w-0">
                                   <h4 className="font-semibold text-gray-900 truncate">
@@ -416,25 +586,58 @@ const Messages = () => {
                 <>
                   {/* Chat Header */}
                   <div className="p-6 border-b border-gray-200 bg-gray-50">
-                    <div className="flex items-center space-x-4">
-                      <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md">
-                        {selectedConversation.user?.profilePic ? (
-                          <img
-                            src={selectedConversation.user.profilePic}
-                            alt={selectedConversation.user.name}
-                            className="w-12 h-12 rounded-full object-cover"
-                          />
-                        ) : (
-                          <span className="text-white font-semibold">{selectedConversation.user?.name?.charAt(0).toUpperCase()}</span>
-                        )}
+                    {activeGroup ? (
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-4">
+                          <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-teal-600 rounded-full flex items-center justify-center shadow-md">
+                            <span className="text-white font-semibold">{activeGroup.name?.charAt(0).toUpperCase()}</span>
+                          </div>
+                          <div>
+                            <h3 className="font-semibold text-gray-900 text-lg">{activeGroup.name}</h3>
+                            {typing ? (
+                              <p className="text-sm text-blue-600 italic">{typeof typing === 'string' ? `${typing} is typing...` : 'typing...'}</p>
+                            ) : (
+                              <p className="text-sm text-gray-500">{activeGroup.participants?.length || 0} members</p>
+                            )}
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          {muteButton}
+                          <button
+                            onClick={() => setShowMembers(!showMembers)}
+                            className="px-4 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium"
+                          >
+                            {showMembers ? 'Hide members' : 'Members'}
+                          </button>
+                        </div>
                       </div>
-                      <div>
-                        <h3 className="font-semibold text-gray-900 text-lg">{selectedConversation.user?.name}</h3>
-                        {typing && (
-                          <p className="text-sm text-blue-600 italic">typing...</p>
-                        )}
+                    ) : (
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-4">
+                          <div className="relative w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md">
+                            {selectedConversation.user?.profilePic ? (
+                              <img
+                                src={selectedConversation.user.profilePic}
+                                alt={selectedConversation.user.name}
+                                className="w-12 h-12 rounded-full object-cover"
+                              />
+                            ) : (
+                              <span className="text-white font-semibold">{selectedConversation.user?.name?.charAt(0).toUpperCase()}</span>
+                            )}
+                            <OnlineDot userId={selectedConversation._id} />
+                          </div>
+                          <div>
+                            <h3 className="font-semibold text-gray-900 text-lg">{selectedConversation.user?.name}</h3>
+                            {typing ? (
+                              <p className="text-sm text-blue-600 italic">typing...</p>
+                            ) : (
+                              <LastSeenText userId={selectedConversation._id} className="text-sm text-gray-500" />
+                            )}
+                          </div>
+                        </div>
+                        {muteButton}
                       </div>
-                    </div>
+                    )}
                   </div>
 
                   {/* Messages */}
@@ -449,6 +652,17 @@ const Messages = () => {
                         const isOwnMessage = message.senderId === user._id || 
                                            message.senderId?._id === user._id ||
                                            (typeof message.senderId === 'string' && message.senderId === user._id);
+
+                        // Join/leave/rename events in group threads
+                        if (message.messageType === 'system') {
+                          return (
+                            <div key={message._id || index} className="flex justify-center">
+                              <span className="text-xs text-gray-500 bg-gray-100 px-3 py-1 rounded-full">{message.content}</span>
+                            </div>
+                          );
+                        }
+
+                        const senderName = message.senderId?.name || message.sender?.name;
                         
                         return (
                           <div
@@ -462,14 +676,21 @@ const Messages = () => {
                                   : 'bg-gray-100 text-gray-900 rounded-bl-md'
                               }`}
                             >
+                              {activeGroup && !isOwnMessage && senderName && (
+                                <p className="text-xs font-semibold text-gray-600 mb-1">{senderName}</p>
+                              )}
                               <p className="text-sm leading-relaxed">{message.content}</p>
-                              <p className={`text-xs mt-2 ${
+                              <LinkPreviewCard preview={message.linkPreview} compact />
+                              <p className={`text-xs mt-2 flex items-center justify-end space-x-1 ${
                                 isOwnMessage ? 'text-blue-100' : 'text-gray-500'
                               }`}>
-                                {new Date(message.createdAt || message.timestamp).toLocaleTimeString('en-US', {
-                                  hour: '2-digit',
-                                  minute: '2-digit'
-                                })}
+                                <span>
+                                  {new Date(message.createdAt || message.timestamp).toLocaleTimeString('en-US', {
+                                    hour: '2-digit',
+                                    minute: '2-digit'
+                                  })}
+                                </span>
+                                {isOwnMessage && !activeGroup && <MessageStatus message={message} />}
                               </p>
                             </div>
                           </div>
@@ -522,9 +743,30 @@ const Messages = () => {
                 </div>
               )}
             </div>
+
+            {activeGroup && showMembers && (
+              <GroupMembersPanel
+                key={activeGroup._id}
+                conversation={activeGroup}
+                connections={connections}
+                currentUser={user}
+                onLeft={() => setSelectedConversation(null)}
+              />
+            )}
           </div>
         </div>
       </div>
+
+      {showNewGroup && (
+        <NewGroupModal
+          connections={connections}
+          onClose={() => setShowNewGroup(false)}
+          onCreated={(conversation) => {
+            setShowNewGroup(false);
+            handleConversationSelect(conversation);
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -10,8 +10,14 @@ import {
   acceptConnectionRequest, 
   rejectConnectionRequest,
   searchUsersWithStatus, 
-  removeConnection
+  removeConnection,
+  followUser,
+  unfollowUser,
+  getSuggestions,
+  dismissSuggestion
 } from '../redux/slices/userSlice';
+import { getPresence } from '../redux/slices/presenceSlice';
+import { OnlineDot, LastSeenText } from '../components/UI/PresenceIndicator';
 
 const Network = () => {
   const dispatch = useDispatch();
@@ -22,6 +28,7 @@ const Network = () => {
     connectionRequests, 
     searchResults, 
     networkUsers,
+    suggestions,
     loading
   } = useSelector((state) => state.user);
   
@@ -39,6 +46,20 @@ const Network = () => {
     }
   }, [dispatch, user, currentPage]);
 
+  useEffect(() => {
+    if (user) {
+      dispatch(getSuggestions());
+    }
+  }, [dispatch, user]);
+
+  // Online dots on the connections tab; live changes arrive over the socket
+  const connectionIds = connections.map(connection => connection._id).join(',');
+  useEffect(() => {
+    if (connectionIds) {
+      dispatch(getPresence(connectionIds.split(',')));
+    }
+  }, [dispatch, connectionIds]);
+
   // Cleanup timeout on unmount
   useEffect(() => {
     return () => {
@@ -146,6 +167,38 @@ const Network = () => {
     }
   };
 
+  const handleDismissSuggestion = async (userId) => {
+    try {
+      await dispatch(dismissSuggestion(userId)).unwrap();
+    } catch (error) {
+      toast.error(error || 'Failed to dismiss suggestion');
+    }
+  };
+
+  const handleToggleFollow = async (person) => {
+    try {
+      if (person.isFollowing) {
+        await dispatch(unfollowUser(person._id)).unwrap();
+        toast.success(`Unfollowed ${person.name}`);
+      } else {
+        await dispatch(followUser(person._id)).unwrap();
+        toast.success(`Following ${person.name}`);
+      }
+    } catch (error) {
+      toast.error(error || 'Failed to update follow');
+    }
+  };
+
+  // Following is one-way, so it sits alongside whatever the connection status is
+  const getFollowButton = (person) => (
+    <button
+      onClick={() => handleToggleFollow(person)}
+      className={`w-full mt-2 px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${person.isFollowing ? 'bg-gray-200 text-gray-700 hover:bg-gray-300' : 'border border-blue-600 text-blue-600 hover:bg-blue-50'}`}
+    >
+      {person.isFollowing ? 'Following' : 'Follow'}
+    </button>
+  );
+
   const getConnectionButton = (user) => {
     const status = user.connectionStatus;
     
@@ -290,6 +343,7 @@ const Network = () => {
                     )}
                     
                     {getConnectionButton(user)}
+                    {getFollowButton(user)}
                   </div>
                 ))}
               </div>
@@ -297,6 +351,49 @@ const Network = () => {
           )}
         </div>
 
+        {/* People You May Know */}
+        {!searchQuery.trim() && suggestions.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-8">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">People you may know</h2>
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {suggestions.map(({ user: person, reason }) => (
+                <div key={person._id} className="relative bg-gray-50 rounded-xl p-4 border border-gray-200 hover:shadow-md transition-all duration-200">
+                  <button
+                    onClick={() => handleDismissSuggestion(person._id)}
+                    className="absolute top-2 right-3 text-gray-400 hover:text-gray-600 text-xl leading-none"
+                    title="Dismiss"
+                  >
+                    &times;
+                  </button>
+                  <div
+                    onClick={() => navigate(`/dashboard/profile/${person._id}`)}
+                    className="flex items-center space-x-4 mb-4 cursor-pointer"
+                  >
+                    <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center shadow-md flex-shrink-0">
+                      {person.profilePic ? (
+                        <img src={person.profilePic} alt={person.name} className="w-12 h-12 rounded-full object-cover" />
+                      ) : (
+                        <span className="text-white font-semibold">{person.name?.charAt(0).toUpperCase()}</span>
+                      )}
+                    </div>
+                    <div className="flex-1 min-w-0 pr-4">
+                      <h4 className="font-semibold text-gray-900 truncate">{person.name}</h4>
+                      <p className="text-sm text-gray-600 truncate">{person.bio || 'No bio available'}</p>
+                      {reason && <p className="text-xs text-blue-600 mt-1">{reason}</p>}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleSendRequest(person._id)}
+                    className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white px-4 py-2 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg"
+                  >
+                    Connect
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Tabs */}
         <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
           <div className="flex space-x-8 mb-6">
@@ -349,6 +446,7 @@ const Network = () => {
                       </div>
                     )}
                     {getConnectionButton(person)}
+                    {getFollowButton(person)}
                   </div>
                 ))}
               </div>
@@ -363,14 +461,18 @@ const Network = () => {
                   {connections.map((connection) => (
                     <div key={connection._id} className="border rounded-lg p-4">
                       <div className="flex items-center space-x-3 mb-3">
-                        <img
-                          src={connection.profilePic || '/default-avatar.svg'}
-                          alt={connection.name}
-                          className="w-12 h-12 rounded-full object-cover"
-                        />
+                        <div className="relative flex-shrink-0">
+                          <img
+                            src={connection.profilePic || '/default-avatar.svg'}
+                            alt={connection.name}
+                            className="w-12 h-12 rounded-full object-cover"
+                          />
+                          <OnlineDot userId={connection._id} />
+                        </div>
                         <div>
                           <h4 className="font-semibold text-gray-900">{connection.name}</h4>
                           <p className="text-sm text-gray-600">{connection.bio}</p>
+                          <LastSeenText userId={connection._id} />
                         </div>
                       </div>
                       <div className="flex space-x-2">
@@ -1,19 +1,27 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { useParams } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { getCurrentUser } from '../redux/slices/authSlice';
 import { toast } from 'react-hot-toast';
 import api from '../utils/axios';
-import { uploadProfilePicture, uploadBannerPicture, updateProfile as updateProfileThunk } from '../redux/slices/userSlice';
+import { uploadProfilePicture, uploadBannerPicture, updateProfile as updateProfileThunk, followUser, unfollowUser } from '../redux/slices/userSlice';
+import ReportModal from '../components/UI/ReportModal';
+import FollowListModal from '../components/UI/FollowListModal';
+import ArticleCard from '../components/posts/ArticleCard';
+import { getUserArticles } from '../redux/slices/articleSlice';
 
 const Profile = () => {
   const { userId } = useParams();
   const dispatch = useDispatch();
   const { user: currentUser } = useSelector((state) => state.auth);
+  const { userArticles, pagination: articlePagination } = useSelector((state) => state.article);
   
   const [userProfile, setUserProfile] = useState(null);
   const [userPosts, setUserPosts] = useState([]);
   const [isEditing, setIsEditing] = useState(false);
+  const [showReportModal, setShowReportModal] = useState(false);
+  const [followList, setFollowList] = useState(null);
+  const [followPending, setFollowPending] = useState(false);
   const [editForm, setEditForm] = useState({
     name: '',
     bio: '',
@@ -63,6 +71,7 @@ const Profile = () => {
     if (targetUserId) {
       fetchUserProfile();
       fetchUserPosts();
+      dispatch(getUserArticles({ userId: targetUserId }));
     }
   }, [dispatch, currentUser, targetUserId, fetchUserProfile, fetchUserPosts]);
 
@@ -132,6 +141,19 @@ const Profile = () => {
     }
   };
 
+  const handleToggleFollow = async () => {
+    setFollowPending(true);
+    try {
+      const thunk = userProfile.isFollowing ? unfollowUser : followUser;
+      const result = await dispatch(thunk(userProfile._id)).unwrap();
+      setUserProfile(prev => ({ ...prev, isFollowing: result.isFollowing, followerCount: result.followerCount }));
+    } catch (error) {
+      toast.error(error || 'Failed to update follow');
+    } finally {
+      setFollowPending(false);
+    }
+  };
+
   if (!currentUser) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -218,6 +240,14 @@ const Profile = () => {
                   </svg>
                   <span className="text-gray-600">Joined {new Date(userProfile.createdAt).toLocaleDateString()}</span>
                 </div>
+                <div className="flex items-center space-x-4 text-sm">
+                  <button onClick={() => setFollowList('followers')} className="text-gray-600 hover:text-blue-600">
+                    <span className="font-semibold text-gray-900">{userProfile.followerCount || 0}</span> followers
+                  </button>
+                  <button onClick={() => setFollowList('following')} className="text-gray-600 hover:text-blue-600">
+                    <span className="font-semibold text-gray-900">{userProfile.followingCount || 0}</span> following
+                  </button>
+                </div>
               </div>
             </div>
             {isOwnProfile && (
@@ -228,6 +258,25 @@ const Profile = () => {
                 {isEditing ? 'Cancel Edit' : 'Edit Profile'}
               </button>
             )}
+            {!isOwnProfile && (
+              <div className="flex flex-col items-end space-y-3">
+                <button
+                  onClick={handleToggleFollow}
+                  disabled={followPending}
+                  className={userProfile.isFollowing
+                    ? 'bg-gray-200 text-gray-700 px-6 py-3 rounded-xl hover:bg-gray-300 transition-all duration-200 font-medium disabled:opacity-50'
+                    : 'bg-gradient-to-r from-blue-600 to-purple-600 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg disabled:opacity-50'}
+                >
+                  {userProfile.isFollowing ? 'Following' : 'Follow'}
+                </button>
+                <button
+                  onClick={() => setShowReportModal(true)}
+                  className="text-sm text-gray-400 hover:text-red-600"
+                >
+                  Report profile
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
@@ -445,6 +494,46 @@ const Profile = () => {
           </div>
         )}
 
+        {/* Articles Section */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6 mb-6">
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center space-x-3">
+              <div className="p-2 bg-blue-100 rounded-lg">
+                <svg className="w-6 h-6 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z" />
+                </svg>
+              </div>
+              <h2 className="text-xl font-semibold text-gray-900">Articles</h2>
+            </div>
+            {isOwnProfile && (
+              <Link to="/dashboard/articles/new" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                Write article
+              </Link>
+            )}
+          </div>
+          {userArticles.length > 0 ? (
+            <div>
+              {userArticles.map((article) => (
+                <ArticleCard
+                  key={article._id}
+                  article={article}
+                  badge={article.status === 'published' ? null : article.status === 'draft' ? 'Draft' : 'Unpublished'}
+                />
+              ))}
+              {articlePagination?.hasNext && (
+                <button
+                  onClick={() => dispatch(getUserArticles({ userId: targetUserId, page: articlePagination.current + 1 }))}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                >
+                  Show more articles
+                </button>
+              )}
+            </div>
+          ) : (
+            <p className="text-center py-4 text-gray-500">No articles yet</p>
+          )}
+        </div>
+
         {/* Posts Section */}
         <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
           <div className="flex items-center space-x-3 mb-6">
@@ -463,6 +552,11 @@ const Profile = () => {
                     <span className="text-sm text-gray-500">{new Date(post.createdAt).toLocaleDateString()}</span>
                   </div>
                   <p className="text-gray-700">{post.content}</p>
+                  {post.article && (
+                    <Link to={`/dashboard/articles/${post.article.slug}`} className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                      📰 {post.article.title}
+                    </Link>
+                  )}
                   {post.images && post.images.length > 0 && (
                     <div className="mt-3 flex space-x-2">
                       {post.images.slice(0, 3).map((image, index) => (
@@ -482,6 +576,22 @@ const Profile = () => {
           )}
         </div>
       </div>
+
+      {showReportModal && (
+        <ReportModal
+          target={{ targetType: 'user', targetId: userProfile._id }}
+          label={userProfile.name}
+          onClose={() => setShowReportModal(false)}
+        />
+      )}
+      {followList && (
+        <FollowListModal
+          key={followList}
+          userId={userProfile._id}
+          list={followList}
+          onClose={() => setFollowList(null)}
+        />
+      )}
     </div>
   );
 };
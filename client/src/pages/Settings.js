@@ -0,0 +1,27 @@
+import React from 'react';
+import TwoFactorSection from '../components/settings/TwoFactorSection';
+import SessionsSection from '../components/settings/SessionsSection';
+import NotificationPreferencesSection from '../components/settings/NotificationPreferencesSection';
+import PrivacySection from '../components/settings/PrivacySection';
+
+const Settings = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4">
+        <div className="mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">Settings</h1>
+          <p className="text-gray-600">Manage your account, security, notifications and privacy</p>
+        </div>
+
+        <div className="space-y-6">
+          <TwoFactorSection />
+          <SessionsSection />
+          <NotificationPreferencesSection />
+          <PrivacySection />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { unsubscribeFromDigest } from '../redux/slices/notificationSlice';
+
+// Landing page for the unsubscribe link in digest emails. It asks before unsubscribing
+// so mail scanners that open links don't turn the digest off.
+const Unsubscribe = () => {
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const { isAuthenticated } = useSelector((state) => state.auth);
+  const [status, setStatus] = useState('confirm');
+  const [error, setError] = useState('');
+
+  const handleUnsubscribe = async () => {
+    setStatus('working');
+    try {
+      await dispatch(unsubscribeFromDigest(token)).unwrap();
+      setStatus('done');
+    } catch (err) {
+      setError(err);
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-8 max-w-md w-full text-center">
+        {(status === 'confirm' || status === 'working') && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Unsubscribe from digests</h1>
+            <p className="text-gray-600 mb-6">
+              You'll stop getting the email summary of unread messages and other activity.
+              Other emails you've turned on are not affected.
+            </p>
+            <button
+              onClick={handleUnsubscribe}
+              disabled={status === 'working'}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+            >
+              {status === 'working' ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+
+        {status === 'done' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">You're unsubscribed</h1>
+            <p className="text-gray-600 mb-6">You can turn digests back on in your notification settings.</p>
+            <Link
+              to={isAuthenticated ? '/dashboard/settings' : '/login'}
+              className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              {isAuthenticated ? 'Notification settings' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Couldn't unsubscribe</h1>
+            <p className="text-gray-600 mb-6">
+              {error || 'This link is invalid.'} You can turn digests off in your notification settings after signing in.
+            </p>
+            <Link
+              to={isAuthenticated ? '/dashboard/settings' : '/login'}
+              className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              {isAuthenticated ? 'Notification settings' : 'Sign in'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
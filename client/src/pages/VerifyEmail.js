@@ -0,0 +1,71 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { verifyEmail } from '../redux/slices/authSlice';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const { isAuthenticated } = useSelector((state) => state.auth);
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  // Tokens are single-use, so guard against StrictMode running the effect twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    dispatch(verifyEmail(token))
+      .unwrap()
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        setError(err);
+        setStatus('failed');
+      });
+  }, [dispatch, token]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-8 max-w-md w-full text-center">
+        {status === 'verifying' && (
+          <>
+            <LoadingSpinner />
+            <p className="mt-4 text-gray-600">Verifying your email...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h1>
+            <p className="text-gray-600 mb-6">Thanks for confirming your email address.</p>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Verification failed</h1>
+            <p className="text-gray-600 mb-6">
+              {error || 'This link is invalid or has expired.'} You can request a new link after signing in.
+            </p>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,185 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../utils/axios';
+
+export const getArticle = createAsyncThunk(
+  'article/getArticle',
+  async (slug, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/articles/${slug}`);
+      return response.data.article;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load article');
+    }
+  }
+);
+
+// Published articles, plus drafts when `userId` is the current user
+export const getUserArticles = createAsyncThunk(
+  'article/getUserArticles',
+  async ({ userId, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/articles/user/${userId}`, { params: { page } });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load articles');
+    }
+  }
+);
+
+export const createArticle = createAsyncThunk(
+  'article/createArticle',
+  async (articleData, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/articles', articleData);
+      return response.data.article;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save article');
+    }
+  }
+);
+
+export const updateArticle = createAsyncThunk(
+  'article/updateArticle',
+  async ({ id, ...articleData }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/articles/${id}`, articleData);
+      return response.data.article;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save article');
+    }
+  }
+);
+
+export const publishArticle = createAsyncThunk(
+  'article/publishArticle',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/articles/${id}/publish`);
+      return response.data.article;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to publish article');
+    }
+  }
+);
+
+export const unpublishArticle = createAsyncThunk(
+  'article/unpublishArticle',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/articles/${id}/unpublish`);
+      return response.data.article;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to unpublish article');
+    }
+  }
+);
+
+export const deleteArticle = createAsyncThunk(
+  'article/deleteArticle',
+  async (id, { rejectWithValue }) => {
+    try {
+      await api.delete(`/articles/${id}`);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete article');
+    }
+  }
+);
+
+// Resolves to the new feed post carrying the article's card
+export const shareArticle = createAsyncThunk(
+  'article/shareArticle',
+  async ({ id, content }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/articles/${id}/share`, { content });
+      return response.data.post;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to share article');
+    }
+  }
+);
+
+// Cover and inline images go through the post upload route; resolves to the image URL
+export const uploadArticleImage = createAsyncThunk(
+  'article/uploadArticleImage',
+  async (file, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('files', file);
+      const response = await api.post('/posts/upload', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+      const url = response.data.images?.[0];
+      if (!url) return rejectWithValue('Please choose an image');
+      return url;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to upload image');
+    }
+  }
+);
+
+const initialState = {
+  current: null,
+  userArticles: [],
+  pagination: null,
+  loading: false,
+  error: null
+};
+
+// Keeps the open article and the profile list in step after a change
+const setArticle = (state, article) => {
+  if (state.current?._id === article._id) state.current = article;
+  const index = state.userArticles.findIndex(item => item._id === article._id);
+  if (index !== -1) state.userArticles[index] = article;
+};
+
+const articleSlice = createSlice({
+  name: 'article',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearCurrentArticle: (state) => {
+      state.current = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getArticle.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.current = null;
+      })
+      .addCase(getArticle.fulfilled, (state, action) => {
+        state.loading = false;
+        state.current = action.payload;
+      })
+      .addCase(getArticle.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(getUserArticles.fulfilled, (state, action) => {
+        const { articles = [], pagination } = action.payload;
+        state.userArticles = pagination?.current > 1 ? [...state.userArticles, ...articles] : articles;
+        state.pagination = pagination || null;
+      })
+      .addCase(createArticle.fulfilled, (state, action) => {
+        state.current = action.payload;
+      })
+      .addCase(updateArticle.fulfilled, (state, action) => {
+        setArticle(state, action.payload);
+      })
+      .addCase(publishArticle.fulfilled, (state, action) => {
+        setArticle(state, action.payload);
+      })
+      .addCase(unpublishArticle.fulfilled, (state, action) => {
+        setArticle(state, action.payload);
+      })
+      .addCase(deleteArticle.fulfilled, (state, action) => {
+        state.userArticles = state.userArticles.filter(article => article._id !== action.payload);
+        if (state.current?._id === action.payload) state.current = null;
+      });
+  }
+});
+
+export const { clearError, clearCurrentArticle } = articleSlice.actions;
+export default articleSlice.reducer;
@@ -0,0 +1,79 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../utils/axios';
+
+export const getAuditLog = createAsyncThunk(
+  'audit/getAuditLog',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/audit-log', { params });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch audit log');
+    }
+  }
+);
+
+// Download the filtered log as CSV
+export const exportAuditLog = createAsyncThunk(
+  'audit/exportAuditLog',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/audit-log', {
+        params: { ...params, format: 'csv' },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      // Blob responses don't carry a parsed error message
+      return rejectWithValue('Failed to export audit log');
+    }
+  }
+);
+
+const initialState = {
+  entries: [],
+  actions: [],
+  targetTypes: [],
+  pagination: null,
+  loading: false,
+  error: null
+};
+
+const auditSlice = createSlice({
+  name: 'audit',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getAuditLog.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAuditLog.fulfilled, (state, action) => {
+        state.loading = false;
+        state.entries = Array.isArray(action.payload?.entries) ? action.payload.entries : [];
+        state.actions = action.payload?.actions || [];
+        state.targetTypes = action.payload?.targetTypes || [];
+        state.pagination = action.payload?.pagination || null;
+      })
+      .addCase(getAuditLog.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { clearError } = auditSlice.actions;
+export default auditSlice.reducer;
@@ -1,5 +1,42 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import api from '../../utils/axios';
+import { unsubscribeFromPush } from '../../utils/push';
+
+// Keep both halves of the session in storage; the axios interceptor refreshes them
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Login responses either carry tokens or ask for a second factor first
+const isTwoFactorChallenge = (data) => !!(data.twoFactorRequired || data.twoFactorSetupRequired);
+
+const storeTokensUnlessChallenged = (data) => {
+  if (!isTwoFactorChallenge(data)) {
+    storeTokens(data);
+  }
+};
+
+const applyAuthResponse = (state, payload) => {
+  if (isTwoFactorChallenge(payload)) {
+    state.twoFactorChallenge = {
+      challengeToken: payload.challengeToken,
+      type: payload.twoFactorRequired ? 'verify' : 'enroll'
+    };
+    return;
+  }
+  state.twoFactorChallenge = null;
+  state.isAuthenticated = true;
+  state.user = payload.user;
+  state.token = payload.token;
+};
 
 // Async thunks
 export const login = createAsyncThunk(
@@ -7,7 +44,7 @@ export const login = createAsyncThunk(
   async (credentials, { rejectWithValue }) => {
     try {
       const response = await api.post('/auth/login', credentials);
-      localStorage.setItem('token', response.data.token);
+      storeTokensUnlessChallenged(response.data);
       return response.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Login failed');
@@ -20,7 +57,7 @@ export const register = createAsyncThunk(
   async (userData, { rejectWithValue }) => {
     try {
       const response = await api.post('/auth/register', userData);
-      localStorage.setItem('token', response.data.token);
+      storeTokensUnlessChallenged(response.data);
       return response.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Registration failed');
@@ -40,7 +77,7 @@ export const getCurrentUser = createAsyncThunk(
       const response = await api.get('/auth/me');
       return response.data.user; // Return the user object from the response
     } catch (error) {
-      localStorage.removeItem('token');
+      clearTokens();
       return rejectWithValue(error.response?.data?.message || 'Authentication failed');
     }
   }
@@ -65,11 +102,83 @@ export const checkAuthStatus = createAsyncThunk(
 export const logout = createAsyncThunk(
   'auth/logout',
   async () => {
-    localStorage.removeItem('token');
+    try {
+      // Stop pushing this account's notifications to a browser that is being signed out
+      await unsubscribeFromPush();
+    } catch (error) {
+      console.error('Push unsubscribe failed:', error);
+    }
+    try {
+      // Revoke the session server-side so the tokens can't be reused
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    clearTokens();
     return null;
   }
 );
 
+export const getSessions = createAsyncThunk(
+  'auth/getSessions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data.sessions;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load sessions');
+    }
+  }
+);
+
+export const revokeSession = createAsyncThunk(
+  'auth/revokeSession',
+  async (sessionId, { rejectWithValue }) => {
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      return sessionId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to revoke session');
+    }
+  }
+);
+
+export const revokeOtherSessions = createAsyncThunk(
+  'auth/revokeOtherSessions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.delete('/auth/sessions', { params: { exceptCurrent: true } });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to revoke sessions');
+    }
+  }
+);
+
+export const verifyEmail = createAsyncThunk(
+  'auth/verifyEmail',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+      return response.data.user;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Email verification failed');
+    }
+  }
+);
+
+export const resendVerification = createAsyncThunk(
+  'auth/resendVerification',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to send verification email');
+    }
+  }
+);
+
 export const loginWithGoogle = createAsyncThunk(
   'auth/loginWithGoogle',
   async (response, { rejectWithValue }) => {
@@ -87,7 +196,7 @@ export const loginWithGoogle = createAsyncThunk(
         }
       });
       
-      localStorage.setItem('token', apiResponse.data.token);
+      storeTokensUnlessChallenged(apiResponse.data);
       return apiResponse.data;
     } catch (error) {
       console.error('Google login error:', error);
@@ -96,12 +205,119 @@ export const loginWithGoogle = createAsyncThunk(
   }
 );
 
+// Second login step with a TOTP or backup code
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactorLogin',
+  async (code, { getState, rejectWithValue }) => {
+    try {
+      const { challengeToken } = getState().auth.twoFactorChallenge || {};
+      const response = await api.post('/auth/login/2fa', { challengeToken, code });
+      storeTokens(response.data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Verification failed');
+    }
+  }
+);
+
+// Required enrollment during login (roles that must use 2FA)
+export const setupTwoFactorLogin = createAsyncThunk(
+  'auth/setupTwoFactorLogin',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { challengeToken } = getState().auth.twoFactorChallenge || {};
+      const response = await api.post('/auth/login/2fa/setup', { challengeToken });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  }
+);
+
+export const enableTwoFactorLogin = createAsyncThunk(
+  'auth/enableTwoFactorLogin',
+  async (code, { getState, rejectWithValue }) => {
+    try {
+      const { challengeToken } = getState().auth.twoFactorChallenge || {};
+      const response = await api.post('/auth/login/2fa/enable', { challengeToken, code });
+      storeTokens(response.data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Verification failed');
+    }
+  }
+);
+
+// Two-factor management from settings
+export const getTwoFactorStatus = createAsyncThunk(
+  'auth/getTwoFactorStatus',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load two-factor status');
+    }
+  }
+);
+
+export const setupTwoFactor = createAsyncThunk(
+  'auth/setupTwoFactor',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  }
+);
+
+export const enableTwoFactor = createAsyncThunk(
+  'auth/enableTwoFactor',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    }
+  }
+);
+
+export const disableTwoFactor = createAsyncThunk(
+  'auth/disableTwoFactor',
+  async ({ password, code }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  }
+);
+
+export const regenerateBackupCodes = createAsyncThunk(
+  'auth/regenerateBackupCodes',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/auth/2fa/backup-codes', { code });
+      return response.data.backupCodes;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to regenerate backup codes');
+    }
+  }
+);
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
   isAuthenticated: false,
   loading: true,
-  error: null
+  error: null,
+  sessions: [],
+  // { challengeToken, type: 'verify' | 'enroll', backupCodes?, pendingAuth? } while a login waits for 2FA
+  twoFactorChallenge: null
 };
 
 const authSlice = createSlice({
@@ -113,6 +329,16 @@ const authSlice = createSlice({
     },
     setLoading: (state, action) => {
       state.loading = action.payload;
+    },
+    cancelTwoFactorChallenge: (state) => {
+      state.twoFactorChallenge = null;
+    },
+    // Sign in after the user has saved the backup codes shown at the end of enrollment
+    finishTwoFactorEnrollment: (state) => {
+      const pendingAuth = state.twoFactorChallenge?.pendingAuth;
+      if (pendingAuth) {
+        applyAuthResponse(state, pendingAuth);
+      }
     }
   },
   extraReducers: (builder) => {
@@ -122,9 +348,7 @@ const authSlice = createSlice({
         state.error = null;
       })
       .addCase(login.fulfilled, (state, action) => {
-        state.isAuthenticated = true;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
+        applyAuthResponse(state, action.payload);
       })
       .addCase(login.rejected, (state, action) => {
         state.error = action.payload;
@@ -134,9 +358,7 @@ const authSlice = createSlice({
         state.error = null;
       })
       .addCase(register.fulfilled, (state, action) => {
-        state.isAuthenticated = true;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
+        applyAuthResponse(state, action.payload);
       })
       .addCase(register.rejected, (state, action) => {
         state.error = action.payload;
@@ -179,21 +401,56 @@ const authSlice = createSlice({
         state.token = null;
         state.isAuthenticated = false;
         state.error = null;
+        state.sessions = [];
+      })
+      // Sessions
+      .addCase(getSessions.fulfilled, (state, action) => {
+        state.sessions = Array.isArray(action.payload) ? action.payload : [];
+      })
+      .addCase(revokeSession.fulfilled, (state, action) => {
+        state.sessions = state.sessions.filter(session => session._id !== action.payload);
+      })
+      .addCase(revokeOtherSessions.fulfilled, (state) => {
+        state.sessions = state.sessions.filter(session => session.current);
+      })
+      // Email verification
+      .addCase(verifyEmail.fulfilled, (state, action) => {
+        // The verifying browser may belong to a different (or no) signed-in account
+        if (state.user && action.payload && state.user._id === action.payload._id) {
+          state.user.isVerified = true;
+        }
       })
       // Google Login
       .addCase(loginWithGoogle.pending, (state) => {
         state.error = null;
       })
       .addCase(loginWithGoogle.fulfilled, (state, action) => {
-        state.isAuthenticated = true;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
+        applyAuthResponse(state, action.payload);
       })
       .addCase(loginWithGoogle.rejected, (state, action) => {
         state.error = action.payload;
+      })
+      // Two-factor login
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        applyAuthResponse(state, action.payload);
+      })
+      .addCase(enableTwoFactorLogin.fulfilled, (state, action) => {
+        // Hold the session back until the backup codes have been acknowledged
+        state.twoFactorChallenge = {
+          ...state.twoFactorChallenge,
+          backupCodes: action.payload.backupCodes,
+          pendingAuth: { user: action.payload.user, token: action.payload.token }
+        };
+      })
+      // Two-factor settings
+      .addCase(enableTwoFactor.fulfilled, (state, action) => {
+        state.user = action.payload.user;
+      })
+      .addCase(disableTwoFactor.fulfilled, (state, action) => {
+        state.user = action.payload.user;
       });
   }
 });
 
-export const { clearError, setLoading } = authSlice.actions;
+export const { clearError, setLoading, cancelTwoFactorChallenge, finishTwoFactorEnrollment } = authSlice.actions;
 export default authSlice.reducer;
@@ -0,0 +1,231 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../utils/axios';
+
+export const getCompanies = createAsyncThunk(
+  'company/getCompanies',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/companies', { params });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch companies');
+    }
+  }
+);
+
+export const getMyCompanies = createAsyncThunk(
+  'company/getMyCompanies',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/companies/mine');
+      return response.data.companies;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch your companies');
+    }
+  }
+);
+
+export const getCompany = createAsyncThunk(
+  'company/getCompany',
+  async (companyId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/companies/${companyId}`);
+      return response.data.company;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch company');
+    }
+  }
+);
+
+export const getCompanyJobs = createAsyncThunk(
+  'company/getCompanyJobs',
+  async ({ companyId, page = 1, limit = 10 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/companies/${companyId}/jobs`, { params: { page, limit } });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch company jobs');
+    }
+  }
+);
+
+export const createCompany = createAsyncThunk(
+  'company/createCompany',
+  async (companyData, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/companies', companyData);
+      return response.data.company;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create company');
+    }
+  }
+);
+
+export const updateCompany = createAsyncThunk(
+  'company/updateCompany',
+  async ({ companyId, ...companyData }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/companies/${companyId}`, companyData);
+      return response.data.company;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update company');
+    }
+  }
+);
+
+export const uploadCompanyImage = createAsyncThunk(
+  'company/uploadCompanyImage',
+  async ({ companyId, kind, file }, { rejectWithValue }) => {
+    try {
+      const formData = new FormData();
+      formData.append('image', file);
+
+      const response = await api.post(`/companies/${companyId}/${kind}`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return { kind, url: response.data[kind] };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Image upload failed');
+    }
+  }
+);
+
+export const addCompanyMember = createAsyncThunk(
+  'company/addCompanyMember',
+  async ({ companyId, userId, role }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/companies/${companyId}/members`, { userId, role });
+      return response.data.company;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add member');
+    }
+  }
+);
+
+export const removeCompanyMember = createAsyncThunk(
+  'company/removeCompanyMember',
+  async ({ companyId, userId }, { rejectWithValue }) => {
+    try {
+      await api.delete(`/companies/${companyId}/members/${userId}`);
+      return userId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to remove member');
+    }
+  }
+);
+
+export const followCompany = createAsyncThunk(
+  'company/followCompany',
+  async (companyId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/companies/${companyId}/follow`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to follow company');
+    }
+  }
+);
+
+export const unfollowCompany = createAsyncThunk(
+  'company/unfollowCompany',
+  async (companyId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/companies/${companyId}/follow`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to unfollow company');
+    }
+  }
+);
+
+const initialState = {
+  companies: [],
+  myCompanies: [],
+  currentCompany: null,
+  companyJobs: [],
+  loading: false,
+  error: null
+};
+
+const setFollowing = (state, { isFollowing, followerCount }) => {
+  if (state.currentCompany) {
+    state.currentCompany.isFollowing = isFollowing;
+    state.currentCompany.followerCount = followerCount;
+  }
+};
+
+const companySlice = createSlice({
+  name: 'company',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearCurrentCompany: (state) => {
+      state.currentCompany = null;
+      state.companyJobs = [];
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getCompanies.fulfilled, (state, action) => {
+        state.companies = Array.isArray(action.payload?.companies) ? action.payload.companies : [];
+      })
+      .addCase(getMyCompanies.fulfilled, (state, action) => {
+        state.myCompanies = Array.isArray(action.payload) ? action.payload : [];
+      })
+      .addCase(getCompany.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getCompany.fulfilled, (state, action) => {
+        state.loading = false;
+        state.currentCompany = action.payload;
+      })
+      .addCase(getCompany.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(getCompanyJobs.fulfilled, (state, action) => {
+        state.companyJobs = Array.isArray(action.payload?.jobs) ? action.payload.jobs : [];
+      })
+      .addCase(createCompany.fulfilled, (state, action) => {
+        state.myCompanies = [...state.myCompanies, action.payload];
+      })
+      .addCase(updateCompany.fulfilled, (state, action) => {
+        if (state.currentCompany && state.currentCompany._id === action.payload._id) {
+          state.currentCompany = { ...state.currentCompany, ...action.payload, admins: state.currentCompany.admins, recruiters: state.currentCompany.recruiters };
+        }
+      })
+      .addCase(uploadCompanyImage.fulfilled, (state, action) => {
+        const { kind, url } = action.payload;
+        if (state.currentCompany) {
+          state.currentCompany[kind] = url;
+        }
+      })
+      .addCase(addCompanyMember.fulfilled, (state, action) => {
+        if (state.currentCompany) {
+          state.currentCompany.admins = action.payload.admins;
+          state.currentCompany.recruiters = action.payload.recruiters;
+        }
+      })
+      .addCase(removeCompanyMember.fulfilled, (state, action) => {
+        const userId = action.payload;
+        if (state.currentCompany) {
+          state.currentCompany.admins = state.currentCompany.admins.filter(u => u._id !== userId);
+          state.currentCompany.recruiters = state.currentCompany.recruiters.filter(u => u._id !== userId);
+        }
+      })
+      .addCase(followCompany.fulfilled, (state, action) => {
+        setFollowing(state, action.payload);
+      })
+      .addCase(unfollowCompany.fulfilled, (state, action) => {
+        setFollowing(state, action.payload);
+      });
+  }
+});
+
+export const { clearError, clearCurrentCompany } = companySlice.actions;
+export default companySlice.reducer;
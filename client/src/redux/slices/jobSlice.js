@@ -25,6 +25,19 @@ export const getJobs = createAsyncThunk(
   }
 );
 
+// Jobs for you: each item is { job, matchPercent, matchedSkills, missingSkills }
+export const getRecommendedJobs = createAsyncThunk(
+  'job/getRecommendedJobs',
+  async ({ limit = 20 } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/jobs/recommended', { params: { limit } });
+      return response.data.recommendations;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch recommended jobs');
+    }
+  }
+);
+
 export const getJob = createAsyncThunk(
   'job/getJob',
   async (jobId, { rejectWithValue }) => {
@@ -116,7 +129,7 @@ export const getJobApplications = createAsyncThunk(
   async (jobId, { rejectWithValue }) => {
     try {
       const response = await api.get(`/jobs/${jobId}/applications`);
-      return { jobId, applications: response.data.applications };
+      return { jobId, applications: response.data.applications, pipelineStages: response.data.pipelineStages };
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch job applications');
     }
@@ -135,12 +148,100 @@ export const updateApplicationStatus = createAsyncThunk(
   }
 );
 
+export const moveApplicationStage = createAsyncThunk(
+  'job/moveApplicationStage',
+  async ({ jobId, applicationId, stage, note }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/jobs/${jobId}/applications/${applicationId}/stage`, { stage, note });
+      return { jobId, applicationId, application: response.data.application };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to move application');
+    }
+  }
+);
+
+export const updateJobPipeline = createAsyncThunk(
+  'job/updateJobPipeline',
+  async ({ jobId, stages }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/jobs/${jobId}/pipeline`, { stages });
+      return { jobId, pipelineStages: response.data.pipelineStages };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update pipeline');
+    }
+  }
+);
+
+export const withdrawApplication = createAsyncThunk(
+  'job/withdrawApplication',
+  async ({ jobId, applicationId }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/jobs/${jobId}/applications/${applicationId}/withdraw`);
+      return { jobId, applicationId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to withdraw application');
+    }
+  }
+);
+
+// Saved job searches ("job alerts")
+export const getJobAlerts = createAsyncThunk(
+  'job/getJobAlerts',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/jobs/alerts');
+      return response.data.alerts;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch job alerts');
+    }
+  }
+);
+
+export const createJobAlert = createAsyncThunk(
+  'job/createJobAlert',
+  async ({ name, filters, frequency }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/jobs/alerts', { name, filters, frequency });
+      return response.data.alert;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save job alert');
+    }
+  }
+);
+
+export const updateJobAlert = createAsyncThunk(
+  'job/updateJobAlert',
+  async ({ alertId, ...changes }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/jobs/alerts/${alertId}`, changes);
+      return response.data.alert;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update job alert');
+    }
+  }
+);
+
+export const deleteJobAlert = createAsyncThunk(
+  'job/deleteJobAlert',
+  async (alertId, { rejectWithValue }) => {
+    try {
+      await api.delete(`/jobs/alerts/${alertId}`);
+      return alertId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete job alert');
+    }
+  }
+);
+
 const initialState = {
   jobs: [],
   savedJobs: [],
   appliedJobs: [],
   currentJob: null,
   searchResults: [],
+  recommendations: [],
+  recommendationsLoading: false,
+  alerts: [],
   loading: false,
   error: null
 };
@@ -192,6 +293,29 @@ const jobSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      .addCase(getRecommendedJobs.pending, (state) => {
+        state.recommendationsLoading = true;
+      })
+      .addCase(getRecommendedJobs.fulfilled, (state, action) => {
+        state.recommendationsLoading = false;
+        state.recommendations = Array.isArray(action.payload) ? action.payload : [];
+      })
+      .addCase(getRecommendedJobs.rejected, (state, action) => {
+        state.recommendationsLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(getJobAlerts.fulfilled, (state, action) => {
+        state.alerts = Array.isArray(action.payload) ? action.payload : [];
+      })
+      .addCase(createJobAlert.fulfilled, (state, action) => {
+        state.alerts = [action.payload, ...state.alerts];
+      })
+      .addCase(updateJobAlert.fulfilled, (state, action) => {
+        state.alerts = state.alerts.map(alert => alert._id === action.payload._id ? action.payload : alert);
+      })
+      .addCase(deleteJobAlert.fulfilled, (state, action) => {
+        state.alerts = state.alerts.filter(alert => alert._id !== action.payload);
+      })
       .addCase(getJob.fulfilled, (state, action) => {
         state.currentJob = action.payload;
       })
@@ -201,6 +325,7 @@ const jobSlice = createSlice({
         if (job) {
           job.hasApplied = true;
         }
+        state.recommendations = state.recommendations.filter(item => item.job._id !== jobId);
       })
       .addCase(saveJob.fulfilled, (state, action) => {
         const { jobId, saved } = action.payload;
@@ -235,10 +360,43 @@ const jobSlice = createSlice({
         state.jobs = state.jobs.filter(job => job._id !== jobId);
       })
       .addCase(getJobApplications.fulfilled, (state, action) => {
-        const { jobId, applications } = action.payload;
+        const { jobId, applications, pipelineStages } = action.payload;
         const job = state.jobs.find(j => j._id === jobId);
         if (job) {
           job.applications = applications;
+          if (pipelineStages) {
+            job.pipelineStages = pipelineStages;
+          }
+        }
+      })
+      .addCase(moveApplicationStage.fulfilled, (state, action) => {
+        const { jobId, applicationId, application } = action.payload;
+        const job = state.jobs.find(j => j._id === jobId);
+        if (job && job.applications) {
+          const existing = job.applications.find(app => app._id === applicationId);
+          if (existing) {
+            existing.stage = application.stage;
+            existing.status = application.status;
+            existing.stageHistory = application.stageHistory;
+          }
+        }
+      })
+      .addCase(updateJobPipeline.fulfilled, (state, action) => {
+        const { jobId, pipelineStages } = action.payload;
+        const job = state.jobs.find(j => j._id === jobId);
+        if (job) {
+          job.pipelineStages = pipelineStages;
+        }
+      })
+      .addCase(withdrawApplication.fulfilled, (state, action) => {
+        const { jobId, applicationId } = action.payload;
+        const job = state.jobs.find(j => j._id === jobId);
+        if (job && job.applications) {
+          const application = job.applications.find(app => app._id === applicationId);
+          if (application) {
+            application.stage = 'withdrawn';
+            application.status = 'Rejected';
+          }
         }
       })
       .addCase(updateApplicationStatus.fulfilled, (state, action) => {
@@ -51,8 +51,167 @@ export const markConversationAsRead = createAsyncThunk(
   }
 );
 
+export const getGroupConversations = createAsyncThunk(
+  'message/getGroupConversations',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/conversations', { params: { type: 'group' } });
+      return response.data.conversations;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to get group conversations');
+    }
+  }
+);
+
+export const createGroupConversation = createAsyncThunk(
+  'message/createGroupConversation',
+  async ({ name, participantIds }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/conversations', { name, participantIds });
+      return response.data.conversation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create group');
+    }
+  }
+);
+
+export const getGroupMessages = createAsyncThunk(
+  'message/getGroupMessages',
+  async ({ conversationId, page = 1, limit = 50 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/conversations/${conversationId}/messages?page=${page}&limit=${limit}`);
+      return { conversationId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to get messages');
+    }
+  }
+);
+
+export const markGroupAsRead = createAsyncThunk(
+  'message/markGroupAsRead',
+  async (conversationId, { rejectWithValue }) => {
+    try {
+      await api.put(`/conversations/${conversationId}/read`);
+      return conversationId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to mark conversation as read');
+    }
+  }
+);
+
+export const renameGroup = createAsyncThunk(
+  'message/renameGroup',
+  async ({ conversationId, name }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/conversations/${conversationId}`, { name });
+      return response.data.conversation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to rename group');
+    }
+  }
+);
+
+export const addGroupParticipants = createAsyncThunk(
+  'message/addGroupParticipants',
+  async ({ conversationId, userIds }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/conversations/${conversationId}/participants`, { userIds });
+      return response.data.conversation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add participants');
+    }
+  }
+);
+
+export const removeGroupParticipant = createAsyncThunk(
+  'message/removeGroupParticipant',
+  async ({ conversationId, userId }, { getState, rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/conversations/${conversationId}/participants/${userId}`);
+      const left = getState().auth.user?._id === userId;
+      return { conversationId, left, conversation: response.data.conversation };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to remove participant');
+    }
+  }
+);
+
+export const promoteGroupAdmin = createAsyncThunk(
+  'message/promoteGroupAdmin',
+  async ({ conversationId, userId }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/conversations/${conversationId}/admins`, { userId });
+      return response.data.conversation;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to promote participant');
+    }
+  }
+);
+
+// Muting stops notifications for a conversation; messages still arrive
+export const setConversationMuted = createAsyncThunk(
+  'message/setConversationMuted',
+  async ({ conversationId, muted }, { rejectWithValue }) => {
+    try {
+      const response = muted
+        ? await api.post(`/conversations/${conversationId}/mute`)
+        : await api.delete(`/conversations/${conversationId}/mute`);
+      return { conversationId, isMuted: response.data.isMuted };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update conversation');
+    }
+  }
+);
+
+const idOf = (value) => (value && value._id) || value;
+
+// Group messages carry no receiverId; direct ones are matched on the other user's id
+const isGroupMessage = (message) => message.isGroup || !message.receiverId;
+
+const belongsToCurrentConversation = (current, message) => {
+  if (!current) return false;
+  if (isGroupMessage(message)) {
+    return !!current.isGroup && idOf(message.conversationId) === current._id;
+  }
+  return !current.isGroup && (
+    idOf(message.senderId) === current._id ||
+    idOf(message.receiverId) === current._id
+  );
+};
+
+// Keep a group at the top of the sidebar with its latest message
+const touchGroup = (state, message, countUnread) => {
+  const index = state.groups.findIndex(group => group._id === idOf(message.conversationId));
+  if (index === -1) return;
+  const group = state.groups.splice(index, 1)[0];
+  group.lastMessage = message;
+  group.lastMessageAt = message.createdAt;
+  if (countUnread && message.messageType !== 'system') {
+    group.unreadCount = (group.unreadCount || 0) + 1;
+  }
+  state.groups.unshift(group);
+};
+
+const upsertGroupState = (state, conversation) => {
+  const index = state.groups.findIndex(group => group._id === conversation._id);
+  if (index === -1) {
+    state.groups.unshift({ ...conversation, unreadCount: conversation.unreadCount || 0 });
+  } else {
+    state.groups[index] = {
+      ...state.groups[index],
+      ...conversation,
+      lastMessage: state.groups[index].lastMessage,
+      unreadCount: state.groups[index].unreadCount
+    };
+  }
+  if (state.currentConversation?._id === conversation._id) {
+    state.currentConversation = { ...state.currentConversation, ...conversation };
+  }
+};
+
 const initialState = {
   conversations: [],
+  groups: [],
   currentConversation: null,
   messages: [],
   loading: false,
@@ -72,13 +231,16 @@ const messageSlice = createSlice({
     },
     addMessage: (state, action) => {
       const message = action.payload;
+      const isCurrent = belongsToCurrentConversation(state.currentConversation, message);
       // Add to current conversation if it matches
-      if (state.currentConversation && (
-        message.senderId === state.currentConversation._id ||
-        message.receiverId === state.currentConversation._id
-      )) {
+      if (isCurrent) {
         state.messages.push(message);
       }
+
+      if (isGroupMessage(message)) {
+        touchGroup(state, message, !isCurrent);
+        return;
+      }
       
       // Update conversations list
       const conversationIndex = state.conversations.findIndex(conv => 
@@ -92,6 +254,46 @@ const messageSlice = createSlice({
         state.conversations.unshift(conversation);
       }
     },
+    upsertGroup: (state, action) => {
+      upsertGroupState(state, action.payload);
+    },
+    removeGroup: (state, action) => {
+      const conversationId = action.payload;
+      state.groups = state.groups.filter(group => group._id !== conversationId);
+      if (state.currentConversation?._id === conversationId) {
+        state.currentConversation = null;
+        state.messages = [];
+      }
+    },
+    // Receipts for the user's own direct messages, from `message:delivered` / `message:read`
+    messagesDelivered: (state, action) => {
+      const { messageIds, deliveredAt } = action.payload;
+      state.messages.forEach((message) => {
+        if (messageIds.includes(message._id) && !message.deliveredAt) {
+          message.deliveredAt = deliveredAt;
+        }
+      });
+    },
+    messagesRead: (state, action) => {
+      const { messageIds, readAt } = action.payload;
+      state.messages.forEach((message) => {
+        if (messageIds.includes(message._id)) {
+          message.isRead = true;
+          message.readAt = readAt;
+          message.deliveredAt = message.deliveredAt || readAt;
+        }
+      });
+    },
+    // The link card for a message, unfurled on the server just after it was sent (`message:preview`)
+    messagePreviewAdded: (state, action) => {
+      const { messageId, linkPreview } = action.payload;
+      const message = state.messages.find(msg => msg._id === messageId);
+      if (message) {
+        message.linkPreview = linkPreview;
+        message.messageType = 'link';
+        message.mediaUrl = linkPreview.url;
+      }
+    },
     updateUnreadCount: (state, action) => {
       const { conversationId, count } = action.payload;
       const conversationIndex = state.conversations.findIndex(conv => conv._id === conversationId);
@@ -120,12 +322,14 @@ const messageSlice = createSlice({
         const message = action.payload;
         if (message) {
           // Add to current conversation if it matches
-          if (state.currentConversation && (
-            message.senderId === state.currentConversation._id ||
-            message.receiverId === state.currentConversation._id
-          )) {
+          if (belongsToCurrentConversation(state.currentConversation, message)) {
             state.messages.push(message);
           }
+
+          if (isGroupMessage(message)) {
+            touchGroup(state, message, false);
+            return;
+          }
           
           // Update conversations list
           const conversationIndex = state.conversations.findIndex(conv => 
@@ -178,6 +382,67 @@ const messageSlice = createSlice({
         if (conversationIndex !== -1) {
           state.conversations[conversationIndex].unreadCount = 0;
         }
+      })
+      // Group conversations
+      .addCase(getGroupConversations.fulfilled, (state, action) => {
+        state.groups = Array.isArray(action.payload) ? action.payload : [];
+      })
+      .addCase(createGroupConversation.fulfilled, (state, action) => {
+        upsertGroupState(state, action.payload);
+      })
+      .addCase(getGroupMessages.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getGroupMessages.fulfilled, (state, action) => {
+        state.loading = false;
+        state.messages = action.payload.messages || [];
+        const group = state.groups.find(g => g._id === action.payload.conversationId);
+        if (group) {
+          group.unreadCount = 0;
+        }
+      })
+      .addCase(getGroupMessages.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(markGroupAsRead.fulfilled, (state, action) => {
+        const group = state.groups.find(g => g._id === action.payload);
+        if (group) {
+          group.unreadCount = 0;
+        }
+      })
+      .addCase(renameGroup.fulfilled, (state, action) => {
+        upsertGroupState(state, action.payload);
+      })
+      .addCase(addGroupParticipants.fulfilled, (state, action) => {
+        upsertGroupState(state, action.payload);
+      })
+      .addCase(promoteGroupAdmin.fulfilled, (state, action) => {
+        upsertGroupState(state, action.payload);
+      })
+      .addCase(setConversationMuted.fulfilled, (state, action) => {
+        const { conversationId, isMuted } = action.payload;
+        const group = state.groups.find(g => g._id === conversationId);
+        if (group) {
+          group.isMuted = isMuted;
+        }
+        const direct = state.conversations.find(c => idOf(c.conversationId) === conversationId);
+        if (direct) {
+          direct.isMuted = isMuted;
+        }
+      })
+      .addCase(removeGroupParticipant.fulfilled, (state, action) => {
+        const { conversationId, left, conversation } = action.payload;
+        if (left) {
+          state.groups = state.groups.filter(group => group._id !== conversationId);
+          if (state.currentConversation?._id === conversationId) {
+            state.currentConversation = null;
+            state.messages = [];
+          }
+        } else {
+          upsertGroupState(state, conversation);
+        }
       });
   }
 });
@@ -187,7 +452,12 @@ export const {
   setCurrentConversation, 
   addMessage, 
   updateUnreadCount, 
-  markMessageAsRead 
+  markMessageAsRead,
+  messagesDelivered,
+  messagesRead,
+  messagePreviewAdded,
+  upsertGroup,
+  removeGroup
 } = messageSlice.actions;
 
 export default messageSlice.reducer;
@@ -50,9 +50,48 @@ export const deleteNotification = createAsyncThunk(
   }
 );
 
+// Channels per type ({ inApp, email, push }), muted conversations and quiet hours
+export const getNotificationPreferences = createAsyncThunk(
+  'notification/getNotificationPreferences',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/notifications/preferences');
+      return response.data.preferences;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch notification preferences');
+    }
+  }
+);
+
+export const updateNotificationPreferences = createAsyncThunk(
+  'notification/updateNotificationPreferences',
+  async (changes, { rejectWithValue }) => {
+    try {
+      const response = await api.put('/notifications/preferences', changes);
+      return response.data.preferences;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update notification preferences');
+    }
+  }
+);
+
+// Works signed out: the token from the digest email identifies the user
+export const unsubscribeFromDigest = createAsyncThunk(
+  'notification/unsubscribeFromDigest',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/notifications/digest/unsubscribe', { token });
+      return response.data.message;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to unsubscribe');
+    }
+  }
+);
+
 const initialState = {
   notifications: [],
   unreadCount: 0,
+  preferences: null,
   loading: false,
   error: null,
   pagination: {
@@ -77,6 +116,15 @@ const notificationSlice = createSlice({
       // Increment unread count
       state.unreadCount += 1;
     },
+    // A grouped notification gained a member ("Alice and 3 others..."): replace it and move it to the top
+    updateNotification: (state, action) => {
+      const notification = action.payload;
+      const existing = state.notifications.find(n => n._id === notification._id);
+      if (existing?.isRead !== false && !notification.isRead) {
+        state.unreadCount += 1;
+      }
+      state.notifications = [notification, ...state.notifications.filter(n => n._id !== notification._id)];
+    },
     markNotificationAsReadLocal: (state, action) => {
       const notificationId = action.payload;
       const notification = state.notifications.find(n => n._id === notificationId);
@@ -139,6 +187,12 @@ const notificationSlice = createSlice({
         });
         state.unreadCount = 0;
       })
+      .addCase(getNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
       // Delete notification
       .addCase(deleteNotification.fulfilled, (state, action) => {
         const notificationId = action.payload;
@@ -154,6 +208,7 @@ const notificationSlice = createSlice({
 export const { 
   clearError, 
   addNotification, 
+  updateNotification,
   markNotificationAsReadLocal, 
   markAllNotificationsAsReadLocal,
   removeNotification
@@ -35,6 +35,7 @@ export const createPost = createAsyncThunk(
           images: Array.isArray(postData.images) ? postData.images : [],
           videos: Array.isArray(postData.videos) ? postData.videos : []
         };
+        if (postData.poll) jsonPayload.poll = postData.poll;
         response = await api.post('/posts', jsonPayload);
       }
       // Return the created post object directly
@@ -45,11 +46,12 @@ export const createPost = createAsyncThunk(
   }
 );
 
+// Pass the previous page's `nextCursor` to append the next page
 export const getFeed = createAsyncThunk(
   'post/getFeed',
-  async (userId, { rejectWithValue }) => {
+  async ({ userId, mode = 'ranked', cursor }, { rejectWithValue }) => {
     try {
-      const response = await api.get(`/posts/feed/${userId}`);
+      const response = await api.get(`/posts/feed/${userId}`, { params: { mode, cursor } });
       return response.data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch feed');
@@ -57,6 +59,31 @@ export const getFeed = createAsyncThunk(
   }
 );
 
+// Shown in place of the feed; pass `page` above 1 to append
+export const getHashtagPosts = createAsyncThunk(
+  'post/getHashtagPosts',
+  async ({ tag, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/posts/hashtag/${encodeURIComponent(tag)}`, { params: { page } });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch hashtag posts');
+    }
+  }
+);
+
+export const getTrendingHashtags = createAsyncThunk(
+  'post/getTrendingHashtags',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/posts/hashtags/trending');
+      return response.data.hashtags;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch trending hashtags');
+    }
+  }
+);
+
 export const getUserPosts = createAsyncThunk(
   'post/getUserPosts',
   async (userId, { rejectWithValue }) => {
@@ -106,6 +133,104 @@ export const deleteComment = createAsyncThunk(
   }
 );
 
+export const getComments = createAsyncThunk(
+  'post/getComments',
+  async ({ postId, page }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/posts/${postId}/comments`, { params: { page } });
+      return { postId, page, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch comments');
+    }
+  }
+);
+
+export const editComment = createAsyncThunk(
+  'post/editComment',
+  async ({ postId, commentId, text }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/comment/${commentId}`, { text });
+      return { postId, comment: response.data.comment };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to edit comment');
+    }
+  }
+);
+
+export const likeComment = createAsyncThunk(
+  'post/likeComment',
+  async ({ postId, commentId }, { rejectWithValue, getState }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/comment/${commentId}/like`);
+      const currentUserId = getState().auth.user?._id;
+      return { postId, commentId, currentUserId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to like comment');
+    }
+  }
+);
+
+export const getReplies = createAsyncThunk(
+  'post/getReplies',
+  async ({ postId, commentId, page }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/posts/${postId}/comment/${commentId}/replies`, { params: { page } });
+      return { postId, commentId, page, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch replies');
+    }
+  }
+);
+
+export const addReply = createAsyncThunk(
+  'post/addReply',
+  async ({ postId, commentId, text }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/comment/${commentId}/replies`, { text });
+      return { postId, commentId, reply: response.data.reply };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to add reply');
+    }
+  }
+);
+
+export const editReply = createAsyncThunk(
+  'post/editReply',
+  async ({ postId, commentId, replyId, text }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/comment/${commentId}/replies/${replyId}`, { text });
+      return { postId, commentId, reply: response.data.reply };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to edit reply');
+    }
+  }
+);
+
+export const likeReply = createAsyncThunk(
+  'post/likeReply',
+  async ({ postId, commentId, replyId }, { rejectWithValue, getState }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/comment/${commentId}/replies/${replyId}/like`);
+      const currentUserId = getState().auth.user?._id;
+      return { postId, commentId, replyId, currentUserId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to like reply');
+    }
+  }
+);
+
+export const deleteReply = createAsyncThunk(
+  'post/deleteReply',
+  async ({ postId, commentId, replyId }, { rejectWithValue }) => {
+    try {
+      await api.delete(`/posts/${postId}/comment/${commentId}/replies/${replyId}`);
+      return { postId, commentId, replyId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete reply');
+    }
+  }
+);
+
 export const deletePost = createAsyncThunk(
   'post/deletePost',
   async (postId, { rejectWithValue }) => {
@@ -167,9 +292,55 @@ export const getPostsAdmin = createAsyncThunk(
   }
 );
 
+export const votePoll = createAsyncThunk(
+  'post/votePoll',
+  async ({ postId, optionIds }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/poll/vote`, { optionIds });
+      return { postId, poll: response.data.poll };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to vote');
+    }
+  }
+);
+
+// Who picked each option; only the poll's author may ask
+export const getPollVoters = createAsyncThunk(
+  'post/getPollVoters',
+  async (postId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/posts/${postId}/poll/voters`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load voters');
+    }
+  }
+);
+
+// Adds `items` to `list` by id, keeping threads in the order they were written
+const mergeById = (list = [], items = []) => {
+  const byId = new Map(list.map(item => [item._id, item]));
+  items.forEach(item => byId.set(item._id, item));
+  return [...byId.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+const findComment = (state, postId, commentId) =>
+  state.feed.find(p => p._id === postId)?.comments?.find(c => c._id === commentId);
+
+// Likes are user ids; add or remove the current user's
+const setLiked = (item, isLiked, currentUserId) => {
+  const likes = (item.likes || []).filter(id => id !== currentUserId);
+  item.likes = isLiked ? [...likes, currentUserId] : likes;
+};
+
 const initialState = {
   posts: [],
   feed: [],
+  // 'ranked', 'latest', or 'hashtag' while the feed shows posts for `feedTag`
+  feedMode: 'ranked',
+  feedTag: null,
+  trendingHashtags: [],
+  loadingMore: false,
   userPosts: [],
   searchResults: [],
   loading: false,
@@ -199,6 +370,22 @@ const postSlice = createSlice({
     clearCurrentPost: (state) => {
       state.currentPost = null;
     },
+    // Live results from `poll:update`, which only voters and the author receive
+    pollResultsUpdated: (state, action) => {
+      const { postId, voterCount, options } = action.payload;
+      const poll = state.feed.find(p => p._id === postId)?.poll;
+      if (!poll) return;
+      poll.voterCount = voterCount;
+      options.forEach(({ _id, voteCount, percentage }) => {
+        const option = poll.options.find(o => o._id === _id);
+        if (option) Object.assign(option, { voteCount, percentage });
+      });
+    },
+    postPreviewUpdated: (state, action) => {
+      const { postId, linkPreview } = action.payload;
+      const post = state.feed.find(p => p._id === postId);
+      if (post) post.linkPreview = linkPreview || undefined;
+    },
     addPostToFeed: (state, action) => {
       state.feed.unshift(action.payload);
     },
@@ -228,26 +415,65 @@ const postSlice = createSlice({
         state.error = action.payload;
       })
       // Get feed
-      .addCase(getFeed.pending, (state) => {
-        state.loading = true;
+      .addCase(getFeed.pending, (state, action) => {
+        if (action.meta.arg.cursor) {
+          state.loadingMore = true;
+        } else {
+          state.loading = true;
+          state.feedMode = action.meta.arg.mode || 'ranked';
+          state.feedTag = null;
+        }
         state.error = null;
       })
       .addCase(getFeed.fulfilled, (state, action) => {
         state.loading = false;
-        console.log('Feed data received:', action.payload);
-        // Handle new response format with posts and pagination
-        if (action.payload && action.payload.posts) {
-          state.feed = action.payload.posts;
-          state.pagination = action.payload.pagination || {};
+        state.loadingMore = false;
+        const posts = Array.isArray(action.payload?.posts) ? action.payload.posts : [];
+        if (action.meta.arg.cursor) {
+          // A ranked post can reappear if its score changed between pages
+          const seen = new Set(state.feed.map(post => post._id));
+          state.feed.push(...posts.filter(post => !seen.has(post._id)));
         } else {
-          // Fallback for old format
-          state.feed = action.payload;
+          state.feed = posts;
         }
+        state.pagination = action.payload?.pagination || {};
       })
       .addCase(getFeed.rejected, (state, action) => {
         state.loading = false;
+        state.loadingMore = false;
         state.error = action.payload;
       })
+      // Hashtag posts
+      .addCase(getHashtagPosts.pending, (state, action) => {
+        if (action.meta.arg.page > 1) {
+          state.loadingMore = true;
+        } else {
+          state.loading = true;
+          state.feedMode = 'hashtag';
+          state.feedTag = action.meta.arg.tag;
+        }
+        state.error = null;
+      })
+      .addCase(getHashtagPosts.fulfilled, (state, action) => {
+        state.loading = false;
+        state.loadingMore = false;
+        const posts = action.payload.posts || [];
+        if (action.meta.arg.page > 1) {
+          const seen = new Set(state.feed.map(post => post._id));
+          state.feed.push(...posts.filter(post => !seen.has(post._id)));
+        } else {
+          state.feed = posts;
+        }
+        state.pagination = action.payload.pagination || {};
+      })
+      .addCase(getHashtagPosts.rejected, (state, action) => {
+        state.loading = false;
+        state.loadingMore = false;
+        state.error = action.payload;
+      })
+      .addCase(getTrendingHashtags.fulfilled, (state, action) => {
+        state.trendingHashtags = action.payload || [];
+      })
       // Get user posts
       .addCase(getUserPosts.pending, (state) => {
         state.loading = true;
@@ -275,6 +501,11 @@ const postSlice = createSlice({
           }
         }
       })
+      .addCase(votePoll.fulfilled, (state, action) => {
+        const { postId, poll } = action.payload;
+        const post = state.feed.find(p => p._id === postId);
+        if (post) post.poll = poll;
+      })
       // Add comment
       .addCase(addComment.fulfilled, (state, action) => {
         const { postId, comment } = action.payload;
@@ -282,6 +513,7 @@ const postSlice = createSlice({
         if (post) {
           if (!Array.isArray(post.comments)) post.comments = [];
           post.comments.push(comment);
+          post.commentCount = (post.commentCount ?? post.comments.length - 1) + 1;
         }
       })
       // Delete comment
@@ -290,6 +522,70 @@ const postSlice = createSlice({
         const post = state.feed.find(p => p._id === postId);
         if (post) {
           post.comments = post.comments.filter(c => c._id !== commentId);
+          if (post.commentCount) post.commentCount -= 1;
+        }
+      })
+      // Comment threads
+      .addCase(getComments.fulfilled, (state, action) => {
+        const { postId, page, comments, pagination } = action.payload;
+        const post = state.feed.find(p => p._id === postId);
+        if (post) {
+          post.comments = mergeById(post.comments, comments);
+          post.commentsPage = page;
+          post.hasMoreComments = Boolean(pagination?.hasNext);
+        }
+      })
+      .addCase(editComment.fulfilled, (state, action) => {
+        const { postId, comment } = action.payload;
+        const existing = findComment(state, postId, comment._id);
+        if (existing) {
+          existing.text = comment.text;
+          existing.isEdited = comment.isEdited;
+          existing.editedAt = comment.editedAt;
+        }
+      })
+      .addCase(likeComment.fulfilled, (state, action) => {
+        const { postId, commentId, isLiked, currentUserId } = action.payload;
+        const comment = findComment(state, postId, commentId);
+        if (comment) setLiked(comment, isLiked, currentUserId);
+      })
+      .addCase(getReplies.fulfilled, (state, action) => {
+        const { postId, commentId, page, replies, pagination } = action.payload;
+        const comment = findComment(state, postId, commentId);
+        if (comment) {
+          comment.replies = mergeById(comment.replies, replies);
+          comment.repliesPage = page;
+          comment.hasMoreReplies = Boolean(pagination?.hasNext);
+        }
+      })
+      .addCase(addReply.fulfilled, (state, action) => {
+        const { postId, commentId, reply } = action.payload;
+        const comment = findComment(state, postId, commentId);
+        if (comment) {
+          comment.replies = mergeById(comment.replies, [reply]);
+          comment.replyCount = (comment.replyCount ?? comment.replies.length - 1) + 1;
+        }
+      })
+      .addCase(editReply.fulfilled, (state, action) => {
+        const { postId, commentId, reply } = action.payload;
+        const existing = findComment(state, postId, commentId)?.replies?.find(r => r._id === reply._id);
+        if (existing) {
+          existing.text = reply.text;
+          existing.isEdited = reply.isEdited;
+          existing.editedAt = reply.editedAt;
+        }
+      })
+      .addCase(likeReply.fulfilled, (state, action) => {
+        const { postId, commentId, replyId, isLiked, currentUserId } = action.payload;
+        const reply = findComment(state, postId, commentId)?.replies?.find(r => r._id === replyId);
+        if (reply) setLiked(reply, isLiked, currentUserId);
+      })
+      .addCase(deleteReply.fulfilled, (state, action) => {
+        const { postId, commentId, replyId } = action.payload;
+        const comment = findComment(state, postId, commentId);
+        if (comment) {
+          comment.replies = comment.replies.filter(r => r._id !== replyId);
+          if (comment.replyCount) comment.replyCount -= 1;
         }
       })
       // Share post
@@ -350,6 +646,8 @@ export const {
   clearSearchResults,
   setCurrentPost,
   clearCurrentPost,
+  pollResultsUpdated,
+  postPreviewUpdated,
   addPostToFeed,
   updatePostInFeed,
   removePostFromFeed
@@ -0,0 +1,55 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../utils/axios';
+
+// The server answers at most this many ids per request
+const PRESENCE_BATCH_SIZE = 100;
+
+// Online status and last-seen for the given users; only connections come back
+export const getPresence = createAsyncThunk(
+  'presence/getPresence',
+  async (userIds, { rejectWithValue }) => {
+    try {
+      const ids = [...new Set(userIds.filter(Boolean))];
+      const batches = [];
+      for (let i = 0; i < ids.length; i += PRESENCE_BATCH_SIZE) {
+        batches.push(ids.slice(i, i + PRESENCE_BATCH_SIZE));
+      }
+      const responses = await Promise.all(batches.map((batch) =>
+        api.get('/users/presence', { params: { ids: batch.join(',') } })
+      ));
+      return responses.reduce((presence, response) => ({ ...presence, ...response.data.presence }), {});
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch presence');
+    }
+  }
+);
+
+const initialState = {
+  // { [userId]: { isOnline, lastSeen } }
+  byUser: {}
+};
+
+const presenceSlice = createSlice({
+  name: 'presence',
+  initialState,
+  reducers: {
+    // From the `user_status_change` socket event
+    setUserStatus: (state, action) => {
+      const { userId, status, lastSeen } = action.payload;
+      state.byUser[userId] = {
+        isOnline: status === 'online',
+        lastSeen: status === 'online' ? null : lastSeen || new Date().toISOString()
+      };
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getPresence.fulfilled, (state, action) => {
+        Object.assign(state.byUser, action.payload);
+      });
+  }
+});
+
+export const { setUserStatus } = presenceSlice.actions;
+
+export default presenceSlice.reducer;
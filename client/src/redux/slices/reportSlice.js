@@ -0,0 +1,123 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import api from '../../utils/axios';
+
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'misinformation', label: 'False information' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'impersonation', label: 'Impersonation' },
+  { value: 'other', label: 'Something else' }
+];
+
+// Report endpoints live next to the content they're about
+const reportUrl = ({ targetType, targetId, postId }) => {
+  switch (targetType) {
+    case 'comment':
+      return `/posts/${postId}/comment/${targetId}/report`;
+    case 'job':
+      return `/jobs/${targetId}/report`;
+    case 'user':
+      return `/users/${targetId}/report`;
+    default:
+      return `/posts/${targetId}/report`;
+  }
+};
+
+export const submitReport = createAsyncThunk(
+  'report/submitReport',
+  async ({ reason, details, ...target }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(reportUrl(target), { reason, details });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to submit report');
+    }
+  }
+);
+
+// Admin moderation queue
+export const getReportQueue = createAsyncThunk(
+  'report/getReportQueue',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/reports', { params });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch reports');
+    }
+  }
+);
+
+export const resolveReports = createAsyncThunk(
+  'report/resolveReports',
+  async ({ targetType, targetId, action, note }, { rejectWithValue }) => {
+    try {
+      await api.put(`/admin/reports/${targetType}/${targetId}/resolve`, { action, note });
+      return { targetType, targetId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to resolve reports');
+    }
+  }
+);
+
+export const dismissReports = createAsyncThunk(
+  'report/dismissReports',
+  async ({ targetType, targetId, note }, { rejectWithValue }) => {
+    try {
+      await api.put(`/admin/reports/${targetType}/${targetId}/dismiss`, { note });
+      return { targetType, targetId };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to dismiss reports');
+    }
+  }
+);
+
+const initialState = {
+  queue: [],
+  pagination: null,
+  loading: false,
+  error: null
+};
+
+// Closed entries drop out of the open queue
+const removeFromQueue = (state, { targetType, targetId }) => {
+  state.queue = state.queue.filter(entry => !(entry.targetType === targetType && entry.targetId === targetId));
+};
+
+const reportSlice = createSlice({
+  name: 'report',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(getReportQueue.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getReportQueue.fulfilled, (state, action) => {
+        state.loading = false;
+        state.queue = Array.isArray(action.payload?.reports) ? action.payload.reports : [];
+        state.pagination = action.payload?.pagination || null;
+      })
+      .addCase(getReportQueue.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(resolveReports.fulfilled, (state, action) => {
+        removeFromQueue(state, action.payload);
+      })
+      .addCase(dismissReports.fulfilled, (state, action) => {
+        removeFromQueue(state, action.payload);
+      });
+  }
+});
+
+export const { clearError } = reportSlice.actions;
+export default reportSlice.reducer;
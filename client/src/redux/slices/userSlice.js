@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import api from '../../utils/axios';
+import { hasPermission } from '../../utils/permissions';
 
 // Async thunks
 export const updateProfile = createAsyncThunk(
@@ -100,6 +101,67 @@ export const removeConnection = createAsyncThunk(
   }
 );
 
+export const followUser = createAsyncThunk(
+  'user/followUser',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/users/${userId}/follow`);
+      return { userId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to follow user');
+    }
+  }
+);
+
+export const unfollowUser = createAsyncThunk(
+  'user/unfollowUser',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/users/${userId}/follow`);
+      return { userId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to unfollow user');
+    }
+  }
+);
+
+// `list` is 'followers' or 'following'; results are returned rather than stored
+export const getFollowList = createAsyncThunk(
+  'user/getFollowList',
+  async ({ userId, list, page = 1, limit = 20 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/users/${userId}/${list}`, { params: { page, limit } });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load list');
+    }
+  }
+);
+
+export const getSuggestions = createAsyncThunk(
+  'user/getSuggestions',
+  async ({ limit = 6 } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/users/suggestions', { params: { limit } });
+      return response.data.suggestions;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to load suggestions');
+    }
+  }
+);
+
+export const dismissSuggestion = createAsyncThunk(
+  'user/dismissSuggestion',
+  async (userId, { rejectWithValue }) => {
+    try {
+      await api.post(`/users/suggestions/${userId}/dismiss`);
+      return userId;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to dismiss suggestion');
+    }
+  }
+);
+
 export const getNetworkUsers = createAsyncThunk(
   'user/getNetworkUsers',
   async ({ page = 1, limit = 20 }, { rejectWithValue }) => {
@@ -117,8 +179,8 @@ export const getConnections = createAsyncThunk(
   async (_, { rejectWithValue, getState }) => {
     try {
       const { auth } = getState();
-      // If user is admin, get all users; otherwise get connections
-      if (auth.user?.role === 'admin') {
+      // Users who can message anyone get all users; otherwise get connections
+      if (hasPermission(auth.user, 'messages:unrestricted')) {
         const response = await api.get('/users/admin');
         return { connections: response.data.users };
       } else {
@@ -214,7 +276,7 @@ export const getUsers = createAsyncThunk(
   async (_, { rejectWithValue, getState }) => {
     try {
       const { auth } = getState();
-      const isAdmin = auth.user?.role === 'admin';
+      const isAdmin = hasPermission(auth.user, 'users:view');
       
       // Use different endpoints for admin vs regular users
       const endpoint = isAdmin ? '/admin/users' : '/users';
@@ -263,17 +325,69 @@ export const unbanUser = createAsyncThunk(
   }
 );
 
+export const getRoles = createAsyncThunk(
+  'user/getRoles',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/admin/roles');
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch roles');
+    }
+  }
+);
+
+export const updateUserRole = createAsyncThunk(
+  'user/updateUserRole',
+  async ({ userId, role }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/admin/users/${userId}`, { role });
+      return response.data.user;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update role');
+    }
+  }
+);
+
+export const getPrivacySettings = createAsyncThunk(
+  'user/getPrivacySettings',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/users/me/privacy');
+      return response.data.privacy;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch privacy settings');
+    }
+  }
+);
+
+export const updatePrivacySettings = createAsyncThunk(
+  'user/updatePrivacySettings',
+  async (changes, { rejectWithValue }) => {
+    try {
+      const response = await api.put('/users/me/privacy', changes);
+      return response.data.privacy;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update privacy settings');
+    }
+  }
+);
+
 const initialState = {
   profile: null,
   connections: [],
   searchResults: [],
   networkUsers: [],
+  suggestions: [], // People you may know, each { user, reason, mutualCount }
   loading: false,
   error: null,
   connectionRequests: [],
   pendingConnections: [],
   users: [], // Add users array for admin functionality
+  roles: [], // Roles and their permissions, for admins assigning roles
+  permissionDescriptions: {},
   connectionStatuses: {}, // Track connection status for each user
+  privacy: null, // { readReceipts }
   pagination: {
     current: 1,
     total: 1,
@@ -282,6 +396,14 @@ const initialState = {
   }
 };
 
+// Mirror a follow change in every list that shows the user
+const setFollowing = (state, userId, isFollowing) => {
+  [state.networkUsers, state.searchResults].forEach(list => {
+    const person = list.find(item => item._id === userId);
+    if (person) person.isFollowing = isFollowing;
+  });
+};
+
 const userSlice = createSlice({
   name: 'user',
   initialState,
@@ -430,6 +552,7 @@ const userSlice = createSlice({
       .addCase(sendConnectionRequest.fulfilled, (state, action) => {
         // Handle connection request sent - update status
         state.error = null;
+        state.suggestions = state.suggestions.filter(suggestion => suggestion.user._id !== action.meta.arg);
       })
       .addCase(acceptConnectionRequest.fulfilled, (state, action) => {
         // Handle connection accepted - update status and add to connections
@@ -443,6 +566,24 @@ const userSlice = createSlice({
         // Handle connection removed - update status
         state.error = null;
       })
+      .addCase(getPrivacySettings.fulfilled, (state, action) => {
+        state.privacy = action.payload;
+      })
+      .addCase(updatePrivacySettings.fulfilled, (state, action) => {
+        state.privacy = action.payload;
+      })
+      .addCase(getSuggestions.fulfilled, (state, action) => {
+        state.suggestions = Array.isArray(action.payload) ? action.payload : [];
+      })
+      .addCase(dismissSuggestion.fulfilled, (state, action) => {
+        state.suggestions = state.suggestions.filter(suggestion => suggestion.user._id !== action.payload);
+      })
+      .addCase(followUser.fulfilled, (state, action) => {
+        setFollowing(state, action.payload.userId, true);
+      })
+      .addCase(unfollowUser.fulfilled, (state, action) => {
+        setFollowing(state, action.payload.userId, false);
+      })
       // Search users
       .addCase(searchUsers.pending, (state) => {
         state.loading = true;
@@ -505,6 +646,17 @@ const userSlice = createSlice({
         if (index !== -1) {
           state.users[index] = updatedUser;
         }
+      })
+      .addCase(getRoles.fulfilled, (state, action) => {
+        state.roles = action.payload?.roles || [];
+        state.permissionDescriptions = action.payload?.permissions || {};
+      })
+      .addCase(updateUserRole.fulfilled, (state, action) => {
+        const updatedUser = action.payload;
+        const index = state.users.findIndex(user => user._id === updatedUser._id);
+        if (index !== -1) {
+          state.users[index] = { ...state.users[index], role: updatedUser.role };
+        }
       });
   }
 });
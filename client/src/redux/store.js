@@ -7,6 +7,11 @@ import jobReducer from './slices/jobSlice';
 import socketReducer from './slices/socketSlice';
 import uiReducer from './slices/uiSlice';
 import notificationReducer from './slices/notificationSlice';
+import companyReducer from './slices/companySlice';
+import reportReducer from './slices/reportSlice';
+import auditReducer from './slices/auditSlice';
+import presenceReducer from './slices/presenceSlice';
+import articleReducer from './slices/articleSlice';
 
 console.log('Initializing Redux store...');
 
@@ -20,6 +25,11 @@ export const store = configureStore({
     socket: socketReducer,
     ui: uiReducer,
     notification: notificationReducer,
+    company: companyReducer,
+    report: reportReducer,
+    audit: auditReducer,
+    presence: presenceReducer,
+    article: articleReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
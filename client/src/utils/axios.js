@@ -47,15 +47,76 @@ api.interceptors.request.use(
   }
 );
 
+// Exchange the stored refresh token for new tokens. `staleRefreshToken` is the one this tab
+// saw fail; if storage holds a different one, another tab has refreshed in the meantime.
+const requestNewTokens = async (staleRefreshToken) => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+  if (refreshToken !== staleRefreshToken && localStorage.getItem('token')) {
+    return localStorage.getItem('token');
+  }
+
+  const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { withCredentials: true });
+  localStorage.setItem('token', response.data.token);
+  // Left out when another tab rotated the token a moment earlier
+  if (response.data.refreshToken) {
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+  }
+  return response.data.token;
+};
+
+// Refresh the access token once for every request that failed with 401 at the same time.
+// Refresh tokens rotate on use and tabs share one, so tabs also take turns through a Web Lock.
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleRefreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (navigator.locks
+      ? navigator.locks.request('auth-refresh', () => requestNewTokens(staleRefreshToken))
+      : requestNewTokens(staleRefreshToken))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const clearSessionAndRedirect = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// Auth endpoints whose 401s mean bad credentials rather than an expired access token
+const isAuthRequest = (url = '') => ['/auth/login', '/auth/register', '/auth/google', '/auth/refresh'].some(path => url.includes(path));
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest(originalRequest.url)) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        clearSessionAndRedirect();
+        return Promise.reject(error);
+      }
+    }
+
+    if (error.response?.status === 401 && !isAuthRequest(originalRequest?.url)) {
+      clearSessionAndRedirect();
     }
     return Promise.reject(error);
   }
@@ -0,0 +1,2 @@
+// Permissions come from the server with the signed-in user (see server/utils/permissions.js)
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
@@ -0,0 +1,57 @@
+import api from './axios';
+
+// Web Push for this browser: the service worker in public/service-worker.js shows
+// notifications even when no tab is open.
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID public keys are base64url; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+const getRegistration = () => navigator.serviceWorker.register('/service-worker.js');
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration('/service-worker.js');
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Ask for permission, subscribe this browser and register it with the server
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const permission = await window.Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+
+  const { data } = await api.get('/push/vapid-public-key');
+  const registration = await getRegistration();
+  await navigator.serviceWorker.ready;
+
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.publicKey)
+    });
+
+  await api.post('/push/subscriptions', { subscription: subscription.toJSON() });
+  return subscription;
+};
+
+// Stop push on this browser, server side first so nothing more is sent here
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await api.delete('/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+};
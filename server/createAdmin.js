@@ -35,6 +35,7 @@ const createAdminUser = async () => {
     console.log('Email: admin@globalconnect.com');
     console.log('Password: admin123456');
     console.log('Please change these credentials after first login');
+    console.log('Two-factor authentication will be set up on first login (required for admin accounts)');
 
   } catch (error) {
     console.error('Error creating admin user:', error);
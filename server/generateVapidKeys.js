@@ -0,0 +1,8 @@
+const { generateVapidKeys } = require('./utils/webPush');
+
+// Prints a new VAPID key pair for Web Push. Put both in config.env; changing them
+// later invalidates every existing browser subscription.
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
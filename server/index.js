@@ -14,8 +14,22 @@ const messageRoutes = require('./routes/messages');
 const jobRoutes = require('./routes/jobs');
 const adminRoutes = require('./routes/admin');
 const notificationRoutes = require('./routes/notifications');
+const companyRoutes = require('./routes/companies');
+const conversationRoutes = require('./routes/conversations');
+const pushRoutes = require('./routes/push');
+const articleRoutes = require('./routes/articles');
+const Conversation = require('./models/Conversation');
+const Message = require('./models/Message');
+const User = require('./models/User');
 
 const { authenticateSocket } = require('./middleware/auth');
+const { sessionRoom } = require('./utils/tokens');
+const { scheduleTask } = require('./utils/scheduler');
+const { sendJobAlertDigests } = require('./utils/jobAlerts');
+const { sendActivityDigests } = require('./utils/activityDigest');
+const { userConnected, userDisconnected } = require('./utils/presence');
+const { MAX_ACK_IDS, markDelivered } = require('./utils/receipts');
+const { toMessagePayload } = require('./utils/conversations');
 
 const app = express();
 const server = http.createServer(app);
@@ -93,6 +107,12 @@ mongoose.connect(MONGODB_URI, {
 .then(() => {
   console.log('Connected to MongoDB');
   global.useMockDB = false;
+
+  // Background jobs; set SCHEDULER_ENABLED=false on extra instances so digests aren't sent twice
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduleTask('job-alert-digests', 60 * 60 * 1000, sendJobAlertDigests);
+    scheduleTask('activity-digests', 60 * 60 * 1000, sendActivityDigests);
+  }
 })
 .catch(err => {
   console.error('MongoDB connection error:', err.message);
@@ -117,6 +137,10 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/articles', articleRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -131,18 +155,57 @@ io.on('connection', (socket) => {
 
   // Join user to their personal room
   socket.join(socket.userId);
+  // Per-session room so revoking a session can drop its sockets
+  socket.join(sessionRoom(socket.sessionId));
+  // Connections see the user come online (once, however many tabs they open)
+  userConnected(io, socket.userId);
+
+  // Direct messages sent while the user was offline reach this client now
+  markDelivered(io, socket.userId)
+    .catch(error => console.error('Error marking messages delivered:', error));
+
+  // Join a room per group conversation; routes keep these in sync as members join or leave
+  Conversation.find({ participants: socket.userId, isGroup: true })
+    .select('_id')
+    .lean()
+    .then(conversations => {
+      conversations.forEach(conversation => socket.join(Conversation.roomFor(conversation._id)));
+    })
+    .catch(error => console.error('Error joining conversation rooms:', error));
+
+  // Only relay to a conversation room the socket is a member of
+  const conversationTarget = (conversationId) => {
+    const room = Conversation.roomFor(conversationId);
+    return socket.rooms.has(room) ? room : null;
+  };
+
+  // Direct traffic only goes to the personal room of someone the user may message. A room
+  // name such as `conversation:<id>` or `session:<id>` is never taken from the client.
+  const directTarget = async (receiverId) => {
+    if (typeof receiverId !== 'string' || !/^[0-9a-f]{24}$/i.test(receiverId)) return null;
+    if (socket.user.hasPermission('messages:unrestricted')) return receiverId;
+    const isConnected = await User.exists({ _id: socket.userId, connections: receiverId });
+    return isConnected ? receiverId : null;
+  };
+
+  const relayTarget = async ({ conversationId, receiverId } = {}) => (
+    conversationId ? conversationTarget(conversationId) : directTarget(receiverId)
+  );
 
   // Handle private messages
   socket.on('send_message', async (data) => {
     try {
-      const { receiverId, content } = data;
+      const { conversationId, content } = data || {};
+      const target = await relayTarget(data);
+      if (!target) return;
       
       // Save message to database (implement in message controller)
       // const message = await saveMessage(socket.userId, receiverId, content);
       
       // Send to receiver if online
-      socket.to(receiverId).emit('receive_message', {
+      socket.to(target).emit('receive_message', {
         senderId: socket.userId,
+        conversationId,
         content,
         timestamp: new Date()
       });
@@ -152,19 +215,32 @@ io.on('connection', (socket) => {
   });
 
   // Handle typing indicators
-  socket.on('typing', (data) => {
-    socket.to(data.receiverId).emit('user_typing', {
-      userId: socket.userId,
-      isTyping: data.isTyping
-    });
+  socket.on('typing', async (data) => {
+    try {
+      const target = await relayTarget(data);
+      if (!target) return;
+      socket.to(target).emit('user_typing', {
+        userId: socket.userId,
+        name: socket.user.name,
+        conversationId: data.conversationId,
+        isTyping: Boolean(data.isTyping)
+      });
+    } catch (error) {
+      console.error('Error relaying typing indicator:', error);
+    }
   });
 
-  // Handle online status
-  socket.on('set_online_status', (status) => {
-    socket.broadcast.emit('user_status_change', {
-      userId: socket.userId,
-      status
-    });
+  // The client acknowledges direct messages it received over the socket
+  socket.on('message:delivered', async (data) => {
+    try {
+      const messageIds = Array.isArray(data?.messageIds)
+        ? data.messageIds.slice(0, MAX_ACK_IDS).filter(id => mongoose.Types.ObjectId.isValid(id))
+        : [];
+      if (messageIds.length === 0) return;
+      await markDelivered(io, socket.userId, { _id: { $in: messageIds } });
+    } catch (error) {
+      console.error('Error marking messages delivered:', error);
+    }
   });
 
   // Handle connection status updates
@@ -173,36 +249,48 @@ io.on('connection', (socket) => {
   });
 
   // Handle connection acceptance
-  socket.on('connection:accepted', (data) => {
-    // Emit to both users involved in the connection
-    if (data.userId) {
-      socket.to(data.userId).emit('connection:accepted', {
-        userId: socket.userId,
-        message: 'Connection request accepted'
-      });
+  socket.on('connection:accepted', async (data) => {
+    try {
+      // Emit to both users involved in the connection
+      const target = await directTarget(data?.userId);
+      if (target) {
+        socket.to(target).emit('connection:accepted', {
+          userId: socket.userId,
+          message: 'Connection request accepted'
+        });
+      }
+    } catch (error) {
+      console.error('Error relaying connection acceptance:', error);
     }
   });
 
-  // Handle new notifications
-  socket.on('notification:new', (data) => {
-    if (data.recipientId) {
-      socket.to(data.recipientId).emit('notification:new', data);
-    }
-  });
+  // Relay a message the user already sent through the API. The payload is rebuilt from the
+  // stored message, so a client can't put words in anyone's mouth.
+  socket.on('message:new', async (data) => {
+    try {
+      const messageId = data?._id;
+      if (typeof messageId !== 'string' || !mongoose.Types.ObjectId.isValid(messageId)) return;
 
-  // Handle new messages
-  socket.on('message:new', (data) => {
-    if (data.receiverId) {
-      socket.to(data.receiverId).emit('message:new', data);
+      const message = await Message.findOne({ _id: messageId, senderId: socket.userId, isDeleted: false });
+      if (!message) return;
+
+      if (message.receiverId) {
+        socket.to(message.receiverId.toString()).emit('message:new', {
+          ...toMessagePayload(message, socket.user),
+          isGroup: false,
+          receiverId: message.receiverId
+        });
+      } else if (message.conversationId && conversationTarget(message.conversationId)) {
+        socket.to(conversationTarget(message.conversationId)).emit('message:new', toMessagePayload(message, socket.user));
+      }
+    } catch (error) {
+      console.error('Error relaying message:', error);
     }
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.userId);
-    socket.broadcast.emit('user_status_change', {
-      userId: socket.userId,
-      status: 'offline'
-    });
+    userDisconnected(io, socket.userId);
   });
 });
 
@@ -0,0 +1,139 @@
+const http = require('http');
+
+// Local pages for trying the link preview unfurler (utils/linkPreview.js) without the internet.
+//
+//   npm run link-preview-fixture                 serve the pages and list their URLs
+//   npm run link-preview-fixture -- --self-test  unfurl each page, check the results and exit
+//
+// The unfurler refuses private addresses and non-default ports, so post these links from an
+// API server started with LINK_PREVIEW_ALLOW_PRIVATE_HOSTS=true.
+
+const PORT = parseInt(process.env.LINK_PREVIEW_FIXTURE_PORT) || 5056;
+
+const page = (head) => `<!doctype html><html><head>${head}</head><body><p>Fixture page</p></body></html>`;
+
+const PAGES = {
+  '/article': page(`
+    <title>Fallback title</title>
+    <meta property="og:title" content="Fixture &amp; friends">
+    <meta property="og:description" content="An OpenGraph description">
+    <meta property="og:image" content="/cover.png">
+    <meta property="og:site_name" content="Fixture Site">`),
+  '/twitter': page(`
+    <meta name="twitter:title" content='Twitter card title'>
+    <meta name="twitter:description" content="From twitter:description">
+    <meta name="twitter:image" content="https://images.example.com/card.jpg">`),
+  '/title-only': page('<title>  Just a   title </title>'),
+  '/no-metadata': page('')
+};
+
+const server = http.createServer((req, res) => {
+  const path = req.url.split('?')[0];
+
+  if (PAGES[path]) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(PAGES[path]);
+    return;
+  }
+
+  switch (path) {
+    case '/redirect':
+      res.writeHead(302, { Location: '/article' });
+      res.end();
+      return;
+    case '/redirect-loop':
+      res.writeHead(302, { Location: '/redirect-loop' });
+      res.end();
+      return;
+    // Where an attacker would point a link to reach cloud metadata
+    case '/redirect-private':
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+      return;
+    case '/json':
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"title":"not html"}');
+      return;
+    // Metadata first, then far more than the byte limit
+    case '/huge':
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.write('<head><meta property="og:title" content="Huge page"></head>');
+      res.end('x'.repeat(2 * 1024 * 1024));
+      return;
+    // Trickles a byte a second, past the deadline
+    case '/slow': {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      const timer = setInterval(() => res.write(' '), 1000);
+      req.on('close', () => clearInterval(timer));
+      return;
+    }
+    default:
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+  }
+});
+
+const urlFor = (path) => `http://localhost:${PORT}${path}`;
+
+// What each page should unfurl to: a title, or the start of the error
+const EXPECTED = [
+  ['/article', { title: 'Fixture & friends', image: urlFor('/cover.png'), siteName: 'Fixture Site' }],
+  ['/twitter', { title: 'Twitter card title', image: 'https://images.example.com/card.jpg' }],
+  ['/title-only', { title: 'Just a title', siteName: 'localhost' }],
+  ['/redirect', { title: 'Fixture & friends', finalUrl: urlFor('/article') }],
+  ['/huge', { title: 'Huge page' }],
+  ['/no-metadata', { error: 'Page has no title or description' }],
+  ['/json', { error: 'Not an HTML page' }],
+  ['/missing', { error: 'Page answered 404' }],
+  ['/redirect-loop', { error: 'Too many redirects' }],
+  ['/slow', { error: 'Request timed out' }]
+];
+
+const selfTest = async () => {
+  const { fetchMetadata } = require('./utils/linkPreview');
+  let failures = 0;
+  const check = async (path, expected) => {
+    let result;
+    try {
+      result = await fetchMetadata(urlFor(path));
+    } catch (error) {
+      result = { error: error.message };
+    }
+    const ok = Object.entries(expected).every(([key, value]) => (key === 'error'
+      ? String(result.error || '').startsWith(value)
+      : result[key] === value));
+    if (!ok) failures += 1;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${path} ${JSON.stringify(result)}`);
+  };
+
+  // Without the override, the fixture itself is off limits
+  delete process.env.LINK_PREVIEW_ALLOW_PRIVATE_HOSTS;
+  await check('/article', { error: `Port ${PORT} is not allowed` });
+
+  process.env.LINK_PREVIEW_ALLOW_PRIVATE_HOSTS = 'true';
+  for (const [path, expected] of EXPECTED) {
+    await check(path, expected);
+  }
+  return failures;
+};
+
+server.listen(PORT, async () => {
+  console.log(`Link preview fixture listening on http://localhost:${PORT}`);
+
+  if (process.argv.includes('--self-test')) {
+    try {
+      const failures = await selfTest();
+      console.log(failures === 0 ? 'Self test passed' : `Self test: ${failures} failed`);
+      process.exitCode = failures === 0 ? 0 : 1;
+    } catch (error) {
+      console.error('Self test failed:', error.message);
+      process.exitCode = 1;
+    }
+    server.close();
+    return;
+  }
+
+  console.log('Share any of these links in a post or message:');
+  [...Object.keys(PAGES), '/redirect', '/redirect-private', '/json', '/huge', '/slow']
+    .forEach(path => console.log(`  ${urlFor(path)}`));
+});
@@ -1,5 +1,27 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Verify an access token and check that its session hasn't been revoked.
+// Tokens issued before sessions existed carry no `sid` and are rejected.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+    return { error: 'Session expired' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return { error: 'Invalid token' };
+  }
+  if (!user.isActive) {
+    return { error: 'Account is deactivated' };
+  }
+
+  return { user, sessionId: session._id.toString() };
+};
 
 // Verify JWT token middleware
 const authenticateToken = async (req, res, next) => {
@@ -11,18 +33,13 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
+    const { user, sessionId, error } = await verifyAccessToken(token);
+    if (error) {
+      return res.status(401).json({ message: error });
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -45,19 +62,14 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error: Token required'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-
-    if (!user) {
-      return next(new Error('Authentication error: Invalid token'));
-    }
-
-    if (!user.isActive) {
-      return next(new Error('Authentication error: Account deactivated'));
+    const { user, sessionId, error } = await verifyAccessToken(token);
+    if (error) {
+      return next(new Error(`Authentication error: ${error}`));
     }
 
     socket.userId = user._id.toString();
     socket.user = user;
+    socket.sessionId = sessionId;
     next();
   } catch (error) {
     console.error('Socket auth error:', error);
@@ -65,17 +77,40 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
-// Admin authorization middleware
-const authorizeAdmin = (req, res, next) => {
+// Permission middleware: the user's role must grant every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!permissions.every(permission => req.user.hasPermission(permission))) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    next();
+  };
+};
+
+// Block unverified accounts from posting/messaging when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
   if (!req.user) {
     return res.status(401).json({ message: 'Authentication required' });
   }
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
+  // Staff accounts are exempt
+  if (req.user.isVerified || req.user.hasPermission('admin:access')) {
+    return next();
   }
 
-  next();
+  res.status(403).json({
+    message: 'Please verify your email address to continue',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
 };
 
 // Optional authentication middleware (for public routes that can show different content for logged users)
@@ -85,11 +120,11 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, sessionId } = await verifyAccessToken(token);
       
-      if (user && user.isActive) {
+      if (user) {
         req.user = user;
+        req.sessionId = sessionId;
       }
     }
     
@@ -100,20 +135,14 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user owns resource or is admin
-const authorizeOwnerOrAdmin = (resourceUserIdField = 'userId') => {
+// Let users act on their own account (`req.params[param]`), or others with the permission
+const requireSelfOrPermission = (permission, param = 'id') => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
-    
-    if (req.user.role === 'admin' || req.user.role === 'moderator') {
-      return next();
-    }
-
-    if (req.user._id.toString() !== resourceUserId) {
+    if (req.user._id.toString() !== req.params[param] && !req.user.hasPermission(permission)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -124,7 +153,8 @@ const authorizeOwnerOrAdmin = (resourceUserIdField = 'userId') => {
 module.exports = {
   authenticateToken,
   authenticateSocket,
-  authorizeAdmin,
+  requirePermission,
+  requireVerifiedEmail,
   optionalAuth,
-  authorizeOwnerOrAdmin
+  requireSelfOrPermission
 };
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['draft', 'published', 'unpublished'];
+// Sanitized HTML, so this is more than the readable text
+const MAX_BODY_LENGTH = 100000;
+const EXCERPT_LENGTH = 200;
+const WORDS_PER_MINUTE = 200;
+
+// The card for a shared article, copied onto the feed post when it is shared
+const articleCardSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  title: String,
+  coverImage: String,
+  excerpt: String,
+  readingTime: Number
+}, { _id: false });
+
+const articleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Article title is required'],
+    trim: true,
+    maxlength: [150, 'Article title cannot exceed 150 characters']
+  },
+  // Follows the title until the article is first published, then stays put so links keep working
+  slug: {
+    type: String,
+    required: true
+  },
+  coverImage: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+/.test(v);
+      },
+      message: 'Invalid cover image URL'
+    }
+  },
+  // Rich text, always stored sanitized (utils/sanitizeHtml.js)
+  body: {
+    type: String,
+    default: '',
+    maxlength: [MAX_BODY_LENGTH, `Article body cannot exceed ${MAX_BODY_LENGTH} characters`]
+  },
+  // Derived from the body whenever it changes
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  readingTime: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  // First publication; kept when an article is unpublished and published again
+  publishedAt: Date
+}, {
+  timestamps: true
+});
+
+articleSchema.index({ slug: 1 }, { unique: true });
+articleSchema.index({ userId: 1, status: 1, publishedAt: -1 });
+
+// Values for articleCardSchema
+articleSchema.methods.toCard = function() {
+  return {
+    articleId: this._id,
+    slug: this.slug,
+    title: this.title,
+    coverImage: this.coverImage,
+    excerpt: this.excerpt,
+    readingTime: this.readingTime
+  };
+};
+
+const Article = mongoose.model('Article', articleSchema);
+
+Article.STATUSES = STATUSES;
+Article.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
+Article.EXCERPT_LENGTH = EXCERPT_LENGTH;
+Article.WORDS_PER_MINUTE = WORDS_PER_MINUTE;
+Article.cardSchema = articleCardSchema;
+
+module.exports = Article;
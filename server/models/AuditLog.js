@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+  'user.update',
+  'user.role_change',
+  'user.ban',
+  'user.unban',
+  'user.deactivate',
+  'user.profile_edit',
+  'post.edit',
+  'post.delete',
+  'comment.edit',
+  'comment.delete',
+  'article.delete',
+  'job.delete',
+  'job.pipeline_update',
+  'application.stage_change',
+  'application.resume_download',
+  'report.resolve',
+  'report.dismiss',
+  'company.update',
+  'company.delete',
+  'company.member_change'
+];
+
+const TARGET_TYPES = ['user', 'post', 'comment', 'article', 'job', 'application', 'company'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role at the time of the action; roles can change later
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Only the fields that changed
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.ACTIONS = ACTIONS;
+AuditLog.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = AuditLog;
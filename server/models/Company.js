@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  // Lowercased, hyphenated name used for URLs and to catch duplicate spellings. Set once
+  // when the page is created so its URL survives renames.
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  logo: {
+    type: String,
+    default: ''
+  },
+  banner: {
+    type: String,
+    default: ''
+  },
+  website: {
+    type: String,
+    default: ''
+  },
+  industry: {
+    type: String,
+    default: ''
+  },
+  location: {
+    type: String,
+    default: ''
+  },
+  size: {
+    type: String,
+    enum: ['', '1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'],
+    default: ''
+  },
+  // Company admins can edit the page and manage recruiters
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Recruiters can post jobs on behalf of the company
+  recruiters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for search functionality
+companySchema.index({ name: 'text', description: 'text', industry: 'text' });
+companySchema.index({ admins: 1 });
+companySchema.index({ recruiters: 1 });
+// Slugs are unique among active pages; a deactivated page gives its slug up. Databases created
+// while slugs were unique outright still have a `slug_1` index, which has to be dropped.
+companySchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { isActive: true }, name: 'slug_active_unique' }
+);
+
+// Build a slug from a company name ("Acme, Inc." -> "acme-inc")
+companySchema.statics.slugify = function(name) {
+  return String(name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Static method to find a company by id or slug
+companySchema.statics.findByIdOrSlug = function(idOrSlug) {
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    return this.findOne({ _id: idOrSlug, isActive: true });
+  }
+  return this.findOne({ slug: this.slugify(idOrSlug), isActive: true });
+};
+
+// Virtual for recruiter count
+companySchema.virtual('recruiterCount').get(function() {
+  return this.recruiters ? this.recruiters.length : 0;
+});
+
+// Method to check if user is a company admin
+companySchema.methods.isAdmin = function(userId) {
+  if (!userId || !Array.isArray(this.admins)) {
+    return false;
+  }
+  return this.admins.some(id => (id._id || id).toString() === userId.toString());
+};
+
+// Method to check if user is a recruiter (admins are implicitly recruiters)
+companySchema.methods.isRecruiter = function(userId) {
+  if (this.isAdmin(userId)) {
+    return true;
+  }
+  if (!userId || !Array.isArray(this.recruiters)) {
+    return false;
+  }
+  return this.recruiters.some(id => (id._id || id).toString() === userId.toString());
+};
+
+// Pre-validate middleware to give a new page its slug
+companySchema.pre('validate', function(next) {
+  if (!this.slug) {
+    this.slug = this.constructor.slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+const MAX_GROUP_SIZE = 100;
+
+const conversationEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['created', 'joined', 'left', 'removed', 'renamed', 'promoted'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    required: [function() { return this.isGroup; }, 'Group conversations need a name'],
+    trim: true,
+    maxlength: [100, 'Conversation name cannot exceed 100 characters']
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Sorted pair of user ids for one-to-one conversations, so there is only one per pair
+  directKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // userId -> last time that participant read the conversation
+  lastReadAt: {
+    type: Map,
+    of: Date,
+    default: {}
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  events: [conversationEventSchema]
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+conversationSchema.pre('validate', function(next) {
+  if (this.participants.length > MAX_GROUP_SIZE) {
+    this.invalidate('participants', `A conversation cannot have more than ${MAX_GROUP_SIZE} participants`);
+  }
+  next();
+});
+
+// Static method to build the key for a one-to-one conversation
+conversationSchema.statics.directKeyFor = function(user1Id, user2Id) {
+  return [user1Id.toString(), user2Id.toString()].sort().join('-');
+};
+
+// Static method to find or create the one-to-one conversation between two users
+conversationSchema.statics.findOrCreateDirect = async function(user1Id, user2Id) {
+  const directKey = this.directKeyFor(user1Id, user2Id);
+  return this.findOneAndUpdate(
+    { directKey },
+    {
+      $setOnInsert: {
+        directKey,
+        isGroup: false,
+        participants: [user1Id, user2Id],
+        createdBy: user1Id
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to get the socket.io room name for a conversation
+conversationSchema.statics.roomFor = function(conversationId) {
+  return `conversation:${conversationId.toString()}`;
+};
+
+// Method to check if a user takes part in the conversation
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(id => (id._id || id).toString() === userId.toString());
+};
+
+// Method to check if a user administers a group conversation
+conversationSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(id => (id._id || id).toString() === userId.toString());
+};
+
+// Method to add participants to a group, returns the ids that were actually added
+conversationSchema.methods.addParticipants = function(userIds, actorId) {
+  const added = [];
+  userIds.forEach(userId => {
+    if (!this.isParticipant(userId)) {
+      this.participants.push(userId);
+      this.events.push({ type: 'joined', userId, actorId });
+      added.push(userId.toString());
+    }
+  });
+  return added;
+};
+
+// Method to remove a participant; the oldest remaining member is promoted if no admin is left
+conversationSchema.methods.removeParticipant = function(userId, actorId) {
+  const id = userId.toString();
+  this.participants = this.participants.filter(p => (p._id || p).toString() !== id);
+  this.admins = this.admins.filter(a => (a._id || a).toString() !== id);
+  this.lastReadAt.delete(id);
+  this.events.push({ type: id === actorId.toString() ? 'left' : 'removed', userId, actorId });
+
+  if (this.admins.length === 0 && this.participants.length > 0) {
+    this.admins.push(this.participants[0]);
+    this.events.push({ type: 'promoted', userId: this.participants[0], actorId });
+  }
+};
+
+// Method to record that a participant has read the conversation
+conversationSchema.methods.markReadBy = function(userId) {
+  this.lastReadAt.set(userId.toString(), new Date());
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+Conversation.MAX_GROUP_SIZE = MAX_GROUP_SIZE;
+
+module.exports = Conversation;
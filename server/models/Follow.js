@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Things a user can follow without a two-way connection
+const TARGET_TYPES = ['user', 'company'];
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, targetType: 1, targetId: 1 }, { unique: true });
+followSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Static method to follow a target; following twice is a no-op
+followSchema.statics.follow = function(followerId, targetType, targetId) {
+  return this.findOneAndUpdate(
+    { follower: followerId, targetType, targetId },
+    { $setOnInsert: { follower: followerId, targetType, targetId } },
+    { upsert: true, new: true, rawResult: true }
+  );
+};
+
+// Static method to check whether a user follows a target
+followSchema.statics.isFollowing = async function(followerId, targetType, targetId) {
+  if (!followerId) return false;
+  return Boolean(await this.exists({ follower: followerId, targetType, targetId }));
+};
+
+// Static method to get the ids of everything of one type a user follows
+followSchema.statics.getFollowingIds = async function(followerId, targetType) {
+  const follows = await this.find({ follower: followerId, targetType }).select('targetId').lean();
+  return follows.map(follow => follow.targetId);
+};
+
+// Static method to get follower and following counts for a target
+followSchema.statics.getCounts = async function(targetType, targetId) {
+  const [followerCount, followingCount] = await Promise.all([
+    this.countDocuments({ targetType, targetId }),
+    // Only users follow things
+    targetType === 'user' ? this.countDocuments({ follower: targetId }) : 0
+  ]);
+  return { followerCount, followingCount };
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+Follow.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = Follow;
@@ -1,5 +1,67 @@
 const mongoose = require('mongoose');
 
+// Default hiring pipeline; jobs can rename, reorder, or add stages
+const DEFAULT_PIPELINE = [
+  { key: 'applied', label: 'Applied' },
+  { key: 'screening', label: 'Screening' },
+  { key: 'interview', label: 'Interview' },
+  { key: 'offer', label: 'Offer' },
+  { key: 'hired', label: 'Hired' },
+  { key: 'rejected', label: 'Rejected' },
+  { key: 'withdrawn', label: 'Withdrawn' }
+];
+
+// Stages every pipeline keeps so candidates can always be closed out
+const CLOSING_STAGES = ['hired', 'rejected', 'withdrawn'];
+
+// Legacy Pending/Approved/Rejected status derived from the pipeline stage
+const statusForStage = (stage) => {
+  if (stage === 'hired') return 'Approved';
+  if (stage === 'rejected' || stage === 'withdrawn') return 'Rejected';
+  return 'Pending';
+};
+
+const stageForStatus = (status, pipeline) => {
+  if (status === 'Approved') return 'hired';
+  if (status === 'Rejected') return 'rejected';
+  return pipeline[0].key;
+};
+
+const stageHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  movedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  movedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+const pipelineStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Stage label cannot exceed 50 characters']
+  }
+}, { _id: false });
+
 const applicationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +81,9 @@ const applicationSchema = new mongoose.Schema({
     enum: ['Pending', 'Approved', 'Rejected'],
     default: 'Pending'
   },
+  // Current pipeline stage key; older applications only carry `status`
+  stage: String,
+  stageHistory: [stageHistorySchema],
   appliedAt: {
     type: Date,
     default: Date.now
@@ -44,6 +109,11 @@ const jobSchema = new mongoose.Schema({
     required: [true, 'Job title is required'],
     maxlength: [100, 'Job title cannot exceed 100 characters']
   },
+  // Linked company page; `company` keeps the display name for listings and search
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
   company: {
     type: String,
     required: [true, 'Company name is required'],
@@ -103,6 +173,10 @@ const jobSchema = new mongoose.Schema({
     type: String,
     maxlength: [100, 'Benefit cannot exceed 100 characters']
   }],
+  pipelineStages: {
+    type: [pipelineStageSchema],
+    default: () => DEFAULT_PIPELINE.map(stage => ({ ...stage }))
+  },
   applications: [applicationSchema],
   isActive: {
     type: Boolean,
@@ -156,6 +230,7 @@ jobSchema.index({ title: 'text', description: 'text', skills: 'text', company: '
 jobSchema.index({ location: 1, jobType: 1, experienceLevel: 1 });
 jobSchema.index({ postedBy: 1, createdAt: -1 });
 jobSchema.index({ isActive: 1, applicationDeadline: 1 });
+jobSchema.index({ companyId: 1, isActive: 1, createdAt: -1 });
 
 // Virtual for application count
 jobSchema.virtual('applicationCount').get(function() {
@@ -176,6 +251,74 @@ jobSchema.virtual('isExpired').get(function() {
   return new Date() > new Date(this.applicationDeadline);
 });
 
+// Normalize a client-supplied stage list: unique keys, closing stages always present
+jobSchema.statics.normalizePipeline = function(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error('Pipeline must have at least one stage');
+  }
+
+  const normalized = [];
+  stages.forEach(stage => {
+    const label = String(typeof stage === 'string' ? stage : (stage && stage.label) || '').trim();
+    const key = String((stage && stage.key) || label)
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    if (!label || !key) {
+      throw new Error('Every stage needs a label');
+    }
+    if (normalized.some(existing => existing.key === key)) {
+      throw new Error(`Duplicate stage: ${label}`);
+    }
+    normalized.push({ key, label });
+  });
+
+  if (CLOSING_STAGES.includes(normalized[0].key)) {
+    throw new Error('The first stage cannot be a closing stage');
+  }
+
+  CLOSING_STAGES.forEach(key => {
+    if (!normalized.some(stage => stage.key === key)) {
+      normalized.push(DEFAULT_PIPELINE.find(stage => stage.key === key));
+    }
+  });
+
+  return normalized;
+};
+
+// Method to get an application's current stage (falls back to legacy status)
+jobSchema.methods.getApplicationStage = function(application) {
+  const pipeline = this.pipelineStages && this.pipelineStages.length > 0 ? this.pipelineStages : DEFAULT_PIPELINE;
+  if (application.stage && pipeline.some(stage => stage.key === application.stage)) {
+    return application.stage;
+  }
+  return stageForStatus(application.status, pipeline);
+};
+
+// Method to move an application to another pipeline stage, recording who moved it
+jobSchema.methods.moveApplicationStage = function(applicationId, stageKey, movedBy, note) {
+  const application = this.applications.id(applicationId);
+  if (!application) {
+    throw new Error('Application not found');
+  }
+
+  const stage = this.pipelineStages.find(s => s.key === stageKey);
+  if (!stage) {
+    throw new Error('Invalid stage');
+  }
+
+  const from = this.getApplicationStage(application);
+  application.stage = stage.key;
+  application.status = statusForStage(stage.key);
+  application.stageHistory.push({ from, to: stage.key, movedBy, movedAt: new Date(), note });
+  application.reviewedAt = new Date();
+  application.reviewedBy = movedBy;
+  if (note) application.notes = note;
+
+  return { application, stage, from };
+};
+
 // Method to check if user has applied
 jobSchema.methods.hasUserApplied = function(userId) {
   return this.applications.some(app => app.userId.toString() === userId.toString());
@@ -191,27 +334,28 @@ jobSchema.methods.addApplication = function(userId, coverLetter, resume) {
     throw new Error('Application deadline has passed');
   }
   
-  this.applications.push({
-    userId,
-    coverLetter,
-    resume
-  });
+  this.applications.push(this.buildApplication(userId, coverLetter, resume));
   
   return this.save();
 };
 
-// Method to update application status
+// Method to build a new application placed in the first pipeline stage
+jobSchema.methods.buildApplication = function(userId, coverLetter, resume) {
+  const firstStage = this.pipelineStages[0].key;
+  return {
+    userId,
+    coverLetter,
+    resume,
+    status: 'Pending',
+    stage: firstStage,
+    stageHistory: [{ to: firstStage, movedBy: userId, movedAt: new Date() }],
+    appliedAt: new Date()
+  };
+};
+
+// Method to update application status (legacy statuses map onto pipeline stages)
 jobSchema.methods.updateApplicationStatus = function(applicationId, status, reviewedBy, notes) {
-  const application = this.applications.id(applicationId);
-  if (!application) {
-    throw new Error('Application not found');
-  }
-  
-  application.status = status;
-  application.reviewedAt = new Date();
-  application.reviewedBy = reviewedBy;
-  if (notes) application.notes = notes;
-  
+  this.moveApplicationStage(applicationId, stageForStatus(status, this.pipelineStages), reviewedBy, notes);
   return this.save();
 };
 
@@ -255,13 +399,23 @@ jobSchema.statics.searchJobs = function(query, filters = {}) {
   if (filters.isRemote !== undefined) {
     searchQuery.isRemote = filters.isRemote;
   }
+
+  if (filters.companyId) {
+    searchQuery.companyId = filters.companyId;
+  }
   
   searchQuery.isActive = true;
   searchQuery.applicationDeadline = { $gt: new Date() };
   
   return this.find(searchQuery)
-    .populate('postedBy', 'name profilePic company')
+    .populate('postedBy', 'name profilePic')
+    .populate('companyId', 'name slug logo')
     .sort({ createdAt: -1 });
 };
 
-module.exports = mongoose.model('Job', jobSchema);
+const Job = mongoose.model('Job', jobSchema);
+Job.DEFAULT_PIPELINE = DEFAULT_PIPELINE;
+Job.CLOSING_STAGES = CLOSING_STAGES;
+Job.stageForStatus = stageForStatus;
+
+module.exports = Job;
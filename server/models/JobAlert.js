@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// `immediate` alerts notify in-app as soon as a matching job is posted;
+// `daily` and `weekly` alerts send an email digest
+const FREQUENCIES = ['immediate', 'daily', 'weekly'];
+
+// Saved searches per user
+const MAX_ALERTS_PER_USER = 20;
+
+const jobAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Alert name is required'],
+    trim: true,
+    maxlength: [100, 'Alert name cannot exceed 100 characters']
+  },
+  // Same filters as GET /api/jobs
+  filters: {
+    q: String,
+    location: String,
+    jobType: String,
+    experienceLevel: String,
+    isRemote: Boolean,
+    minSalary: Number,
+    maxSalary: Number
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Digests include jobs posted after this; immediate alerts update it on each match
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+jobAlertSchema.index({ user: 1, createdAt: -1 });
+jobAlertSchema.index({ frequency: 1, isActive: 1, lastSentAt: 1 });
+
+const JobAlert = mongoose.model('JobAlert', jobAlertSchema);
+JobAlert.FREQUENCIES = FREQUENCIES;
+JobAlert.MAX_ALERTS_PER_USER = MAX_ALERTS_PER_USER;
+
+module.exports = JobAlert;
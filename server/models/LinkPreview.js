@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// How long an unfurled page is reused before it is fetched again, and how long a failed
+// fetch is remembered so a dead link isn't retried on every post
+const PREVIEW_TTL = 24 * 60 * 60 * 1000;
+const FAILURE_TTL = 60 * 60 * 1000;
+
+// The card shown under a post or message, copied onto it when it is created
+const linkPreviewSnapshotSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  title: String,
+  description: String,
+  image: String,
+  siteName: String
+}, { _id: false });
+
+// Cache of OpenGraph / Twitter card metadata, keyed by the URL as it was shared
+const linkPreviewSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Where redirects ended up
+  finalUrl: String,
+  title: String,
+  description: String,
+  image: String,
+  siteName: String,
+  // False when the page couldn't be fetched or had nothing to show
+  ok: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+linkPreviewSchema.index({ url: 1 }, { unique: true });
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// The card to copy onto a post or message, or null when there is nothing to show
+linkPreviewSchema.methods.toSnapshot = function() {
+  if (!this.ok) return null;
+  return {
+    url: this.url,
+    title: this.title,
+    description: this.description,
+    image: this.image,
+    siteName: this.siteName
+  };
+};
+
+const LinkPreview = mongoose.model('LinkPreview', linkPreviewSchema);
+LinkPreview.PREVIEW_TTL = PREVIEW_TTL;
+LinkPreview.FAILURE_TTL = FAILURE_TTL;
+LinkPreview.snapshotSchema = linkPreviewSnapshotSchema;
+
+module.exports = LinkPreview;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const LinkPreview = require('./LinkPreview');
 
 const messageSchema = new mongoose.Schema({
   senderId: {
@@ -6,10 +7,14 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for one-to-one messages only; group messages reach every participant
   receiverId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
   },
   content: {
     type: String,
@@ -18,14 +23,25 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'link'],
+    enum: ['text', 'image', 'file', 'link', 'system'],
     default: 'text'
   },
+  // Join/leave/rename events shown inline in group threads
+  systemEvent: {
+    type: {
+      type: String,
+      enum: ['created', 'joined', 'left', 'removed', 'renamed', 'promoted']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   mediaUrl: {
     type: String,
     validate: {
       validator: function(v) {
-        if (this.messageType !== 'text' && !v) {
+        if (['image', 'file', 'link'].includes(this.messageType) && !v) {
           return false;
         }
         return true;
@@ -33,6 +49,14 @@ const messageSchema = new mongoose.Schema({
       message: 'Media URL is required for non-text messages'
     }
   },
+  // Card for the first link in a text message, added just after it is sent (messageType
+  // becomes 'link' and mediaUrl the link)
+  linkPreview: {
+    type: LinkPreview.snapshotSchema,
+    default: undefined
+  },
+  // Direct messages: set once the recipient's client has the message
+  deliveredAt: Date,
   isRead: {
     type: Boolean,
     default: false
@@ -78,12 +102,8 @@ const messageSchema = new mongoose.Schema({
 // Index for efficient querying
 messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
 messageSchema.index({ receiverId: 1, isRead: 1 });
-
-// Virtual for conversation ID (unique identifier for chat between two users)
-messageSchema.virtual('conversationId').get(function() {
-  const sortedIds = [this.senderId.toString(), this.receiverId.toString()].sort();
-  return `${sortedIds[0]}-${sortedIds[1]}`;
-});
+messageSchema.index({ receiverId: 1, deliveredAt: 1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
 
 // Method to mark message as read
 messageSchema.methods.markAsRead = function() {
@@ -131,6 +151,32 @@ messageSchema.statics.getConversation = function(user1Id, user2Id, limit = 50, s
   .lean();
 };
 
+// Static method to get messages in a (group) conversation
+messageSchema.statics.getConversationMessages = function(conversationId, limit = 50, skip = 0) {
+  return this.find({ conversationId, isDeleted: false })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('senderId', 'name profilePic')
+    .populate('systemEvent.userId', 'name')
+    .populate('replyTo', 'content senderId')
+    .lean();
+};
+
+// Static method to count messages in a conversation a participant hasn't read yet
+messageSchema.statics.countUnreadInConversation = function(conversationId, userId, since) {
+  const query = {
+    conversationId,
+    senderId: { $ne: userId },
+    messageType: { $ne: 'system' },
+    isDeleted: false
+  };
+  if (since) {
+    query.createdAt = { $gt: since };
+  }
+  return this.countDocuments(query);
+};
+
 // Static method to get unread message count
 messageSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({
@@ -1,5 +1,45 @@
 const mongoose = require('mongoose');
 
+const TYPES = ['CONNECTION_REQUEST', 'CONNECTION_ACCEPTED', 'NEW_FOLLOWER', 'MESSAGE', 'POST_FROM_CONNECTION', 'POST_SHARED', 'POST_SHARE', 'POST_LIKE', 'POST_COMMENT', 'COMMENT_REPLY', 'MENTION', 'JOB_APPLICATION', 'JOB_APPLICATION_UPDATE', 'JOB_ALERT'];
+
+// Ways a notification can reach the user
+const CHANNELS = ['inApp', 'email', 'push'];
+
+// Channels used for each type until the user changes them. Email and push stay
+// off for high-volume types such as likes.
+const DEFAULT_CHANNELS = {
+  CONNECTION_REQUEST: { inApp: true, email: true, push: true },
+  CONNECTION_ACCEPTED: { inApp: true, email: false, push: true },
+  NEW_FOLLOWER: { inApp: true, email: false, push: false },
+  MESSAGE: { inApp: true, email: false, push: true },
+  POST_FROM_CONNECTION: { inApp: true, email: false, push: false },
+  POST_SHARED: { inApp: true, email: false, push: false },
+  POST_SHARE: { inApp: true, email: false, push: false },
+  POST_LIKE: { inApp: true, email: false, push: false },
+  POST_COMMENT: { inApp: true, email: false, push: false },
+  COMMENT_REPLY: { inApp: true, email: false, push: false },
+  MENTION: { inApp: true, email: false, push: true },
+  JOB_APPLICATION: { inApp: true, email: true, push: true },
+  JOB_APPLICATION_UPDATE: { inApp: true, email: true, push: true },
+  JOB_ALERT: { inApp: true, email: false, push: true }
+};
+
+// Types that collapse into one entry per post ("Alice and 12 others liked your post"),
+// with the action used to describe the group
+const GROUPED_ACTIONS = {
+  POST_LIKE: 'liked your post',
+  POST_COMMENT: 'commented on your post',
+  COMMENT_REPLY: 'replied to your comment',
+  POST_SHARED: 'shared your post',
+  NEW_FOLLOWER: 'started following you'
+};
+
+// A group keeps collecting activity for this long after it started
+const GROUP_WINDOW = 24 * 60 * 60 * 1000;
+
+// Senders shown on a grouped notification
+const GROUP_SENDER_LIMIT = 3;
+
 const notificationSchema = new mongoose.Schema({
   recipientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,7 +53,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['CONNECTION_REQUEST', 'CONNECTION_ACCEPTED', 'MESSAGE', 'POST_FROM_CONNECTION', 'POST_SHARED', 'POST_SHARE', 'POST_LIKE', 'POST_COMMENT', 'JOB_APPLICATION', 'JOB_APPLICATION_UPDATE'],
+    enum: TYPES,
     required: true
   },
   title: {
@@ -36,6 +76,14 @@ const notificationSchema = new mongoose.Schema({
   },
   readAt: {
     type: Date
+  },
+  // Grouped types only: what the group is about (type and post), and the id of the
+  // group's first notification, shared by every member
+  groupKey: {
+    type: String
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId
   }
 }, {
   timestamps: true
@@ -44,6 +92,8 @@ const notificationSchema = new mongoose.Schema({
 // Index for efficient queries
 notificationSchema.index({ recipientId: 1, createdAt: -1 });
 notificationSchema.index({ recipientId: 1, isRead: 1 });
+notificationSchema.index({ recipientId: 1, groupKey: 1, createdAt: -1 });
+notificationSchema.index({ groupId: 1 });
 
 // Method to mark as read
 notificationSchema.methods.markAsRead = function() {
@@ -59,6 +109,113 @@ notificationSchema.statics.createNotification = async function(data) {
   return notification.populate('senderId', 'name profilePic');
 };
 
+// Group key for a new notification, or null when its type isn't grouped
+notificationSchema.statics.groupKeyFor = function(type, data = {}) {
+  if (!GROUPED_ACTIONS[type]) return null;
+  return data.postId ? `${type}:${data.postId}` : type;
+};
+
+// For each recipient, the group a new `groupKey` notification should join: the most
+// recent one that started inside the window. The window runs from a group's first
+// notification, so steady activity can't keep one group open forever.
+// Returns a Map of recipientId -> groupId.
+notificationSchema.statics.findOpenGroups = async function(recipientIds, groupKey) {
+  const firsts = await this.find({
+    recipientId: { $in: recipientIds },
+    groupKey,
+    createdAt: { $gte: new Date(Date.now() - GROUP_WINDOW) },
+    $expr: { $eq: ['$groupId', '$_id'] }
+  })
+    .sort({ createdAt: -1 })
+    .select('recipientId groupId')
+    .lean();
+
+  const groups = new Map();
+  firsts.forEach(notification => {
+    const recipientId = notification.recipientId.toString();
+    if (!groups.has(recipientId)) {
+      groups.set(recipientId, notification.groupId);
+    }
+  });
+  return groups;
+};
+
+// Query matching every member of the given groups (ungrouped notifications are their own group)
+notificationSchema.statics.groupMembersQuery = function(recipientId, groupIds) {
+  const ids = groupIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  return { recipientId, $or: [{ _id: { $in: ids } }, { groupId: { $in: ids } }] };
+};
+
+const describeGroup = (type, senders, actorCount, fallback) => {
+  const action = GROUPED_ACTIONS[type];
+  if (!action || actorCount < 2) return fallback;
+  const first = senders[0]?.name || 'Someone';
+  if (actorCount === 2) return `${first} and ${senders[1]?.name || 'someone else'} ${action}`;
+  return `${first} and ${actorCount - 1} others ${action}`;
+};
+
+// A recipient's notifications with grouped types collapsed into one entry per group,
+// newest activity first. Each entry looks like a notification (its _id is the group id)
+// plus `count`, `actorCount` and `senders`, and is read only when all its members are.
+notificationSchema.statics.getGroupedPage = async function(recipientId, { page = 1, limit = 20, groupIds } = {}) {
+  // Aggregation doesn't cast, so make sure the id is an ObjectId
+  const recipient = new mongoose.Types.ObjectId(recipientId.toString());
+  const match = groupIds ? this.groupMembersQuery(recipient, groupIds) : { recipientId: recipient };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$groupId', '$_id'] },
+        latest: { $first: '$$ROOT' },
+        senderIds: { $push: '$senderId' },
+        count: { $sum: 1 },
+        unread: { $sum: { $cond: ['$isRead', 0, 1] } }
+      }
+    },
+    { $sort: { 'latest.createdAt': -1, _id: -1 } },
+    {
+      $facet: {
+        groups: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+        unread: [{ $match: { unread: { $gt: 0 } } }, { $count: 'count' }]
+      }
+    }
+  ]);
+
+  // Distinct senders, most recent first
+  const groups = result.groups.map(group => {
+    const senderIds = [...new Set(group.senderIds.map(id => id.toString()))];
+    return { ...group, senderIds };
+  });
+
+  const shownIds = [...new Set(groups.flatMap(group => group.senderIds.slice(0, GROUP_SENDER_LIMIT)))];
+  const users = await this.model('User').find({ _id: { $in: shownIds } }).select('name profilePic').lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const notifications = groups.map(({ _id, latest, senderIds, count, unread }) => {
+    const senders = senderIds.slice(0, GROUP_SENDER_LIMIT).map(id => usersById.get(id)).filter(Boolean);
+    return {
+      ...latest,
+      _id,
+      groupId: _id,
+      senderId: usersById.get(latest.senderId.toString()) || latest.senderId,
+      message: describeGroup(latest.type, senders, senderIds.length, latest.message),
+      isRead: unread === 0,
+      count,
+      actorCount: senderIds.length,
+      senders
+    };
+  });
+
+  return {
+    notifications,
+    total: result.total[0]?.count || 0,
+    unreadCount: result.unread[0]?.count || 0
+  };
+};
+
 // Static method to get unread count
 notificationSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({ recipientId: userId, isRead: false });
@@ -72,4 +229,11 @@ notificationSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Notification', notificationSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = TYPES;
+Notification.CHANNELS = CHANNELS;
+Notification.DEFAULT_CHANNELS = DEFAULT_CHANNELS;
+Notification.GROUPED_ACTIONS = GROUPED_ACTIONS;
+Notification.GROUP_WINDOW = GROUP_WINDOW;
+
+module.exports = Notification;
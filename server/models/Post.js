@@ -1,4 +1,36 @@
 const mongoose = require('mongoose');
+const LinkPreview = require('./LinkPreview');
+const Article = require('./Article');
+
+const replySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Reply cannot exceed 500 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const commentSchema = new mongoose.Schema({
   userId: {
@@ -11,30 +43,69 @@ const commentSchema = new mongoose.Schema({
     required: true,
     maxlength: [1000, 'Comment cannot exceed 1000 characters']
   },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  replies: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    text: {
-      type: String,
-      required: true,
-      maxlength: [500, 'Reply cannot exceed 500 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
+  replies: [replySchema],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date
 }, {
   timestamps: true
 });
 
+// Limits for poll posts
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 4;
+const POLL_MIN_DAYS = 1;
+const POLL_MAX_DAYS = 14;
+const POLL_DEFAULT_DAYS = 7;
+
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Poll option cannot exceed 100 characters']
+  },
+  votes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const pollSchema = new mongoose.Schema({
+  options: {
+    type: [pollOptionSchema],
+    validate: {
+      validator: function(v) {
+        return v.length >= POLL_MIN_OPTIONS && v.length <= POLL_MAX_OPTIONS;
+      },
+      message: `A poll needs ${POLL_MIN_OPTIONS} to ${POLL_MAX_OPTIONS} options`
+    }
+  },
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  // Everyone who has voted, once each, whatever they picked
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  endsAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,7 +114,8 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Post content is required'],
+    // Optional when sharing an article
+    required: [function() { return !this.article; }, 'Post content is required'],
     maxlength: [2000, 'Post content cannot exceed 2000 characters']
   },
   images: [{
@@ -79,10 +151,26 @@ const postSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Lowercase, without '#'; derived from hashtags in the content plus any given explicitly
   tags: [{
     type: String,
     trim: true
   }],
+  // People @mentioned in the content
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  postType: {
+    type: String,
+    enum: ['standard', 'poll', 'article'],
+    default: 'standard'
+  },
+  // The question is the post's content
+  poll: {
+    type: pollSchema,
+    default: undefined
+  },
   visibility: {
     type: String,
     enum: ['public', 'connections', 'private'],
@@ -107,17 +195,104 @@ const postSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
   },
+  // Card for a shared article
+  article: {
+    type: Article.cardSchema,
+    default: undefined
+  },
+  // Card for the first link in the content
+  linkPreview: {
+    type: LinkPreview.snapshotSchema,
+    default: undefined
+  },
   originalContent: String,
   originalImages: [String],
-  originalVideos: [String]
+  originalVideos: [String],
+  originalLinkPreview: {
+    type: LinkPreview.snapshotSchema,
+    default: undefined
+  },
+  // Open reports, kept in sync with the Report collection for the admin dashboard
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  reportedBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+// Comments per page, and replies shown under each comment before "view more replies"
+const COMMENT_PAGE_SIZE = 10;
+const REPLY_PAGE_SIZE = 10;
+const REPLY_PREVIEW_SIZE = 2;
+
+// A plain comment with its replies cut to the preview and a replyCount
+const toCommentPreview = (comment) => ({
+  ...comment,
+  replyCount: (comment.replies || []).length,
+  replies: (comment.replies || []).slice(0, REPLY_PREVIEW_SIZE)
+});
+
+// Vote counts per option and the share of voters who picked each
+const pollResults = (poll) => {
+  const voterCount = poll.voters.length;
+  return {
+    voterCount,
+    options: poll.options.map(option => ({
+      _id: option._id,
+      voteCount: option.votes.length,
+      percentage: voterCount ? Math.round(option.votes.length / voterCount * 100) : 0
+    }))
+  };
+};
+
+// The poll as `viewerId` may see it. Per-option results stay hidden until the viewer has
+// voted, unless they wrote the post or the poll has closed; voter ids are never included.
+const toPollView = (post, viewerId) => {
+  const { poll } = post;
+  const viewer = viewerId ? viewerId.toString() : null;
+  const authorId = (post.userId?._id || post.userId).toString();
+  const hasVoted = !!viewer && poll.voters.some(id => id.toString() === viewer);
+  const isClosed = poll.endsAt <= new Date();
+  const results = pollResults(poll);
+  const showResults = hasVoted || isClosed || viewer === authorId;
+
+  return {
+    options: poll.options.map((option, index) => ({
+      _id: option._id,
+      text: option.text,
+      ...(showResults && {
+        voteCount: results.options[index].voteCount,
+        percentage: results.options[index].percentage
+      })
+    })),
+    allowMultiple: poll.allowMultiple,
+    endsAt: poll.endsAt,
+    isClosed,
+    voterCount: results.voterCount,
+    hasVoted,
+    myVotes: hasVoted
+      ? poll.options.filter(option => option.votes.some(id => id.toString() === viewer)).map(option => option._id)
+      : []
+  };
+};
+
 // Index for search and feed queries
 postSchema.index({ userId: 1, createdAt: -1 });
 postSchema.index({ content: 'text', tags: 'text' });
 postSchema.index({ visibility: 1, createdAt: -1 });
+postSchema.index({ tags: 1, createdAt: -1 });
 
 // Virtual for like count
 postSchema.virtual('likeCount').get(function() {
@@ -151,8 +326,8 @@ postSchema.methods.toggleLike = function(userId) {
 };
 
 // Method to add comment
-postSchema.methods.addComment = function(userId, text) {
-  this.comments.push({ userId, text });
+postSchema.methods.addComment = function(userId, text, mentions = []) {
+  this.comments.push({ userId, text, mentions });
   return this.save();
 };
 
@@ -162,6 +337,62 @@ postSchema.methods.removeComment = function(commentId) {
   return this.save();
 };
 
+// Method to add a reply to a comment; resolves to the new reply, or null if the comment is gone
+postSchema.methods.addReply = async function(commentId, userId, text, mentions = []) {
+  const comment = this.comments.id(commentId);
+  if (!comment) return null;
+  comment.replies.push({ userId, text, mentions });
+  await this.save();
+  return comment.replies[comment.replies.length - 1];
+};
+
+// Method to remove a reply from a comment
+postSchema.methods.removeReply = function(commentId, replyId) {
+  const comment = this.comments.id(commentId);
+  if (comment) {
+    comment.replies = comment.replies.filter(reply => reply._id.toString() !== replyId);
+  }
+  return this.save();
+};
+
+// Method to toggle a like on a comment or reply; resolves to whether it is now liked
+postSchema.methods.toggleCommentLike = async function(target, userId) {
+  const index = target.likes.findIndex(id => id.toString() === userId.toString());
+  if (index > -1) {
+    target.likes.splice(index, 1);
+  } else {
+    target.likes.push(userId);
+  }
+  await this.save();
+  return index === -1;
+};
+
+// Method to change the text of a comment or reply, marking it edited
+postSchema.methods.editComment = function(target, text, mentions = []) {
+  target.text = text;
+  target.mentions = mentions;
+  target.isEdited = true;
+  target.editedAt = new Date();
+  return this.save();
+};
+
+// Plain copy for `viewerId` (who may be signed out), with the poll as they may see it
+postSchema.methods.toView = function(viewerId) {
+  const post = this.toObject();
+  if (this.poll) post.poll = toPollView(this, viewerId);
+  return post;
+};
+
+// Plain copy for listings: the first page of comments, each with its first few replies.
+// The counts let clients page the rest through the comments and replies endpoints.
+postSchema.methods.toThreadPreview = function(viewerId) {
+  const post = this.toView(viewerId);
+  const comments = post.comments || [];
+  post.commentCount = comments.length;
+  post.comments = comments.slice(0, COMMENT_PAGE_SIZE).map(comment => toCommentPreview(comment));
+  return post;
+};
+
 // Method to share post
 postSchema.methods.sharePost = function(userId) {
   this.shares.push({ userId });
@@ -177,4 +408,25 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Post', postSchema);
+// Responses that don't go through toView never carry votes or hidden results
+postSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.poll && doc.poll) ret.poll = toPollView(doc, null);
+    return ret;
+  }
+});
+
+const Post = mongoose.model('Post', postSchema);
+
+Post.POLL_MIN_OPTIONS = POLL_MIN_OPTIONS;
+Post.POLL_MAX_OPTIONS = POLL_MAX_OPTIONS;
+Post.POLL_MIN_DAYS = POLL_MIN_DAYS;
+Post.POLL_MAX_DAYS = POLL_MAX_DAYS;
+Post.POLL_DEFAULT_DAYS = POLL_DEFAULT_DAYS;
+Post.COMMENT_PAGE_SIZE = COMMENT_PAGE_SIZE;
+Post.REPLY_PAGE_SIZE = REPLY_PAGE_SIZE;
+Post.REPLY_PREVIEW_SIZE = REPLY_PREVIEW_SIZE;
+Post.toCommentPreview = toCommentPreview;
+Post.pollResults = pollResults;
+
+module.exports = Post;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Devices a user has signed up for Web Push on
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+// A browser's Web Push subscription, as returned by PushManager.subscribe()
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastPushedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// An endpoint belongs to one browser, so it can only be subscribed by one user at a time
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1, createdAt: -1 });
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+PushSubscription.MAX_SUBSCRIPTIONS_PER_USER = MAX_SUBSCRIPTIONS_PER_USER;
+
+module.exports = PushSubscription;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['post', 'comment', 'job', 'user'];
+
+const REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'misinformation',
+  'inappropriate',
+  'scam',
+  'impersonation',
+  'other'
+];
+
+// What a moderator did about the reported content when resolving
+const RESOLUTION_ACTIONS = ['none', 'content_removed', 'user_deactivated'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Comments live inside posts, so keep the post to find them again
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  // Author of the reported content (or the reported user)
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: RESOLUTION_ACTIONS
+    },
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['reported', 'resolved', 'dismissed'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// One report per user per target
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 }, { unique: true });
+reportSchema.index({ status: 1, targetType: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+// Static method to close every open report on a target; returns the update result
+reportSchema.statics.closeForTarget = function(targetType, targetId, status, actorId, { action = 'none', note } = {}) {
+  const now = new Date();
+  return this.updateMany(
+    { targetType, targetId, status: 'open' },
+    {
+      $set: {
+        status,
+        resolution: {
+          action: status === 'resolved' ? action : 'none',
+          note,
+          resolvedBy: actorId,
+          resolvedAt: now
+        }
+      },
+      $push: { history: { action: status, by: actorId, note, at: now } }
+    }
+  );
+};
+
+const Report = mongoose.model('Report', reportSchema);
+Report.TARGET_TYPES = TARGET_TYPES;
+Report.REASONS = REASONS;
+Report.RESOLUTION_ACTIONS = RESOLUTION_ACTIONS;
+
+module.exports = Report;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How long the token a rotation replaced is still accepted, for tabs that refreshed at the same time
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only hashes are stored; the raw refresh token is handed to the client once
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, kept to detect a stolen token being replayed
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'token_reuse', 'password_reset', 'role_change', 'banned', 'deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are cleaned up by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens look like `<sessionId>.<secret>` so the session can be found without scanning
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+// Static method to start a new session for a user; returns the session and its raw refresh token
+sessionSchema.statics.start = async function(userId, { userAgent, ip } = {}) {
+  const session = new this({
+    userId,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    refreshTokenHash: 'pending'
+  });
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+  return this.findById(sessionId);
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked_all', exceptSessionId) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Method to check the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to check which of the session's tokens a presented refresh token is
+sessionSchema.methods.matchRefreshToken = function(refreshToken) {
+  const hash = hashToken(refreshToken);
+  if (hash === this.refreshTokenHash) return 'current';
+  if (this.previousTokenHash && hash === this.previousTokenHash) return 'previous';
+  return null;
+};
+
+// Method to rotate the refresh token; returns the new raw token
+sessionSchema.methods.rotate = async function({ userAgent, ip } = {}) {
+  const refreshToken = buildRefreshToken(this._id);
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.rotatedAt = new Date();
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  if (userAgent) this.userAgent = userAgent.slice(0, 500);
+  if (ip) this.ip = ip;
+  await this.save();
+  return refreshToken;
+};
+
+// Method to check whether the previous refresh token was replaced only moments ago
+sessionSchema.methods.isInRotationGrace = function() {
+  return Boolean(this.rotatedAt) && Date.now() - this.rotatedAt.getTime() < ROTATION_GRACE_MS;
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Method to get the fields safe to show in a device list
+sessionSchema.methods.toPublic = function(currentSessionId) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode } = require('../utils/totp');
+const { ROLES, permissionsForRole } = require('../utils/permissions');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Whether a member wants remote roles, on-site roles, or doesn't mind
+const REMOTE_PREFERENCES = ['any', 'remote', 'onsite'];
+
+// 24-hour HH:MM, used for quiet hours
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How often the activity digest email goes out
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Backup codes are compared case-insensitively and without the dash
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code || '').toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -123,9 +143,82 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job'
   }],
+  // Used to rank job recommendations
+  jobPreferences: {
+    remote: {
+      type: String,
+      enum: REMOTE_PREFERENCES,
+      default: 'any'
+    }
+  },
+  // Where notifications are delivered; see utils/notify.js
+  notificationPreferences: {
+    // Per-type channel settings, keyed by notification type. Types not listed use
+    // Notification.DEFAULT_CHANNELS.
+    types: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: Boolean,
+        email: Boolean,
+        push: Boolean
+      }, { _id: false }),
+      default: {}
+    },
+    // Conversations that never notify
+    mutedConversations: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    }],
+    // Scheduled email summarizing unread messages, pending requests and other activity
+    digest: {
+      frequency: {
+        type: String,
+        enum: DIGEST_FREQUENCIES,
+        default: 'weekly'
+      },
+      lastSentAt: Date
+    },
+    // No email or push between `start` and `end` (HH:MM) in the user's timezone
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        match: [TIME_OF_DAY, 'Quiet hours must be in HH:MM format'],
+        default: '22:00'
+      },
+      end: {
+        type: String,
+        match: [TIME_OF_DAY, 'Quiet hours must be in HH:MM format'],
+        default: '07:00'
+      },
+      timezone: {
+        type: String,
+        default: 'UTC'
+      }
+    }
+  },
+  privacy: {
+    // Off: senders aren't told when this user reads their messages, and this user
+    // doesn't see when others read theirs
+    readReceipts: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // People the user hid from "People you may know"
+  dismissedSuggestions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    enum: ROLES,
     default: 'user'
   },
   isVerified: {
@@ -144,7 +237,35 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
-  emailVerificationExpire: Date
+  emailVerificationExpire: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last TOTP time step accepted, so a code can't be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -181,9 +302,84 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.resetPasswordExpire;
   delete userObject.emailVerificationToken;
   delete userObject.emailVerificationExpire;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: !!userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
+  userObject.permissions = this.getPermissions();
   return userObject;
 };
 
+// Method to list the permissions granted by the user's role
+userSchema.methods.getPermissions = function() {
+  return permissionsForRole(this.role);
+};
+
+// Method to check a single permission
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Method to issue a new email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpire = Date.now() + EMAIL_VERIFICATION_TTL;
+  return verificationToken;
+};
+
+// Method to check when the current verification token was sent
+userSchema.methods.getVerificationSentAt = function() {
+  if (!this.emailVerificationExpire) return null;
+  return new Date(this.emailVerificationExpire.getTime() - EMAIL_VERIFICATION_TTL);
+};
+
+// Method to check whether the user's role must use two-factor authentication
+userSchema.methods.isTwoFactorRequired = function() {
+  return User.TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+// Method to replace the backup codes; returns the raw codes to show once
+userSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: User.BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+  return codes;
+};
+
+// Method to check a TOTP or backup code (needs the twoFactor secrets selected).
+// Records the use on the document; the caller saves it. Returns 'totp', 'backup' or null.
+userSchema.methods.verifySecondFactor = function(code) {
+  if (!this.twoFactor || !this.twoFactor.secret) return null;
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep) {
+      return null;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const codeHash = hashBackupCode(code);
+  const backupCode = (this.twoFactor.backupCodes || []).find(c => !c.usedAt && c.codeHash === codeHash);
+  if (backupCode) {
+    backupCode.usedAt = new Date();
+    return 'backup';
+  }
+
+  return null;
+};
+
+// Method to count backup codes that haven't been used yet
+userSchema.methods.getRemainingBackupCodes = function() {
+  return (this.twoFactor.backupCodes || []).filter(c => !c.usedAt).length;
+};
+
 // Virtual for connection count
 userSchema.virtual('connectionCount').get(function() {
   return this.connections ? this.connections.length : 0;
@@ -261,4 +457,16 @@ userSchema.methods.getSentRequests = async function() {
   return populatedSentRequests.sentRequests;
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+// Roles that must enroll in two-factor authentication before they can sign in
+User.TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin,moderator')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+User.BACKUP_CODE_COUNT = 10;
+User.REMOTE_PREFERENCES = REMOTE_PREFERENCES;
+User.TIME_OF_DAY = TIME_OF_DAY;
+User.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+module.exports = User;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Local stand-in for a browser's push service, for trying Web Push without a browser.
+//
+//   node server/pushEndpointStub.js              start the stub and print a subscription
+//   node server/pushEndpointStub.js --self-test  send one push to the stub and exit
+//
+// Register the printed subscription with POST /api/push/subscriptions (body: { subscription })
+// on an API server started with PUSH_ALLOW_INSECURE_ENDPOINTS=true. Every push the stub
+// receives has its VAPID signature checked and its payload decrypted and logged.
+// Endpoints under /gone/ answer 410, like an expired subscription.
+
+const PORT = parseInt(process.env.PUSH_STUB_PORT) || 5055;
+
+// The stub plays the browser, so it owns the subscription's keys
+const browserKeys = crypto.createECDH('prime256v1');
+browserKeys.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+const subscriptionFor = (path) => ({
+  endpoint: `http://localhost:${PORT}${path}`,
+  keys: {
+    p256dh: browserKeys.getPublicKey().toString('base64url'),
+    auth: authSecret.toString('base64url')
+  }
+});
+
+const verifyVapid = (authorization = '') => {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(authorization);
+  if (!match) return 'missing or malformed VAPID Authorization header';
+
+  const [, token, publicKey] = match;
+  const [header, claims, signature] = token.split('.');
+  const publicBytes = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: publicBytes.subarray(1, 33).toString('base64url'),
+      y: publicBytes.subarray(33, 65).toString('base64url')
+    }
+  });
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+  if (!valid) return 'VAPID signature does not verify';
+
+  const { aud, exp, sub } = JSON.parse(Buffer.from(claims, 'base64url').toString());
+  if (aud !== `http://localhost:${PORT}`) return `unexpected audience ${aud}`;
+  if (exp * 1000 < Date.now()) return 'VAPID token expired';
+  return `ok (sub: ${sub})`;
+};
+
+// Reverse of utils/webPush.js encryptPayload (RFC 8291)
+const decrypt = (body) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverPublic = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+
+  const sharedSecret = browserKeys.computeSecret(serverPublic);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), browserKeys.getPublicKey(), serverPublic]);
+  const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // Drop the padding: trailing zeros, then the 0x02 delimiter
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end -= 1;
+  return padded.subarray(0, end).toString();
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    if (req.url.startsWith('/gone/')) {
+      console.log(`${req.url}: answered 410 Gone`);
+      res.writeHead(410).end();
+      return;
+    }
+
+    try {
+      console.log(`${req.url}: TTL=${req.headers.ttl} Urgency=${req.headers.urgency || '-'}`);
+      console.log(`  VAPID: ${verifyVapid(req.headers.authorization)}`);
+      console.log(`  Payload: ${decrypt(Buffer.concat(chunks))}`);
+      res.writeHead(201).end();
+    } catch (error) {
+      console.error(`  Could not decrypt push: ${error.message}`);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(PORT, async () => {
+  console.log(`Push endpoint stub listening on http://localhost:${PORT}`);
+
+  if (process.argv.includes('--self-test')) {
+    process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = 'true';
+    const { generateVapidKeys, sendPush } = require('./utils/webPush');
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+      const keys = generateVapidKeys();
+      process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+      process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+    }
+
+    try {
+      const delivered = await sendPush(subscriptionFor('/push/self-test'), { title: 'Self test', body: 'Web Push works' });
+      const gone = await sendPush(subscriptionFor('/gone/self-test'), { title: 'Expired' });
+      console.log(`Self test: delivered with ${delivered}, expired subscription answered ${gone}`);
+      process.exitCode = delivered === 201 && gone === 410 ? 0 : 1;
+    } catch (error) {
+      console.error('Self test failed:', error.message);
+      process.exitCode = 1;
+    }
+    server.close();
+    return;
+  }
+
+  console.log('Register this subscription with POST /api/push/subscriptions:');
+  console.log(JSON.stringify({ subscription: subscriptionFor('/push/stub') }, null, 2));
+});
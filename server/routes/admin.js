@@ -1,19 +1,55 @@
 const express = require('express');
+const mongoose = require('mongoose');
 // Removed express-validator to fix crash
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Job = require('../models/Job');
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { notifyStageChange } = require('../utils/hiring');
+const { clearReportCounters, resolutionPermission, applyResolution, attachReportTargets } = require('../utils/reports');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { disconnectSessions } = require('../utils/tokens');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES, permissionsForRole } = require('../utils/permissions');
 
 const router = express.Router();
 
-// All routes require admin authentication
+// Most rows a single CSV export will return
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Quote a value for CSV, neutralising spreadsheet formulas
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// True when `to` lacks a permission `from` had
+const losesPermissions = (from, to) => {
+  const remaining = permissionsForRole(to);
+  return permissionsForRole(from).some(permission => !remaining.includes(permission));
+};
+
+// Sign a user out everywhere: revoke their refresh sessions and drop their live sockets.
+// Returns how many sessions were revoked.
+const revokeUserSessions = async (io, userId, reason) => {
+  const sessions = await Session.find({ userId, revokedAt: null }).select('_id');
+  await Session.revokeAllForUser(userId, reason);
+  disconnectSessions(io, sessions.map(session => session._id));
+  return sessions.length;
+};
+
+// All routes require a signed-in user with access to the admin panel;
+// each route then checks its own permission
 router.use(authenticateToken);
-router.use(authorizeAdmin);
+router.use(requirePermission('admin:access'));
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard stats
-// @access  Private (Admin)
+// @access  Private (admin:access)
 router.get('/dashboard', async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ role: { $ne: 'admin' } });
@@ -22,6 +58,7 @@ router.get('/dashboard', async (req, res) => {
     const totalJobs = await Job.countDocuments({ isActive: true });
     const reportedPosts = await Post.countDocuments({ reportCount: { $gt: 0 } });
     const reportedJobs = await Job.countDocuments({ reportCount: { $gt: 0 } });
+    const openReports = await Report.countDocuments({ status: 'open' });
 
     // Recent activity
     const recentUsers = await User.find({ role: { $ne: 'admin' } })
@@ -48,7 +85,8 @@ router.get('/dashboard', async (req, res) => {
         totalPosts,
         totalJobs,
         reportedPosts,
-        reportedJobs
+        reportedJobs,
+        openReports
       },
       recentActivity: {
         users: recentUsers,
@@ -64,8 +102,8 @@ router.get('/dashboard', async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users for admin panel
-// @access  Private (Admin only)
-router.get('/users', authenticateToken, authorizeAdmin, async (req, res) => {
+// @access  Private (users:view)
+router.get('/users', requirePermission('users:view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
     const skip = (page - 1) * limit;
@@ -100,14 +138,14 @@ router.get('/users', authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // @route   PUT /api/admin/users/:id
-// @desc    Update user (admin)
-// @access  Private (Admin)
+// @desc    Update a user's role, account status or verification
+// @access  Private (users:assign_roles, users:ban, users:edit for each field)
 router.put('/users/:id', async (req, res) => {
   try {
     // Manual validation
     const { role, isActive, isVerified } = req.body;
     
-    if (role && !['user', 'admin', 'moderator'].includes(role)) {
+    if (role && !ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
     
@@ -119,12 +157,28 @@ router.put('/users/:id', async (req, res) => {
       return res.status(400).json({ message: 'Verification status must be a boolean' });
     }
 
+    // Each field needs its own permission
+    if (role && !req.user.hasPermission('users:assign_roles')) {
+      return res.status(403).json({ message: 'You do not have permission to change roles' });
+    }
+    if (isActive !== undefined && !req.user.hasPermission('users:ban')) {
+      return res.status(403).json({ message: 'You do not have permission to change account status' });
+    }
+    if (isVerified !== undefined && !req.user.hasPermission('users:edit')) {
+      return res.status(403).json({ message: 'You do not have permission to change verification status' });
+    }
+    if (role && req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
 
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const auditFields = ['role', 'isActive', 'isVerified'];
+    const before = snapshot(user, auditFields);
+
     // Update fields
     if (role) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
@@ -132,6 +186,23 @@ router.put('/users/:id', async (req, res) => {
 
     await user.save();
 
+    // A ban or a demotion takes effect now, not when the user's sessions expire
+    let revokedSessions = 0;
+    if (before.isActive && !user.isActive) {
+      revokedSessions = await revokeUserSessions(req.app.get('io'), user._id, 'banned');
+    } else if (losesPermissions(before.role, user.role)) {
+      revokedSessions = await revokeUserSessions(req.app.get('io'), user._id, 'role_change');
+    }
+
+    await recordAudit(req, {
+      action: role && role !== before.role ? 'user.role_change' : 'user.update',
+      targetType: 'user',
+      targetId: user._id,
+      before,
+      after: snapshot(user, auditFields),
+      metadata: { revokedSessions }
+    });
+
     res.json({
       message: 'User updated successfully',
       user: user.getPublicProfile()
@@ -142,10 +213,20 @@ router.put('/users/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/roles
+// @desc    Roles and the permissions each one grants
+// @access  Private (admin:access)
+router.get('/roles', (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+    permissions: PERMISSIONS
+  });
+});
+
 // @route   PUT /api/admin/users/:id/ban
 // @desc    Ban/unban user (admin)
-// @access  Private (Admin)
-router.put('/users/:id/ban', async (req, res) => {
+// @access  Private (users:ban)
+router.put('/users/:id/ban', requirePermission('users:ban'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -156,6 +237,17 @@ router.put('/users/:id/ban', async (req, res) => {
     user.isActive = !user.isActive;
     await user.save();
 
+    const revokedSessions = user.isActive ? 0 : await revokeUserSessions(req.app.get('io'), user._id, 'banned');
+
+    await recordAudit(req, {
+      action: user.isActive ? 'user.unban' : 'user.ban',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive },
+      metadata: { revokedSessions }
+    });
+
     res.json({ 
       message: user.isActive ? 'User unbanned successfully' : 'User banned successfully',
       user: user.getPublicProfile()
@@ -168,18 +260,31 @@ router.put('/users/:id/ban', async (req, res) => {
 
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete user (admin)
-// @access  Private (Admin)
-router.delete('/users/:id', async (req, res) => {
+// @access  Private (users:delete)
+router.delete('/users/:id', requirePermission('users:delete'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const wasActive = user.isActive;
+
     // Soft delete
     user.isActive = false;
     await user.save();
 
+    const revokedSessions = await revokeUserSessions(req.app.get('io'), user._id, 'deactivated');
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive: false },
+      metadata: { revokedSessions }
+    });
+
     res.json({ message: 'User deactivated successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -189,8 +294,8 @@ router.delete('/users/:id', async (req, res) => {
 
 // @route   GET /api/admin/posts
 // @desc    Get all posts for admin panel
-// @access  Private (Admin only)
-router.get('/posts', authenticateToken, authorizeAdmin, async (req, res) => {
+// @access  Private (posts:moderate)
+router.get('/posts', requirePermission('posts:moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
@@ -220,8 +325,8 @@ router.get('/posts', authenticateToken, authorizeAdmin, async (req, res) => {
 
 // @route   DELETE /api/admin/posts/:id
 // @desc    Delete post (admin)
-// @access  Private (Admin)
-router.delete('/posts/:id', async (req, res) => {
+// @access  Private (posts:moderate)
+router.delete('/posts/:id', requirePermission('posts:moderate'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -233,6 +338,15 @@ router.delete('/posts/:id', async (req, res) => {
     post.deletedAt = new Date();
     await post.save();
 
+    await recordAudit(req, {
+      action: 'post.delete',
+      targetType: 'post',
+      targetId: post._id,
+      before: { isDeleted: false },
+      after: { isDeleted: true },
+      metadata: { authorId: post.userId }
+    });
+
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
     console.error('Delete post error:', error);
@@ -242,8 +356,8 @@ router.delete('/posts/:id', async (req, res) => {
 
 // @route   GET /api/admin/jobs
 // @desc    Get all jobs for admin panel
-// @access  Private (Admin only)
-router.get('/jobs', authenticateToken, authorizeAdmin, async (req, res) => {
+// @access  Private (jobs:moderate)
+router.get('/jobs', requirePermission('jobs:moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
@@ -273,18 +387,29 @@ router.get('/jobs', authenticateToken, authorizeAdmin, async (req, res) => {
 
 // @route   DELETE /api/admin/jobs/:id
 // @desc    Delete job (admin)
-// @access  Private (Admin)
-router.delete('/jobs/:id', async (req, res) => {
+// @access  Private (jobs:moderate)
+router.delete('/jobs/:id', requirePermission('jobs:moderate'), async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
 
+    const wasActive = job.isActive;
+
     // Soft delete
     job.isActive = false;
     await job.save();
 
+    await recordAudit(req, {
+      action: 'job.delete',
+      targetType: 'job',
+      targetId: job._id,
+      before: { isActive: wasActive },
+      after: { isActive: false },
+      metadata: { title: job.title, postedBy: job.postedBy }
+    });
+
     res.json({ message: 'Job deleted successfully' });
   } catch (error) {
     console.error('Delete job error:', error);
@@ -293,51 +418,69 @@ router.delete('/jobs/:id', async (req, res) => {
 });
 
 // @route   GET /api/admin/reports
-// @desc    Get reported content
-// @access  Private (Admin)
-router.get('/reports', async (req, res) => {
+// @desc    Moderation queue: reports grouped by target, most reported first
+// @access  Private (reports:manage)
+router.get('/reports', requirePermission('reports:manage'), async (req, res) => {
   try {
-    const { type, page = 1, limit = 20 } = req.query;
+    const { type, status = 'open', page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
-    let reportedContent = [];
-
-    if (!type || type === 'posts') {
-      const reportedPosts = await Post.find({ reportCount: { $gt: 0 } })
-        .populate('userId', 'name email')
-        .populate('reportedBy.userId', 'name')
-        .sort({ reportCount: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
-
-      reportedContent.push(...reportedPosts.map(post => ({
-        type: 'post',
-        content: post
-      })));
+    const match = { status };
+    if (type) {
+      // Accept the old plural values too (`posts`, `jobs`)
+      match.targetType = type.replace(/s$/, '');
     }
 
-    if (!type || type === 'jobs') {
-      const reportedJobs = await Job.find({ reportCount: { $gt: 0 } })
-        .populate('postedBy', 'name email')
-        .populate('reportedBy.userId', 'name')
-        .sort({ reportCount: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          postId: { $first: '$postId' },
+          targetOwner: { $first: '$targetOwner' },
+          reportCount: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          lastReportedAt: { $max: '$createdAt' },
+          reports: {
+            $push: {
+              _id: '$_id',
+              reporter: '$reporter',
+              reason: '$reason',
+              details: '$details',
+              status: '$status',
+              resolution: '$resolution',
+              history: '$history',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
 
-      reportedContent.push(...reportedJobs.map(job => ({
-        type: 'job',
-        content: job
-      })));
-    }
+    const entries = result.items.map(({ _id, ...entry }) => ({ ...entry, targetType: _id.targetType, targetId: _id.targetId }));
+    await Report.populate(entries, [
+      { path: 'targetOwner', select: 'name email profilePic', model: 'User' },
+      { path: 'reports.reporter', select: 'name email', model: 'User' },
+      { path: 'reports.history.by', select: 'name', model: 'User' }
+    ]);
 
-    // Sort by report count
-    reportedContent.sort((a, b) => b.content.reportCount - a.content.reportCount);
+    const total = result.total[0]?.count || 0;
 
     res.json({
-      reports: reportedContent,
+      reports: await attachReportTargets(entries),
+      reasons: Report.REASONS,
       pagination: {
         current: parseInt(page),
-        hasNext: reportedContent.length === parseInt(limit),
+        total: Math.ceil(total / limit),
+        hasNext: skip + entries.length < total,
         hasPrev: page > 1
       }
     });
@@ -347,10 +490,87 @@ router.get('/reports', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/reports/:targetType/:targetId/resolve
+// @desc    Resolve all open reports on a target, optionally removing it or deactivating its owner
+// @access  Private (reports:manage)
+router.put('/reports/:targetType/:targetId/resolve', requirePermission('reports:manage'), async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action = 'none', note } = req.body;
+
+    if (!Report.TARGET_TYPES.includes(targetType) || !mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!Report.RESOLUTION_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Action must be one of: ${Report.RESOLUTION_ACTIONS.join(', ')}` });
+    }
+    const permission = resolutionPermission(targetType, action);
+    if (permission && !req.user.hasPermission(permission)) {
+      return res.status(403).json({ message: 'You do not have permission to take this action' });
+    }
+
+    const report = await Report.findOne({ targetType, targetId, status: 'open' });
+    if (!report) {
+      return res.status(404).json({ message: 'No open reports for this content' });
+    }
+
+    const actionError = await applyResolution(targetType, targetId, report, action);
+    if (actionError) {
+      return res.status(400).json({ message: actionError });
+    }
+
+    const { modifiedCount } = await Report.closeForTarget(targetType, targetId, 'resolved', req.user._id, { action, note });
+    await clearReportCounters(targetType, targetId);
+
+    await recordAudit(req, {
+      action: 'report.resolve',
+      targetType,
+      targetId,
+      metadata: { resolution: action, note, closed: modifiedCount }
+    });
+
+    res.json({ message: 'Reports resolved', closed: modifiedCount });
+  } catch (error) {
+    console.error('Resolve reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/reports/:targetType/:targetId/dismiss
+// @desc    Dismiss all open reports on a target
+// @access  Private (reports:manage)
+router.put('/reports/:targetType/:targetId/dismiss', requirePermission('reports:manage'), async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+
+    if (!Report.TARGET_TYPES.includes(targetType) || !mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const { modifiedCount } = await Report.closeForTarget(targetType, targetId, 'dismissed', req.user._id, { note: req.body.note });
+    if (!modifiedCount) {
+      return res.status(404).json({ message: 'No open reports for this content' });
+    }
+    await clearReportCounters(targetType, targetId);
+
+    await recordAudit(req, {
+      action: 'report.dismiss',
+      targetType,
+      targetId,
+      metadata: { note: req.body.note, closed: modifiedCount }
+    });
+
+    res.json({ message: 'Reports dismissed', closed: modifiedCount });
+  } catch (error) {
+    console.error('Dismiss reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/admin/job-applications
 // @desc    Get all job applications for admin review
-// @access  Private (Admin)
-router.get('/job-applications', async (req, res) => {
+// @access  Private (jobs:review)
+router.get('/job-applications', requirePermission('jobs:review'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
     const skip = (page - 1) * limit;
@@ -379,6 +599,9 @@ router.get('/job-applications', async (req, res) => {
             coverLetter: app.coverLetter,
             resume: app.resume,
             status: app.status,
+            stage: job.getApplicationStage(app),
+            stageHistory: app.stageHistory,
+            pipelineStages: job.pipelineStages,
             appliedAt: app.appliedAt,
             postedBy: job.postedBy
           });
@@ -404,12 +627,12 @@ router.get('/job-applications', async (req, res) => {
 });
 
 // @route   PUT /api/admin/job-applications/:applicationId/status
-// @desc    Update job application status (Admin only)
-// @access  Private (Admin)
-router.put('/job-applications/:applicationId/status', async (req, res) => {
+// @desc    Update job application status or pipeline stage (Admin only)
+// @access  Private (jobs:review)
+router.put('/job-applications/:applicationId/status', requirePermission('jobs:review'), async (req, res) => {
   try {
-    const { status, jobId } = req.body;
-    if (!['Pending', 'Approved', 'Rejected'].includes(status)) {
+    const { status, stage, note, jobId } = req.body;
+    if (!stage && !['Pending', 'Approved', 'Rejected'].includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
 
@@ -418,79 +641,33 @@ router.put('/job-applications/:applicationId/status', async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    const application = job.applications.id(req.params.applicationId);
-    if (!application) {
+    const existing = job.applications.id(req.params.applicationId);
+    if (!existing) {
       return res.status(404).json({ message: 'Application not found' });
     }
+    const before = { stage: job.getApplicationStage(existing), status: existing.status };
 
-    application.status = status;
-    application.updatedAt = new Date();
-
-    await job.save();
+    // Legacy statuses map onto pipeline stages so the move is kept in the history
+    const stageKey = stage || Job.stageForStatus(status, job.pipelineStages);
+    if (!job.pipelineStages.some(s => s.key === stageKey)) {
+      return res.status(400).json({ message: 'Invalid stage' });
+    }
 
-    // Notify applicant
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.create({
-        recipientId: application.userId,
-        senderId: req.user._id,
-        type: 'JOB_APPLICATION_UPDATE',
-        title: `Job application ${status.toLowerCase()}`,
-        message: `Your application for ${job.title} has been ${status.toLowerCase()}`,
-        data: { 
-          jobId: job._id.toString(),
-          status: status
-        }
-      });
+    const { application, stage: movedTo } = job.moveApplicationStage(req.params.applicationId, stageKey, req.user._id, note);
+    await job.save({ validateModifiedOnly: true });
 
-      const io = req.app.get('io');
-      if (io) {
-        io.to(application.userId.toString()).emit('notification:new', {
-          recipientId: application.userId,
-          senderId: req.user._id,
-          type: 'JOB_APPLICATION_UPDATE',
-          title: `Job application ${status.toLowerCase()}`,
-          message: `Your application for ${job.title} has been ${status.toLowerCase()}`
-        });
-      }
+    await notifyStageChange(req, job, application, movedTo, { sendApprovalMessage: true });
 
-      // If approved, send a message to the applicant
-      if (status === 'Approved') {
-        try {
-          const Message = require('../models/Message');
-          const message = new Message({
-            senderId: req.user._id,
-            receiverId: application.userId,
-            content: `Congratulations! Your application for ${job.title} has been approved. We will contact you soon with next steps.`,
-            messageType: 'text'
-          });
-          await message.save();
-
-          // Emit message via socket
-          if (io) {
-            io.to(application.userId.toString()).emit('message:new', {
-              _id: message._id,
-              senderId: req.user._id,
-              receiverId: application.userId,
-              content: message.content,
-              messageType: 'text',
-              createdAt: message.createdAt,
-              sender: {
-                _id: req.user._id,
-                name: req.user.name,
-                profilePic: req.user.profilePic
-              }
-            });
-          }
-        } catch (messageErr) {
-          console.error('Failed to send approval message:', messageErr.message);
-        }
-      }
-    } catch (notifyErr) {
-      console.error('Failed to create job application update notification:', notifyErr.message);
-    }
+    await recordAudit(req, {
+      action: 'application.stage_change',
+      targetType: 'application',
+      targetId: application._id,
+      before,
+      after: { stage: movedTo.key, status: application.status },
+      metadata: { jobId: job._id, applicantId: application.userId, note }
+    });
 
-    res.json({ message: 'Application status updated successfully' });
+    res.json({ message: 'Application status updated successfully', application });
   } catch (error) {
     console.error('Update application status error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -499,8 +676,8 @@ router.put('/job-applications/:applicationId/status', async (req, res) => {
 
 // @route   GET /api/admin/job-applications/:applicationId/resume
 // @desc    Download resume for job application
-// @access  Private (Admin)
-router.get('/job-applications/:applicationId/resume', async (req, res) => {
+// @access  Private (jobs:review)
+router.get('/job-applications/:applicationId/resume', requirePermission('jobs:review'), async (req, res) => {
   try {
     // Find the job that contains this application
     const job = await Job.findOne({ 'applications._id': req.params.applicationId });
@@ -517,6 +694,13 @@ router.get('/job-applications/:applicationId/resume', async (req, res) => {
       return res.status(404).json({ message: 'No resume found for this application' });
     }
 
+    await recordAudit(req, {
+      action: 'application.resume_download',
+      targetType: 'application',
+      targetId: application._id,
+      metadata: { jobId: job._id, applicantId: application.userId }
+    });
+
     // Redirect to the Cloudinary URL
     res.redirect(application.resume);
   } catch (error) {
@@ -525,4 +709,97 @@ router.get('/job-applications/:applicationId/resume', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/audit-log
+// @desc    Privileged actions, newest first. Filter by actor, action, target and date; `format=csv` exports
+// @access  Private (audit:view)
+router.get('/audit-log', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, format } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    // Query values are coerced to strings so `?action[$ne]=x` can't become an operator
+    const filter = {};
+    for (const [field, value] of Object.entries({ actor, targetId })) {
+      if (!value) continue;
+      if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${field}` });
+      }
+      filter[field] = value;
+    }
+    if (action) {
+      if (!AuditLog.ACTIONS.includes(String(action))) {
+        return res.status(400).json({ message: 'Invalid action' });
+      }
+      filter.action = String(action);
+    }
+    if (targetType) {
+      if (!AuditLog.TARGET_TYPES.includes(String(targetType))) {
+        return res.status(400).json({ message: 'Invalid targetType' });
+      }
+      filter.targetType = String(targetType);
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const header = ['timestamp', 'actor', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'before', 'after', 'metadata', 'ip'];
+      const rows = entries.map(entry => [
+        entry.createdAt.toISOString(),
+        entry.actor?.name,
+        entry.actor?.email,
+        entry.actorRole,
+        entry.action,
+        entry.targetType,
+        entry.targetId?.toString(),
+        entry.changes?.before,
+        entry.changes?.after,
+        entry.metadata,
+        entry.ip
+      ].map(csvCell).join(','));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([header.join(','), ...rows].join('\r\n'));
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email profilePic')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      actions: AuditLog.ACTIONS,
+      targetTypes: AuditLog.TARGET_TYPES,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + entries.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
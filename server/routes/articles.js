@@ -0,0 +1,331 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Post = require('../models/Post');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { isActingOnOthers, recordAudit } = require('../utils/audit');
+const { deriveTags } = require('../utils/mentions');
+const { sanitizeHtml, htmlToText } = require('../utils/sanitizeHtml');
+
+const router = express.Router();
+
+const AUTHOR_FIELDS = 'name profilePic bio';
+
+// Malformed ids would otherwise surface as a CastError from findById
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ message: 'Article not found' });
+  }
+  next();
+});
+
+// "Hello, Wörld!" -> "hello-world-3f9a1c"; the suffix keeps articles with the same title apart
+const slugify = (title) => {
+  const base = title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 80)
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'article'}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+// Applies whichever of title, body and coverImage were given. Returns an error message or null.
+const applyChanges = (article, { title, body, coverImage }) => {
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) return 'Article title is required';
+    if (title.trim().length > 150) return 'Article title cannot exceed 150 characters';
+    article.title = title.trim();
+    if (!article.publishedAt) article.slug = slugify(article.title);
+  }
+
+  if (body !== undefined) {
+    if (typeof body !== 'string' || body.length > Article.MAX_BODY_LENGTH) {
+      return `Article body cannot exceed ${Article.MAX_BODY_LENGTH} characters`;
+    }
+    article.body = sanitizeHtml(body);
+    const text = htmlToText(article.body);
+    article.excerpt = text.length > Article.EXCERPT_LENGTH ? `${text.slice(0, Article.EXCERPT_LENGTH - 1)}…` : text;
+    article.readingTime = Math.max(1, Math.ceil(text.split(' ').filter(Boolean).length / Article.WORDS_PER_MINUTE));
+  }
+
+  if (coverImage !== undefined) {
+    if (coverImage && !/^https?:\/\/.+/.test(coverImage)) return 'Invalid cover image URL';
+    article.coverImage = coverImage || undefined;
+  }
+
+  return null;
+};
+
+// The article if the current user wrote it, otherwise sends 404/403 and returns null
+const findOwnArticle = async (req, res) => {
+  const article = await Article.findById(req.params.id);
+  if (!article) {
+    res.status(404).json({ message: 'Article not found' });
+    return null;
+  }
+  if (article.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to change this article' });
+    return null;
+  }
+  return article;
+};
+
+// @route   POST /api/articles
+// @desc    Start an article as a draft. Body: { title, body?, coverImage? }; body is HTML and
+//          is sanitized before it is stored
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const article = new Article({ userId: req.user._id });
+    const error = applyChanges(article, {
+      title: req.body.title ?? '',
+      body: req.body.body ?? '',
+      coverImage: req.body.coverImage
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await article.save();
+    await article.populate('userId', AUTHOR_FIELDS);
+
+    res.status(201).json({ message: 'Draft saved', article });
+  } catch (error) {
+    console.error('Create article error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid article data',
+        details: Object.keys(error.errors).map(key => error.errors[key].message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/articles/user/:userId
+// @desc    A user's published articles, newest first. Their author also gets drafts and
+//          unpublished articles, most recently edited first. Bodies are left out.
+// @access  Public
+router.get('/user/:userId', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const isAuthor = req.user?._id.toString() === req.params.userId;
+    const query = { userId: req.params.userId };
+    if (!isAuthor) query.status = 'published';
+
+    const [articles, total] = await Promise.all([
+      Article.find(query)
+        .select('-body')
+        .populate('userId', AUTHOR_FIELDS)
+        .sort(isAuthor ? { updatedAt: -1 } : { publishedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Article.countDocuments(query)
+    ]);
+
+    res.json({
+      articles,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + articles.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user articles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/articles/:slug
+// @desc    Read an article. Drafts and unpublished articles are only visible to their author
+//          and moderators.
+// @access  Public
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const article = await Article.findOne({ slug: req.params.slug.toLowerCase() })
+      .populate('userId', AUTHOR_FIELDS);
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    const canSeeUnpublished = req.user && (
+      article.userId._id.toString() === req.user._id.toString() || req.user.hasPermission('posts:moderate')
+    );
+    if (article.status !== 'published' && !canSeeUnpublished) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    res.json({ article });
+  } catch (error) {
+    console.error('Get article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/articles/:id
+// @desc    Edit an article. Body: any of { title, body, coverImage }. The slug follows the
+//          title only until the article is first published.
+// @access  Private (author)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const article = await findOwnArticle(req, res);
+    if (!article) return;
+
+    const { title, body, coverImage } = req.body;
+    const error = applyChanges(article, { title, body, coverImage });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await article.save();
+    await article.populate('userId', AUTHOR_FIELDS);
+
+    res.json({ message: 'Article saved', article });
+  } catch (error) {
+    console.error('Update article error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid article data',
+        details: Object.keys(error.errors).map(key => error.errors[key].message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/articles/:id/publish
+// @desc    Publish a draft or unpublished article
+// @access  Private (author)
+router.put('/:id/publish', authenticateToken, async (req, res) => {
+  try {
+    const article = await findOwnArticle(req, res);
+    if (!article) return;
+
+    if (!htmlToText(article.body)) {
+      return res.status(400).json({ message: 'Write something before publishing' });
+    }
+
+    article.status = 'published';
+    article.publishedAt = article.publishedAt || new Date();
+    await article.save();
+    await article.populate('userId', AUTHOR_FIELDS);
+
+    res.json({ message: 'Article published', article });
+  } catch (error) {
+    console.error('Publish article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/articles/:id/unpublish
+// @desc    Take a published article down; it keeps its slug and can be published again
+// @access  Private (author)
+router.put('/:id/unpublish', authenticateToken, async (req, res) => {
+  try {
+    const article = await findOwnArticle(req, res);
+    if (!article) return;
+
+    if (article.status !== 'published') {
+      return res.status(400).json({ message: 'Article is not published' });
+    }
+
+    article.status = 'unpublished';
+    await article.save();
+    await article.populate('userId', AUTHOR_FIELDS);
+
+    res.json({ message: 'Article unpublished', article });
+  } catch (error) {
+    console.error('Unpublish article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/articles/:id
+// @desc    Delete an article
+// @access  Private (author or posts:moderate)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    if (article.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
+      return res.status(403).json({ message: 'Not authorized to delete this article' });
+    }
+
+    await article.deleteOne();
+
+    if (isActingOnOthers(req, article.userId)) {
+      await recordAudit(req, {
+        action: 'article.delete',
+        targetType: 'article',
+        targetId: article._id,
+        before: { title: article.title, status: article.status },
+        after: {},
+        metadata: { authorId: article.userId, slug: article.slug }
+      });
+    }
+
+    res.json({ message: 'Article deleted successfully' });
+  } catch (error) {
+    console.error('Delete article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/articles/:id/share
+// @desc    Share a published article into the feed as a post with its card. Body: { content?, visibility? }
+// @access  Private
+router.post('/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const { content = '', visibility = 'public' } = req.body;
+    if (typeof content !== 'string' || content.length > 2000) {
+      return res.status(400).json({ message: 'Post content cannot exceed 2000 characters' });
+    }
+    if (!['public', 'connections', 'private'].includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility setting' });
+    }
+
+    const article = await Article.findById(req.params.id);
+    if (!article || article.status !== 'published') {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    const post = new Post({
+      userId: req.user._id,
+      content,
+      postType: 'article',
+      article: article.toCard(),
+      visibility,
+      tags: deriveTags(content)
+    });
+    await post.save();
+    await post.populate('userId', 'name profilePic');
+
+    res.status(201).json({ message: 'Article shared to your feed', post: post.toView(req.user._id) });
+  } catch (error) {
+    console.error('Share article error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid post data',
+        details: Object.keys(error.errors).map(key => error.errors[key].message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
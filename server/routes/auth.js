@@ -1,30 +1,126 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { OAuth2Client } = require('google-auth-library');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  signAccessToken,
+  requestContext,
+  issueTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  disconnectSessions
+} = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { sendEmail, escapeHtml } = require('../utils/mailer');
 
 const router = express.Router();
 
 // Google OAuth client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// Email transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
+const RESEND_VERIFICATION_COOLDOWN = 60 * 1000; // 1 minute
+
+const TWO_FACTOR_ISSUER = 'Global Connect';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+// Second-factor codes are only 6 digits, so guesses are limited per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { message: 'Too many verification attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
 });
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Send the email verification link for a freshly issued token
+const sendVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = `${process.env.CLIENT_URL}/verify-email/${verificationToken}`;
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    html: `
+      <h1>Welcome to Global Connect, ${escapeHtml(user.name)}!</h1>
+      <p>Please confirm your email address to finish setting up your account.</p>
+      <a href="${verifyUrl}">Verify Email</a>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't create an account, please ignore this email.</p>
+    `
+  });
+};
+
+// Finish a password/Google login: issue tokens, or ask for the second factor first
+const completeLogin = async (user, req, res, message) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      message: 'Two-factor code required',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id, 'verify')
+    });
+  }
+
+  if (user.isTwoFactorRequired()) {
+    return res.json({
+      message: 'Two-factor authentication must be set up for this account',
+      twoFactorSetupRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id, 'enroll')
+    });
+  }
+
+  const { token, refreshToken } = await issueTokens(user._id, req);
+
+  res.json({
+    message,
+    token,
+    refreshToken,
+    user: user.getPublicProfile()
+  });
+};
+
+// Load the user a login challenge belongs to, with the 2FA secrets selected
+const findChallengeUser = async (challengeToken, purpose) => {
+  const challenge = verifyTwoFactorChallenge(challengeToken, purpose);
+  if (!challenge) return null;
+
+  const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive) return null;
+  return user;
+};
+
+// Generate a new pending secret and return what the authenticator app needs
+const startTwoFactorEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+  };
+};
+
+// Confirm the pending secret with a code from the app; returns the new backup codes, or null if the code is wrong
+const confirmTwoFactorEnrollment = async (user, code) => {
+  const pendingSecret = user.twoFactor.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyCode(pendingSecret, code);
+  if (step === null) return null;
+
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const backupCodes = user.generateBackupCodes();
+
+  await user.save();
+  return backupCodes;
 };
 
 // Test route to debug
@@ -101,17 +197,20 @@ router.post('/register', async (req, res) => {
       role: userRole
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
     console.log('User created successfully:', { id: user._id, role: userRole });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration still succeeds if the mail can't be sent; the user can resend later
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+    }
 
-    res.status(201).json({
-      message: userRole === 'admin' ? 'Admin registered successfully' : 'User registered successfully',
-      token,
-      user: user.getPublicProfile()
-    });
+    // Admin accounts have to enroll in 2FA before they get a session
+    res.status(201);
+    await completeLogin(user, req, res, userRole === 'admin' ? 'Admin registered successfully' : 'User registered successfully');
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -156,8 +255,8 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
-    // Check if role matches (for admin login)
-    if (role === 'admin' && user.role !== 'admin') {
+    // Admin login is for anyone with access to the admin panel
+    if (role === 'admin' && !user.hasPermission('admin:access')) {
       console.log('Admin login attempt failed - user role:', user.role);
       return res.status(400).json({ message: 'Invalid credentials for admin login' });
     }
@@ -173,16 +272,9 @@ router.post('/login', async (req, res) => {
     user.lastSeen = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    console.log('Password check passed:', { userId: user._id, role: user.role });
 
-    console.log('Login successful:', { userId: user._id, role: user.role });
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: user.getPublicProfile()
-    });
+    await completeLogin(user, req, res, 'Login successful');
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -243,14 +335,7 @@ router.post('/google', async (req, res) => {
     user.lastSeen = new Date();
     await user.save();
 
-    // Generate token
-    const jwtToken = generateToken(user._id);
-
-    res.json({
-      message: 'Google login successful',
-      token: jwtToken,
-      user: user.getPublicProfile()
-    });
+    await completeLogin(user, req, res, 'Google login successful');
   } catch (error) {
     console.error('Google login error:', error);
     res.status(500).json({ message: 'Google authentication failed' });
@@ -282,8 +367,7 @@ router.post('/forgot-password', async (req, res) => {
 
     // Send email
     const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
+    await sendEmail({
       to: email,
       subject: 'Password Reset Request',
       html: `
@@ -294,9 +378,7 @@ router.post('/forgot-password', async (req, res) => {
         <p>This link will expire in 10 minutes.</p>
         <p>If you didn't request this, please ignore this email.</p>
       `
-    };
-
-    await transporter.sendMail(mailOptions);
+    });
 
     res.json({ message: 'Password reset email sent' });
   } catch (error) {
@@ -339,6 +421,11 @@ router.post('/reset-password', async (req, res) => {
 
     await user.save();
 
+    // A password reset signs the account out everywhere, including open sockets
+    const sessions = await Session.find({ userId: user._id, revokedAt: null }).select('_id');
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    disconnectSessions(req.app.get('io'), sessions.map(session => session._id));
+
     res.json({ message: 'Password reset successful' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -346,6 +433,275 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the token from the verification mail
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    // Hash the token
+    const emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+
+    await user.save();
+
+    res.json({ message: 'Email verified successfully', user: user.getPublicProfile() });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Failed to verify email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const sentAt = user.getVerificationSentAt();
+    if (sentAt && Date.now() - sentAt.getTime() < RESEND_VERIFICATION_COOLDOWN) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another email' });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Failed to send verification email' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange a challenge token and TOTP/backup code for tokens
+// @access  Public
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const user = await findChallengeUser(challengeToken, 'verify');
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please sign in again.' });
+    }
+
+    const method = user.verifySecondFactor(code);
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user._id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      ...(method === 'backup' && { remainingBackupCodes: user.getRemainingBackupCodes() })
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa/setup
+// @desc    Start required 2FA enrollment during login
+// @access  Public (enrollment challenge token)
+router.post('/login/2fa/setup', async (req, res) => {
+  try {
+    const user = await findChallengeUser(req.body.challengeToken, 'enroll');
+    if (!user || user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please sign in again.' });
+    }
+
+    res.json(await startTwoFactorEnrollment(user));
+  } catch (error) {
+    console.error('2FA login setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa/enable
+// @desc    Finish required 2FA enrollment during login and sign in
+// @access  Public (enrollment challenge token)
+router.post('/login/2fa/enable', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const user = await findChallengeUser(challengeToken, 'enroll');
+    if (!user || user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please sign in again.' });
+    }
+
+    const backupCodes = await confirmTwoFactorEnrollment(user, code);
+    if (!backupCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { token, refreshToken } = await issueTokens(user._id, req);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      token,
+      refreshToken,
+      user: user.getPublicProfile(),
+      backupCodes
+    });
+  } catch (error) {
+    console.error('2FA login enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's 2FA status
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    res.json({
+      enabled: !!user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: user.isTwoFactorRequired(),
+      remainingBackupCodes: user.twoFactor.enabled ? user.getRemainingBackupCodes() : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment; returns the secret and otpauth URI
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(await startTwoFactorEnrollment(user));
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const backupCodes = await confirmTwoFactorEnrollment(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes,
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (needs the password, if set, and a current code)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    if (!user.verifySecondFactor(code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled', user: user.getPublicProfile() });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes (needs a current code)
+// @access  Private
+router.post('/2fa/backup-codes', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifySecondFactor(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({ backupCodes });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -358,8 +714,120 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await Session.findByRefreshToken(refreshToken);
+    const match = session ? session.matchRefreshToken(refreshToken) : null;
+    if (!session || !match || !session.isActive()) {
+      return res.status(401).json({ message: 'Session expired' });
+    }
+
+    // An already-rotated token being presented again means it leaked: kill the session.
+    // Right after a rotation it is more likely another tab that refreshed at the same time.
+    if (match === 'previous' && !session.isInRotationGrace()) {
+      await session.revoke('token_reuse');
+      disconnectSessions(req.app.get('io'), [session._id]);
+      return res.status(401).json({ message: 'Session expired' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('revoked');
+      return res.status(401).json({ message: 'Session expired' });
+    }
+
+    // The tabs share storage, so the new refresh token is already there; only an access token is needed
+    if (match === 'previous') {
+      return res.json({ token: signAccessToken(user._id, session._id) });
+    }
+
+    const nextRefreshToken = await session.rotate(requestContext(req));
+
+    res.json({
+      token: signAccessToken(user._id, session._id),
+      refreshToken: nextRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices) for current user
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({ sessions: sessions.map(session => session.toPublic(req.sessionId)) });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+    disconnectSessions(req.app.get('io'), [session._id]);
+
+    res.json({ message: 'Session revoked', sessionId: session._id });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions (query: exceptCurrent=true keeps this device signed in)
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+    const keepSessionId = exceptCurrent ? req.sessionId : undefined;
+
+    const sessions = await Session.find({ userId: req.user._id, revokedAt: null }).select('_id');
+    const revokedIds = sessions
+      .map(session => session._id)
+      .filter(id => id.toString() !== keepSessionId);
+
+    await Session.revokeAllForUser(req.user._id, 'revoked_all', keepSessionId);
+    disconnectSessions(req.app.get('io'), revokedIds);
+
+    res.json({ message: 'Sessions revoked', revokedCount: revokedIds.length });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke the current session
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
@@ -367,6 +835,12 @@ router.post('/logout', authenticateToken, async (req, res) => {
     req.user.lastSeen = new Date();
     await req.user.save();
 
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await session.revoke('logout');
+      disconnectSessions(req.app.get('io'), [session._id]);
+    }
+
     res.json({ message: 'Logout successful' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -0,0 +1,631 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const cloudinary = require('cloudinary').v2;
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Configure multer for file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+// Upload image to Cloudinary
+const uploadToCloudinary = async (file, transformation) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder: 'global-connect/companies',
+        transformation
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result.secure_url);
+      }
+    );
+
+    stream.end(file.buffer);
+  });
+};
+
+// Company admins and users with `companies:manage` can manage a company page
+const canManage = (company, user) => user.hasPermission('companies:manage') || company.isAdmin(user._id);
+
+// Managing a company you don't belong to is audited
+const isSiteAdminOverride = (company, user) => user.hasPermission('companies:manage') && !company.isAdmin(user._id);
+
+const escapeRegex = (s) => String(s || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/companies
+// @desc    List/search companies
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { q, industry, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { isActive: true };
+
+    if (q && String(q).trim()) {
+      const safe = escapeRegex(String(q).trim());
+      query.$or = [
+        { name: { $regex: safe, $options: 'i' } },
+        { industry: { $regex: safe, $options: 'i' } }
+      ];
+    }
+
+    if (industry) {
+      query.industry = { $regex: escapeRegex(industry), $options: 'i' };
+    }
+
+    const companies = await Company.find(query)
+      .select('name slug logo industry location size')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Company.countDocuments(query);
+
+    res.json({
+      companies: Array.isArray(companies) ? companies : [],
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        hasNext: skip + companies.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get companies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/companies/mine
+// @desc    Get companies the current user administers or recruits for
+// @access  Private
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const companies = await Company.find({
+      isActive: true,
+      $or: [{ admins: req.user._id }, { recruiters: req.user._id }]
+    })
+      .select('name slug logo admins recruiters')
+      .sort({ name: 1 });
+
+    res.json({ companies });
+  } catch (error) {
+    console.error('Get my companies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/companies
+// @desc    Create a company page (creator becomes its first admin)
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, website, industry, location, size } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Company name is required' });
+    }
+    if (website && !/^https?:\/\//i.test(website)) {
+      return res.status(400).json({ message: 'Please enter a valid website URL' });
+    }
+
+    // Reject alternate spellings of an existing company
+    const slug = Company.slugify(name);
+    if (!slug) {
+      return res.status(400).json({ message: 'Company name must contain letters or numbers' });
+    }
+    const existing = await Company.findOne({ slug, isActive: true });
+    if (existing) {
+      return res.status(409).json({
+        message: 'A company with this name already exists',
+        company: { _id: existing._id, name: existing.name, slug: existing.slug }
+      });
+    }
+
+    const company = new Company({
+      name: String(name).trim(),
+      description,
+      website,
+      industry,
+      location,
+      size,
+      admins: [req.user._id],
+      recruiters: [],
+      createdBy: req.user._id
+    });
+
+    await company.save();
+
+    res.status(201).json({
+      message: 'Company created successfully',
+      company
+    });
+  } catch (error) {
+    console.error('Create company error:', error);
+    // Two simultaneous requests can both pass the check above
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A company with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid company data',
+        details: Object.keys(error.errors).map(key => error.errors[key].message)
+      });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/companies/:id
+// @desc    Get a company page by id or slug
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const company = await Company.findByIdOrSlug(req.params.id)
+      .populate('admins', 'name profilePic')
+      .populate('recruiters', 'name profilePic');
+
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const openJobsCount = await Job.countDocuments({
+      companyId: company._id,
+      isActive: true,
+      applicationDeadline: { $gt: new Date() }
+    });
+
+    const [{ followerCount }, isFollowing] = await Promise.all([
+      Follow.getCounts('company', company._id),
+      Follow.isFollowing(req.user?._id, 'company', company._id)
+    ]);
+
+    const companyData = company.toObject();
+    companyData.openJobsCount = openJobsCount;
+    companyData.followerCount = followerCount;
+    companyData.isFollowing = isFollowing;
+
+    res.json({ company: companyData });
+  } catch (error) {
+    console.error('Get company error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/companies/:id
+// @desc    Update company details
+// @access  Private (Company admin or site admin)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, website, industry, location, size } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ message: 'Company name is required' });
+    }
+    if (website && !/^https?:\/\//i.test(website)) {
+      return res.status(400).json({ message: 'Please enter a valid website URL' });
+    }
+
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const auditFields = ['name', 'description', 'website', 'industry', 'location', 'size'];
+    const before = snapshot(company, auditFields);
+
+    const nameChanged = !!name && String(name).trim() !== company.name;
+    if (nameChanged) {
+      // The slug stays as it was; the new name's slug only checks for an existing company
+      const slug = Company.slugify(name);
+      if (!slug) {
+        return res.status(400).json({ message: 'Company name must contain letters or numbers' });
+      }
+      const existing = await Company.findOne({ slug, isActive: true, _id: { $ne: company._id } });
+      if (existing) {
+        return res.status(409).json({ message: 'A company with this name already exists' });
+      }
+      company.name = String(name).trim();
+    }
+
+    // Update fields
+    if (description !== undefined) company.description = description;
+    if (website !== undefined) company.website = website;
+    if (industry !== undefined) company.industry = industry;
+    if (location !== undefined) company.location = location;
+    if (size !== undefined) company.size = size;
+
+    await company.save();
+
+    // Keep the denormalized display name on jobs in sync
+    if (nameChanged) {
+      await Job.updateMany({ companyId: company._id }, { company: company.name });
+    }
+
+    if (isSiteAdminOverride(company, req.user)) {
+      await recordAudit(req, {
+        action: 'company.update',
+        targetType: 'company',
+        targetId: company._id,
+        before,
+        after: snapshot(company, auditFields)
+      });
+    }
+
+    res.json({
+      message: 'Company updated successfully',
+      company
+    });
+  } catch (error) {
+    console.error('Update company error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid company data' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/companies/:id
+// @desc    Deactivate a company page
+// @access  Private (Company admin or site admin)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const wasActive = company.isActive;
+
+    // Soft delete
+    company.isActive = false;
+    await company.save();
+
+    if (isSiteAdminOverride(company, req.user)) {
+      await recordAudit(req, {
+        action: 'company.delete',
+        targetType: 'company',
+        targetId: company._id,
+        before: { isActive: wasActive },
+        after: { isActive: false },
+        metadata: { name: company.name }
+      });
+    }
+
+    res.json({ message: 'Company deleted successfully' });
+  } catch (error) {
+    console.error('Delete company error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/companies/:id/follow
+// @desc    Follow a company page
+// @access  Private
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    await Follow.follow(req.user._id, 'company', company._id);
+    const { followerCount } = await Follow.getCounts('company', company._id);
+
+    res.json({ message: 'Following company', isFollowing: true, followerCount });
+  } catch (error) {
+    console.error('Follow company error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/companies/:id/follow
+// @desc    Unfollow a company page
+// @access  Private
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    await Follow.deleteOne({ follower: req.user._id, targetType: 'company', targetId: company._id });
+    const { followerCount } = await Follow.getCounts('company', company._id);
+
+    res.json({ message: 'Unfollowed company', isFollowing: false, followerCount });
+  } catch (error) {
+    console.error('Unfollow company error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/companies/:id/logo
+// @desc    Upload company logo
+// @access  Private (Company admin or site admin)
+router.post('/:id/logo', authenticateToken, upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload an image' });
+    }
+
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const imageUrl = await uploadToCloudinary(req.file, [{ width: 400, height: 400, crop: 'fill' }]);
+
+    const before = snapshot(company, ['logo']);
+    company.logo = imageUrl;
+    await company.save();
+
+    if (isSiteAdminOverride(company, req.user)) {
+      await recordAudit(req, {
+        action: 'company.update',
+        targetType: 'company',
+        targetId: company._id,
+        before,
+        after: snapshot(company, ['logo'])
+      });
+    }
+
+    res.json({
+      message: 'Company logo updated successfully',
+      logo: imageUrl
+    });
+  } catch (error) {
+    console.error('Upload company logo error:', error);
+    res.status(500).json({ message: 'Failed to upload image' });
+  }
+});
+
+// @route   POST /api/companies/:id/banner
+// @desc    Upload company banner
+// @access  Private (Company admin or site admin)
+router.post('/:id/banner', authenticateToken, upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload an image' });
+    }
+
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const imageUrl = await uploadToCloudinary(req.file, [{ width: 1200, height: 300, crop: 'fill' }]);
+
+    const before = snapshot(company, ['banner']);
+    company.banner = imageUrl;
+    await company.save();
+
+    if (isSiteAdminOverride(company, req.user)) {
+      await recordAudit(req, {
+        action: 'company.update',
+        targetType: 'company',
+        targetId: company._id,
+        before,
+        after: snapshot(company, ['banner'])
+      });
+    }
+
+    res.json({
+      message: 'Company banner updated successfully',
+      banner: imageUrl
+    });
+  } catch (error) {
+    console.error('Upload company banner error:', error);
+    res.status(500).json({ message: 'Failed to upload image' });
+  }
+});
+
+// @route   POST /api/companies/:id/members
+// @desc    Add a company admin or recruiter
+// @access  Private (Company admin or site admin)
+router.post('/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const { userId, role = 'recruiter' } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    if (!['admin', 'recruiter'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    if (!canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const member = await User.findById(userId);
+    if (!member || !member.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const audited = isSiteAdminOverride(company, req.user);
+    const before = snapshot(company, ['admins', 'recruiters']);
+
+    // A user holds one role per company; promoting a recruiter moves them to admins
+    company.admins = company.admins.filter(id => id.toString() !== userId);
+    company.recruiters = company.recruiters.filter(id => id.toString() !== userId);
+    if (role === 'admin') {
+      company.admins.push(member._id);
+    } else {
+      company.recruiters.push(member._id);
+    }
+
+    if (company.admins.length === 0) {
+      return res.status(400).json({ message: 'A company must have at least one admin' });
+    }
+
+    await company.save();
+
+    if (audited) {
+      await recordAudit(req, {
+        action: 'company.member_change',
+        targetType: 'company',
+        targetId: company._id,
+        before,
+        after: snapshot(company, ['admins', 'recruiters']),
+        metadata: { memberId: member._id, role }
+      });
+    }
+
+    await company.populate('admins', 'name profilePic');
+    await company.populate('recruiters', 'name profilePic');
+
+    res.json({
+      message: `${member.name} added as company ${role}`,
+      company
+    });
+  } catch (error) {
+    console.error('Add company member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/companies/:id/members/:userId
+// @desc    Remove a company admin or recruiter
+// @access  Private (Company admin, site admin, or the member themselves)
+router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const isSelf = req.user._id.toString() === userId;
+    if (!isSelf && !canManage(company, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!company.isRecruiter(userId)) {
+      return res.status(404).json({ message: 'User is not a member of this company' });
+    }
+
+    const audited = !isSelf && isSiteAdminOverride(company, req.user);
+    const before = snapshot(company, ['admins', 'recruiters']);
+
+    const remainingAdmins = company.admins.filter(id => id.toString() !== userId);
+    if (remainingAdmins.length === 0) {
+      return res.status(400).json({ message: 'A company must have at least one admin' });
+    }
+
+    company.admins = remainingAdmins;
+    company.recruiters = company.recruiters.filter(id => id.toString() !== userId);
+
+    await company.save();
+
+    if (audited) {
+      await recordAudit(req, {
+        action: 'company.member_change',
+        targetType: 'company',
+        targetId: company._id,
+        before,
+        after: snapshot(company, ['admins', 'recruiters']),
+        metadata: { memberId: userId, removed: true }
+      });
+    }
+
+    res.json({ message: 'Company member removed successfully' });
+  } catch (error) {
+    console.error('Remove company member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/companies/:id/jobs
+// @desc    Get open jobs posted under a company
+// @access  Public
+router.get('/:id/jobs', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const company = await Company.findByIdOrSlug(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const query = {
+      companyId: company._id,
+      isActive: true,
+      applicationDeadline: { $gt: new Date() }
+    };
+
+    const jobs = await Job.find(query)
+      .populate('postedBy', 'name profilePic')
+      .populate('companyId', 'name slug logo')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Job.countDocuments(query);
+
+    res.json({
+      jobs: Array.isArray(jobs) ? jobs : [],
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        hasNext: skip + jobs.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get company jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
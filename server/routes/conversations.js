@@ -0,0 +1,470 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const {
+  postSystemMessage,
+  joinConversationRoom,
+  leaveConversationRoom
+} = require('../utils/conversations');
+
+const router = express.Router();
+
+const PARTICIPANT_FIELDS = 'name profilePic';
+
+// Malformed ids would otherwise surface as a CastError from findById
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ message: 'Conversation not found' });
+  }
+  next();
+});
+
+// Regular users can only bring their connections into a group; site admins can add anyone
+const findAddableUsers = async (currentUser, userIds) => {
+  const ids = [...new Set(userIds.map(id => id.toString()))]
+    .filter(id => id !== currentUser._id.toString());
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid user ID' };
+  }
+
+  if (!currentUser.hasPermission('messages:unrestricted')) {
+    const connectionIds = (currentUser.connections || []).map(id => id.toString());
+    if (ids.some(id => !connectionIds.includes(id))) {
+      return { error: 'You can only add your connections to a group' };
+    }
+  }
+
+  const users = await User.find({ _id: { $in: ids }, isActive: true }).select(PARTICIPANT_FIELDS);
+  if (users.length !== ids.length) {
+    return { error: 'One or more users were not found' };
+  }
+  return { users };
+};
+
+const populateConversation = (conversation) => conversation.populate([
+  { path: 'participants', select: PARTICIPANT_FIELDS },
+  { path: 'admins', select: PARTICIPANT_FIELDS }
+]);
+
+// @route   GET /api/conversations
+// @desc    List conversations for current user (query: type=group|direct)
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const query = { participants: req.user._id };
+    if (req.query.type === 'group') query.isGroup = true;
+    if (req.query.type === 'direct') query.isGroup = false;
+
+    const conversations = await Conversation.find(query)
+      .select('-events')
+      .sort({ lastMessageAt: -1 })
+      .populate('participants', PARTICIPANT_FIELDS)
+      .populate('lastMessage', 'content senderId messageType createdAt')
+      .lean();
+
+    const mutedIds = (req.user.notificationPreferences?.mutedConversations || []).map(id => id.toString());
+    const withUnread = await Promise.all(conversations.map(async (conversation) => ({
+      ...conversation,
+      lastReadAt: undefined,
+      isMuted: mutedIds.includes(conversation._id.toString()),
+      unreadCount: await Message.countUnreadInConversation(
+        conversation._id,
+        req.user._id,
+        conversation.lastReadAt?.[userId]
+      )
+    })));
+
+    res.json({ conversations: withUnread });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Create a group conversation (body: { name, participantIds })
+// @access  Private
+router.post('/', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { name, participantIds } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ message: 'Group name must be between 1 and 100 characters' });
+    }
+    if (!Array.isArray(participantIds) || participantIds.length === 0) {
+      return res.status(400).json({ message: 'Add at least one participant' });
+    }
+    if (participantIds.length + 1 > Conversation.MAX_GROUP_SIZE) {
+      return res.status(400).json({ message: `A group cannot have more than ${Conversation.MAX_GROUP_SIZE} participants` });
+    }
+
+    const { users, error } = await findAddableUsers(req.user, participantIds);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (users.length === 0) {
+      return res.status(400).json({ message: 'Add at least one participant' });
+    }
+
+    const conversation = new Conversation({
+      isGroup: true,
+      name: name.trim(),
+      participants: [req.user._id],
+      admins: [req.user._id],
+      createdBy: req.user._id,
+      events: [{ type: 'created', userId: req.user._id, actorId: req.user._id }]
+    });
+    conversation.addParticipants(users.map(u => u._id), req.user._id);
+    conversation.markReadBy(req.user._id);
+    await conversation.save();
+
+    const io = req.app.get('io');
+    joinConversationRoom(io, conversation.participants, conversation._id);
+
+    const created = await postSystemMessage(io, conversation, 'created', req.user);
+    conversation.lastMessage = created._id;
+    conversation.lastMessageAt = created.createdAt;
+    await conversation.save();
+
+    await populateConversation(conversation);
+
+    // Let the new members know they were added
+    await Promise.all(users.map(async (member) => {
+      if (io) {
+        io.to(member._id.toString()).emit('conversation:new', conversation);
+      }
+      try {
+        await notify(io, {
+          recipientId: member._id,
+          senderId: req.user._id,
+          type: 'MESSAGE',
+          title: 'Added to a group',
+          message: `${req.user.name} added you to "${conversation.name}"`,
+          data: { conversationId: conversation._id.toString(), senderId: req.user._id.toString() }
+        });
+      } catch (notifyError) {
+        console.error('Group notification error:', notifyError);
+      }
+    }));
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Get conversation details (participants only)
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id).select('-lastReadAt');
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    await populateConversation(conversation);
+    await conversation.populate('events.userId events.actorId', 'name');
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/conversations/:id
+// @desc    Rename a group conversation (group admins only)
+// @access  Private
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({ message: 'Group name must be between 1 and 100 characters' });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'Only group conversations can be renamed' });
+    }
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can rename the group' });
+    }
+
+    conversation.name = name.trim();
+    conversation.events.push({ type: 'renamed', userId: req.user._id, actorId: req.user._id });
+    await conversation.save();
+
+    const io = req.app.get('io');
+    await postSystemMessage(io, conversation, 'renamed', req.user);
+    await populateConversation(conversation);
+    if (io) {
+      io.to(Conversation.roomFor(conversation._id)).emit('conversation:updated', conversation);
+    }
+
+    res.json({ message: 'Group renamed successfully', conversation });
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations/:id/participants
+// @desc    Add participants to a group (group admins only, body: { userIds })
+// @access  Private
+router.post('/:id/participants', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ message: 'userIds must be a non-empty array' });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'Participants can only be added to group conversations' });
+    }
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can add participants' });
+    }
+
+    const { users, error } = await findAddableUsers(req.user, userIds);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const added = conversation.addParticipants(users.map(u => u._id), req.user._id);
+    if (added.length === 0) {
+      return res.status(400).json({ message: 'These users are already in the group' });
+    }
+    if (conversation.participants.length > Conversation.MAX_GROUP_SIZE) {
+      return res.status(400).json({ message: `A group cannot have more than ${Conversation.MAX_GROUP_SIZE} participants` });
+    }
+    await conversation.save();
+
+    const io = req.app.get('io');
+    joinConversationRoom(io, added, conversation._id);
+    for (const member of users.filter(u => added.includes(u._id.toString()))) {
+      await postSystemMessage(io, conversation, 'joined', req.user, member);
+    }
+
+    await populateConversation(conversation);
+    if (io) {
+      io.to(Conversation.roomFor(conversation._id)).emit('conversation:updated', conversation);
+      added.forEach(userId => io.to(userId).emit('conversation:new', conversation));
+    }
+
+    res.json({ message: 'Participants added successfully', conversation });
+  } catch (error) {
+    console.error('Add participants error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/participants/:userId
+// @desc    Leave a group, or remove a participant (group admins only)
+// @access  Private
+router.delete('/:id/participants/:userId', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'You cannot leave a direct conversation' });
+    }
+
+    const { userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+    if (!isSelf && !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can remove participants' });
+    }
+    if (!conversation.isParticipant(userId)) {
+      return res.status(404).json({ message: 'User is not in this conversation' });
+    }
+
+    const removedUser = isSelf ? req.user : await User.findById(userId).select(PARTICIPANT_FIELDS);
+    const adminsBefore = conversation.admins.map(id => id.toString());
+    conversation.removeParticipant(userId, req.user._id);
+    await conversation.save();
+
+    const io = req.app.get('io');
+    await postSystemMessage(io, conversation, isSelf ? 'left' : 'removed', req.user, removedUser || { _id: userId, name: 'A member' });
+    leaveConversationRoom(io, userId, conversation._id);
+
+    // Announce an automatic promotion when the last admin left
+    const promoted = conversation.admins.find(id => !adminsBefore.includes(id.toString()));
+    if (promoted) {
+      const promotedUser = await User.findById(promoted).select(PARTICIPANT_FIELDS);
+      if (promotedUser) {
+        await postSystemMessage(io, conversation, 'promoted', req.user, promotedUser);
+      }
+    }
+
+    await populateConversation(conversation);
+    if (io) {
+      io.to(Conversation.roomFor(conversation._id)).emit('conversation:updated', conversation);
+      io.to(userId).emit('conversation:removed', { conversationId: conversation._id });
+    }
+
+    res.json({
+      message: isSelf ? 'You left the group' : 'Participant removed successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Remove participant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations/:id/admins
+// @desc    Make a participant a group admin (group admins only, body: { userId })
+// @access  Private
+router.post('/:id/admins', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    if (!conversation.isGroup || !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can promote participants' });
+    }
+    if (!userId || !conversation.isParticipant(userId)) {
+      return res.status(400).json({ message: 'User is not in this conversation' });
+    }
+    if (conversation.isAdmin(userId)) {
+      return res.status(400).json({ message: 'User is already a group admin' });
+    }
+
+    conversation.admins.push(userId);
+    conversation.events.push({ type: 'promoted', userId, actorId: req.user._id });
+    await conversation.save();
+
+    const io = req.app.get('io');
+    const promotedUser = await User.findById(userId).select(PARTICIPANT_FIELDS);
+    if (promotedUser) {
+      await postSystemMessage(io, conversation, 'promoted', req.user, promotedUser);
+    }
+
+    await populateConversation(conversation);
+    if (io) {
+      io.to(Conversation.roomFor(conversation._id)).emit('conversation:updated', conversation);
+    }
+
+    res.json({ message: 'Participant promoted to admin', conversation });
+  } catch (error) {
+    console.error('Promote participant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get messages in a conversation and mark it as read
+// @access  Private
+router.get('/:id/messages', authenticateToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const messages = await Message.getConversationMessages(conversation._id, limit, skip);
+    const total = await Message.countDocuments({ conversationId: conversation._id, isDeleted: false });
+
+    conversation.markReadBy(req.user._id);
+    await conversation.save();
+
+    res.json({
+      messages: messages.reverse(), // Show oldest first
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + messages.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Private
+router.put('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    conversation.markReadBy(req.user._id);
+    await conversation.save();
+
+    res.json({ message: 'Conversation marked as read', conversationId: conversation._id });
+  } catch (error) {
+    console.error('Mark conversation as read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations/:id/mute
+// @desc    Stop notifications for a conversation (messages still arrive)
+// @access  Private
+router.post('/:id/mute', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id).select('participants');
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { 'notificationPreferences.mutedConversations': conversation._id } }
+    );
+
+    res.json({ message: 'Conversation muted', conversationId: conversation._id, isMuted: true });
+  } catch (error) {
+    console.error('Mute conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/mute
+// @desc    Turn notifications for a conversation back on
+// @access  Private
+router.delete('/:id/mute', authenticateToken, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { 'notificationPreferences.mutedConversations': req.params.id } }
+    );
+
+    res.json({ message: 'Conversation unmuted', conversationId: req.params.id, isMuted: false });
+  } catch (error) {
+    console.error('Unmute conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
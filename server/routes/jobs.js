@@ -1,10 +1,20 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 // Removed express-validator to fix crash
 const Job = require('../models/Job');
+const JobAlert = require('../models/JobAlert');
 const User = require('../models/User');
-const { authenticateToken, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const Company = require('../models/Company');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { notifyStageChange } = require('../utils/hiring');
+const { fileReport } = require('../utils/reports');
+const { isActingOnOthers, recordAudit } = require('../utils/audit');
+const { getRecommendedJobs } = require('../utils/jobMatching');
+const { buildJobQuery, normalizeJobFilters } = require('../utils/jobSearch');
+const { notifyImmediateAlerts } = require('../utils/jobAlerts');
+const { notify } = require('../utils/notify');
 
 const router = express.Router();
 
@@ -49,13 +59,48 @@ const uploadToCloudinary = async (file) => {
   });
 };
 
+// Validate a saved search from the request body; returns { error } or the cleaned fields
+const parseJobAlert = (body, { partial = false } = {}) => {
+  const alert = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Alert name is required' };
+    if (name.length > 100) return { error: 'Alert name cannot exceed 100 characters' };
+    alert.name = name;
+  }
+
+  if (body.frequency !== undefined) {
+    if (!JobAlert.FREQUENCIES.includes(body.frequency)) return { error: 'Invalid alert frequency' };
+    alert.frequency = body.frequency;
+  }
+
+  if (body.isActive !== undefined) alert.isActive = Boolean(body.isActive);
+
+  if (body.filters !== undefined || !partial) {
+    const filters = normalizeJobFilters(body.filters || {});
+    // Alerts follow the whole job board, not one company's listings
+    delete filters.companyId;
+    if (Object.keys(filters).length === 0) return { error: 'Choose at least one search filter' };
+    if (filters.jobType && !Job.schema.path('jobType').enumValues.includes(filters.jobType)) {
+      return { error: 'Invalid job type' };
+    }
+    if (filters.experienceLevel && !Job.schema.path('experienceLevel').enumValues.includes(filters.experienceLevel)) {
+      return { error: 'Invalid experience level' };
+    }
+    alert.filters = filters;
+  }
+
+  return { alert };
+};
+
 // @route   POST /api/jobs
 // @desc    Post a new job
 // @access  Private
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     // Relaxed and aligned validation to avoid 400s and match required fields
-    const { title, description, skills, location, company, jobType, experienceLevel, salary, applicationDeadline, isRemote = false, isUrgent = false } = req.body;
+    const { title, description, skills, location, company, companyId, jobType, experienceLevel, salary, applicationDeadline, isRemote = false, isUrgent = false } = req.body;
 
     if (!title || !title.trim()) {
       return res.status(400).json({ message: 'Title is required' });
@@ -66,6 +111,25 @@ router.post('/', authenticateToken, async (req, res) => {
     if (!location || !location.trim()) {
       return res.status(400).json({ message: 'Location is required' });
     }
+
+    // Resolve the company page: an explicit id must be one the poster recruits for,
+    // a free-text name is linked to an existing page when the spelling matches
+    let linkedCompany = null;
+    if (companyId) {
+      linkedCompany = await Company.findByIdOrSlug(companyId);
+      if (!linkedCompany) {
+        return res.status(404).json({ message: 'Company not found' });
+      }
+      if (!linkedCompany.isRecruiter(req.user._id) && !req.user.hasPermission('companies:manage')) {
+        return res.status(403).json({ message: 'You are not a recruiter for this company' });
+      }
+    } else if (company && String(company).trim()) {
+      const match = await Company.findOne({ slug: Company.slugify(company), isActive: true });
+      if (match && (match.isRecruiter(req.user._id) || req.user.hasPermission('companies:manage'))) {
+        linkedCompany = match;
+      }
+    }
+
     // Normalize
     const normalizedSkills = Array.isArray(skills) ? skills : (skills ? String(skills).split(',').map(s => s.trim()).filter(Boolean) : []);
 
@@ -73,7 +137,8 @@ router.post('/', authenticateToken, async (req, res) => {
     const job = new Job({
       postedBy: req.user._id,
       title: title.trim(),
-      company: company || 'Company',
+      companyId: linkedCompany ? linkedCompany._id : undefined,
+      company: linkedCompany ? linkedCompany.name : (company || 'Company'),
       description: description.trim(),
       location: location.trim(),
       jobType: jobType || 'full-time',
@@ -91,8 +156,13 @@ router.post('/', authenticateToken, async (req, res) => {
 
     await job.save();
 
-    // Populate postedBy info
+    // Alert saved searches in the background; posting shouldn't wait on it
+    notifyImmediateAlerts(job.toObject(), req.app.get('io'))
+      .catch(error => console.error('Job alert notification error:', error.message));
+
+    // Populate postedBy and company info
     await job.populate('postedBy', 'name profilePic');
+    await job.populate('companyId', 'name slug logo');
 
     res.status(201).json({
       message: 'Job posted successfully',
@@ -109,74 +179,130 @@ router.post('/', authenticateToken, async (req, res) => {
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const { 
-      q, location, jobType, experienceLevel, isRemote, 
-      minSalary, maxSalary, page = 1, limit = 10 
-    } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    const filters = {};
-    
-    // Text search (regex for stability without requiring text index)
-    if (q && String(q).trim()) {
-      const safe = String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      filters.$or = [
-        { title: { $regex: safe, $options: 'i' } },
-        { description: { $regex: safe, $options: 'i' } },
-        { company: { $regex: safe, $options: 'i' } },
-        { skills: { $regex: safe, $options: 'i' } }
-      ];
+    const filters = buildJobQuery(req.query);
+
+    const jobs = await Job.find(filters)
+      .populate('postedBy', 'name profilePic')
+      .populate('companyId', 'name slug logo')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Job.countDocuments(filters);
+
+    res.json(Array.isArray(jobs) ? jobs : []);
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/jobs/alerts
+// @desc    Get the user's saved job searches
+// @access  Private
+router.get('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const alerts = await JobAlert.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json({ alerts, frequencies: JobAlert.FREQUENCIES });
+  } catch (error) {
+    console.error('Get job alerts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/jobs/alerts
+// @desc    Save a job search as an alert
+// @access  Private
+router.post('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const { alert, error } = parseJobAlert(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    // Location filter
-    if (location) {
-      filters.location = { $regex: location, $options: 'i' };
+    const count = await JobAlert.countDocuments({ user: req.user._id });
+    if (count >= JobAlert.MAX_ALERTS_PER_USER) {
+      return res.status(400).json({ message: `You can save up to ${JobAlert.MAX_ALERTS_PER_USER} job alerts` });
     }
 
-    // Job type filter
-    if (jobType) {
-      filters.jobType = jobType;
+    const created = await JobAlert.create({ ...alert, user: req.user._id });
+
+    res.status(201).json({ message: 'Job alert saved', alert: created });
+  } catch (error) {
+    console.error('Create job alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/jobs/alerts/:alertId
+// @desc    Update a saved job search (name, filters, frequency, paused)
+// @access  Private (owner)
+router.put('/alerts/:alertId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.alertId)) {
+      return res.status(400).json({ message: 'Invalid alert ID' });
     }
 
-    // Experience level filter
-    if (experienceLevel) {
-      filters.experienceLevel = experienceLevel;
+    const { alert: changes, error } = parseJobAlert(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    // Remote filter
-    if (isRemote !== undefined) {
-      filters.isRemote = isRemote === 'true';
+    const alert = await JobAlert.findOne({ _id: req.params.alertId, user: req.user._id });
+    if (!alert) {
+      return res.status(404).json({ message: 'Job alert not found' });
     }
 
-    // Salary filter: match nested fields safely
-    if (minSalary) {
-      const min = parseInt(minSalary);
-      if (!isNaN(min)) {
-        filters['salary.min'] = { $gte: min };
-      }
+    // Turning an alert back on shouldn't send a digest of everything missed while paused
+    if (changes.isActive && !alert.isActive) {
+      alert.lastSentAt = new Date();
     }
-    if (maxSalary) {
-      const max = parseInt(maxSalary);
-      if (!isNaN(max)) {
-        filters['salary.max'] = { $lte: max };
-      }
+
+    Object.assign(alert, changes);
+    await alert.save();
+
+    res.json({ message: 'Job alert updated', alert });
+  } catch (error) {
+    console.error('Update job alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/jobs/alerts/:alertId
+// @desc    Delete a saved job search
+// @access  Private (owner)
+router.delete('/alerts/:alertId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.alertId)) {
+      return res.status(400).json({ message: 'Invalid alert ID' });
     }
 
-    // Only active jobs that haven't expired
-    filters.isActive = true;
-    filters.applicationDeadline = { $gt: new Date() };
+    const result = await JobAlert.deleteOne({ _id: req.params.alertId, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Job alert not found' });
+    }
 
-    const jobs = await Job.find(filters)
-      .populate('postedBy', 'name profilePic')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    res.json({ message: 'Job alert deleted' });
+  } catch (error) {
+    console.error('Delete job alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const total = await Job.countDocuments(filters);
+// @route   GET /api/jobs/recommended
+// @desc    Open jobs ranked against the user's profile and job history
+// @access  Private
+router.get('/recommended', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const recommendations = await getRecommendedJobs(req.user, { limit });
 
-    res.json(Array.isArray(jobs) ? jobs : []);
+    res.json({ recommendations });
   } catch (error) {
-    console.error('Get jobs error:', error);
+    console.error('Get recommended jobs error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -188,6 +314,7 @@ router.get('/:id', async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('postedBy', 'name profilePic bio')
+      .populate('companyId', 'name slug logo description website')
       .populate('applications.userId', 'name profilePic email');
 
     if (!job) {
@@ -293,22 +420,15 @@ router.post('/apply/:jobId', authenticateToken, upload.single('resume'), async (
       }
     }
 
-    // Add application with proper data
-    job.applications.push({
-      userId: req.user._id,
-      coverLetter: coverLetter || '',
-      resume: resumeUrl,
-      status: 'Pending',
-      appliedAt: new Date()
-    });
+    // Add application in the first pipeline stage
+    job.applications.push(job.buildApplication(req.user._id, coverLetter || '', resumeUrl));
 
     // Save without triggering unrelated schema validations
     await job.save({ validateModifiedOnly: true });
 
     // Notify job poster
     try {
-      const Notification = require('../models/Notification');
-      await Notification.create({
+      await notify(req.app.get('io'), {
         recipientId: job.postedBy,
         senderId: req.user._id,
         type: 'JOB_APPLICATION',
@@ -319,17 +439,6 @@ router.post('/apply/:jobId', authenticateToken, upload.single('resume'), async (
           applicantId: req.user._id.toString()
         }
       });
-
-      const io = req.app.get('io');
-      if (io) {
-        io.to(job.postedBy.toString()).emit('notification:new', {
-          recipientId: job.postedBy,
-          senderId: req.user._id,
-          type: 'JOB_APPLICATION',
-          title: 'New job application',
-          message: `${req.user.name} applied for your job: ${job.title}`
-        });
-      }
     } catch (notifyErr) {
       console.error('Failed to create job application notification:', notifyErr.message);
     }
@@ -424,24 +533,15 @@ router.post('/:id/apply', authenticateToken, upload.single('resume'), async (req
       }
     }
 
-    // Add application with proper data
-    const application = {
-      userId: req.user._id,
-      coverLetter: coverLetter || '',
-      resume: resumeUrl,
-      status: 'Pending',
-      appliedAt: new Date()
-    };
-
-    job.applications.push(application);
+    // Add application in the first pipeline stage
+    job.applications.push(job.buildApplication(req.user._id, coverLetter || '', resumeUrl));
 
     // Save without triggering unrelated schema validations
     await job.save({ validateModifiedOnly: true });
 
     // Notify job poster
     try {
-      const Notification = require('../models/Notification');
-      await Notification.create({
+      await notify(req.app.get('io'), {
         recipientId: job.postedBy,
         senderId: req.user._id,
         type: 'JOB_APPLICATION',
@@ -452,17 +552,6 @@ router.post('/:id/apply', authenticateToken, upload.single('resume'), async (req
           applicantId: req.user._id.toString()
         }
       });
-
-      const io = req.app.get('io');
-      if (io) {
-        io.to(job.postedBy.toString()).emit('notification:new', {
-          recipientId: job.postedBy,
-          senderId: req.user._id,
-          type: 'JOB_APPLICATION',
-          title: 'New job application',
-          message: `${req.user.name} applied for your job: ${job.title}`
-        });
-      }
     } catch (notifyErr) {
       console.error('Failed to create job application notification:', notifyErr.message);
     }
@@ -487,24 +576,140 @@ router.get('/:id/applications', authenticateToken, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('applications.userId', 'name profilePic skills bio email')
+      .populate('applications.stageHistory.movedBy', 'name')
       .populate('postedBy', 'name');
 
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    // Check if user is admin or job poster
-    if (job.postedBy._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is the job poster or can review any job
+    if (job.postedBy._id.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:review')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ applications: job.applications });
+    const applications = job.applications.map(app => ({
+      ...app.toObject(),
+      stage: job.getApplicationStage(app)
+    }));
+
+    res.json({ applications, pipelineStages: job.pipelineStages });
   } catch (error) {
     console.error('Get job applications error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   PUT /api/jobs/:id/pipeline
+// @desc    Configure the hiring pipeline stages for a job (Admin/Job Poster only)
+// @access  Private
+router.put('/:id/pipeline', authenticateToken, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Check if user is the job poster or can review any job
+    if (job.postedBy.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:review')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    let stages;
+    try {
+      stages = Job.normalizePipeline(req.body.stages);
+    } catch (validationError) {
+      return res.status(400).json({ message: validationError.message });
+    }
+
+    // Don't strand candidates in a stage that is being removed
+    const stranded = job.applications.filter(app => !stages.some(stage => stage.key === job.getApplicationStage(app)));
+    if (stranded.length > 0) {
+      return res.status(400).json({
+        message: `${stranded.length} application(s) are in stages that would be removed. Move them first.`
+      });
+    }
+
+    const before = { pipelineStages: job.pipelineStages.map(({ key, label }) => ({ key, label })) };
+
+    job.pipelineStages = stages;
+    await job.save({ validateModifiedOnly: true });
+
+    if (isActingOnOthers(req, job.postedBy)) {
+      await recordAudit(req, {
+        action: 'job.pipeline_update',
+        targetType: 'job',
+        targetId: job._id,
+        before,
+        after: { pipelineStages: job.pipelineStages.map(({ key, label }) => ({ key, label })) }
+      });
+    }
+
+    res.json({ message: 'Pipeline updated successfully', pipelineStages: job.pipelineStages });
+  } catch (error) {
+    console.error('Update pipeline error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/jobs/:id/applications/:applicationId/stage
+// @desc    Move an application to another pipeline stage (Admin/Job Poster only)
+// @access  Private
+router.put('/:id/applications/:applicationId/stage', authenticateToken, async (req, res) => {
+  try {
+    const { stage, note } = req.body;
+    if (!stage || typeof stage !== 'string') {
+      return res.status(400).json({ message: 'Stage is required' });
+    }
+    if (note && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ message: 'Note cannot exceed 500 characters' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Check if user is the job poster or can review any job
+    if (job.postedBy.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:review')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const existing = job.applications.id(req.params.applicationId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    if (!job.pipelineStages.some(s => s.key === stage)) {
+      return res.status(400).json({ message: 'Invalid stage' });
+    }
+
+    const before = { stage: job.getApplicationStage(existing), status: existing.status };
+    const { application, stage: movedTo } = job.moveApplicationStage(req.params.applicationId, stage, req.user._id, note);
+    await job.save({ validateModifiedOnly: true });
+
+    await notifyStageChange(req, job, application, movedTo, { sendApprovalMessage: req.user.hasPermission('jobs:review') });
+
+    if (isActingOnOthers(req, job.postedBy)) {
+      await recordAudit(req, {
+        action: 'application.stage_change',
+        targetType: 'application',
+        targetId: application._id,
+        before,
+        after: { stage: movedTo.key, status: application.status },
+        metadata: { jobId: job._id, applicantId: application.userId, note }
+      });
+    }
+
+    res.json({
+      message: `Application moved to ${movedTo.label}`,
+      application
+    });
+  } catch (error) {
+    console.error('Move application stage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/jobs/:id/applications/:applicationId/status
 // @desc    Update application status (Admin/Job Poster only)
 // @access  Private
@@ -520,86 +725,88 @@ router.put('/:id/applications/:applicationId/status', authenticateToken, async (
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    // Check if user is admin or job poster
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is the job poster or can review any job
+    if (job.postedBy.toString() !== req.user._id.toString() && !req.user.hasPermission('jobs:review')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const existing = job.applications.id(req.params.applicationId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    const before = { stage: job.getApplicationStage(existing), status: existing.status };
+
+    // Legacy statuses map onto pipeline stages so the move is kept in the history
+    const stageKey = Job.stageForStatus(status, job.pipelineStages);
+    const { application, stage } = job.moveApplicationStage(req.params.applicationId, stageKey, req.user._id);
+    await job.save({ validateModifiedOnly: true });
+
+    await notifyStageChange(req, job, application, stage, { sendApprovalMessage: req.user.hasPermission('jobs:review') });
+
+    if (isActingOnOthers(req, job.postedBy)) {
+      await recordAudit(req, {
+        action: 'application.stage_change',
+        targetType: 'application',
+        targetId: application._id,
+        before,
+        after: { stage: stage.key, status: application.status },
+        metadata: { jobId: job._id, applicantId: application.userId }
+      });
+    }
+
+    res.json({ message: 'Application status updated successfully' });
+  } catch (error) {
+    console.error('Update application status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/jobs/:id/applications/:applicationId/withdraw
+// @desc    Withdraw your own application
+// @access  Private
+router.post('/:id/applications/:applicationId/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
     const application = job.applications.id(req.params.applicationId);
     if (!application) {
       return res.status(404).json({ message: 'Application not found' });
     }
 
-    application.status = status;
-    application.updatedAt = new Date();
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    await job.save();
+    if (Job.CLOSING_STAGES.includes(job.getApplicationStage(application))) {
+      return res.status(400).json({ message: 'This application is already closed' });
+    }
 
-    // Notify applicant
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.create({
-        recipientId: application.userId,
-        senderId: req.user._id,
-        type: 'JOB_APPLICATION_UPDATE',
-        title: `Job application ${status.toLowerCase()}`,
-        message: `Your application for ${job.title} has been ${status.toLowerCase()}`,
-        data: { 
-          jobId: job._id.toString(),
-          status: status
-        }
-      });
+    job.moveApplicationStage(application._id, 'withdrawn', req.user._id, req.body.note);
+    await job.save({ validateModifiedOnly: true });
 
-      const io = req.app.get('io');
-      if (io) {
-        io.to(application.userId.toString()).emit('notification:new', {
-          recipientId: application.userId,
-          senderId: req.user._id,
-          type: 'JOB_APPLICATION_UPDATE',
-          title: `Job application ${status.toLowerCase()}`,
-          message: `Your application for ${job.title} has been ${status.toLowerCase()}`
-        });
-      }
+    res.json({ message: 'Application withdrawn successfully' });
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      // If approved, send a message to the applicant
-      if (status === 'Approved' && req.user.role === 'admin') {
-        try {
-          const Message = require('../models/Message');
-          const message = new Message({
-            senderId: req.user._id,
-            receiverId: application.userId,
-            content: `Congratulations! Your application for ${job.title} has been approved. We will contact you soon with next steps.`,
-            messageType: 'text'
-          });
-          await message.save();
-
-          // Emit message via socket
-          if (io) {
-            io.to(application.userId.toString()).emit('message:new', {
-              _id: message._id,
-              senderId: req.user._id,
-              receiverId: application.userId,
-              content: message.content,
-              messageType: 'text',
-              createdAt: message.createdAt,
-              sender: {
-                _id: req.user._id,
-                name: req.user.name,
-                profilePic: req.user.profilePic
-              }
-            });
-          }
-        } catch (messageErr) {
-          console.error('Failed to send approval message:', messageErr.message);
-        }
-      }
-    } catch (notifyErr) {
-      console.error('Failed to create job application update notification:', notifyErr.message);
+// @route   POST /api/jobs/:id/report
+// @desc    Report a job posting
+// @access  Private
+router.post('/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job || !job.isActive) {
+      return res.status(404).json({ message: 'Job not found' });
     }
 
-    res.json({ message: 'Application status updated successfully' });
+    await fileReport(req, res, { targetType: 'job', targetId: job._id, targetOwner: job.postedBy });
   } catch (error) {
-    console.error('Update application status error:', error);
+    console.error('Report job error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
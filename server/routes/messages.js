@@ -3,17 +3,131 @@ const mongoose = require('mongoose');
 // Removed express-validator to fix crash
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const Conversation = require('../models/Conversation');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { toMessagePayload } = require('../utils/conversations');
+const { notify, notifyMany } = require('../utils/notify');
+const { readReceiptsAllowed, markRead, hideReadState } = require('../utils/receipts');
+const { previewForText } = require('../utils/linkPreview');
 
 const router = express.Router();
 
+// Unfurl the first link once the message is out, then send the card to `rooms` as
+// `message:preview`. Chat shouldn't wait on someone else's web server.
+const attachLinkPreview = async (io, message, rooms) => {
+  if (message.messageType !== 'text') return;
+  try {
+    const linkPreview = await previewForText(message.content);
+    if (!linkPreview) return;
+
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { linkPreview, messageType: 'link', mediaUrl: linkPreview.url } }
+    );
+    if (io) {
+      io.to(rooms).emit('message:preview', {
+        messageId: message._id,
+        conversationId: message.conversationId,
+        linkPreview
+      });
+    }
+  } catch (error) {
+    console.error('Attach link preview error:', error);
+  }
+};
+
+// A reply has to quote a message from the same conversation. Returns an error message or null.
+const checkReplyTo = async (replyTo, conversationId) => {
+  if (replyTo === undefined || replyTo === null || replyTo === '') return null;
+  if (typeof replyTo !== 'string' || !mongoose.Types.ObjectId.isValid(replyTo)) {
+    return 'Invalid reply';
+  }
+  const original = await Message.exists({ _id: replyTo, conversationId, isDeleted: false });
+  return original ? null : 'You can only reply to a message in this conversation';
+};
+
+// Send a message to every participant of a group conversation
+const sendGroupMessage = async (req, res) => {
+  const { conversationId, content, messageType = 'text', mediaUrl, replyTo } = req.body;
+
+  const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+    ? await Conversation.findById(conversationId)
+    : null;
+  if (!conversation || !conversation.isParticipant(req.user._id)) {
+    return res.status(404).json({ message: 'Conversation not found' });
+  }
+  if (!conversation.isGroup) {
+    return res.status(400).json({ message: 'Use receiverId to send direct messages' });
+  }
+
+  const replyError = await checkReplyTo(replyTo, conversation._id);
+  if (replyError) {
+    return res.status(400).json({ message: replyError });
+  }
+
+  const message = new Message({
+    senderId: req.user._id,
+    conversationId: conversation._id,
+    content,
+    messageType,
+    mediaUrl,
+    replyTo: replyTo || undefined
+  });
+  await message.save();
+
+  conversation.lastMessage = message._id;
+  conversation.lastMessageAt = message.createdAt;
+  conversation.markReadBy(req.user._id);
+  await conversation.save();
+
+  await message.populate('senderId', 'name profilePic');
+  if (replyTo) {
+    await message.populate('replyTo', 'content senderId');
+  }
+
+  const io = req.app.get('io');
+  const recipients = conversation.participants
+    .map(id => id.toString())
+    .filter(id => id !== req.user._id.toString());
+
+  // The sender already has the message from the response
+  try {
+    if (io) {
+      io.to(Conversation.roomFor(conversation._id))
+        .except(req.user._id.toString())
+        .emit('message:new', toMessagePayload(message, req.user));
+    }
+  } catch (error) {
+    console.error('Socket emit error:', error);
+  }
+
+  try {
+    await notifyMany(io, recipients, {
+      senderId: req.user._id,
+      type: 'MESSAGE',
+      title: `New message in ${conversation.name}`,
+      message: content?.slice(0, 80) || 'New message',
+      data: { senderId: req.user._id.toString(), conversationId: conversation._id.toString() }
+    });
+  } catch (error) {
+    console.error('Notification creation error:', error);
+  }
+
+  attachLinkPreview(io, message, Conversation.roomFor(conversation._id));
+
+  return res.status(201).json({
+    message: 'Message sent successfully',
+    data: message
+  });
+};
+
 // @route   POST /api/messages
-// @desc    Send a message (body contains receiverId)
+// @desc    Send a message (body contains receiverId, or conversationId for group threads)
 // @access  Private
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
-    const { receiverId, content, messageType = 'text', mediaUrl, replyTo } = req.body;
-    if (!receiverId || typeof receiverId !== 'string') {
+    const { receiverId, conversationId, content, messageType = 'text', mediaUrl, replyTo } = req.body;
+    if (!conversationId && (!receiverId || typeof receiverId !== 'string')) {
       return res.status(400).json({ message: 'Valid receiver ID is required' });
     }
     if (!content || typeof content !== 'string' || content.trim().length === 0 || content.length > 2000) {
@@ -26,6 +140,10 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Valid media URL is required for non-text messages' });
     }
 
+    if (conversationId) {
+      return await sendGroupMessage(req, res);
+    }
+
     // Check if receiver exists
     const receiver = await User.findById(receiverId);
     if (!receiver) {
@@ -34,24 +152,37 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Check permissions: regular users can only message connections, admins can message anyone
     const isConnected = req.user.connections && req.user.connections.some(id => id.toString() === receiverId);
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = req.user.hasPermission('messages:unrestricted');
 
     if (!isConnected && !isAdmin) {
       return res.status(403).json({ message: 'You can only message your connections' });
     }
 
+    // Every one-to-one chat is backed by a direct conversation
+    const conversation = await Conversation.findOrCreateDirect(req.user._id, receiverId);
+
+    const replyError = await checkReplyTo(replyTo, conversation._id);
+    if (replyError) {
+      return res.status(400).json({ message: replyError });
+    }
+
     // Create message
     const message = new Message({
       senderId: req.user._id,
       receiverId,
+      conversationId: conversation._id,
       content,
       messageType,
       mediaUrl,
-      replyTo
+      replyTo: replyTo || undefined
     });
 
     await message.save();
 
+    conversation.lastMessage = message._id;
+    conversation.lastMessageAt = message.createdAt;
+    await conversation.save();
+
     // Populate sender and receiver info
     await message.populate('senderId', 'name profilePic');
     await message.populate('receiverId', 'name profilePic');
@@ -67,6 +198,7 @@ router.post('/', authenticateToken, async (req, res) => {
           _id: message._id,
           senderId: req.user._id,
           receiverId,
+          conversationId: conversation._id,
           content,
           messageType,
           mediaUrl,
@@ -87,24 +219,20 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Create notification for new message
     try {
-      const Notification = require('../models/Notification');
-      const notification = await Notification.create({
+      await notify(req.app.get('io'), {
         recipientId: receiverId,
         senderId: req.user._id,
         type: 'MESSAGE',
         title: 'New message',
         message: content?.slice(0, 80) || 'New message',
-        data: { senderId: req.user._id.toString() }
+        data: { senderId: req.user._id.toString(), conversationId: conversation._id.toString() }
       });
-      
-      const io = req.app.get('io');
-      if (io) {
-        io.to(receiverId.toString()).emit('notification:new', notification);
-      }
     } catch (error) {
       console.error('Notification creation error:', error);
     }
 
+    attachLinkPreview(req.app.get('io'), message, [req.user._id.toString(), receiverId.toString()]);
+
     res.status(201).json({
       message: 'Message sent successfully',
       data: message
@@ -118,7 +246,7 @@ router.post('/', authenticateToken, async (req, res) => {
 // @route   POST /api/messages/:userId
 // @desc    Send a message to userId (route param)
 // @access  Private
-router.post('/:userId', authenticateToken, async (req, res) => {
+router.post('/:userId', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     req.body.receiverId = req.params.userId;
     return router.handle({ ...req, url: '/api/messages' }, res);
@@ -142,15 +270,19 @@ router.get('/thread/:sender/:receiver', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view this conversation' });
     }
 
-    const messages = await Message.getConversation(sender, receiver, parseInt(limit), skip);
+    const otherId = req.user._id.toString() === sender ? receiver : sender;
+    const [messages, showReads] = await Promise.all([
+      Message.getConversation(sender, receiver, parseInt(limit), skip),
+      readReceiptsAllowed(req.user._id, otherId)
+    ]);
 
     // Mark messages as read if current user is the receiver
     if (req.user._id.toString() === receiver) {
-      await Message.markConversationAsRead(sender, receiver);
+      await markRead(req.app.get('io'), receiver, sender);
     }
 
     res.json({
-      messages: messages.reverse(), // Show oldest first
+      messages: (showReads ? messages : hideReadState(messages, req.user._id)).reverse(), // Show oldest first
       pagination: {
         current: parseInt(page),
         hasNext: messages.length === parseInt(limit),
@@ -174,7 +306,7 @@ router.get('/conversation/:userId', authenticateToken, async (req, res) => {
 
     // Check permissions: regular users can only view conversations with connections, admins can view any conversation
     const isConnected = req.user.connections && req.user.connections.some(id => id.toString() === userId);
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = req.user.hasPermission('messages:unrestricted');
 
     if (!isConnected && !isAdmin) {
       return res.status(403).json({ message: 'You can only view conversations with your connections' });
@@ -203,22 +335,12 @@ router.get('/conversation/:userId', authenticateToken, async (req, res) => {
       isDeleted: false
     });
 
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        senderId: userId,
-        receiverId: req.user._id,
-        isRead: false,
-        isDeleted: false
-      },
-      {
-        isRead: true,
-        readAt: new Date()
-      }
-    );
+    // Mark messages as read; the sender hears about it if both share read receipts
+    await markRead(req.app.get('io'), req.user._id, userId);
+    const showReads = await readReceiptsAllowed(req.user._id, userId);
 
     res.json({
-      messages: messages.reverse(), // Reverse to show oldest first
+      messages: (showReads ? messages : hideReadState(messages, req.user._id)).reverse(), // Reverse to show oldest first
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / limit),
@@ -241,28 +363,17 @@ router.put('/conversation/:userId/read', authenticateToken, async (req, res) =>
 
     // Check if users are connected OR if current user is admin
     const isConnected = req.user.connections && req.user.connections.some(id => id.toString() === userId);
-    if (!isConnected && req.user.role !== 'admin') {
+    if (!isConnected && !req.user.hasPermission('messages:unrestricted')) {
       return res.status(403).json({ message: 'You can only mark conversations with your connections as read' });
     }
 
     // Mark all unread messages from this user as read
-    const result = await Message.updateMany(
-      {
-        senderId: userId,
-        receiverId: req.user._id,
-        isRead: false,
-        isDeleted: false
-      },
-      {
-        isRead: true,
-        readAt: new Date()
-      }
-    );
+    const updatedCount = await markRead(req.app.get('io'), req.user._id, userId);
 
     res.json({ 
       message: 'Conversation marked as read',
       conversationId: userId,
-      updatedCount: result.modifiedCount
+      updatedCount
     });
   } catch (error) {
     console.error('Mark conversation as read error:', error);
@@ -279,7 +390,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
     const currentUserId = req.user._id;
 
     // Admin: return all users (except self) for sidebar, do not touch connections logic
-    if (req.user.role === 'admin') {
+    if (req.user.hasPermission('messages:unrestricted')) {
       const users = await User.find({ _id: { $ne: currentUserId }, isActive: true })
         .select('_id name profilePic bio location role')
         .sort({ name: 1 })
@@ -313,11 +424,20 @@ router.get('/conversations', authenticateToken, async (req, res) => {
       { $sort: { 'lastMessage.createdAt': -1 } }
     ]);
 
+    const mutedIds = (req.user.notificationPreferences?.mutedConversations || []).map(id => id.toString());
     const populatedConversations = await Promise.all(
       conversations.map(async (conv) => {
         const otherUser = await User.findById(conv._id).select('name profilePic');
         if (!otherUser) return null;
-        return { _id: conv._id, user: otherUser, lastMessage: conv.lastMessage, unreadCount: conv.unreadCount };
+        const conversationId = conv.lastMessage.conversationId;
+        return {
+          _id: conv._id,
+          user: otherUser,
+          lastMessage: conv.lastMessage,
+          unreadCount: conv.unreadCount,
+          conversationId,
+          isMuted: Boolean(conversationId) && mutedIds.includes(conversationId.toString())
+        };
       })
     );
 
@@ -344,19 +464,22 @@ router.get('/:otherUserId', authenticateToken, async (req, res) => {
     }
 
     const isConnected = me.connections && me.connections.map(id => id.toString()).includes(otherId.toString());
-    if (!isConnected && me.role !== 'admin') {
+    if (!isConnected && !me.hasPermission('messages:unrestricted')) {
       return res.status(403).json({ message: 'You can only view messages with your connections' });
     }
 
-    const messages = await Message.find({
-      $or: [
-        { senderId: userId, receiverId: otherId },
-        { senderId: otherId, receiverId: userId }
-      ],
-      isDeleted: false
-    }).sort({ createdAt: 1 });
+    const [messages, showReads] = await Promise.all([
+      Message.find({
+        $or: [
+          { senderId: userId, receiverId: otherId },
+          { senderId: otherId, receiverId: userId }
+        ],
+        isDeleted: false
+      }).sort({ createdAt: 1 }).lean(),
+      readReceiptsAllowed(userId, otherId)
+    ]);
 
-    return res.json({ messages });
+    return res.json({ messages: showReads ? messages : hideReadState(messages, userId) });
   } catch (error) {
     console.error('Get conversation (pair) error:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -389,7 +512,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
     });
 
     // For admin users, return empty conversations (sidebar is populated via /users/admin)
-    if (user.role === 'admin') {
+    if (user.hasPermission('messages:unrestricted')) {
       return res.json({ conversations: [] });
     }
 
@@ -402,7 +525,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
       isDeleted: false
     };
 
-    if (user.role !== 'admin') {
+    if (!user.hasPermission('messages:unrestricted')) {
       const connectionIds = user.connections.map(id => id.toString()) || [];
       if (connectionIds.length === 0) {
         // If user has no connections, return empty conversations instead of 403
@@ -498,12 +621,12 @@ router.put('/:id/read', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Message not found' });
     }
 
-    // Check if user is the receiver
-    if (message.receiverId.toString() !== req.user._id.toString()) {
+    // Check if user is the receiver (group messages are read per conversation)
+    if (!message.receiverId || message.receiverId.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to mark this message as read' });
     }
 
-    await message.markAsRead();
+    await markRead(req.app.get('io'), req.user._id, message.senderId, { _id: message._id });
 
     res.json({ message: 'Message marked as read' });
   } catch (error) {
@@ -567,7 +690,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
     // Check if user is the sender or receiver
     if (message.senderId.toString() !== req.user._id.toString() && 
-        message.receiverId.toString() !== req.user._id.toString()) {
+        message.receiverId?.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to delete this message' });
     }
 
@@ -593,7 +716,18 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/unread-count', authenticateToken, async (req, res) => {
   try {
-    const unreadCount = await Message.getUnreadCount(req.user._id);
+    const directUnread = await Message.getUnreadCount(req.user._id);
+
+    // Group messages are tracked per participant on the conversation
+    const userId = req.user._id.toString();
+    const groups = await Conversation.find({ participants: req.user._id, isGroup: true })
+      .select('lastReadAt')
+      .lean();
+    const groupCounts = await Promise.all(groups.map(group =>
+      Message.countUnreadInConversation(group._id, req.user._id, group.lastReadAt?.[userId])
+    ));
+
+    const unreadCount = directUnread + groupCounts.reduce((sum, count) => sum + count, 0);
 
     res.json({ unreadCount });
   } catch (error) {
@@ -1,38 +1,58 @@
 const express = require('express');
+const mongoose = require('mongoose');
 // Removed express-validator to fix crash
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { getChannels, isValidTimezone } = require('../utils/notify');
+const { verifyDigestUnsubscribeToken } = require('../utils/tokens');
 
 const router = express.Router();
 
-// All routes require authentication
+// @route   POST /api/notifications/digest/unsubscribe
+// @desc    Turn off the activity digest from the signed link in a digest email
+// @access  Public
+router.post('/digest/unsubscribe', async (req, res) => {
+  try {
+    const userId = typeof req.body.token === 'string' ? verifyDigestUnsubscribeToken(req.body.token) : null;
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    const result = await User.updateOne(
+      { _id: userId },
+      { $set: { 'notificationPreferences.digest.frequency': 'off' } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'You will no longer receive digest emails' });
+  } catch (error) {
+    console.error('Digest unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // @route   GET /api/notifications
-// @desc    Get user's notifications
+// @desc    Get user's notifications, with likes, comments, shares and follows grouped
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
     const skip = (page - 1) * limit;
 
-    const notifications = await Notification.find({ recipientId: req.user._id })
-      .populate('senderId', 'name profilePic')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Notification.countDocuments({ recipientId: req.user._id });
-    const unreadCount = await Notification.countDocuments({ 
-      recipientId: req.user._id, 
-      isRead: false 
-    });
+    const { notifications, total, unreadCount } = await Notification.getGroupedPage(req.user._id, { page, limit });
 
     res.json({
       notifications,
       unreadCount,
       pagination: {
-        current: parseInt(page),
+        current: page,
         total: Math.ceil(total / limit),
         hasNext: skip + notifications.length < total,
         hasPrev: page > 1
@@ -44,19 +64,125 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Preferences as sent to the client: every type with its effective channels
+const formatPreferences = (preferences = {}) => ({
+  types: Notification.TYPES.reduce((types, type) => {
+    types[type] = getChannels(preferences, type);
+    return types;
+  }, {}),
+  mutedConversations: preferences.mutedConversations || [],
+  quietHours: preferences.quietHours,
+  digest: { frequency: preferences.digest?.frequency || 'weekly' }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the user's notification channels per type, muted conversations, quiet hours and digest frequency
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences').lean();
+
+    res.json({
+      preferences: formatPreferences(user.notificationPreferences),
+      channels: Notification.CHANNELS,
+      digestFrequencies: User.DIGEST_FREQUENCIES
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification channels, quiet hours and digest frequency
+// @access  Private
+router.put('/preferences', async (req, res) => {
+  try {
+    const { types, quietHours, digest } = req.body;
+    const update = {};
+
+    if (types !== undefined) {
+      if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        return res.status(400).json({ message: 'types must be an object keyed by notification type' });
+      }
+      for (const [type, channels] of Object.entries(types)) {
+        if (!Notification.TYPES.includes(type)) {
+          return res.status(400).json({ message: `Unknown notification type: ${type}` });
+        }
+        if (!channels || typeof channels !== 'object') {
+          return res.status(400).json({ message: `Invalid channels for ${type}` });
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+          if (!Notification.CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+            return res.status(400).json({ message: `Invalid channel setting for ${type}` });
+          }
+          update[`notificationPreferences.types.${type}.${channel}`] = enabled;
+        }
+      }
+    }
+
+    if (quietHours !== undefined) {
+      const { enabled, start, end, timezone } = quietHours || {};
+      if (enabled !== undefined) {
+        update['notificationPreferences.quietHours.enabled'] = Boolean(enabled);
+      }
+      if (start !== undefined) {
+        if (!User.TIME_OF_DAY.test(start)) return res.status(400).json({ message: 'Quiet hours must be in HH:MM format' });
+        update['notificationPreferences.quietHours.start'] = start;
+      }
+      if (end !== undefined) {
+        if (!User.TIME_OF_DAY.test(end)) return res.status(400).json({ message: 'Quiet hours must be in HH:MM format' });
+        update['notificationPreferences.quietHours.end'] = end;
+      }
+      if (timezone !== undefined) {
+        if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+          return res.status(400).json({ message: 'Invalid timezone' });
+        }
+        update['notificationPreferences.quietHours.timezone'] = timezone;
+      }
+    }
+
+    if (digest !== undefined) {
+      if (!User.DIGEST_FREQUENCIES.includes(digest?.frequency)) {
+        return res.status(400).json({ message: `Digest frequency must be one of: ${User.DIGEST_FREQUENCIES.join(', ')}` });
+      }
+      update['notificationPreferences.digest.frequency'] = digest.frequency;
+      // The next digest covers activity from now, not from before the change
+      update['notificationPreferences.digest.lastSentAt'] = new Date();
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true, runValidators: true })
+      .select('notificationPreferences')
+      .lean();
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: formatPreferences(user.notificationPreferences)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/notifications/:id/read
-// @desc    Mark notification as read
+// @desc    Mark a notification as read; for a group, marks every member
 // @access  Private
 router.put('/:id/read', async (req, res) => {
   try {
-    const notification = await Notification.findOneAndUpdate(
-      { 
-        _id: req.params.id, 
-        recipientId: req.user._id 
-      },
-      { isRead: true },
-      { new: true }
-    ).populate('senderId', 'name profilePic');
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    await Notification.updateMany(
+      { ...Notification.groupMembersQuery(req.user._id, [req.params.id]), isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    const { notifications: [notification] } = await Notification.getGroupedPage(req.user._id, {
+      groupIds: [req.params.id],
+      limit: 1
+    });
 
     if (!notification) {
       return res.status(404).json({ message: 'Notification not found' });
@@ -87,78 +213,23 @@ router.put('/read-all', async (req, res) => {
 });
 
 // @route   DELETE /api/notifications/:id
-// @desc    Delete notification
+// @desc    Delete a notification; for a group, deletes every member
 // @access  Private
 router.delete('/:id', async (req, res) => {
   try {
-    const notification = await Notification.findOneAndDelete({
-      _id: req.params.id,
-      recipientId: req.user._id
-    });
-
-    if (!notification) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Notification not found' });
     }
 
-    res.json({ message: 'Notification deleted successfully' });
-  } catch (error) {
-    console.error('Delete notification error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   POST /api/notifications
-// @desc    Create notification (internal use)
-// @access  Private
-router.post('/', async (req, res) => {
-  try {
-    const { recipientId, type, title, message, data } = req.body;
-    
-    // Validate recipientId
-    if (!recipientId || typeof recipientId !== 'string') {
-      return res.status(400).json({ message: 'Valid recipient ID required' });
-    }
+    const result = await Notification.deleteMany(Notification.groupMembersQuery(req.user._id, [req.params.id]));
 
-    // Validate notification type - allow all types
-    const validTypes = [
-      'CONNECTION_REQUEST', 
-      'CONNECTION_ACCEPTED', 
-      'MESSAGE', 
-      'POST_FROM_CONNECTION',
-      'JOB_APPLICATION',
-      'JOB_APPLICATION_UPDATE',
-      'POST_LIKE',
-      'POST_COMMENT',
-      'POST_SHARE'
-    ];
-    
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({ message: 'Valid notification type required' });
-    }
-    
-    if (!title || !title.trim()) {
-      return res.status(400).json({ message: 'Title is required' });
-    }
-    if (!message || !message.trim()) {
-      return res.status(400).json({ message: 'Message is required' });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
     }
 
-    const notification = new Notification({
-      recipientId,
-      senderId: req.user._id,
-      type,
-      title,
-      message,
-      data: data || {}
-    });
-
-    await notification.save();
-
-    const populatedNotification = await notification.populate('senderId', 'name profilePic');
-
-    res.status(201).json(populatedNotification);
+    res.json({ message: 'Notification deleted successfully' });
   } catch (error) {
-    console.error('Create notification error:', error);
+    console.error('Delete notification error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -4,7 +4,13 @@ const cloudinary = require('cloudinary').v2;
 // Removed express-validator to fix crash
 const Post = require('../models/Post');
 const User = require('../models/User');
-const { authenticateToken, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { fileReport } = require('../utils/reports');
+const { snapshot, isActingOnOthers, recordAudit } = require('../utils/audit');
+const { FEED_MODES, decodeCursor, getFeedPage } = require('../utils/feed');
+const { notify, notifyMany } = require('../utils/notify');
+const { normalizeTag, deriveTags, resolveMentions, filterPostViewers, notifyMentions } = require('../utils/mentions');
+const { extractFirstUrl, previewForText } = require('../utils/linkPreview');
 
 const router = express.Router();
 
@@ -84,8 +90,70 @@ router.post('/upload', authenticateToken, upload.array('files', 10), async (req,
   }
 });
 
+// A poll from the create body ({ options, durationDays, allowMultiple }), which arrives as a
+// JSON string in multipart requests. Returns { poll } or { error }.
+const parsePoll = (input) => {
+  let value = input;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Invalid poll' };
+    }
+  }
+  if (!value || typeof value !== 'object') {
+    return { error: 'Invalid poll' };
+  }
+
+  const options = Array.isArray(value.options) ? value.options.map(option => String(option ?? '').trim()) : [];
+  if (options.length < Post.POLL_MIN_OPTIONS || options.length > Post.POLL_MAX_OPTIONS) {
+    return { error: `A poll needs ${Post.POLL_MIN_OPTIONS} to ${Post.POLL_MAX_OPTIONS} options` };
+  }
+  if (options.some(option => !option || option.length > 100)) {
+    return { error: 'Poll options must be 1–100 characters' };
+  }
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    return { error: 'Poll options must be different' };
+  }
+
+  const days = value.durationDays === undefined ? Post.POLL_DEFAULT_DAYS : Number(value.durationDays);
+  if (!Number.isInteger(days) || days < Post.POLL_MIN_DAYS || days > Post.POLL_MAX_DAYS) {
+    return { error: `Poll duration must be ${Post.POLL_MIN_DAYS} to ${Post.POLL_MAX_DAYS} days` };
+  }
+
+  return {
+    poll: {
+      options: options.map(text => ({ text })),
+      allowMultiple: value.allowMultiple === true || value.allowMultiple === 'true',
+      endsAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+// Unfurl the first link once the post is saved, then send the card to its author as
+// `post:preview` ({ postId, linkPreview }, null when there is none). Posting shouldn't
+// wait on someone else's web server.
+const attachLinkPreview = async (io, post) => {
+  if (!extractFirstUrl(post.content)) return;
+  const authorId = (post.userId._id || post.userId).toString();
+  try {
+    const linkPreview = await previewForText(post.content);
+
+    // Matches only while the content is unchanged, so a slow unfurl can't undo a later edit
+    const result = await Post.updateOne(
+      { _id: post._id, content: post.content },
+      linkPreview ? { $set: { linkPreview } } : { $unset: { linkPreview: 1 } }
+    );
+    if (io && result.modifiedCount > 0) {
+      io.to(authorId).emit('post:preview', { postId: post._id.toString(), linkPreview });
+    }
+  } catch (error) {
+    console.error('Attach link preview error:', error);
+  }
+};
+
 // @route   POST /api/posts
-// @desc    Create a new post
+// @desc    Create a new post, or a poll when `poll` is given (the content is its question)
 // @access  Private
 router.post('/', authenticateToken, upload.fields([{ name: 'images', maxCount: 5 }, { name: 'videos', maxCount: 2 }]), async (req, res) => {
   try {
@@ -112,6 +180,21 @@ router.post('/', authenticateToken, upload.fields([{ name: 'images', maxCount: 5
       return res.status(400).json({ message: 'Invalid visibility setting' });
     }
 
+    let poll;
+    if (req.body.poll) {
+      const parsed = parsePoll(req.body.poll);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      if (!content || !content.trim()) {
+        return res.status(400).json({ message: 'A poll needs a question' });
+      }
+      if (hasUploadedFiles || hasUrlMedia) {
+        return res.status(400).json({ message: 'Polls cannot include images or videos' });
+      }
+      poll = parsed.poll;
+    }
+
     // Handle file uploads if any
     let finalImageUrls = [...imageUrls];
     let finalVideoUrls = [...videoUrls];
@@ -146,7 +229,10 @@ router.post('/', authenticateToken, upload.fields([{ name: 'images', maxCount: 5
       images: finalImageUrls,
       videos: finalVideoUrls,
       visibility,
-      tags: Array.isArray(tags) ? tags : (tags ? [tags] : [])
+      postType: poll ? 'poll' : 'standard',
+      poll,
+      tags: deriveTags(content, tags || []),
+      mentions: await resolveMentions(content, req.user._id)
     });
 
     await post.save();
@@ -158,36 +244,27 @@ router.post('/', authenticateToken, upload.fields([{ name: 'images', maxCount: 5
   try {
     const author = await User.findById(req.user._id).select('connections name');
     if (author && Array.isArray(author.connections) && author.connections.length > 0) {
-      const Notification = require('../models/Notification');
-      const notifications = await Notification.insertMany(
-        author.connections.map(connId => ({
-          recipientId: connId,
-          senderId: req.user._id,
-          type: 'POST_FROM_CONNECTION',
-          title: 'New post from connection',
-          message: `${author.name || 'A connection'} shared a new post`,
-          data: { postId: post._id.toString() }
-        }))
-      );
-      const io = req.app.get('io');
-      if (io) {
-        author.connections.forEach(connId => {
-          io.to(connId.toString()).emit('notification:new', notifications.find(n => n.recipientId.toString() === connId.toString()) || {
-            recipientId: connId,
-            senderId: req.user._id,
-            type: 'POST_FROM_CONNECTION',
-            title: 'New post from connection',
-            message: `${author.name || 'A connection'} shared a new post`,
-            data: { postId: post._id.toString() }
-          });
-        });
-      }
+      await notifyMany(req.app.get('io'), author.connections, {
+        senderId: req.user._id,
+        type: 'POST_FROM_CONNECTION',
+        title: 'New post from connection',
+        message: `${author.name || 'A connection'} shared a new post`,
+        data: { postId: post._id.toString() }
+      });
     }
   } catch (notifyErr) {
     console.error('Failed to send post notifications:', notifyErr.message);
   }
 
-    res.status(201).json({ message: 'Post created successfully', post });
+    try {
+      await notifyMentions(req.app.get('io'), { post, sender: req.user, mentions: post.mentions });
+    } catch (notifyErr) {
+      console.error('Failed to send mention notifications:', notifyErr.message);
+    }
+
+    attachLinkPreview(req.app.get('io'), post);
+
+    res.status(201).json({ message: 'Post created successfully', post: post.toView(req.user._id) });
   } catch (error) {
     console.error('Create post error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -195,64 +272,112 @@ router.post('/', authenticateToken, upload.fields([{ name: 'images', maxCount: 5
 });
 
 // @route   GET /api/posts/feed/:userId
-// @desc    Get user's feed (posts from connections and self)
+// @desc    Get user's feed (posts from connections and self). `mode=ranked` (default) or `latest`;
+//          pass the returned `nextCursor` as `cursor` for the next page
 // @access  Private
 router.get('/feed/:userId', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const { mode = 'ranked', cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
 
-    const user = await User.findById(req.params.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    // Ranking uses private signals such as who you message
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only view your own feed' });
+    }
+    if (!FEED_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of: ${FEED_MODES.join(', ')}` });
     }
 
-    // Get user's connections and include user's own posts
-    const connectionIds = [...user.connections, user._id];
+    const decodedCursor = decodeCursor(cursor);
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    let query = {
-      userId: { $in: connectionIds },
-      isDeleted: false
-    };
+    const { posts, hasNext, nextCursor } = await getFeedPage(req.user, { mode, cursor: decodedCursor, limit });
 
-    // Filter by visibility
-    query.$or = [
-      { visibility: 'public' },
-      { userId: user._id }, // User's own posts
-      { 
-        userId: { $in: user.connections },
-        visibility: 'connections'
-      }
-    ];
+    res.json({
+      posts,
+      mode,
+      pagination: { hasNext, nextCursor }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const posts = await Post.find(query)
-      .populate('userId', 'name profilePic')
-      .populate('comments.userId', 'name profilePic')
-      .populate('likes', 'name profilePic')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+// @route   GET /api/posts/hashtags/trending
+// @desc    Hashtags used by the most people in recent public posts
+// @access  Public
+router.get('/hashtags/trending', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Ranked by distinct authors first, so one account repeating a tag can't trend it
+    const hashtags = await Post.aggregate([
+      { $match: { isDeleted: false, visibility: 'public', createdAt: { $gte: since }, 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', postCount: { $sum: 1 }, authors: { $addToSet: '$userId' } } },
+      { $project: { _id: 0, tag: '$_id', postCount: 1, authorCount: { $size: '$authors' } } },
+      { $sort: { authorCount: -1, postCount: -1, tag: 1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({ hashtags, days });
+  } catch (error) {
+    console.error('Get trending hashtags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const total = await Post.countDocuments(query);
-    
-    console.log('Feed response:', { 
-      postsCount: posts.length, 
-      total, 
-      userId: req.params.userId,
-      query: query
-    });
+// @route   GET /api/posts/hashtag/:tag
+// @desc    Newest posts with a hashtag that the viewer can see
+// @access  Public (signed-in users also see their own and their connections' posts)
+router.get('/hashtag/:tag', optionalAuth, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ message: 'Invalid hashtag' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const audience = [{ visibility: 'public' }];
+    if (req.user) {
+      audience.push(
+        { userId: req.user._id },
+        { userId: { $in: req.user.connections || [] }, visibility: 'connections' }
+      );
+    }
+    const query = { tags: tag, isDeleted: false, $or: audience };
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .populate('userId', 'name profilePic')
+        .populate('comments.userId', 'name profilePic')
+        .populate('comments.replies.userId', 'name profilePic')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(query)
+    ]);
 
     res.json({
-      posts: Array.isArray(posts) ? posts : [],
+      tag,
+      posts: posts.map(post => post.toThreadPreview(req.user?._id)),
       pagination: {
-        current: parseInt(page),
+        current: page,
         total: Math.ceil(total / limit),
         hasNext: skip + posts.length < total,
         hasPrev: page > 1
       }
     });
   } catch (error) {
-    console.error('Get feed error:', error);
+    console.error('Get hashtag posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -260,11 +385,12 @@ router.get('/feed/:userId', authenticateToken, async (req, res) => {
 // @route   GET /api/posts/:id
 // @desc    Get a specific post
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('userId', 'name profilePic bio')
       .populate('comments.userId', 'name profilePic')
+      .populate('comments.replies.userId', 'name profilePic')
       .populate('likes', 'name profilePic')
       .populate('shares.userId', 'name profilePic');
 
@@ -276,7 +402,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    res.json({ post });
+    res.json({ post: post.toView(req.user?._id) });
   } catch (error) {
     console.error('Get post error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -286,7 +412,7 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/posts/:id
 // @desc    Update a post
 // @access  Private
-router.put('/:id', authenticateToken, authorizeOwnerOrAdmin(), async (req, res) => {
+router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const { content, visibility, tags } = req.body;
     if (visibility && !['public', 'connections', 'private'].includes(visibility)) {
@@ -302,19 +428,64 @@ router.put('/:id', authenticateToken, authorizeOwnerOrAdmin(), async (req, res)
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Update fields
-    if (content) post.content = content;
+    // Check if user owns the post or can moderate posts
+    if (post.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
+      return res.status(403).json({ message: 'Not authorized to edit this post' });
+    }
+
+    const auditFields = ['content', 'visibility', 'tags'];
+    const before = snapshot(post, auditFields);
+
+    const previousMentions = post.mentions;
+
+    // Update fields. Tags are re-derived from the content's hashtags plus any given.
+    if (content) {
+      post.content = content;
+      post.mentions = await resolveMentions(content, post.userId);
+      // A different link's card is dropped now; the new one follows from attachLinkPreview
+      if (post.linkPreview && post.linkPreview.url !== extractFirstUrl(content)) {
+        post.linkPreview = undefined;
+      }
+    }
     if (visibility) post.visibility = visibility;
-    if (tags) post.tags = Array.isArray(tags) ? tags : [tags];
+    if (content || tags) post.tags = deriveTags(post.content, tags || []);
 
     await post.save();
 
+    if (content) {
+      try {
+        await notifyMentions(req.app.get('io'), {
+          post,
+          sender: req.user,
+          mentions: post.mentions,
+          previous: previousMentions
+        });
+      } catch (notifyErr) {
+        console.error('Failed to send mention notifications:', notifyErr.message);
+      }
+    }
+
+    if (isActingOnOthers(req, post.userId)) {
+      await recordAudit(req, {
+        action: 'post.edit',
+        targetType: 'post',
+        targetId: post._id,
+        before,
+        after: snapshot(post, auditFields),
+        metadata: { authorId: post.userId }
+      });
+    }
+
+    if (content) {
+      attachLinkPreview(req.app.get('io'), post);
+    }
+
     // Populate user info
     await post.populate('userId', 'name profilePic');
 
     res.json({
       message: 'Post updated successfully',
-      post
+      post: post.toView(req.user._id)
     });
   } catch (error) {
     console.error('Update post error:', error);
@@ -336,8 +507,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Check if user owns the post or is admin
-    if (post.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the post or can moderate posts
+    if (post.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
 
@@ -346,6 +517,17 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     post.deletedAt = new Date();
     await post.save();
 
+    if (isActingOnOthers(req, post.userId)) {
+      await recordAudit(req, {
+        action: 'post.delete',
+        targetType: 'post',
+        targetId: post._id,
+        before: { isDeleted: false },
+        after: { isDeleted: true },
+        metadata: { authorId: post.userId }
+      });
+    }
+
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
     console.error('Delete post error:', error);
@@ -374,8 +556,7 @@ router.put('/:id/like', authenticateToken, async (req, res) => {
     // Create notification only when liking (not unliking) and not on own post
     if (isNowLiked && !wasLiked && post.userId.toString() !== req.user._id.toString()) {
       try {
-        const Notification = require('../models/Notification');
-        await Notification.create({
+        await notify(req.app.get('io'), {
           recipientId: post.userId,
           senderId: req.user._id,
           type: 'POST_LIKE',
@@ -386,18 +567,6 @@ router.put('/:id/like', authenticateToken, async (req, res) => {
             senderId: req.user._id.toString()
           }
         });
-
-        // Emit real-time notification
-        const io = req.app.get('io');
-        if (io) {
-          io.to(post.userId.toString()).emit('notification:new', {
-            recipientId: post.userId,
-            senderId: req.user._id,
-            type: 'POST_LIKE',
-            title: 'Post liked',
-            message: `${req.user.name} liked your post`
-          });
-        }
       } catch (notifyErr) {
         console.error('Failed to create like notification:', notifyErr.message);
       }
@@ -414,6 +583,96 @@ router.put('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/posts/:id/poll/vote
+// @desc    Vote in a poll: { optionIds } (a single id unless it allows multiple choice).
+//          One vote per user; voters and the author get the new results over the socket.
+// @access  Private
+router.post('/:id/poll/vote', authenticateToken, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || post.isDeleted || !post.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    // Voting would add the user to the live results, so it is limited to the post's audience
+    const [canSee] = await filterPostViewers(post, [req.user._id]);
+    if (!canSee) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (post.poll.endsAt <= new Date()) {
+      return res.status(400).json({ message: 'This poll has closed' });
+    }
+
+    const optionIds = [...new Set([].concat(req.body.optionIds || []).map(String))];
+    if (optionIds.length === 0) {
+      return res.status(400).json({ message: 'Choose an option' });
+    }
+    if (optionIds.length > 1 && !post.poll.allowMultiple) {
+      return res.status(400).json({ message: 'This poll allows only one choice' });
+    }
+
+    const options = optionIds.map(id => post.poll.options.find(option => option._id.toString() === id));
+    if (options.some(option => !option)) {
+      return res.status(400).json({ message: 'Invalid poll option' });
+    }
+
+    // Only matches while the user isn't a voter, so concurrent requests can't vote twice
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id, 'poll.voters': { $ne: req.user._id } },
+      { $push: { 'poll.voters': req.user._id, 'poll.options.$[option].votes': req.user._id } },
+      { new: true, arrayFilters: [{ 'option._id': { $in: options.map(option => option._id) } }] }
+    );
+    if (!updated) {
+      return res.status(400).json({ message: 'You have already voted in this poll' });
+    }
+
+    // Results are hidden from people who haven't voted, so only voters and the author get them
+    const io = req.app.get('io');
+    if (io) {
+      const recipients = [...updated.poll.voters, updated.userId].map(id => id.toString());
+      io.to([...new Set(recipients)]).emit('poll:update', {
+        postId: updated._id.toString(),
+        ...Post.pollResults(updated.poll)
+      });
+    }
+
+    res.json({ message: 'Vote recorded', poll: updated.toView(req.user._id).poll });
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/posts/:id/poll/voters
+// @desc    Who picked each option of a poll
+// @access  Private (post author)
+router.get('/:id/poll/voters', authenticateToken, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).populate('poll.options.votes', 'name profilePic');
+    if (!post || post.isDeleted || !post.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    if (post.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the author can see who voted' });
+    }
+
+    res.json({
+      voterCount: post.poll.voters.length,
+      options: post.poll.options.map(option => ({
+        _id: option._id,
+        text: option.text,
+        voteCount: option.votes.length,
+        voters: option.votes
+      }))
+    });
+  } catch (error) {
+    console.error('Get poll voters error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/posts/:id/comment
 // @desc    Add a comment to a post
 // @access  Private
@@ -433,7 +692,7 @@ router.post('/:id/comment', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    await post.addComment(req.user._id, text);
+    await post.addComment(req.user._id, text, await resolveMentions(text, req.user._id));
 
     // Populate the new comment
     await post.populate('comments.userId', 'name profilePic');
@@ -443,8 +702,7 @@ router.post('/:id/comment', authenticateToken, async (req, res) => {
     // Create notification for comment (only if not commenting on own post)
     if (post.userId.toString() !== req.user._id.toString()) {
       try {
-        const Notification = require('../models/Notification');
-        await Notification.create({
+        await notify(req.app.get('io'), {
           recipientId: post.userId,
           senderId: req.user._id,
           type: 'POST_COMMENT',
@@ -456,23 +714,23 @@ router.post('/:id/comment', authenticateToken, async (req, res) => {
             commentId: newComment._id.toString()
           }
         });
-
-        // Emit real-time notification
-        const io = req.app.get('io');
-        if (io) {
-          io.to(post.userId.toString()).emit('notification:new', {
-            recipientId: post.userId,
-            senderId: req.user._id,
-            type: 'POST_COMMENT',
-            title: 'Post commented',
-            message: `${req.user.name} commented on your post`
-          });
-        }
       } catch (notifyErr) {
         console.error('Failed to create comment notification:', notifyErr.message);
       }
     }
 
+    try {
+      await notifyMentions(req.app.get('io'), {
+        post,
+        sender: req.user,
+        mentions: newComment.mentions,
+        exclude: [post.userId],
+        commentId: newComment._id
+      });
+    } catch (notifyErr) {
+      console.error('Failed to send mention notifications:', notifyErr.message);
+    }
+
     res.json({
       message: 'Comment added successfully',
       comment: newComment
@@ -500,15 +758,23 @@ router.delete('/:postId/comment/:commentId', authenticateToken, async (req, res)
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    // Check if user owns the comment or is admin
-    if (comment.userId.toString() !== req.user._id.toString() && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'moderator') {
+    // Check if user owns the comment or can moderate posts
+    if (comment.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
 
     await post.removeComment(commentId);
 
+    if (isActingOnOthers(req, comment.userId)) {
+      await recordAudit(req, {
+        action: 'comment.delete',
+        targetType: 'comment',
+        targetId: comment._id,
+        before: { text: comment.text },
+        metadata: { postId: post._id, authorId: comment.userId }
+      });
+    }
+
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
     console.error('Delete comment error:', error);
@@ -516,6 +782,409 @@ router.delete('/:postId/comment/:commentId', authenticateToken, async (req, res)
   }
 });
 
+// Loads the post and comment named by :postId and :commentId, answering 404 when either is
+// missing. Resolves to { post, comment }, or null once a response has been sent.
+const findComment = async (req, res, query = Post.findById(req.params.postId)) => {
+  const post = await query;
+  if (!post || post.isDeleted) {
+    res.status(404).json({ message: 'Post not found' });
+    return null;
+  }
+
+  const comment = post.comments.id(req.params.commentId);
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return null;
+  }
+
+  return { post, comment };
+};
+
+// @route   GET /api/posts/:postId/comments
+// @desc    Page through a post's comments, oldest first, each with its first few replies
+// @access  Public
+router.get('/:postId/comments', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || Post.COMMENT_PAGE_SIZE, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const post = await Post.findById(req.params.postId)
+      .populate('comments.userId', 'name profilePic')
+      .populate('comments.replies.userId', 'name profilePic');
+    if (!post || post.isDeleted) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const total = post.comments.length;
+    const comments = post.comments
+      .slice(skip, skip + limit)
+      .map(comment => Post.toCommentPreview(comment.toObject()));
+
+    res.json({
+      comments,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + comments.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/posts/:postId/comment/:commentId
+// @desc    Edit a comment; it is marked as edited
+// @access  Private
+router.put('/:postId/comment/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string' || text.trim().length === 0 || text.length > 1000) {
+      return res.status(400).json({ message: 'Comment must be between 1 and 1000 characters' });
+    }
+
+    const found = await findComment(req, res);
+    if (!found) return;
+    const { post, comment } = found;
+
+    // Check if user owns the comment or can moderate posts
+    if (comment.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    const before = { text: comment.text };
+    const previousMentions = comment.mentions;
+    await post.editComment(comment, text, await resolveMentions(text, comment.userId));
+
+    if (isActingOnOthers(req, comment.userId)) {
+      await recordAudit(req, {
+        action: 'comment.edit',
+        targetType: 'comment',
+        targetId: comment._id,
+        before,
+        after: { text: comment.text },
+        metadata: { postId: post._id, authorId: comment.userId }
+      });
+    }
+
+    try {
+      await notifyMentions(req.app.get('io'), {
+        post,
+        sender: req.user,
+        mentions: comment.mentions,
+        previous: previousMentions,
+        commentId: comment._id
+      });
+    } catch (notifyErr) {
+      console.error('Failed to send mention notifications:', notifyErr.message);
+    }
+
+    await post.populate([
+      { path: 'comments.userId', select: 'name profilePic' },
+      { path: 'comments.replies.userId', select: 'name profilePic' }
+    ]);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: Post.toCommentPreview(post.comments.id(comment._id).toObject())
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/posts/:postId/comment/:commentId/like
+// @desc    Like or unlike a comment
+// @access  Private
+router.put('/:postId/comment/:commentId/like', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+    const { post, comment } = found;
+
+    const isLiked = await post.toggleCommentLike(comment, req.user._id);
+
+    res.json({
+      message: 'Comment like toggled successfully',
+      isLiked,
+      likeCount: comment.likes.length
+    });
+  } catch (error) {
+    console.error('Toggle comment like error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/posts/:postId/comment/:commentId/replies
+// @desc    Page through the replies to a comment, oldest first
+// @access  Public
+router.get('/:postId/comment/:commentId/replies', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || Post.REPLY_PAGE_SIZE, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const found = await findComment(req, res, Post.findById(req.params.postId)
+      .populate('comments.replies.userId', 'name profilePic'));
+    if (!found) return;
+    const { comment } = found;
+
+    const total = comment.replies.length;
+    const replies = comment.replies.slice(skip, skip + limit);
+
+    res.json({
+      replies,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + replies.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/posts/:postId/comment/:commentId/replies
+// @desc    Reply to a comment
+// @access  Private
+router.post('/:postId/comment/:commentId/replies', authenticateToken, async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string' || text.trim().length === 0 || text.length > 500) {
+      return res.status(400).json({ message: 'Reply must be between 1 and 500 characters' });
+    }
+
+    const found = await findComment(req, res);
+    if (!found) return;
+    const { post, comment } = found;
+
+    const reply = await post.addReply(comment._id, req.user._id, text, await resolveMentions(text, req.user._id));
+    await post.populate('comments.replies.userId', 'name profilePic');
+
+    // Let the comment's author know (not when replying to yourself)
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      try {
+        await notify(req.app.get('io'), {
+          recipientId: comment.userId,
+          senderId: req.user._id,
+          type: 'COMMENT_REPLY',
+          title: 'New reply',
+          message: `${req.user.name} replied to your comment`,
+          data: {
+            postId: post._id.toString(),
+            senderId: req.user._id.toString(),
+            commentId: comment._id.toString(),
+            replyId: reply._id.toString()
+          }
+        });
+      } catch (notifyErr) {
+        console.error('Failed to create reply notification:', notifyErr.message);
+      }
+    }
+
+    try {
+      await notifyMentions(req.app.get('io'), {
+        post,
+        sender: req.user,
+        mentions: reply.mentions,
+        exclude: [comment.userId],
+        commentId: comment._id,
+        replyId: reply._id
+      });
+    } catch (notifyErr) {
+      console.error('Failed to send mention notifications:', notifyErr.message);
+    }
+
+    res.status(201).json({
+      message: 'Reply added successfully',
+      reply: comment.replies.id(reply._id)
+    });
+  } catch (error) {
+    console.error('Add reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/posts/:postId/comment/:commentId/replies/:replyId
+// @desc    Edit a reply; it is marked as edited
+// @access  Private
+router.put('/:postId/comment/:commentId/replies/:replyId', authenticateToken, async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (!text || typeof text !== 'string' || text.trim().length === 0 || text.length > 500) {
+      return res.status(400).json({ message: 'Reply must be between 1 and 500 characters' });
+    }
+
+    const found = await findComment(req, res);
+    if (!found) return;
+    const { post, comment } = found;
+
+    const reply = comment.replies.id(req.params.replyId);
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    // Check if user owns the reply or can moderate posts
+    if (reply.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
+      return res.status(403).json({ message: 'Not authorized to edit this reply' });
+    }
+
+    const before = { text: reply.text };
+    const previousMentions = reply.mentions;
+    await post.editComment(reply, text, await resolveMentions(text, reply.userId));
+
+    if (isActingOnOthers(req, reply.userId)) {
+      await recordAudit(req, {
+        action: 'comment.edit',
+        targetType: 'comment',
+        targetId: reply._id,
+        before,
+        after: { text: reply.text },
+        metadata: { postId: post._id, commentId: comment._id, authorId: reply.userId }
+      });
+    }
+
+    try {
+      await notifyMentions(req.app.get('io'), {
+        post,
+        sender: req.user,
+        mentions: reply.mentions,
+        previous: previousMentions,
+        commentId: comment._id,
+        replyId: reply._id
+      });
+    } catch (notifyErr) {
+      console.error('Failed to send mention notifications:', notifyErr.message);
+    }
+
+    await post.populate('comments.replies.userId', 'name profilePic');
+
+    res.json({
+      message: 'Reply updated successfully',
+      reply: comment.replies.id(reply._id)
+    });
+  } catch (error) {
+    console.error('Edit reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/posts/:postId/comment/:commentId/replies/:replyId/like
+// @desc    Like or unlike a reply
+// @access  Private
+router.put('/:postId/comment/:commentId/replies/:replyId/like', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+    const { post, comment } = found;
+
+    const reply = comment.replies.id(req.params.replyId);
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    const isLiked = await post.toggleCommentLike(reply, req.user._id);
+
+    res.json({
+      message: 'Reply like toggled successfully',
+      isLiked,
+      likeCount: reply.likes.length
+    });
+  } catch (error) {
+    console.error('Toggle reply like error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/posts/:postId/comment/:commentId/replies/:replyId
+// @desc    Delete a reply
+// @access  Private
+router.delete('/:postId/comment/:commentId/replies/:replyId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findComment(req, res);
+    if (!found) return;
+    const { post, comment } = found;
+
+    const reply = comment.replies.id(req.params.replyId);
+    if (!reply) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    // Check if user owns the reply or can moderate posts
+    if (reply.userId.toString() !== req.user._id.toString() && !req.user.hasPermission('posts:moderate')) {
+      return res.status(403).json({ message: 'Not authorized to delete this reply' });
+    }
+
+    await post.removeReply(comment._id, req.params.replyId);
+
+    if (isActingOnOthers(req, reply.userId)) {
+      await recordAudit(req, {
+        action: 'comment.delete',
+        targetType: 'comment',
+        targetId: reply._id,
+        before: { text: reply.text },
+        metadata: { postId: post._id, commentId: comment._id, authorId: reply.userId }
+      });
+    }
+
+    res.json({ message: 'Reply deleted successfully' });
+  } catch (error) {
+    console.error('Delete reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/posts/:id/report
+// @desc    Report a post
+// @access  Private
+router.post('/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || post.isDeleted) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    await fileReport(req, res, { targetType: 'post', targetId: post._id, targetOwner: post.userId });
+  } catch (error) {
+    console.error('Report post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/posts/:postId/comment/:commentId/report
+// @desc    Report a comment
+// @access  Private
+router.post('/:postId/comment/:commentId/report', authenticateToken, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+    if (!post || post.isDeleted) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    await fileReport(req, res, {
+      targetType: 'comment',
+      targetId: comment._id,
+      postId: post._id,
+      targetOwner: comment.userId
+    });
+  } catch (error) {
+    console.error('Report comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/posts/:id/share
 // @desc    Share a post
 // @access  Private
@@ -540,6 +1209,7 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
       originalContent: originalPost.content,
       originalImages: originalPost.images,
       originalVideos: originalPost.videos,
+      originalLinkPreview: originalPost.linkPreview,
       visibility: 'public',
       isShared: true
     });
@@ -552,8 +1222,7 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
 
     // Notify original post owner
     try {
-      const Notification = require('../models/Notification');
-      await Notification.create({
+      await notify(req.app.get('io'), {
         recipientId: originalPost.userId._id,
         senderId: req.user._id,
         type: 'POST_SHARED',
@@ -564,17 +1233,6 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
           sharedPostId: sharedPost._id.toString()
         }
       });
-
-      const io = req.app.get('io');
-      if (io) {
-        io.to(originalPost.userId._id.toString()).emit('notification:new', {
-          recipientId: originalPost.userId._id,
-          senderId: req.user._id,
-          type: 'POST_SHARED',
-          title: 'Your post was shared',
-          message: `${req.user.name} shared your post`
-        });
-      }
     } catch (notifyErr) {
       console.error('Failed to create share notification:', notifyErr.message);
     }
@@ -592,7 +1250,7 @@ router.post('/:id/share', authenticateToken, async (req, res) => {
 // @route   GET /api/posts/search
 // @desc    Search posts
 // @access  Public
-router.get('/search', async (req, res) => {
+router.get('/search', optionalAuth, async (req, res) => {
   try {
     const { q, tags, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
@@ -606,13 +1264,14 @@ router.get('/search', async (req, res) => {
 
     // Tags filter
     if (tags) {
-      const tagsArray = tags.split(',').map(tag => tag.trim());
+      const tagsArray = tags.split(',').map(normalizeTag).filter(Boolean);
       query.tags = { $in: tagsArray };
     }
 
     const posts = await Post.find(query)
       .populate('userId', 'name profilePic')
       .populate('comments.userId', 'name profilePic')
+      .populate('comments.replies.userId', 'name profilePic')
       .sort(q ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -620,7 +1279,7 @@ router.get('/search', async (req, res) => {
     const total = await Post.countDocuments(query);
 
     res.json({
-      posts,
+      posts: posts.map(post => post.toThreadPreview(req.user?._id)),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / limit),
@@ -0,0 +1,85 @@
+const express = require('express');
+const PushSubscription = require('../models/PushSubscription');
+const { authenticateToken } = require('../middleware/auth');
+const { getVapidConfig, isPushConfigured, isAllowedEndpoint, hasPublicAddress } = require('../utils/webPush');
+
+const router = express.Router();
+
+// @route   GET /api/push/vapid-public-key
+// @desc    Public key browsers need to subscribe to Web Push
+// @access  Public
+router.get('/vapid-public-key', (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ message: 'Push notifications are not enabled on this server' });
+  }
+  res.json({ publicKey: getVapidConfig().publicKey });
+});
+
+// @route   POST /api/push/subscriptions
+// @desc    Save this browser's push subscription for the current user
+// @access  Private
+router.post('/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    if (!isPushConfigured()) {
+      return res.status(503).json({ message: 'Push notifications are not enabled on this server' });
+    }
+
+    const { endpoint, keys } = req.body.subscription || {};
+    if (typeof endpoint !== 'string' || endpoint.length > 2048 || !isAllowedEndpoint(endpoint) ||
+        !(await hasPublicAddress(endpoint))) {
+      return res.status(400).json({ message: 'Invalid push endpoint' });
+    }
+    if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string' ||
+        Buffer.from(keys.p256dh, 'base64url').length !== 65 || Buffer.from(keys.auth, 'base64url').length !== 16) {
+      return res.status(400).json({ message: 'Invalid subscription keys' });
+    }
+
+    const existing = await PushSubscription.findOne({ endpoint }).select('user');
+    if (!existing || existing.user.toString() !== req.user._id.toString()) {
+      const count = await PushSubscription.countDocuments({ user: req.user._id });
+      if (count >= PushSubscription.MAX_SUBSCRIPTIONS_PER_USER) {
+        // Make room by dropping the oldest device
+        const oldest = await PushSubscription.findOne({ user: req.user._id }).sort({ createdAt: 1 });
+        if (oldest) await oldest.deleteOne();
+      }
+    }
+
+    // A browser that switches accounts keeps its endpoint; it now belongs to this user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user._id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: String(req.get('user-agent') || '').slice(0, 300)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({ message: 'Push notifications enabled', subscriptionId: subscription._id });
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/push/subscriptions
+// @desc    Remove this browser's push subscription (body: { endpoint })
+// @access  Private
+router.delete('/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    if (typeof endpoint !== 'string') {
+      return res.status(400).json({ message: 'Endpoint is required' });
+    }
+
+    await PushSubscription.deleteOne({ endpoint, user: req.user._id });
+
+    res.json({ message: 'Push notifications disabled' });
+  } catch (error) {
+    console.error('Delete push subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
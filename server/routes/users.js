@@ -1,24 +1,36 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 // Removed express-validator to fix crash
 const User = require('../models/User');
 const Post = require('../models/Post');
-const Notification = require('../models/Notification');
-const { authenticateToken, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const Company = require('../models/Company');
+const { authenticateToken, optionalAuth, requirePermission, requireSelfOrPermission } = require('../middleware/auth');
+const { fileReport } = require('../utils/reports');
+const { snapshot, isActingOnOthers, recordAudit } = require('../utils/audit');
+const { getSuggestions } = require('../utils/suggestions');
+const { notify } = require('../utils/notify');
+const { getPresence } = require('../utils/presence');
 
 const router = express.Router();
 
+// Most ids accepted by one presence lookup
+const PRESENCE_LOOKUP_LIMIT = 100;
+
+// Ids of the users someone follows, as strings for quick lookups
+const getFollowedUserIds = async (userId) => {
+  const ids = await Follow.getFollowingIds(userId, 'user');
+  return new Set(ids.map(id => id.toString()));
+};
+
 // Place all special routes BEFORE parameterized routes to prevent conflicts
 // @route   GET /api/users/admin
 // @desc    Get all users for admin panel (including admins) - placed early to avoid being shadowed by /:id
-// @access  Private (Admin only)
-router.get('/admin', authenticateToken, async (req, res) => {
+// @access  Private (users:view)
+router.get('/admin', authenticateToken, requirePermission('users:view'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     const { page = 1, limit = 20, search } = req.query;
     const skip = (page - 1) * limit;
 
@@ -80,12 +92,14 @@ router.get('/network', authenticateToken, async (req, res) => {
 
     // Get current user's connection status for each user
     const currentUser = await User.findById(currentUserId).select('connections connectionRequests sentRequests');
+    const followedIds = await getFollowedUserIds(currentUserId);
     
     const usersWithStatus = users.map(user => {
       const status = currentUser.getConnectionStatus(user._id);
       return {
         ...user,
-        connectionStatus: status
+        connectionStatus: status,
+        isFollowing: followedIds.has(user._id.toString())
       };
     });
 
@@ -106,13 +120,51 @@ router.get('/network', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/suggestions
+// @desc    People you may know, ranked, with the reason for each
+// @access  Private
+router.get('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 30);
+
+    const currentUser = await User.findById(req.user._id).select('+dismissedSuggestions');
+    const suggestions = await getSuggestions(currentUser, { limit });
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/suggestions/:id/dismiss
+// @desc    Stop suggesting a user
+// @access  Private
+router.post('/suggestions/:id/dismiss', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { dismissedSuggestions: req.params.id } }
+    );
+
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    console.error('Dismiss suggestion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/connections
 // @desc    Get current user's connections
 // @access  Private
 router.get('/connections', authenticateToken, async (req, res) => {
   try {
-    // For admin users, return all users; for regular users, return connections
-    if (req.user.role === 'admin') {
+    // Users who can message anyone get everyone; others get their connections
+    if (req.user.hasPermission('messages:unrestricted')) {
       const allUsers = await User.find({ isActive: true })
         .select('name profilePic bio location skills role')
         .sort({ name: 1 });
@@ -185,6 +237,34 @@ router.get('/connections-for-messaging', authenticateToken, async (req, res) =>
   }
 });
 
+// @route   GET /api/users/presence?ids=a,b,c
+// @desc    Online status and last-seen time for up to 100 users. Only connections are
+//          included, or anyone for users who can message anyone
+// @access  Private
+router.get('/presence', authenticateToken, async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (ids.length > PRESENCE_LOOKUP_LIMIT) {
+      return res.status(400).json({ message: `At most ${PRESENCE_LOOKUP_LIMIT} ids per request` });
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const connectionIds = new Set((req.user.connections || []).map(id => id.toString()));
+    const visibleIds = req.user.hasPermission('messages:unrestricted')
+      ? ids
+      : ids.filter(id => connectionIds.has(id));
+
+    const presence = visibleIds.length > 0 ? await getPresence(visibleIds) : {};
+
+    res.json({ presence });
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/search-with-status
 // @desc    Search users with connection status for current user
 // @access  Private
@@ -207,12 +287,14 @@ router.get('/search-with-status', authenticateToken, async (req, res) => {
 
       // Get current user's connection status for each result
       const currentUser = await User.findById(currentUserId).select('connections connectionRequests sentRequests');
+      const followedIds = await getFollowedUserIds(currentUserId);
       
       const usersWithStatus = allUsers.map(user => {
         const status = currentUser.getConnectionStatus(user._id);
         return {
           ...user,
-          connectionStatus: status
+          connectionStatus: status,
+          isFollowing: followedIds.has(user._id.toString())
         };
       });
 
@@ -260,12 +342,14 @@ router.get('/search-with-status', authenticateToken, async (req, res) => {
 
     // Get current user's connection status for each search result
     const currentUser = await User.findById(currentUserId).select('connections connectionRequests sentRequests');
+    const followedIds = await getFollowedUserIds(currentUserId);
     
     const usersWithStatus = users.map(user => {
       const status = currentUser.getConnectionStatus(user._id);
       return {
         ...user,
-        connectionStatus: status
+        connectionStatus: status,
+        isFollowing: followedIds.has(user._id.toString())
       };
     });
 
@@ -383,6 +467,46 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/privacy
+// @desc    Get the current user's privacy settings
+// @access  Private
+router.get('/me/privacy', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('privacy').lean();
+
+    res.json({ privacy: { readReceipts: user.privacy?.readReceipts !== false } });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/me/privacy
+// @desc    Update privacy settings (body: { readReceipts })
+// @access  Private
+router.put('/me/privacy', authenticateToken, async (req, res) => {
+  try {
+    const { readReceipts } = req.body;
+    if (typeof readReceipts !== 'boolean') {
+      return res.status(400).json({ message: 'readReceipts must be true or false' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { 'privacy.readReceipts': readReceipts } },
+      { new: true }
+    ).select('privacy').lean();
+
+    res.json({
+      message: 'Privacy settings updated',
+      privacy: { readReceipts: user.privacy.readReceipts }
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/me/connections
 // @desc    Get current user's connections for messaging
 // @access  Private
@@ -450,10 +574,10 @@ const uploadToCloudinary = async (file) => {
 // @route   GET /api/users/:id
 // @desc    Get user profile
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire')
+      .select('-password -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire -notificationPreferences -lastSeen -privacy')
       .populate('connections', 'name profilePic bio location')
       .populate('connectionRequests.from', 'name profilePic');
 
@@ -471,8 +595,16 @@ router.get('/:id', async (req, res) => {
       isDeleted: false 
     });
 
+    const [{ followerCount, followingCount }, isFollowing] = await Promise.all([
+      Follow.getCounts('user', user._id),
+      Follow.isFollowing(req.user?._id, 'user', user._id)
+    ]);
+
     const userData = user.toObject();
     userData.postsCount = postsCount;
+    userData.followerCount = followerCount;
+    userData.followingCount = followingCount;
+    userData.isFollowing = isFollowing;
 
     res.json({ user: userData });
   } catch (error) {
@@ -484,9 +616,9 @@ router.get('/:id', async (req, res) => {
 // @route   PUT /api/users/:id
 // @desc    Update user profile
 // @access  Private
-router.put('/:id', authenticateToken, authorizeOwnerOrAdmin(), async (req, res) => {
+router.put('/:id', authenticateToken, requireSelfOrPermission('users:edit'), async (req, res) => {
   try {
-    const { name, bio, location, website, phone, skills, experience, education } = req.body;
+    const { name, bio, location, website, phone, skills, experience, education, jobPreferences } = req.body;
     if (name && (name.trim().length < 2 || name.trim().length > 50)) {
       return res.status(400).json({ message: 'Name must be between 2 and 50 characters' });
     }
@@ -499,12 +631,18 @@ router.put('/:id', authenticateToken, authorizeOwnerOrAdmin(), async (req, res)
     if (skills && !Array.isArray(skills)) {
       return res.status(400).json({ message: 'Skills must be an array' });
     }
+    if (jobPreferences?.remote !== undefined && !User.REMOTE_PREFERENCES.includes(jobPreferences.remote)) {
+      return res.status(400).json({ message: 'Invalid remote preference' });
+    }
 
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const auditFields = ['name', 'bio', 'location', 'website', 'phone', 'skills', 'experience', 'education'];
+    const before = snapshot(user, auditFields);
+
     // Update fields
     if (name) user.name = name;
     if (bio !== undefined) user.bio = bio;
@@ -514,9 +652,20 @@ router.put('/:id', authenticateToken, authorizeOwnerOrAdmin(), async (req, res)
     if (skills) user.skills = skills;
     if (experience) user.experience = experience;
     if (education) user.education = education;
+    if (jobPreferences?.remote) user.jobPreferences.remote = jobPreferences.remote;
 
     await user.save();
 
+    if (isActingOnOthers(req, user._id)) {
+      await recordAudit(req, {
+        action: 'user.profile_edit',
+        targetType: 'user',
+        targetId: user._id,
+        before,
+        after: snapshot(user, auditFields)
+      });
+    }
+
     res.json({ 
       message: 'Profile updated successfully',
       user: user.getPublicProfile()
@@ -530,13 +679,8 @@ router.put('/:id', authenticateToken, authorizeOwnerOrAdmin(), async (req, res)
 // @route   POST /api/users/:id/profile-picture
 // @desc    Upload profile picture
 // @access  Private
-router.post('/:id/profile-picture', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/:id/profile-picture', authenticateToken, requireSelfOrPermission('users:edit'), upload.single('image'), async (req, res) => {
   try {
-    // Check if user owns the profile or is admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     if (!req.file) {
       return res.status(400).json({ message: 'Please upload an image' });
     }
@@ -549,10 +693,22 @@ router.post('/:id/profile-picture', authenticateToken, upload.single('image'), a
     // Upload to Cloudinary
     const imageUrl = await uploadToCloudinary(req.file);
 
+    const before = snapshot(user, ['profilePic']);
+
     // Update user profile picture
     user.profilePic = imageUrl;
     await user.save();
 
+    if (isActingOnOthers(req, user._id)) {
+      await recordAudit(req, {
+        action: 'user.profile_edit',
+        targetType: 'user',
+        targetId: user._id,
+        before,
+        after: snapshot(user, ['profilePic'])
+      });
+    }
+
     res.json({ 
       message: 'Profile picture updated successfully',
       profilePic: imageUrl
@@ -566,13 +722,8 @@ router.post('/:id/profile-picture', authenticateToken, upload.single('image'), a
 // @route   POST /api/users/:id/banner-picture
 // @desc    Upload banner picture
 // @access  Private
-router.post('/:id/banner-picture', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/:id/banner-picture', authenticateToken, requireSelfOrPermission('users:edit'), upload.single('image'), async (req, res) => {
   try {
-    // Check if user owns the profile or is admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     if (!req.file) {
       return res.status(400).json({ message: 'Please upload an image' });
     }
@@ -585,10 +736,22 @@ router.post('/:id/banner-picture', authenticateToken, upload.single('image'), as
     // Upload to Cloudinary
     const imageUrl = await uploadToCloudinary(req.file);
 
+    const before = snapshot(user, ['bannerPic']);
+
     // Update user banner picture
     user.bannerPic = imageUrl;
     await user.save();
 
+    if (isActingOnOthers(req, user._id)) {
+      await recordAudit(req, {
+        action: 'user.profile_edit',
+        targetType: 'user',
+        targetId: user._id,
+        before,
+        after: snapshot(user, ['bannerPic'])
+      });
+    }
+
     res.json({ 
       message: 'Banner picture updated successfully',
       bannerPic: imageUrl
@@ -659,7 +822,7 @@ router.post('/connect/:id', authenticateToken, async (req, res) => {
 
     // Create notification for target user
     try {
-      const notification = await Notification.create({
+      await notify(req.app.get('io'), {
         recipientId: targetUserId,
         senderId: currentUserId,
         type: 'CONNECTION_REQUEST',
@@ -667,12 +830,6 @@ router.post('/connect/:id', authenticateToken, async (req, res) => {
         message: `${req.user.name || 'Someone'} sent you a connection request`,
         data: { from: currentUserId.toString() }
       });
-      
-      // Emit real-time notification if receiver is online
-      const io = req.app.get('io');
-      if (io) {
-        io.to(targetUserId.toString()).emit('notification:new', notification);
-      }
     } catch (e) {
       console.error('Failed to create/emit connection request notification:', e.message);
     }
@@ -733,7 +890,8 @@ router.put('/connect/:id', authenticateToken, async (req, res) => {
 
       // Notify sender that request was accepted
       try {
-        const notification = await Notification.create({
+        const io = req.app.get('io');
+        await notify(io, {
           recipientId: requestUserId,
           senderId: currentUserId,
           type: 'CONNECTION_ACCEPTED',
@@ -742,9 +900,7 @@ router.put('/connect/:id', authenticateToken, async (req, res) => {
           data: { acceptedBy: currentUserId.toString() }
         });
         
-        const io = req.app.get('io');
         if (io) {
-          io.to(requestUserId.toString()).emit('notification:new', notification);
           // Emit connection update to both users
           io.to(requestUserId.toString()).emit('connection:accepted', { 
             userId: currentUserId.toString(),
@@ -802,6 +958,159 @@ router.delete('/connect/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/:id/follow
+// @desc    Follow a user without connecting
+// @access  Private
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const targetUserId = req.params.id;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    if (currentUserId.toString() === targetUserId) {
+      return res.status(400).json({ message: 'Cannot follow yourself' });
+    }
+
+    const targetUser = await User.findById(targetUserId).select('isActive');
+    if (!targetUser || !targetUser.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await Follow.follow(currentUserId, 'user', targetUser._id);
+
+    // Only notify the first time, not when a follow is repeated
+    if (!result.lastErrorObject?.updatedExisting) {
+      try {
+        await notify(req.app.get('io'), {
+          recipientId: targetUser._id,
+          senderId: currentUserId,
+          type: 'NEW_FOLLOWER',
+          title: 'New follower',
+          message: `${req.user.name || 'Someone'} started following you`,
+          data: { from: currentUserId.toString() }
+        });
+      } catch (e) {
+        console.error('Failed to create/emit follow notification:', e.message);
+      }
+    }
+
+    const { followerCount } = await Follow.getCounts('user', targetUser._id);
+
+    res.json({ message: 'Following user', isFollowing: true, followerCount });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    const targetUserId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    await Follow.deleteOne({ follower: req.user._id, targetType: 'user', targetId: targetUserId });
+    const { followerCount } = await Follow.getCounts('user', targetUserId);
+
+    res.json({ message: 'Unfollowed user', isFollowing: false, followerCount });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/:id/followers
+// @desc    Get the users following a user
+// @access  Public
+router.get('/:id/followers', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const skip = (page - 1) * limit;
+    const query = { targetType: 'user', targetId: req.params.id };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('follower', 'name profilePic bio location isActive'),
+      Follow.countDocuments(query)
+    ]);
+
+    res.json({
+      users: follows.map(follow => follow.follower).filter(user => user && user.isActive),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + follows.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/:id/following
+// @desc    Get the users (or, with type=company, company pages) a user follows
+// @access  Public
+router.get('/:id/following', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const { type = 'user' } = req.query;
+    if (!Follow.TARGET_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid follow type' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const skip = (page - 1) * limit;
+    const query = { follower: req.params.id, targetType: type };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Follow.countDocuments(query)
+    ]);
+
+    // Targets live in different collections, so look them up and keep the follow order
+    const targetIds = follows.map(follow => follow.targetId);
+    const targets = type === 'company'
+      ? await Company.find({ _id: { $in: targetIds }, isActive: true }).select('name slug logo industry').lean()
+      : await User.find({ _id: { $in: targetIds }, isActive: true }).select('name profilePic bio location').lean();
+    const byId = new Map(targets.map(target => [target._id.toString(), target]));
+
+    res.json({
+      [type === 'company' ? 'companies' : 'users']: targetIds.map(id => byId.get(id.toString())).filter(Boolean),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        hasNext: skip + follows.length < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/:id/connections
 // @desc    Get user connections
 // @access  Public
@@ -850,7 +1159,7 @@ router.get('/:id/connections', async (req, res) => {
 // @route   GET /api/users/:id/posts
 // @desc    Get user posts
 // @access  Public
-router.get('/:id/posts', async (req, res) => {
+router.get('/:id/posts', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
@@ -861,6 +1170,7 @@ router.get('/:id/posts', async (req, res) => {
     })
     .populate('userId', 'name profilePic')
     .populate('comments.userId', 'name profilePic')
+    .populate('comments.replies.userId', 'name profilePic')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -871,7 +1181,7 @@ router.get('/:id/posts', async (req, res) => {
     });
 
     res.json({
-      posts: Array.isArray(posts) ? posts : [],
+      posts: posts.map(post => post.toThreadPreview(req.user?._id)),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / limit),
@@ -918,23 +1228,45 @@ router.get('/:id/connection-requests', authenticateToken, async (req, res) => {
   }
 });
 
-// @route   PUT /api/users/:id/ban
-// @desc    Ban a user
-// @access  Private (Admin only)
-router.put('/:id/ban', authenticateToken, async (req, res) => {
+// @route   POST /api/users/:id/report
+// @desc    Report a user profile
+// @access  Private
+router.post('/:id/report', authenticateToken, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
+    await fileReport(req, res, { targetType: 'user', targetId: user._id, targetOwner: user._id });
+  } catch (error) {
+    console.error('Report user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/:id/ban
+// @desc    Ban a user
+// @access  Private (users:ban)
+router.put('/:id/ban', authenticateToken, requirePermission('users:ban'), async (req, res) => {
+  try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const wasActive = user.isActive;
     user.isActive = false;
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive: false }
+    });
+
     res.json({ message: 'User banned successfully', user });
   } catch (error) {
     console.error('Ban user error:', error);
@@ -944,21 +1276,26 @@ router.put('/:id/ban', authenticateToken, async (req, res) => {
 
 // @route   PUT /api/users/:id/unban
 // @desc    Unban a user
-// @access  Private (Admin only)
-router.put('/:id/unban', authenticateToken, async (req, res) => {
+// @access  Private (users:ban)
+router.put('/:id/unban', authenticateToken, requirePermission('users:ban'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const wasActive = user.isActive;
     user.isActive = true;
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.unban',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive: true }
+    });
+
     res.json({ message: 'User unbanned successfully', user });
   } catch (error) {
     console.error('Unban user error:', error);
@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Job = require('../models/Job');
+const Post = require('../models/Post');
+const { sendEmail, escapeHtml } = require('./mailer');
+const { isQuietHours } = require('./notify');
+const { signDigestUnsubscribeToken } = require('./tokens');
+const { toPlainText } = require('./mentions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long after the last digest each frequency is due again
+const DIGEST_INTERVALS = {
+  daily: DAY,
+  weekly: 7 * DAY
+};
+// Users handled per scheduler run; the rest are picked up next run
+const DIGEST_BATCH_SIZE = 500;
+// Items listed per section; the rest are only counted
+const REQUEST_LIMIT = 5;
+const APPLICATION_LIMIT = 10;
+const TOP_POST_LIMIT = 3;
+const POST_EXCERPT_LENGTH = 200;
+
+// Applications of this user that someone else moved to a new stage since `since`
+const getApplicationUpdates = async (userId, since) => {
+  const jobs = await Job.find({
+    applications: { $elemMatch: { userId, reviewedAt: { $gt: since }, reviewedBy: { $ne: userId } } }
+  })
+    .select({ title: 1, company: 1, pipelineStages: 1, 'applications.$': 1 })
+    .sort({ updatedAt: -1 })
+    .limit(APPLICATION_LIMIT);
+
+  return jobs.map(job => {
+    const stageKey = job.getApplicationStage(job.applications[0]);
+    const stage = job.pipelineStages.find(s => s.key === stageKey);
+    return { jobId: job._id, title: job.title, company: job.company, stage: stage ? stage.label : stageKey };
+  });
+};
+
+// Connections' posts since `since` with the most likes, comments and shares
+const getTopConnectionPosts = async (user, since) => {
+  if (!user.connections || user.connections.length === 0) return [];
+
+  const posts = await Post.aggregate([
+    {
+      $match: {
+        userId: { $in: user.connections },
+        isDeleted: false,
+        visibility: { $in: ['public', 'connections'] },
+        createdAt: { $gt: since }
+      }
+    },
+    {
+      $project: {
+        userId: 1,
+        content: 1,
+        likeCount: { $size: '$likes' },
+        commentCount: { $size: '$comments' },
+        engagement: { $add: [{ $size: '$likes' }, { $size: '$comments' }, { $size: '$shares' }] },
+        createdAt: 1
+      }
+    },
+    { $match: { engagement: { $gt: 0 } } },
+    { $sort: { engagement: -1, createdAt: -1 } },
+    { $limit: TOP_POST_LIMIT }
+  ]);
+
+  return Post.populate(posts, { path: 'userId', select: 'name' });
+};
+
+// Everything the digest reports for one user
+const collectDigest = async (user, since) => {
+  const [unreadMessages, requestUser, applicationUpdates, topPosts] = await Promise.all([
+    Message.getUnreadCount(user._id),
+    User.findById(user._id).select('connectionRequests').populate('connectionRequests.from', 'name').lean(),
+    getApplicationUpdates(user._id, since),
+    getTopConnectionPosts(user, since)
+  ]);
+
+  const connectionRequests = (requestUser?.connectionRequests || []).filter(request => request.from);
+  return { unreadMessages, connectionRequests, applicationUpdates, topPosts };
+};
+
+// Top posts alone don't warrant an email; there has to be something waiting on the user
+const hasActivity = ({ unreadMessages, connectionRequests, applicationUpdates }) =>
+  unreadMessages > 0 || connectionRequests.length > 0 || applicationUpdates.length > 0;
+
+const renderDigest = (user, digest, { frequency, unsubscribeUrl }) => {
+  const clientUrl = process.env.CLIENT_URL;
+  const { unreadMessages, connectionRequests, applicationUpdates, topPosts } = digest;
+  const muted = 'color:#6b7280';
+
+  const sections = [];
+  if (unreadMessages > 0) {
+    sections.push(`
+      <h2>Messages</h2>
+      <p>You have ${unreadMessages} unread message${unreadMessages === 1 ? '' : 's'}.
+      <a href="${clientUrl}/dashboard/messages">Read them</a></p>`);
+  }
+  if (connectionRequests.length > 0) {
+    const names = connectionRequests.slice(0, REQUEST_LIMIT).map(request => escapeHtml(request.from.name));
+    const others = connectionRequests.length - names.length;
+    sections.push(`
+      <h2>Connection requests</h2>
+      <p>${names.join(', ')}${others > 0 ? ` and ${others} other${others === 1 ? '' : 's'}` : ''}
+      want${connectionRequests.length === 1 ? 's' : ''} to connect with you.
+      <a href="${clientUrl}/dashboard/network">Respond</a></p>`);
+  }
+  if (applicationUpdates.length > 0) {
+    sections.push(`
+      <h2>Your applications</h2>
+      <ul>${applicationUpdates.map(update => `
+        <li><strong>${escapeHtml(update.title)}</strong> at ${escapeHtml(update.company)}:
+        moved to <strong>${escapeHtml(update.stage)}</strong></li>`).join('')}
+      </ul>
+      <p><a href="${clientUrl}/dashboard/jobs">View your applications</a></p>`);
+  }
+  if (topPosts.length > 0) {
+    sections.push(`
+      <h2>Popular with your connections</h2>
+      ${topPosts.map(post => {
+        const content = toPlainText(post.content);
+        const excerpt = content.length > POST_EXCERPT_LENGTH ? `${content.slice(0, POST_EXCERPT_LENGTH)}...` : content;
+        return `
+        <p><strong>${escapeHtml(post.userId?.name || 'A connection')}</strong><br>
+        ${escapeHtml(excerpt)}<br>
+        <span style="${muted}">${post.likeCount} likes · ${post.commentCount} comments</span></p>`;
+      }).join('')}
+      <p><a href="${clientUrl}/dashboard/feed">See your feed</a></p>`);
+  }
+
+  return `
+    <h1>Here's what you missed, ${escapeHtml(user.name)}</h1>
+    ${sections.join('')}
+    <p style="${muted};font-size:12px">You're receiving this ${frequency} digest from Global Connect.
+    Change how often in your <a href="${clientUrl}/dashboard/settings">notification settings</a>
+    or <a href="${unsubscribeUrl}">unsubscribe</a>.</p>
+  `;
+};
+
+const digestSubject = ({ unreadMessages, connectionRequests, applicationUpdates }) => {
+  const parts = [];
+  if (unreadMessages > 0) parts.push(`${unreadMessages} unread message${unreadMessages === 1 ? '' : 's'}`);
+  if (connectionRequests.length > 0) {
+    parts.push(`${connectionRequests.length} connection request${connectionRequests.length === 1 ? '' : 's'}`);
+  }
+  if (applicationUpdates.length > 0) {
+    parts.push(`${applicationUpdates.length} application update${applicationUpdates.length === 1 ? '' : 's'}`);
+  }
+  return `You have ${parts.join(', ')} on Global Connect`;
+};
+
+// Email one user their digest if anything is waiting, then mark it sent either way
+// so the next digest covers the period from now
+const sendUserDigest = async (user, frequency, runStartedAt) => {
+  const lastSentAt = user.notificationPreferences?.digest?.lastSentAt;
+  const since = lastSentAt || new Date(runStartedAt.getTime() - DIGEST_INTERVALS[frequency]);
+  const digest = await collectDigest(user, since);
+
+  if (hasActivity(digest)) {
+    const unsubscribeUrl = `${process.env.CLIENT_URL}/unsubscribe/${signDigestUnsubscribeToken(user._id.toString())}`;
+    await sendEmail({
+      to: user.email,
+      subject: digestSubject(digest),
+      html: renderDigest(user, digest, { frequency, unsubscribeUrl }),
+      headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+    });
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'notificationPreferences.digest.lastSentAt': runStartedAt } }
+  );
+};
+
+// Scheduled task: email daily and weekly activity digests that are due
+const sendActivityDigests = async () => {
+  const runStartedAt = new Date();
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVALS)) {
+    const due = await User.find({
+      isActive: true,
+      // Weekly is the default, so users who never chose also get it
+      'notificationPreferences.digest.frequency': frequency === 'weekly' ? { $in: ['weekly', null] } : frequency,
+      $or: [
+        { 'notificationPreferences.digest.lastSentAt': null },
+        { 'notificationPreferences.digest.lastSentAt': { $lte: new Date(runStartedAt.getTime() - interval) } }
+      ]
+    })
+      .sort({ 'notificationPreferences.digest.lastSentAt': 1 })
+      .limit(DIGEST_BATCH_SIZE)
+      .select('name email connections notificationPreferences.digest notificationPreferences.quietHours')
+      .lean();
+
+    for (const user of due) {
+      // Held back, not skipped: the next run after quiet hours sends it
+      if (isQuietHours(user.notificationPreferences?.quietHours, runStartedAt)) continue;
+
+      try {
+        await sendUserDigest(user, frequency, runStartedAt);
+      } catch (error) {
+        // Leave lastSentAt alone so the digest is retried next run
+        console.error(`Activity digest for ${user._id} failed:`, error.message);
+      }
+    }
+  }
+};
+
+module.exports = {
+  sendActivityDigests
+};
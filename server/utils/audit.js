@@ -0,0 +1,54 @@
+const AuditLog = require('../models/AuditLog');
+const { requestContext } = require('./tokens');
+
+// Plain JSON copy of the given fields, so ObjectIds and dates compare by value
+const snapshot = (doc, fields) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  return JSON.parse(JSON.stringify(fields.reduce((acc, field) => {
+    acc[field] = source[field];
+    return acc;
+  }, {})));
+};
+
+// Keep only the fields whose values differ between two snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field];
+      changes.after[field] = after[field];
+    }
+  });
+  return changes;
+};
+
+// True when the actor is changing something they don't own, i.e. using their role
+const isActingOnOthers = (req, ownerId) => Boolean(ownerId) && ownerId.toString() !== req.user._id.toString();
+
+// Record a privileged (admin/moderator) action. `before`/`after` are snapshots
+// of the target; only the changed fields are stored. Never fails the request.
+const recordAudit = async (req, { action, targetType, targetId, before, after, metadata }) => {
+  try {
+    const { userAgent, ip } = requestContext(req);
+    await AuditLog.create({
+      actor: req.user._id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      changes: before || after ? diffSnapshots(before, after) : undefined,
+      metadata,
+      ip,
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  isActingOnOthers,
+  recordAudit
+};
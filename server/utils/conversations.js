@@ -0,0 +1,76 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+const eventText = (type, actor, user, conversation) => {
+  switch (type) {
+    case 'created':
+      return `${actor.name} created the group "${conversation.name}"`;
+    case 'joined':
+      return actor._id.toString() === user._id.toString()
+        ? `${user.name} joined the group`
+        : `${actor.name} added ${user.name}`;
+    case 'left':
+      return `${user.name} left the group`;
+    case 'removed':
+      return `${actor.name} removed ${user.name}`;
+    case 'renamed':
+      return `${actor.name} renamed the group to "${conversation.name}"`;
+    case 'promoted':
+      return `${user.name} is now a group admin`;
+    default:
+      return '';
+  }
+};
+
+// Shape a message the way the client's `message:new` listener expects it
+const toMessagePayload = (message, sender) => ({
+  _id: message._id,
+  conversationId: message.conversationId,
+  isGroup: true,
+  senderId: sender._id,
+  content: message.content,
+  messageType: message.messageType,
+  mediaUrl: message.mediaUrl,
+  systemEvent: message.systemEvent,
+  createdAt: message.createdAt,
+  sender: {
+    _id: sender._id,
+    name: sender.name,
+    profilePic: sender.profilePic
+  }
+});
+
+// Record a join/leave/rename event as a system message in the group thread
+// and broadcast it to everyone in the conversation room.
+const postSystemMessage = async (io, conversation, type, actor, user = actor) => {
+  const message = await Message.create({
+    senderId: actor._id,
+    conversationId: conversation._id,
+    content: eventText(type, actor, user, conversation),
+    messageType: 'system',
+    systemEvent: { type, userId: user._id }
+  });
+
+  if (io) {
+    io.to(Conversation.roomFor(conversation._id)).emit('message:new', toMessagePayload(message, actor));
+  }
+  return message;
+};
+
+// Make every open socket of the given users join (or leave) a conversation room
+const joinConversationRoom = (io, userIds, conversationId) => {
+  if (!io) return;
+  userIds.forEach(userId => io.in(userId.toString()).socketsJoin(Conversation.roomFor(conversationId)));
+};
+
+const leaveConversationRoom = (io, userId, conversationId) => {
+  if (!io) return;
+  io.in(userId.toString()).socketsLeave(Conversation.roomFor(conversationId));
+};
+
+module.exports = {
+  toMessagePayload,
+  postSystemMessage,
+  joinConversationRoom,
+  leaveConversationRoom
+};
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Follow = require('../models/Follow');
+
+const FEED_MODES = ['ranked', 'latest'];
+
+// Ranked mode scores the newest posts in this window; older posts follow chronologically
+const RANK_WINDOW_DAYS = 14;
+const RANK_CANDIDATE_LIMIT = 500;
+// Messages older than this don't count towards connection strength
+const AFFINITY_LOOKBACK_DAYS = 90;
+// A post's recency weight halves every this many hours
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Cursors are opaque to clients: base64url-encoded JSON
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Dates come back from JSON as ISO strings
+const isDateString = (value) => typeof value === 'string' && Number.isFinite(Date.parse(value));
+
+// The cursor, or null when it is malformed or tampered with. Latest cursors carry
+// { createdAt, id }; ranked ones { asOf, score, id }.
+const decodeCursor = (value) => {
+  if (!value) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!FEED_MODES.includes(cursor.mode)) return null;
+    if (typeof cursor.id !== 'string' || !mongoose.Types.ObjectId.isValid(cursor.id)) return null;
+    if (cursor.mode === 'latest' && !isDateString(cursor.createdAt)) return null;
+    if (cursor.mode === 'ranked' && (!isDateString(cursor.asOf) || !Number.isFinite(cursor.score))) return null;
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Posts the user may see: their own, connections' public or connections-only posts,
+// and public posts from people they follow
+const feedMatch = (user, followingIds) => ({
+  isDeleted: false,
+  $or: [
+    { userId: user._id },
+    { userId: { $in: user.connections }, visibility: { $in: ['public', 'connections'] } },
+    { userId: { $in: followingIds }, visibility: 'public' }
+  ]
+});
+
+// Posts strictly after (createdAt, _id) in reverse-chronological order
+const olderThan = (createdAt, id) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } }
+  ]
+});
+
+// How close the viewer is to each connection: direct messages exchanged and mutual connections
+const getConnectionStrength = async (user) => {
+  const connectionIds = user.connections.map(id => id.toString());
+  const strength = new Map(connectionIds.map(id => [id, { messages: 0, mutuals: 0 }]));
+  if (connectionIds.length === 0) return strength;
+
+  const since = new Date(Date.now() - AFFINITY_LOOKBACK_DAYS * DAY);
+  const [messageCounts, connections] = await Promise.all([
+    Message.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since },
+          isDeleted: false,
+          $or: [
+            { senderId: user._id, receiverId: { $in: user.connections } },
+            { receiverId: user._id, senderId: { $in: user.connections } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$senderId', user._id] }, '$receiverId', '$senderId'] },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    User.find({ _id: { $in: user.connections } }).select('connections').lean()
+  ]);
+
+  messageCounts.forEach(({ _id, count }) => {
+    const entry = strength.get(_id.toString());
+    if (entry) entry.messages = count;
+  });
+
+  const mine = new Set(connectionIds);
+  connections.forEach(connection => {
+    const entry = strength.get(connection._id.toString());
+    if (entry) entry.mutuals = (connection.connections || []).filter(id => mine.has(id.toString())).length;
+  });
+
+  return strength;
+};
+
+// Score one candidate. Age is measured from `asOf` rather than now, so scores don't drift
+// between pages of the same ranked session.
+const scorePost = (post, { viewerId, strength, asOf }) => {
+  const authorId = post.userId.toString();
+  const ageHours = Math.max(0, (asOf - post.createdAt) / HOUR);
+
+  let affinity = 1;
+  if (authorId === viewerId) {
+    affinity = 1.5;
+  } else {
+    const { messages = 0, mutuals = 0 } = strength.get(authorId) || {};
+    affinity += 0.6 * Math.log1p(messages) + 0.3 * Math.log1p(mutuals);
+  }
+
+  // Interactions per hour, with comments and shares counting for more than likes
+  const interactions = post.likeCount + 2 * post.commentCount + 3 * post.shareCount;
+  const velocity = interactions / (ageHours + 2);
+  const engagement = 1 + Math.log1p(interactions) * 0.5 + Math.log1p(velocity);
+
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+
+  let contentType = 1;
+  if (post.hasMedia) contentType = 1.2;
+  else if (post.isShared) contentType = 0.8;
+
+  return affinity * engagement * recency * contentType;
+};
+
+// `a` comes before `b` in ranked order
+const ranksBefore = (a, b) => (a.score !== b.score ? a.score > b.score : a.id > b.id);
+
+// Posts in `ids` order as `viewerId` sees them, with comment threads cut to their previews
+const populateFeedPosts = async (ids, viewerId) => {
+  const posts = await Post.find({ _id: { $in: ids } })
+    .populate('userId', 'name profilePic')
+    .populate('comments.userId', 'name profilePic')
+    .populate('comments.replies.userId', 'name profilePic')
+    .populate('likes', 'name profilePic');
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean).map(post => post.toThreadPreview(viewerId));
+};
+
+// Reverse-chronological page. The cursor is the last post seen, so new posts never shift pages.
+const getLatestFeed = async (user, { cursor, limit, followingIds }) => {
+  const match = feedMatch(user, followingIds);
+  if (cursor) {
+    match.$and = [olderThan(new Date(cursor.createdAt), new mongoose.Types.ObjectId(cursor.id))];
+  }
+
+  const page = await Post.find(match)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select('_id createdAt')
+    .lean();
+
+  const hasNext = page.length > limit;
+  const items = page.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    posts: await populateFeedPosts(items.map(item => item._id), user._id),
+    hasNext,
+    nextCursor: hasNext ? encodeCursor({ mode: 'latest', createdAt: last.createdAt, id: last._id }) : null
+  };
+};
+
+// Ranked page. The first request fixes `asOf`; later pages only consider posts from before it.
+const getRankedFeed = async (user, { cursor, limit, followingIds }) => {
+  const asOf = cursor ? new Date(cursor.asOf) : new Date();
+  const windowStart = new Date(asOf.getTime() - RANK_WINDOW_DAYS * DAY);
+
+  const match = feedMatch(user, followingIds);
+  match.createdAt = { $lte: asOf, $gte: windowStart };
+
+  const [candidates, strength] = await Promise.all([
+    Post.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $limit: RANK_CANDIDATE_LIMIT },
+      {
+        $project: {
+          userId: 1,
+          createdAt: 1,
+          isShared: 1,
+          hasMedia: { $gt: [{ $add: [{ $size: { $ifNull: ['$images', []] } }, { $size: { $ifNull: ['$videos', []] } }] }, 0] },
+          likeCount: { $size: { $ifNull: ['$likes', []] } },
+          commentCount: { $size: { $ifNull: ['$comments', []] } },
+          shareCount: { $size: { $ifNull: ['$shares', []] } }
+        }
+      }
+    ]),
+    getConnectionStrength(user)
+  ]);
+
+  // Nothing recent to rank
+  if (candidates.length === 0 && !cursor) {
+    return getLatestFeed(user, { limit, followingIds });
+  }
+
+  const viewerId = user._id.toString();
+  const ranked = candidates
+    .map(post => ({ id: post._id.toString(), createdAt: post.createdAt, score: scorePost(post, { viewerId, strength, asOf }) }))
+    .sort((a, b) => (ranksBefore(a, b) ? -1 : 1));
+
+  const remaining = cursor ? ranked.filter(item => ranksBefore({ score: cursor.score, id: cursor.id }, item)) : ranked;
+  const items = remaining.slice(0, limit);
+  const last = items[items.length - 1];
+
+  let nextCursor = null;
+  if (remaining.length > limit) {
+    nextCursor = encodeCursor({ mode: 'ranked', asOf, score: last.score, id: last.id });
+  } else if (candidates.length > 0) {
+    // Past the ranked window: carry on chronologically from the oldest candidate
+    const oldest = candidates[candidates.length - 1];
+    const olderExists = await Post.exists({ ...feedMatch(user, followingIds), $and: [olderThan(oldest.createdAt, oldest._id)] });
+    if (olderExists) {
+      nextCursor = encodeCursor({ mode: 'latest', createdAt: oldest.createdAt, id: oldest._id });
+    }
+  }
+
+  return {
+    posts: await populateFeedPosts(items.map(item => item.id), user._id),
+    hasNext: Boolean(nextCursor),
+    nextCursor
+  };
+};
+
+// Build one feed page. A cursor carries its own mode, since ranked feeds continue chronologically.
+const getFeedPage = async (user, { mode = 'ranked', cursor, limit }) => {
+  const activeMode = cursor ? cursor.mode : mode;
+  const followingIds = await Follow.getFollowingIds(user._id, 'user');
+  return activeMode === 'latest'
+    ? getLatestFeed(user, { cursor, limit, followingIds })
+    : getRankedFeed(user, { cursor, limit, followingIds });
+};
+
+module.exports = {
+  FEED_MODES,
+  decodeCursor,
+  scorePost,
+  getFeedPage
+};
@@ -0,0 +1,73 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { notify } = require('./notify');
+
+// Notify an applicant that their application moved to a new pipeline stage.
+// When `sendApprovalMessage` is set and the candidate was hired, a direct
+// message from the reviewer is also sent.
+const notifyStageChange = async (req, job, application, stage, { sendApprovalMessage = false } = {}) => {
+  const applicantId = (application.userId._id || application.userId).toString();
+  const title = `Application moved to ${stage.label}`;
+  const message = `Your application for ${job.title} is now at the ${stage.label} stage`;
+
+  try {
+    const io = req.app.get('io');
+    await notify(io, {
+      recipientId: applicantId,
+      senderId: req.user._id,
+      type: 'JOB_APPLICATION_UPDATE',
+      title,
+      message,
+      data: {
+        jobId: job._id.toString(),
+        applicationId: application._id.toString(),
+        stage: stage.key,
+        status: application.status
+      }
+    });
+
+    if (sendApprovalMessage && application.status === 'Approved') {
+      try {
+        // Goes into the reviewer's direct conversation with the applicant, like any other message
+        const conversation = await Conversation.findOrCreateDirect(req.user._id, applicantId);
+        const approval = new Message({
+          senderId: req.user._id,
+          receiverId: applicantId,
+          conversationId: conversation._id,
+          content: `Congratulations! Your application for ${job.title} has been approved. We will contact you soon with next steps.`,
+          messageType: 'text'
+        });
+        await approval.save();
+
+        conversation.lastMessage = approval._id;
+        conversation.lastMessageAt = approval.createdAt;
+        await conversation.save();
+
+        if (io) {
+          io.to(applicantId).emit('message:new', {
+            _id: approval._id,
+            senderId: req.user._id,
+            receiverId: applicantId,
+            conversationId: conversation._id,
+            content: approval.content,
+            messageType: 'text',
+            createdAt: approval.createdAt,
+            sender: {
+              _id: req.user._id,
+              name: req.user.name,
+              profilePic: req.user.profilePic
+            }
+          });
+        }
+      } catch (messageErr) {
+        console.error('Failed to send approval message:', messageErr.message);
+      }
+    }
+  } catch (notifyErr) {
+    console.error('Failed to create job application update notification:', notifyErr.message);
+  }
+};
+
+module.exports = {
+  notifyStageChange
+};
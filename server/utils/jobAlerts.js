@@ -0,0 +1,153 @@
+const Job = require('../models/Job');
+const JobAlert = require('../models/JobAlert');
+const { buildJobQuery, jobMatchesFilters } = require('./jobSearch');
+const { sendEmail, escapeHtml } = require('./mailer');
+const { notify } = require('./notify');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long after the last digest each frequency is due again
+const DIGEST_INTERVALS = {
+  daily: DAY,
+  weekly: 7 * DAY
+};
+// Jobs listed per alert in one digest
+const DIGEST_JOB_LIMIT = 10;
+// Alerts handled per scheduler run; the rest are picked up next run
+const DIGEST_BATCH_SIZE = 500;
+
+// Notify the owners of immediate alerts that match a newly posted job.
+// One notification per user, however many of their alerts match.
+const notifyImmediateAlerts = async (job, io) => {
+  const alerts = await JobAlert.find({
+    frequency: 'immediate',
+    isActive: true,
+    user: { $ne: job.postedBy },
+    // Cheap pre-filter on exact-match fields; `null` also matches alerts without the filter
+    'filters.jobType': { $in: [null, job.jobType] },
+    'filters.experienceLevel': { $in: [null, job.experienceLevel] },
+    'filters.isRemote': { $in: [null, Boolean(job.isRemote)] }
+  }).lean();
+
+  const matches = alerts.filter(alert => jobMatchesFilters(job, alert.filters));
+  if (matches.length === 0) return 0;
+
+  const byUser = new Map();
+  matches.forEach(alert => {
+    const userId = alert.user.toString();
+    if (!byUser.has(userId)) byUser.set(userId, alert);
+  });
+
+  await Promise.all([...byUser.entries()].map(async ([userId, alert]) => {
+    await notify(io, {
+      recipientId: userId,
+      senderId: job.postedBy,
+      type: 'JOB_ALERT',
+      title: 'New job matching your alert',
+      message: `${job.title} at ${job.company} matches "${alert.name}"`,
+      data: { jobId: job._id.toString(), alertId: alert._id.toString() }
+    });
+  }));
+
+  await JobAlert.updateMany(
+    { _id: { $in: matches.map(alert => alert._id) } },
+    { $set: { lastSentAt: new Date() } }
+  );
+
+  return byUser.size;
+};
+
+const renderDigest = (user, sections) => {
+  const jobsUrl = `${process.env.CLIENT_URL}/dashboard/jobs`;
+  const renderJob = (job) => `
+    <li style="margin-bottom:8px">
+      <strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)}<br>
+      <span style="color:#6b7280">${escapeHtml(job.location)}${job.isRemote ? ' · Remote' : ''} · ${escapeHtml(job.jobType)}</span>
+    </li>`;
+
+  return `
+    <h1>New jobs for you, ${escapeHtml(user.name)}</h1>
+    ${sections.map(({ alert, jobs, hasMore }) => `
+      <h2>${escapeHtml(alert.name)}</h2>
+      <ul>${jobs.map(renderJob).join('')}</ul>
+      ${hasMore ? '<p>And more matching jobs.</p>' : ''}
+    `).join('')}
+    <p><a href="${jobsUrl}">See all jobs</a></p>
+    <p style="color:#6b7280;font-size:12px">You're receiving this because you saved job alerts on Global Connect.
+    You can change or turn them off from the <a href="${jobsUrl}">Jobs page</a>.</p>
+  `;
+};
+
+// Send one digest email per user covering every due alert. Alerts with nothing new
+// are still marked as sent, so the next digest starts from now.
+const sendUserDigest = async (user, alerts, runStartedAt) => {
+  const sections = [];
+  for (const alert of alerts) {
+    const jobs = await Job.find({
+      ...buildJobQuery(alert.filters),
+      postedBy: { $ne: user._id },
+      createdAt: { $gt: alert.lastSentAt, $lte: runStartedAt }
+    })
+      .sort({ createdAt: -1 })
+      .limit(DIGEST_JOB_LIMIT + 1)
+      .select('title company location jobType isRemote')
+      .lean();
+
+    if (jobs.length > 0) {
+      sections.push({ alert, jobs: jobs.slice(0, DIGEST_JOB_LIMIT), hasMore: jobs.length > DIGEST_JOB_LIMIT });
+    }
+  }
+
+  if (sections.length > 0) {
+    const total = sections.reduce((sum, section) => sum + section.jobs.length, 0);
+    await sendEmail({
+      to: user.email,
+      subject: `${total}${sections.some(section => section.hasMore) ? '+' : ''} new jobs matching your alerts`,
+      html: renderDigest(user, sections)
+    });
+  }
+
+  await JobAlert.updateMany(
+    { _id: { $in: alerts.map(alert => alert._id) } },
+    { $set: { lastSentAt: runStartedAt } }
+  );
+};
+
+// Scheduled task: email daily and weekly digests that are due
+const sendJobAlertDigests = async () => {
+  const runStartedAt = new Date();
+
+  for (const [frequency, interval] of Object.entries(DIGEST_INTERVALS)) {
+    const due = await JobAlert.find({
+      frequency,
+      isActive: true,
+      lastSentAt: { $lte: new Date(runStartedAt.getTime() - interval) }
+    })
+      .sort({ lastSentAt: 1 })
+      .limit(DIGEST_BATCH_SIZE)
+      .populate('user', 'name email isActive')
+      .lean();
+
+    const byUser = new Map();
+    due.forEach(alert => {
+      if (!alert.user || !alert.user.isActive) return;
+      const userId = alert.user._id.toString();
+      if (!byUser.has(userId)) byUser.set(userId, { user: alert.user, alerts: [] });
+      byUser.get(userId).alerts.push(alert);
+    });
+
+    for (const { user, alerts } of byUser.values()) {
+      try {
+        await sendUserDigest(user, alerts, runStartedAt);
+      } catch (error) {
+        // Leave lastSentAt alone so the digest is retried next run
+        console.error(`Job alert digest for ${user._id} failed:`, error.message);
+      }
+    }
+  }
+};
+
+module.exports = {
+  notifyImmediateAlerts,
+  sendJobAlertDigests
+};
@@ -0,0 +1,163 @@
+const Job = require('../models/Job');
+
+// Seniority levels from least to most senior, as jobs use them
+const LEVELS = Job.schema.path('experienceLevel').enumValues;
+
+// How much each part of the match counts. Parts we can't judge (a job with no listed
+// skills, a member with no saved or applied jobs) are left out and the rest reweighted.
+const WEIGHTS = {
+  skills: 0.45,
+  seniority: 0.2,
+  location: 0.15,
+  history: 0.2
+};
+
+// Newest open jobs considered for recommendations
+const CANDIDATE_LIMIT = 300;
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// Titles that say more about seniority than years do
+const TITLE_LEVELS = [
+  { pattern: /\b(chief|vp|vice president|director|head of)\b/i, level: 'executive' },
+  { pattern: /\b(lead|principal|staff|manager)\b/i, level: 'lead' },
+  { pattern: /\b(senior|sr)\b/i, level: 'senior' },
+  { pattern: /\b(junior|jr|associate)\b/i, level: 'junior' },
+  { pattern: /\b(intern|trainee|graduate)\b/i, level: 'entry' }
+];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Estimate a member's level from the years covered by their experience and their most senior title
+const estimateSeniority = (experience = []) => {
+  const entries = experience.filter(item => item && item.from);
+  if (entries.length === 0) return null;
+
+  const years = entries.reduce((total, item) => {
+    const from = parseDate(item.from);
+    const to = item.current || !item.to ? new Date() : parseDate(item.to);
+    return from && to && to > from ? total + (to - from) / YEAR : total;
+  }, 0);
+
+  let index = 0;
+  if (years >= 15) index = 5;
+  else if (years >= 10) index = 4;
+  else if (years >= 6) index = 3;
+  else if (years >= 3) index = 2;
+  else if (years >= 1) index = 1;
+
+  entries.forEach(item => {
+    const match = TITLE_LEVELS.find(({ pattern }) => pattern.test(item.role || ''));
+    if (match) index = Math.max(index, LEVELS.indexOf(match.level));
+  });
+
+  return LEVELS[index];
+};
+
+const scoreSeniority = (jobLevel, memberLevel) => {
+  const distance = Math.abs(LEVELS.indexOf(jobLevel) - LEVELS.indexOf(memberLevel || 'entry'));
+  return [1, 0.6, 0.2][distance] || 0;
+};
+
+const scoreLocation = (job, { location, remote }) => {
+  if (job.isRemote) return remote === 'onsite' ? 0.3 : 1;
+  if (remote === 'remote') return 0;
+  const jobLocation = normalize(job.location);
+  if (!location || !jobLocation) return null;
+  return jobLocation.includes(location) || location.includes(jobLocation) ? 1 : 0;
+};
+
+// What the member's saved and applied jobs have in common, to compare new jobs against
+const buildHistoryProfile = (jobs) => {
+  if (jobs.length === 0) return null;
+  const count = (values) => values.reduce((map, value) => map.set(value, (map.get(value) || 0) + 1), new Map());
+  return {
+    size: jobs.length,
+    skills: new Set(jobs.flatMap(job => (job.skills || []).map(normalize))),
+    jobTypes: count(jobs.map(job => job.jobType)),
+    companies: new Set(jobs.map(job => normalize(job.company)))
+  };
+};
+
+const scoreHistory = (job, history) => {
+  const skills = (job.skills || []).map(normalize);
+  const skillOverlap = skills.length > 0 ? skills.filter(skill => history.skills.has(skill)).length / skills.length : 0;
+  const jobTypeShare = (history.jobTypes.get(job.jobType) || 0) / history.size;
+  const sameCompany = history.companies.has(normalize(job.company)) ? 1 : 0;
+  return Math.min(1, 0.6 * skillOverlap + 0.3 * jobTypeShare + 0.1 * sameCompany);
+};
+
+// Score one job for a member. Returns the match percentage, the job's skills split into
+// matched and missing, and the score of each part.
+const scoreJob = (job, member) => {
+  const matchedSkills = [];
+  const missingSkills = [];
+  (job.skills || []).forEach(skill => {
+    (member.skills.has(normalize(skill)) ? matchedSkills : missingSkills).push(skill);
+  });
+
+  const breakdown = {
+    skills: job.skills?.length > 0 ? matchedSkills.length / job.skills.length : null,
+    seniority: scoreSeniority(job.experienceLevel, member.seniority),
+    location: scoreLocation(job, member),
+    history: member.history ? scoreHistory(job, member.history) : null
+  };
+
+  let total = 0;
+  let weight = 0;
+  Object.entries(breakdown).forEach(([part, score]) => {
+    if (score === null) return;
+    total += WEIGHTS[part] * score;
+    weight += WEIGHTS[part];
+  });
+
+  return {
+    matchPercent: weight > 0 ? Math.round((total / weight) * 100) : 0,
+    matchedSkills,
+    missingSkills,
+    breakdown
+  };
+};
+
+// Rank open jobs for a user. Jobs they posted or already applied to are left out.
+const getRecommendedJobs = async (user, { limit = 20 } = {}) => {
+  const now = new Date();
+  const [candidates, appliedJobs, savedJobs] = await Promise.all([
+    Job.find({
+      isActive: true,
+      applicationDeadline: { $gt: now },
+      postedBy: { $ne: user._id },
+      'applications.userId': { $ne: user._id }
+    })
+      .select('-applications')
+      .populate('postedBy', 'name profilePic')
+      .populate('companyId', 'name slug logo')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT),
+    Job.find({ 'applications.userId': user._id }).select('skills jobType company').lean(),
+    Job.find({ _id: { $in: user.savedJobs || [] } }).select('skills jobType company').lean()
+  ]);
+
+  const member = {
+    skills: new Set((user.skills || []).map(normalize).filter(Boolean)),
+    seniority: estimateSeniority(user.experience),
+    location: normalize(user.location),
+    remote: user.jobPreferences?.remote || 'any',
+    history: buildHistoryProfile([...appliedJobs, ...savedJobs])
+  };
+
+  return candidates
+    .map(job => ({ job, ...scoreJob(job, member) }))
+    .filter(recommendation => recommendation.matchPercent > 0)
+    .sort((a, b) => b.matchPercent - a.matchPercent || b.job.createdAt - a.job.createdAt)
+    .slice(0, limit);
+};
+
+module.exports = {
+  getRecommendedJobs
+};
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const escapeRegex = (s) => String(s || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toNumber = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Parse `isRemote` from a query string ('true'/'false') or a stored boolean
+const toBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true';
+};
+
+// Normalize job search filters from a query string or a saved alert.
+// Empty values are dropped so saved searches only keep what the user chose.
+const normalizeJobFilters = (params = {}) => {
+  const filters = {};
+  if (params.q && String(params.q).trim()) filters.q = String(params.q).trim();
+  if (params.location && String(params.location).trim()) filters.location = String(params.location).trim();
+  if (params.jobType) filters.jobType = String(params.jobType);
+  if (params.experienceLevel) filters.experienceLevel = String(params.experienceLevel);
+  if (toBoolean(params.isRemote) !== undefined) filters.isRemote = toBoolean(params.isRemote);
+  if (toNumber(params.minSalary) !== null) filters.minSalary = toNumber(params.minSalary);
+  if (toNumber(params.maxSalary) !== null) filters.maxSalary = toNumber(params.maxSalary);
+  if (params.companyId && mongoose.Types.ObjectId.isValid(params.companyId)) filters.companyId = String(params.companyId);
+  return filters;
+};
+
+// Mongo query for open jobs matching the filters
+const buildJobQuery = (params = {}) => {
+  const filters = normalizeJobFilters(params);
+  const query = {};
+
+  // Text search (regex for stability without requiring text index)
+  if (filters.q) {
+    const safe = escapeRegex(filters.q);
+    query.$or = [
+      { title: { $regex: safe, $options: 'i' } },
+      { description: { $regex: safe, $options: 'i' } },
+      { company: { $regex: safe, $options: 'i' } },
+      { skills: { $regex: safe, $options: 'i' } }
+    ];
+  }
+
+  if (filters.location) query.location = { $regex: escapeRegex(filters.location), $options: 'i' };
+  if (filters.jobType) query.jobType = filters.jobType;
+  if (filters.experienceLevel) query.experienceLevel = filters.experienceLevel;
+  if (filters.isRemote !== undefined) query.isRemote = filters.isRemote;
+  if (filters.companyId) query.companyId = filters.companyId;
+
+  // Salary filter: match nested fields safely
+  if (filters.minSalary !== undefined) query['salary.min'] = { $gte: filters.minSalary };
+  if (filters.maxSalary !== undefined) query['salary.max'] = { $lte: filters.maxSalary };
+
+  // Only active jobs that haven't expired
+  query.isActive = true;
+  query.applicationDeadline = { $gt: new Date() };
+
+  return query;
+};
+
+// The same test as `buildJobQuery`, for a job already in memory (e.g. one just posted)
+const jobMatchesFilters = (job, params = {}) => {
+  const filters = normalizeJobFilters(params);
+  const contains = (value, text) => String(value || '').toLowerCase().includes(text.toLowerCase());
+
+  if (!job.isActive || new Date(job.applicationDeadline) <= new Date()) return false;
+  if (filters.q && ![job.title, job.description, job.company, ...(job.skills || [])].some(value => contains(value, filters.q))) return false;
+  if (filters.location && !contains(job.location, filters.location)) return false;
+  if (filters.jobType && job.jobType !== filters.jobType) return false;
+  if (filters.experienceLevel && job.experienceLevel !== filters.experienceLevel) return false;
+  if (filters.isRemote !== undefined && Boolean(job.isRemote) !== filters.isRemote) return false;
+  if (filters.companyId && String(job.companyId?._id || job.companyId) !== filters.companyId) return false;
+  if (filters.minSalary !== undefined && !(job.salary?.min >= filters.minSalary)) return false;
+  if (filters.maxSalary !== undefined && !(job.salary?.max <= filters.maxSalary)) return false;
+  return true;
+};
+
+module.exports = {
+  normalizeJobFilters,
+  buildJobQuery,
+  jobMatchesFilters
+};
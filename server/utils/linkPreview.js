@@ -0,0 +1,270 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const LinkPreview = require('../models/LinkPreview');
+const { isBlockedAddress, hostnameOf, createSafeLookup } = require('./publicAddress');
+
+// Fetches OpenGraph / Twitter card metadata for the first link in a post or message.
+// Pages are fetched server-side, so every request is fenced in: only http(s) on the default
+// ports, no private, loopback or link-local addresses (checked on the address actually
+// connected to, so DNS can't swap one in), a few redirects, a deadline and a byte limit.
+
+const REQUEST_TIMEOUT_MS = 5000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 500;
+const USER_AGENT = 'GlobalConnectBot/1.0 (+link preview)';
+
+class LinkPreviewError extends Error {}
+
+// Local fixture servers are private addresses; this lets tests and development reach them
+const allowPrivateHosts = () => process.env.LINK_PREVIEW_ALLOW_PRIVATE_HOSTS === 'true';
+
+// The first http(s) link in `text`, without trailing punctuation, or null
+const extractFirstUrl = (text) => {
+  const match = String(text || '').match(/https?:\/\/[^\s<>"'`]+/i);
+  if (!match) return null;
+
+  let url = match[0].replace(/[.,;:!?'"]+$/, '');
+  // Drop a closing bracket that belongs to the surrounding text: "(see https://a.com/x)"
+  while (/[)\]}]$/.test(url) && (url.match(/[([{]/g) || []).length < (url.match(/[)\]}]/g) || []).length) {
+    url = url.slice(0, -1);
+  }
+  return normalizeUrl(url);
+};
+
+// Canonical form used as the cache key, or null when it isn't a usable web URL
+const normalizeUrl = (value) => {
+  if (!value || value.length > MAX_URL_LENGTH) return null;
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return null;
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Throws unless `url` may be fetched. Hostnames are checked again at connect time by safeLookup.
+const assertFetchable = (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new LinkPreviewError(`Unsupported protocol ${url.protocol}`);
+  }
+  if (allowPrivateHosts()) return;
+
+  if (url.port && url.port !== (url.protocol === 'https:' ? '443' : '80')) {
+    throw new LinkPreviewError(`Port ${url.port} is not allowed`);
+  }
+  const hostname = hostnameOf(url);
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new LinkPreviewError(`Address ${hostname} is not allowed`);
+  }
+};
+
+// Fails the connection when the hostname resolves to a blocked address
+const safeLookup = createSafeLookup({
+  allowPrivate: allowPrivateHosts,
+  createError: (message) => new LinkPreviewError(message)
+});
+
+// GET one URL. Resolves with { status, location } for redirects, or { status, html, url }.
+const fetchOnce = (url) => new Promise((resolve, reject) => {
+  assertFetchable(url);
+
+  // A deadline for the whole exchange, so a server dripping bytes can't hold it open
+  let settled = false;
+  const settle = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(deadline);
+    fn(value);
+  };
+
+  const request = (url.protocol === 'https:' ? https : http).get(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+    },
+    lookup: safeLookup
+  }, (response) => {
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      settle(resolve, { status: statusCode, location: headers.location });
+      return;
+    }
+    if (statusCode !== 200) {
+      response.resume();
+      settle(reject, new LinkPreviewError(`Page answered ${statusCode}`));
+      return;
+    }
+
+    const contentType = String(headers['content-type'] || '');
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      response.resume();
+      settle(reject, new LinkPreviewError(`Not an HTML page (${contentType || 'no content type'})`));
+      return;
+    }
+
+    // The metadata lives in <head>, so a truncated page is still useful
+    const chunks = [];
+    let size = 0;
+    const finish = () => {
+      const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+      let decoder;
+      try {
+        decoder = new TextDecoder(charset);
+      } catch (error) {
+        decoder = new TextDecoder('utf-8');
+      }
+      settle(resolve, { status: statusCode, url, html: decoder.decode(Buffer.concat(chunks)) });
+    };
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      chunks.push(size > MAX_BYTES ? chunk.subarray(0, chunk.length - (size - MAX_BYTES)) : chunk);
+      if (size >= MAX_BYTES) {
+        finish();
+        response.destroy();
+      }
+    });
+    response.on('end', finish);
+    response.on('error', (error) => settle(reject, error));
+  });
+
+  const deadline = setTimeout(() => request.destroy(new LinkPreviewError('Request timed out')), REQUEST_TIMEOUT_MS);
+  request.on('error', (error) => settle(reject, error));
+});
+
+// GET `value`, following a few redirects, each checked like the original
+const fetchPage = async (value) => {
+  let url = new URL(value);
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects += 1) {
+    const result = await fetchOnce(url);
+    if (!result.location) return result;
+    url = new URL(result.location, url);
+  }
+  throw new LinkPreviewError('Too many redirects');
+};
+
+const fromCodePoint = (value) => (value >= 0 && value <= 0x10ffff ? String.fromCodePoint(value) : '');
+
+const decodeEntities = (text) => text
+  .replace(/&#x([\da-f]+);/gi, (match, hex) => fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (match, name) => ({
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '
+  })[name]);
+
+const cleanText = (text, maxLength) => {
+  if (!text) return undefined;
+  const clean = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!clean) return undefined;
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1)}…` : clean;
+};
+
+// An absolute http(s) URL for an image reference on the page
+const resolveImage = (value, baseUrl) => {
+  if (!value) return undefined;
+  try {
+    const url = new URL(decodeEntities(value.trim()), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) && url.href.length <= MAX_URL_LENGTH ? url.href : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// OpenGraph, Twitter card and plain HTML metadata from a page
+const parseMetadata = (html, baseUrl) => {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    // The first value wins, as crawlers do
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+  const titleTag = (html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || titleTag, MAX_TITLE_LENGTH),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    image: resolveImage(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH) || new URL(baseUrl).hostname.replace(/^www\./, '')
+  };
+};
+
+// Fetch and parse a page without touching the cache. Resolves with the metadata and the
+// URL redirects ended at; rejects with a LinkPreviewError when the page can't be used.
+const fetchMetadata = async (value) => {
+  const url = normalizeUrl(value);
+  if (!url) throw new LinkPreviewError('Invalid URL');
+
+  const page = await fetchPage(url);
+  const metadata = parseMetadata(page.html, page.url.href);
+  if (!metadata.title && !metadata.description) {
+    throw new LinkPreviewError('Page has no title or description');
+  }
+  return { ...metadata, finalUrl: page.url.href };
+};
+
+// Unfurls already in flight, so a link shared twice at once is fetched once
+const pending = new Map();
+
+// The cached LinkPreview for `value`, fetching it when missing or expired. Never rejects
+// for a bad page: failures are cached (ok: false) and resolve like any other entry.
+const getLinkPreview = (value) => {
+  const url = normalizeUrl(value);
+  if (!url) return Promise.resolve(null);
+  if (pending.has(url)) return pending.get(url);
+
+  const lookup = (async () => {
+    const cached = await LinkPreview.findOne({ url, expiresAt: { $gt: new Date() } });
+    if (cached) return cached;
+
+    let fields;
+    try {
+      const metadata = await fetchMetadata(url);
+      fields = { ...metadata, ok: true, error: undefined, expiresAt: new Date(Date.now() + LinkPreview.PREVIEW_TTL) };
+    } catch (error) {
+      fields = { ok: false, error: error.message, expiresAt: new Date(Date.now() + LinkPreview.FAILURE_TTL) };
+    }
+    return LinkPreview.findOneAndUpdate({ url }, { $set: fields }, { upsert: true, new: true });
+  })();
+
+  pending.set(url, lookup);
+  lookup.finally(() => pending.delete(url)).catch(() => {});
+  return lookup;
+};
+
+// The preview card for the first link in `text`, or null. Never rejects: a preview is
+// decoration, so a cache or network failure shouldn't fail the post or message.
+const previewForText = async (text) => {
+  const url = extractFirstUrl(text);
+  if (!url) return null;
+  try {
+    const preview = await getLinkPreview(url);
+    return preview ? preview.toSnapshot() : null;
+  } catch (error) {
+    console.error('Link preview error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  LinkPreviewError,
+  isBlockedAddress,
+  extractFirstUrl,
+  normalizeUrl,
+  parseMetadata,
+  fetchMetadata,
+  getLinkPreview,
+  previewForText
+};
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+// Shared email transporter for routes and scheduled jobs; send through sendEmail
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+// Escape user-provided text before putting it in an HTML email
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send an HTML email from the app's address. `headers` is passed through, e.g. List-Unsubscribe.
+const sendEmail = ({ to, subject, html, headers }) => transporter.sendMail({
+  from: process.env.EMAIL_USER,
+  to,
+  subject,
+  html,
+  headers
+});
+
+module.exports = {
+  escapeHtml,
+  sendEmail
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { notifyMany } = require('./notify');
+
+// Mentions are written as `@[Display Name](userId)`: the composer inserts them from the user
+// search, and only the id counts, so renamed users still resolve. Hashtags are `#word`.
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([a-f\d]{24})\)/gi;
+// Not inside a word or URL ("a#b", "example.com/#top", "&#39;")
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_/&#])#([\p{L}\p{N}_]+)/gu;
+
+const MAX_MENTIONS = 20;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+// "#React" and "react" are the same tag. Returns null for something that can't be one.
+const normalizeTag = (tag) => {
+  const normalized = String(tag || '').trim().replace(/^#+/, '').toLowerCase();
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) return null;
+  // Letters, digits and underscores, with at least one letter ("#1" isn't a tag)
+  if (!/^[\p{L}\p{N}_]+$/u.test(normalized) || !/\p{L}/u.test(normalized)) return null;
+  return normalized;
+};
+
+const extractHashtags = (text) => [...String(text || '').matchAll(HASHTAG_PATTERN)]
+  .map(match => normalizeTag(match[1]))
+  .filter(Boolean);
+
+// Tags for a post: the ones given explicitly plus its hashtags, normalized and de-duplicated
+const deriveTags = (content, explicitTags = []) => {
+  const given = Array.isArray(explicitTags) ? explicitTags : [explicitTags];
+  const tags = [...given.map(normalizeTag), ...extractHashtags(content)].filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+const extractMentionIds = (text) => {
+  const ids = [...String(text || '').matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase());
+  return [...new Set(ids)].slice(0, MAX_MENTIONS);
+};
+
+// `text` with mention markup turned into plain "@Name", for emails and other plain-text uses
+const toPlainText = (text) => String(text || '').replace(MENTION_PATTERN, (match, name) => `@${name}`);
+
+// Ids of the people `text` mentions who exist, leaving out the author
+const resolveMentions = async (text, authorId) => {
+  const ids = extractMentionIds(text).filter(id => id !== authorId.toString());
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } })
+    .select('_id')
+    .lean();
+  return users.map(user => user._id);
+};
+
+// Those of `userIds` allowed to see `post`, so a mention never reveals a post to someone
+// outside its audience
+const filterPostViewers = async (post, userIds) => {
+  const authorId = (post.userId?._id || post.userId).toString();
+  if (post.visibility === 'public') return userIds;
+  if (post.visibility === 'private') return userIds.filter(id => id.toString() === authorId);
+
+  const author = await User.findById(authorId).select('connections').lean();
+  const connections = new Set((author?.connections || []).map(id => id.toString()));
+  return userIds.filter(id => id.toString() === authorId || connections.has(id.toString()));
+};
+
+// Send MENTION notifications to people in `mentions` who weren't in `previous` (so edits only
+// notify newcomers) and aren't in `exclude` (already notified some other way)
+const notifyMentions = async (io, { post, sender, mentions, previous = [], exclude = [], commentId, replyId }) => {
+  const skip = new Set([...previous, ...exclude].map(id => id.toString()));
+  const added = mentions.filter(id => !skip.has(id.toString()));
+  if (added.length === 0) return;
+
+  const recipients = await filterPostViewers(post, added);
+  if (recipients.length === 0) return;
+
+  const data = { postId: post._id.toString(), senderId: sender._id.toString() };
+  if (commentId) data.commentId = commentId.toString();
+  if (replyId) data.replyId = replyId.toString();
+
+  await notifyMany(io, recipients, {
+    senderId: sender._id,
+    type: 'MENTION',
+    title: 'You were mentioned',
+    message: `${sender.name} mentioned you in a ${commentId ? 'comment' : 'post'}`,
+    data
+  });
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  extractHashtags,
+  deriveTags,
+  extractMentionIds,
+  toPlainText,
+  resolveMentions,
+  filterPostViewers,
+  notifyMentions
+};
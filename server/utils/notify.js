@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
+const { sendEmail, escapeHtml } = require('./mailer');
+const { isPushConfigured, sendPush } = require('./webPush');
+
+const toId = (value) => (value?._id || value).toString();
+
+// Channels a user wants for a notification type: their saved choice, else the default
+const getChannels = (preferences, type) => {
+  const defaults = Notification.DEFAULT_CHANNELS[type] || { inApp: true, email: false, push: false };
+  const saved = preferences?.types?.[type] || {};
+  return Notification.CHANNELS.reduce((channels, channel) => {
+    channels[channel] = typeof saved[channel] === 'boolean' ? saved[channel] : defaults[channel];
+    return channels;
+  }, {});
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether `now` falls inside the user's quiet hours. Windows may wrap past midnight (22:00-07:00).
+const isQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+  if (!isValidTimezone(quietHours.timezone || 'UTC')) return false;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: quietHours.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (name) => Number(parts.find(p => p.type === name).value);
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  const local = part('hour') * 60 + part('minute');
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end ? local >= start && local < end : local >= start || local < end;
+};
+
+const sendNotificationEmail = (user, { title, message }) => {
+  const clientUrl = process.env.CLIENT_URL;
+  return sendEmail({
+    to: user.email,
+    subject: title,
+    html: `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>${escapeHtml(message)}</p>
+      <p><a href="${clientUrl}/dashboard">Open Global Connect</a></p>
+      <p style="color:#6b7280;font-size:12px">Choose which emails you get in your
+      <a href="${clientUrl}/dashboard/settings">notification settings</a>.</p>
+    `
+  });
+};
+
+// Page a push notification opens when clicked
+const pushUrlFor = (type, data = {}) => {
+  if (type === 'MESSAGE') return '/dashboard/messages';
+  if (type.startsWith('CONNECTION_')) return '/dashboard/network';
+  if (type.startsWith('JOB_')) return '/dashboard/jobs';
+  if (type === 'NEW_FOLLOWER' && data.from) return `/dashboard/profile/${data.from}`;
+  return '/dashboard/feed';
+};
+
+// Web Push to each browser the user subscribed. Without a subscription the socket's
+// `notification:push` is used instead, which the client only shows while a tab is open.
+const deliverPush = async (io, userId, { type, title, message, data = {} }) => {
+  const subscriptions = isPushConfigured() ? await PushSubscription.find({ user: userId }).lean() : [];
+  if (subscriptions.length === 0) {
+    if (io) {
+      io.to(userId).emit('notification:push', { type, title, message, data });
+    }
+    return;
+  }
+
+  const payload = {
+    title,
+    body: message.slice(0, 500),
+    type,
+    url: pushUrlFor(type, data),
+    // Newer pushes for the same conversation or post replace the older one
+    tag: data.conversationId || data.postId || undefined
+  };
+
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      const status = await sendPush(subscription, payload, { urgency: type === 'MESSAGE' ? 'high' : 'normal' });
+      if (status === 404 || status === 410) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else if (status >= 200 && status < 300) {
+        await PushSubscription.updateOne({ _id: subscription._id }, { lastPushedAt: new Date() });
+      } else {
+        console.error(`Web Push to ${userId} was rejected with status ${status}`);
+      }
+    } catch (error) {
+      console.error(`Web Push to ${userId} failed:`, error.message);
+    }
+  }));
+};
+
+// Deliver one notification to several users, honouring each recipient's preferences:
+// muted conversations are skipped entirely, quiet hours hold back email and push,
+// and in-app notifications are only stored for users who want them.
+// Grouped types (likes, comments...) join the recipient's open group for the same post;
+// the client then gets `notification:update` with the whole group instead of `notification:new`.
+// Returns the stored notifications.
+const notifyMany = async (io, recipientIds, { senderId, type, title, message, data = {} }) => {
+  const senderKey = senderId ? toId(senderId) : null;
+  const ids = [...new Set(recipientIds.map(toId))].filter(id => id !== senderKey);
+  if (ids.length === 0) return [];
+
+  const recipients = await User.find({ _id: { $in: ids }, isActive: true })
+    .select('name email notificationPreferences')
+    .lean();
+
+  const conversationId = data.conversationId?.toString();
+  const now = new Date();
+  const deliveries = recipients
+    .map(user => {
+      const preferences = user.notificationPreferences || {};
+      const muted = (preferences.mutedConversations || []).some(id => id.toString() === conversationId);
+      if (conversationId && muted) return null;
+
+      const channels = getChannels(preferences, type);
+      if (isQuietHours(preferences.quietHours, now)) {
+        channels.email = false;
+        channels.push = false;
+      }
+      return { user, channels };
+    })
+    .filter(Boolean);
+
+  const inApp = deliveries.filter(({ channels }) => channels.inApp);
+  const groupKey = Notification.groupKeyFor(type, data);
+  const openGroups = groupKey && inApp.length > 0
+    ? await Notification.findOpenGroups(inApp.map(({ user }) => user._id), groupKey)
+    : new Map();
+
+  let notifications = [];
+  if (inApp.length > 0) {
+    notifications = await Notification.insertMany(inApp.map(({ user }) => {
+      // A new group is identified by its first notification
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        recipientId: user._id,
+        senderId,
+        type,
+        title,
+        message,
+        data,
+        groupKey: groupKey || undefined,
+        groupId: groupKey ? openGroups.get(user._id.toString()) || _id : undefined
+      };
+    }));
+    await Notification.populate(notifications, { path: 'senderId', select: 'name profilePic' });
+  }
+  const byRecipient = new Map(notifications.map(notification => [notification.recipientId.toString(), notification]));
+
+  await Promise.all(deliveries.map(async ({ user, channels }) => {
+    const userId = user._id.toString();
+    const notification = byRecipient.get(userId);
+
+    if (io && notification) {
+      if (openGroups.has(userId)) {
+        const { notifications: [group] } = await Notification.getGroupedPage(user._id, {
+          groupIds: [openGroups.get(userId)],
+          limit: 1
+        });
+        io.to(userId).emit('notification:update', group);
+      } else {
+        io.to(userId).emit('notification:new', notification);
+      }
+    }
+    if (channels.push) {
+      deliverPush(io, userId, { type, title, message, data })
+        .catch(error => console.error(`Push delivery to ${userId} failed:`, error.message));
+    }
+    if (channels.email && user.email) {
+      sendNotificationEmail(user, { title, message })
+        .catch(error => console.error(`Notification email to ${userId} failed:`, error.message));
+    }
+  }));
+
+  return notifications;
+};
+
+// Deliver a notification to one user. Returns the stored notification, or null when
+// the user doesn't get it in-app.
+const notify = async (io, { recipientId, ...payload }) => {
+  const [notification] = await notifyMany(io, [recipientId], payload);
+  return notification || null;
+};
+
+module.exports = {
+  notify,
+  notifyMany,
+  getChannels,
+  isQuietHours,
+  isValidTimezone
+};
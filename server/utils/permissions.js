@@ -0,0 +1,43 @@
+// Everything a privileged user can do, keyed by permission name
+const PERMISSIONS = {
+  'admin:access': 'Open the admin panel and dashboard',
+  'users:view': 'List all accounts, including deactivated ones',
+  'users:edit': "Edit other people's profiles and verification status",
+  'users:ban': 'Ban and unban accounts',
+  'users:delete': 'Deactivate accounts permanently',
+  'users:assign_roles': 'Change user roles',
+  'posts:moderate': "Edit or remove other people's posts and comments",
+  'jobs:moderate': 'Remove job listings',
+  'jobs:review': 'Manage applicants and pipelines on any job',
+  'reports:manage': 'Work the moderation queue',
+  'companies:manage': 'Manage any company page and post jobs for it',
+  'messages:unrestricted': 'Message and start conversations with anyone',
+  'audit:view': 'Read and export the audit log'
+};
+
+// Roles map to permission sets; `admin` has everything
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'admin:access',
+    'users:view',
+    'posts:moderate',
+    'jobs:moderate',
+    'reports:manage'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => Boolean(user) && permissionsForRole(user.role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  permissionsForRole,
+  hasPermission
+};
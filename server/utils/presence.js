@@ -0,0 +1,79 @@
+const User = require('../models/User');
+
+// Who is online, tracked per process by counting each user's open sockets so a second
+// tab closing doesn't mark them offline. Status changes go only to the user's connections.
+
+// A page reload drops the socket and opens a new one; wait this long before going offline
+const OFFLINE_GRACE_MS = 10 * 1000;
+
+const socketCounts = new Map();
+const offlineTimers = new Map();
+
+// Still online during the grace period after the last socket closed
+const isOnline = (userId) => socketCounts.has(userId.toString()) || offlineTimers.has(userId.toString());
+
+const emitToConnections = async (io, userId, payload) => {
+  const user = await User.findById(userId).select('connections').lean();
+  const rooms = (user?.connections || []).map(id => id.toString());
+  if (rooms.length > 0) {
+    io.to(rooms).emit('user_status_change', payload);
+  }
+};
+
+// Call for every authenticated socket that connects
+const userConnected = (io, userId) => {
+  const key = userId.toString();
+
+  // Back within the grace period: nobody was told they left
+  const pending = offlineTimers.get(key);
+  if (pending) {
+    clearTimeout(pending);
+    offlineTimers.delete(key);
+  }
+
+  const count = socketCounts.get(key) || 0;
+  socketCounts.set(key, count + 1);
+  if (count === 0 && !pending) {
+    emitToConnections(io, key, { userId: key, status: 'online' })
+      .catch(error => console.error('Presence update error:', error.message));
+  }
+};
+
+// Call for every socket that disconnects; the last one records lastSeen
+const userDisconnected = (io, userId) => {
+  const key = userId.toString();
+  const count = socketCounts.get(key) || 0;
+  if (count > 1) {
+    socketCounts.set(key, count - 1);
+    return;
+  }
+  socketCounts.delete(key);
+
+  const lastSeen = new Date();
+  offlineTimers.set(key, setTimeout(async () => {
+    offlineTimers.delete(key);
+    try {
+      await User.updateOne({ _id: key }, { $set: { lastSeen } });
+      await emitToConnections(io, key, { userId: key, status: 'offline', lastSeen });
+    } catch (error) {
+      console.error('Presence update error:', error.message);
+    }
+  }, OFFLINE_GRACE_MS));
+};
+
+// Online status and last-seen time for each user id
+const getPresence = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('lastSeen').lean();
+  return users.reduce((presence, user) => {
+    const online = isOnline(user._id);
+    presence[user._id.toString()] = { isOnline: online, lastSeen: online ? null : user.lastSeen };
+    return presence;
+  }, {});
+};
+
+module.exports = {
+  isOnline,
+  userConnected,
+  userDisconnected,
+  getPresence
+};
@@ -0,0 +1,64 @@
+const dns = require('dns');
+const net = require('net');
+
+// Guards for requests the server makes to URLs users gave it (link previews, push
+// endpoints): only addresses on the public internet may be reached.
+
+// Everything that isn't the public internet
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// A URL's hostname without the brackets around IPv6 literals
+const hostnameOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+// A dns.lookup for http(s).request that refuses to hand back a blocked address, so the
+// check applies to the address actually connected to. `allowPrivate()` turns it off for
+// local test servers; `createError(message)` builds the error the request fails with.
+const createSafeLookup = ({ allowPrivate = () => false, createError = (message) => new Error(message) } = {}) => {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked && !allowPrivate()) {
+        return callback(createError(`Address ${blocked.address} is not allowed`));
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+};
+
+// Resolves to true when `hostname` is, or resolves to, a blocked address. Lookup failures
+// count as blocked.
+const resolvesToBlockedAddress = async (hostname) => {
+  if (net.isIP(hostname)) return isBlockedAddress(hostname);
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(({ address }) => isBlockedAddress(address));
+  } catch (error) {
+    return true;
+  }
+};
+
+module.exports = {
+  isBlockedAddress,
+  hostnameOf,
+  createSafeLookup,
+  resolvesToBlockedAddress
+};
@@ -0,0 +1,82 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+
+// Delivery and read receipts for direct messages. Senders hear `message:delivered` when the
+// recipient's client has a message and `message:read` when it is viewed. Read receipts only
+// flow when both people have them on (User.privacy.readReceipts); delivery always does.
+
+// Most ids accepted from one client acknowledgement
+const MAX_ACK_IDS = 100;
+
+// Whether two people may see each other's read receipts
+const readReceiptsAllowed = async (userIdA, userIdB) => {
+  const users = await User.find({ _id: { $in: [userIdA, userIdB] } }).select('privacy').lean();
+  return users.length === 2 && users.every(user => user.privacy?.readReceipts !== false);
+};
+
+// Group messages by sender and emit one event to each
+const emitToSenders = (io, event, messages, payload) => {
+  if (!io) return;
+  const bySender = new Map();
+  messages.forEach(message => {
+    const senderId = message.senderId.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(message._id);
+  });
+  bySender.forEach((messageIds, senderId) => io.to(senderId).emit(event, { ...payload, messageIds }));
+};
+
+// Mark direct messages to `userId` as delivered; `filter` narrows which (e.g. by _id)
+const markDelivered = async (io, userId, filter = {}) => {
+  const messages = await Message.find({ ...filter, receiverId: userId, deliveredAt: null, isDeleted: false })
+    .select('_id senderId')
+    .lean();
+  if (messages.length === 0) return 0;
+
+  const deliveredAt = new Date();
+  await Message.updateMany({ _id: { $in: messages.map(message => message._id) } }, { $set: { deliveredAt } });
+
+  emitToSenders(io, 'message:delivered', messages, { receiverId: userId.toString(), deliveredAt });
+  return messages.length;
+};
+
+// Mark what `readerId` received from `senderId` as read (and delivered, if it wasn't yet).
+// `filter` narrows which messages, e.g. a single _id.
+const markRead = async (io, readerId, senderId, filter = {}) => {
+  const messages = await Message.find({ ...filter, senderId, receiverId: readerId, isRead: false, isDeleted: false })
+    .select('_id senderId deliveredAt')
+    .lean();
+  if (messages.length === 0) return 0;
+
+  const readAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: messages.map(message => message._id) } },
+    [{ $set: { isRead: true, readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } }]
+  );
+
+  if (await readReceiptsAllowed(readerId, senderId)) {
+    emitToSenders(io, 'message:read', messages, { readerId: readerId.toString(), readAt });
+  } else {
+    // The sender still learns the messages arrived
+    const undelivered = messages.filter(message => !message.deliveredAt);
+    if (undelivered.length > 0) {
+      emitToSenders(io, 'message:delivered', undelivered, { receiverId: readerId.toString(), deliveredAt: readAt });
+    }
+  }
+  return messages.length;
+};
+
+// Hide read state on the viewer's own messages when read receipts aren't shared
+const hideReadState = (messages, viewerId) => messages.map(message => {
+  const senderId = (message.senderId?._id || message.senderId)?.toString();
+  if (senderId !== viewerId.toString()) return message;
+  return { ...message, isRead: false, readAt: undefined };
+});
+
+module.exports = {
+  MAX_ACK_IDS,
+  readReceiptsAllowed,
+  markDelivered,
+  markRead,
+  hideReadState
+};
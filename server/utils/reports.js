@@ -0,0 +1,138 @@
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Job = require('../models/Job');
+const User = require('../models/User');
+
+// Models that keep a count of open reports for the admin dashboard
+const COUNTED_MODELS = { post: Post, job: Job };
+
+// File a report from the current user and send the response.
+// `targetOwner` is the author of the content (or the reported user) and can't report themselves.
+const fileReport = async (req, res, { targetType, targetId, postId, targetOwner }) => {
+  const { reason, details } = req.body;
+  const reporterId = req.user._id;
+
+  if (!Report.REASONS.includes(reason)) {
+    return res.status(400).json({ message: `Reason must be one of: ${Report.REASONS.join(', ')}` });
+  }
+
+  if (details && details.length > 500) {
+    return res.status(400).json({ message: 'Details cannot exceed 500 characters' });
+  }
+
+  if (targetOwner && targetOwner.toString() === reporterId.toString()) {
+    return res.status(400).json({ message: `You cannot report your own ${targetType === 'user' ? 'profile' : targetType}` });
+  }
+
+  const alreadyReported = await Report.exists({ reporter: reporterId, targetType, targetId });
+  if (alreadyReported) {
+    return res.status(409).json({ message: `You have already reported this ${targetType}` });
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      reporter: reporterId,
+      targetType,
+      targetId,
+      postId,
+      targetOwner,
+      reason,
+      details,
+      history: [{ action: 'reported', by: reporterId }]
+    });
+  } catch (error) {
+    // Two simultaneous requests can both pass the check above
+    if (error.code === 11000) {
+      return res.status(409).json({ message: `You have already reported this ${targetType}` });
+    }
+    throw error;
+  }
+
+  const Model = COUNTED_MODELS[targetType];
+  if (Model) {
+    await Model.updateOne(
+      { _id: targetId },
+      { $inc: { reportCount: 1 }, $push: { reportedBy: { userId: reporterId, reason } } }
+    );
+  }
+
+  res.status(201).json({ message: 'Report submitted. Thanks for letting us know.', reportId: report._id });
+};
+
+// Reset the open-report counters once a target's reports are closed
+const clearReportCounters = async (targetType, targetId) => {
+  const Model = COUNTED_MODELS[targetType];
+  if (Model) {
+    await Model.updateOne({ _id: targetId }, { $set: { reportCount: 0, reportedBy: [] } });
+  }
+};
+
+// Permission needed to carry out a resolution on top of `reports:manage`
+const resolutionPermission = (targetType, action) => {
+  if (action === 'content_removed') {
+    return targetType === 'job' ? 'jobs:moderate' : 'posts:moderate';
+  }
+  if (action === 'user_deactivated') {
+    return 'users:ban';
+  }
+  return null;
+};
+
+// Carry out a moderator's resolution on the reported target.
+// Returns an error message when the action doesn't apply to the target.
+const applyResolution = async (targetType, targetId, { postId, targetOwner }, action) => {
+  if (action === 'content_removed') {
+    if (targetType === 'post') {
+      await Post.updateOne({ _id: targetId }, { isDeleted: true, deletedAt: new Date() });
+    } else if (targetType === 'job') {
+      await Job.updateOne({ _id: targetId }, { isActive: false });
+    } else if (targetType === 'comment') {
+      await Post.updateOne({ _id: postId }, { $pull: { comments: { _id: targetId } } });
+    } else {
+      return 'Use user_deactivated to act on a reported user';
+    }
+  }
+
+  if (action === 'user_deactivated') {
+    if (!targetOwner) {
+      return 'The reported content has no owner to deactivate';
+    }
+    await User.updateOne({ _id: targetOwner }, { isActive: false });
+  }
+
+  return null;
+};
+
+// Attach a short summary of each reported target to grouped queue entries
+const attachReportTargets = async (entries) => {
+  const idsOf = (type) => entries.filter(entry => entry.targetType === type).map(entry => entry.targetId);
+
+  const [posts, jobs, users, commentPosts] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') } }).select('content images isDeleted createdAt').lean(),
+    Job.find({ _id: { $in: idsOf('job') } }).select('title company isActive createdAt').lean(),
+    User.find({ _id: { $in: idsOf('user') } }).select('name email profilePic isActive').lean(),
+    Post.find({ _id: { $in: entries.filter(entry => entry.targetType === 'comment').map(entry => entry.postId) } })
+      .select('comments').lean()
+  ]);
+
+  const byId = (docs) => new Map(docs.map(doc => [doc._id.toString(), doc]));
+  const targets = { post: byId(posts), job: byId(jobs), user: byId(users) };
+  const comments = new Map();
+  commentPosts.forEach(post => post.comments.forEach(comment => comments.set(comment._id.toString(), comment)));
+  targets.comment = comments;
+
+  // A missing target has already been deleted
+  return entries.map(entry => ({
+    ...entry,
+    target: targets[entry.targetType].get(entry.targetId.toString()) || null
+  }));
+};
+
+module.exports = {
+  fileReport,
+  clearReportCounters,
+  resolutionPermission,
+  applyResolution,
+  attachReportTargets
+};
@@ -0,0 +1,165 @@
+// Article bodies come from the rich text editor (Quill) as HTML and are stored that way, so
+// they are rebuilt here from an allowlist rather than filtered: only the tags and attributes
+// below survive, every text run and attribute value is re-escaped, links and images must be
+// absolute URLs, and everything else (scripts, styles, event handlers, embeds) is dropped.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'span',
+  'h1', 'h2', 'h3', 'blockquote', 'pre', 'code', 'ul', 'ol', 'li', 'a', 'img'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+// Dropped along with everything inside them, so their source doesn't turn into text
+const DROPPED_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'noembed', 'noframes', 'template', 'svg', 'math', 'textarea', 'select', 'title', 'head', 'xmp'
+]);
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+// Quill's formatting classes (alignment, indentation, code blocks)
+const CLASS_PATTERN = /^ql-[a-z0-9-]+$/;
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const fromCodePoint = (value) => (value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : '');
+
+// Browsers decode numeric references even without the ';' in attributes ("javascript&#58...")
+const decodeEntities = (text) => text
+  .replace(/&#x([\da-f]+);?/gi, (match, hex) => fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);?/g, (match, dec) => fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (match, name) => ({
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '
+  })[name]);
+
+// Text keeps its character references; a bare '&' or '>' is escaped
+const escapeText = (text) => text
+  .replace(/&(?!(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);)/gi, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// The URL if it is absolute and uses one of `protocols`, otherwise null
+const safeUrl = (value, protocols) => {
+  // Browsers ignore tabs and newlines anywhere in a URL ("java\tscript:")
+  const cleaned = value.replace(/[\t\n\r]/g, '').trim();
+  try {
+    const url = new URL(cleaned);
+    return protocols.includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The attribute string to write for an allowed tag, or null when the tag is useless without
+// what was dropped (an image with no usable source)
+const sanitizeAttributes = (tag, rawAttributes) => {
+  const attributes = {};
+
+  for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = rawName.toLowerCase();
+    const value = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+
+    if (name === 'class') {
+      const classes = value.split(/\s+/).filter(className => CLASS_PATTERN.test(className));
+      if (classes.length > 0) attributes.class = classes.join(' ');
+    } else if (tag === 'a' && name === 'href') {
+      const href = safeUrl(value, LINK_PROTOCOLS);
+      if (href) attributes.href = href;
+    } else if (tag === 'img' && name === 'src') {
+      const src = safeUrl(value, IMAGE_PROTOCOLS);
+      if (src) attributes.src = src;
+    } else if (tag === 'img' && name === 'alt') {
+      attributes.alt = value.slice(0, 300);
+    }
+  }
+
+  if (tag === 'img' && !attributes.src) return null;
+  if (tag === 'a' && attributes.href) {
+    attributes.target = '_blank';
+    attributes.rel = 'noopener noreferrer nofollow';
+  }
+
+  return Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+};
+
+// Safe HTML from untrusted `html`; unclosed elements are closed and stray closing tags dropped
+const sanitizeHtml = (html) => {
+  const input = String(html || '');
+  const open = [];
+  let output = '';
+  let index = 0;
+
+  while (index < input.length) {
+    const tagStart = input.indexOf('<', index);
+    if (tagStart === -1) {
+      output += escapeText(input.slice(index));
+      break;
+    }
+    output += escapeText(input.slice(index, tagStart));
+
+    if (input.startsWith('<!--', tagStart)) {
+      const commentEnd = input.indexOf('-->', tagStart + 4);
+      index = commentEnd === -1 ? input.length : commentEnd + 3;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = tagStart;
+    const match = TAG_PATTERN.exec(input);
+    if (!match) {
+      // Not a tag, just a '<' in the text
+      output += '&lt;';
+      index = tagStart + 1;
+      continue;
+    }
+    index = TAG_PATTERN.lastIndex;
+
+    const [, closing, rawName, rawAttributes] = match;
+    const tag = rawName.toLowerCase();
+
+    if (DROPPED_WITH_CONTENT.has(tag)) {
+      if (!closing) {
+        const end = new RegExp(`</${tag}\\s*>`, 'gi');
+        end.lastIndex = index;
+        index = end.exec(input) ? end.lastIndex : input.length;
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS.has(tag)) continue;
+
+    if (closing) {
+      const openIndex = open.lastIndexOf(tag);
+      while (openIndex !== -1 && open.length > openIndex) {
+        output += `</${open.pop()}>`;
+      }
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, rawAttributes);
+    if (attributes === null) continue;
+
+    output += `<${tag}${attributes}>`;
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+
+  while (open.length > 0) {
+    output += `</${open.pop()}>`;
+  }
+  return output;
+};
+
+// The readable text of sanitized HTML, for excerpts and reading time
+const htmlToText = (html) => decodeEntities(String(html || '').replace(/<[^>]*>/g, ' '))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = {
+  sanitizeHtml,
+  htmlToText
+};
@@ -0,0 +1,32 @@
+// In-process scheduler for periodic background work. Each task runs on a fixed
+// interval and a slow run is never overlapped by the next one.
+const tasks = new Map();
+
+const scheduleTask = (name, intervalMs, task) => {
+  if (tasks.has(name)) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled task "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tasks.set(name, setInterval(run, intervalMs));
+};
+
+const stopScheduler = () => {
+  tasks.forEach(timer => clearInterval(timer));
+  tasks.clear();
+};
+
+module.exports = {
+  scheduleTask,
+  stopScheduler
+};
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+
+// How many candidates each signal may contribute before scoring
+const CANDIDATE_LIMIT = 200;
+
+// Score weights per signal
+const WEIGHTS = {
+  mutual: 3,
+  company: 4,
+  school: 3,
+  skill: 1,
+  location: 2
+};
+// Skills are common, so only the first few overlaps count
+const MAX_SCORED_SKILLS = 5;
+
+// Case-insensitive equality for names typed by hand ("Acme" vs "acme")
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const CANDIDATE_FIELDS = '_id name profilePic bio location skills experience.company education.school';
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const uniqueValues = (values) => [...new Set(values.map(value => String(value || '').trim()).filter(Boolean))];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Companies, schools, skills and location of a profile, normalized for comparison
+const profileSignals = (user) => ({
+  companies: new Set((user.experience || []).map(item => normalize(item.company)).filter(Boolean)),
+  schools: new Set((user.education || []).map(item => normalize(item.school)).filter(Boolean)),
+  skills: new Set((user.skills || []).map(normalize).filter(Boolean)),
+  location: normalize(user.location)
+});
+
+// Everyone who should never be suggested: the user, their connections,
+// pending requests either way, and people they dismissed
+const getExcludedIds = (user) => new Set([
+  user._id,
+  ...(user.connections || []),
+  ...(user.connectionRequests || []).map(request => request.from),
+  ...(user.sentRequests || []).map(request => request.to),
+  ...(user.dismissedSuggestions || [])
+].filter(Boolean).map(id => id.toString()));
+
+// Connections of connections, with how many of the user's connections each one shares
+const getMutualCounts = async (user, excluded) => {
+  const mutuals = new Map();
+  if (!user.connections || user.connections.length === 0) return mutuals;
+
+  const connections = await User.find({ _id: { $in: user.connections }, isActive: true })
+    .select('connections')
+    .lean();
+
+  connections.forEach(connection => {
+    (connection.connections || []).forEach(id => {
+      const key = id.toString();
+      if (!excluded.has(key)) mutuals.set(key, (mutuals.get(key) || 0) + 1);
+    });
+  });
+
+  return mutuals;
+};
+
+// Score one candidate and explain why, strongest reason first
+const scoreCandidate = (candidate, mine, mutualCount) => {
+  const theirs = profileSignals(candidate);
+  const sharedCompanies = (candidate.experience || [])
+    .map(item => item.company)
+    .filter(company => company && mine.companies.has(normalize(company)));
+  const sharedSchools = (candidate.education || [])
+    .map(item => item.school)
+    .filter(school => school && mine.schools.has(normalize(school)));
+  const sharedSkills = [...theirs.skills].filter(skill => mine.skills.has(skill));
+  const sameLocation = Boolean(mine.location) && theirs.location === mine.location;
+
+  const signals = [
+    { score: WEIGHTS.mutual * mutualCount, reason: plural(mutualCount, 'mutual connection') },
+    { score: WEIGHTS.company * uniqueValues(sharedCompanies).length, reason: `Also worked at ${uniqueValues(sharedCompanies)[0]}` },
+    { score: WEIGHTS.school * uniqueValues(sharedSchools).length, reason: `Also studied at ${uniqueValues(sharedSchools)[0]}` },
+    { score: WEIGHTS.skill * Math.min(sharedSkills.length, MAX_SCORED_SKILLS), reason: plural(sharedSkills.length, 'shared skill') },
+    { score: sameLocation ? WEIGHTS.location : 0, reason: `Also in ${candidate.location}` }
+  ].filter(signal => signal.score > 0);
+
+  signals.sort((a, b) => b.score - a.score);
+
+  return {
+    score: signals.reduce((sum, signal) => sum + signal.score, 0),
+    reasons: signals.map(signal => signal.reason)
+  };
+};
+
+// Rank "People you may know" for a user. `user` needs connections, requests
+// and dismissedSuggestions loaded.
+const getSuggestions = async (user, { limit = 10 } = {}) => {
+  const excluded = getExcludedIds(user);
+  const mine = profileSignals(user);
+  const mutuals = await getMutualCounts(user, excluded);
+
+  // Candidates who share a company, school, skill or location
+  const shared = [];
+  if (mine.companies.size > 0) shared.push({ 'experience.company': { $in: uniqueValues((user.experience || []).map(item => item.company)) } });
+  if (mine.schools.size > 0) shared.push({ 'education.school': { $in: uniqueValues((user.education || []).map(item => item.school)) } });
+  if (mine.skills.size > 0) shared.push({ skills: { $in: uniqueValues(user.skills || []) } });
+  if (mine.location) shared.push({ location: user.location.trim() });
+
+  const baseQuery = {
+    isActive: true,
+    role: { $ne: 'admin' },
+    // Also skips people whose request from this user was only recorded on their side
+    'connectionRequests.from': { $ne: user._id }
+  };
+
+  // Friends-of-friends with the most mutuals first
+  const mutualIds = [...mutuals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CANDIDATE_LIMIT)
+    .map(([id]) => id);
+
+  const [mutualCandidates, sharedCandidates] = await Promise.all([
+    mutualIds.length > 0
+      ? User.find({ ...baseQuery, _id: { $in: mutualIds } }).select(CANDIDATE_FIELDS).lean()
+      : [],
+    shared.length > 0
+      ? User.find({ ...baseQuery, _id: { $nin: [...excluded] }, $or: shared })
+        .collation(CASE_INSENSITIVE)
+        .sort({ createdAt: -1 })
+        .limit(CANDIDATE_LIMIT)
+        .select(CANDIDATE_FIELDS)
+        .lean()
+      : []
+  ]);
+
+  const candidates = new Map();
+  [...mutualCandidates, ...sharedCandidates].forEach(candidate => {
+    candidates.set(candidate._id.toString(), candidate);
+  });
+
+  return [...candidates.values()]
+    .map(candidate => {
+      const id = candidate._id.toString();
+      const mutualCount = mutuals.get(id) || 0;
+      const { score, reasons } = scoreCandidate(candidate, mine, mutualCount);
+      return {
+        user: {
+          _id: candidate._id,
+          name: candidate.name,
+          profilePic: candidate.profilePic,
+          bio: candidate.bio,
+          location: candidate.location,
+          skills: candidate.skills
+        },
+        score,
+        mutualCount,
+        reason: reasons[0],
+        reasons
+      };
+    })
+    .filter(suggestion => suggestion.score > 0)
+    .sort((a, b) => b.score - a.score || b.mutualCount - a.mutualCount)
+    .slice(0, limit);
+};
+
+module.exports = {
+  getSuggestions
+};
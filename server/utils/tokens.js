@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Access tokens are short-lived and tied to a server-side session (`sid`)
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId.toString() }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const requestContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Start a session for a freshly authenticated user and issue both tokens
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, requestContext(req));
+  return {
+    token: signAccessToken(userId, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+// Short-lived token proving the password step of a login passed. `purpose` is either
+// 'verify' (enter a code) or 'enroll' (role requires 2FA that isn't set up yet).
+// It has no `sid`, so it is never accepted as an access token.
+const signTwoFactorChallenge = (userId, purpose) => {
+  return jwt.sign({ userId, purpose, type: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+};
+
+// Returns the challenge payload, or null if the token is invalid, expired or for another purpose
+const verifyTwoFactorChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== '2fa_challenge' || decoded.purpose !== purpose) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Long-lived token for the unsubscribe link in digest emails; it can only turn the digest off
+const signDigestUnsubscribeToken = (userId) => {
+  return jwt.sign({ userId, type: 'digest_unsubscribe' }, process.env.JWT_SECRET);
+};
+
+// Returns the user id, or null if the token is invalid
+const verifyDigestUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'digest_unsubscribe' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sessionRoom = (sessionId) => `session:${sessionId.toString()}`;
+
+// Drop any live sockets that authenticated with a revoked session
+const disconnectSessions = (io, sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach(sessionId => io.in(sessionRoom(sessionId)).disconnectSockets(true));
+};
+
+module.exports = {
+  signAccessToken,
+  requestContext,
+  issueTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signDigestUnsubscribeToken,
+  verifyDigestUnsubscribeToken,
+  sessionRoom,
+  disconnectSessions
+};
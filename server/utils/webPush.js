@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { isBlockedAddress, hostnameOf, createSafeLookup, resolvesToBlockedAddress } = require('./publicAddress');
+
+// Web Push (RFC 8030) with VAPID authentication (RFC 8292) and aes128gcm
+// payload encryption (RFC 8291), using only Node's crypto module.
+
+// One record holds the whole payload. Push services accept bodies of at least 4096
+// bytes, which leaves room for the 86-byte header, the padding delimiter and the tag.
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - 86 - 1 - 16;
+// VAPID tokens may last up to 24 hours
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(String(value), 'base64url');
+
+// New VAPID key pair, base64url encoded: the public key is the raw uncompressed P-256 point
+const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  // getPrivateKey drops leading zero bytes; the JWK form needs all 32
+  const privateKey = ecdh.getPrivateKey();
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]))
+  };
+};
+
+const getVapidConfig = () => ({
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  subject: process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_USER || 'admin@example.com'}`
+});
+
+const isPushConfigured = () => {
+  const { publicKey, privateKey } = getVapidConfig();
+  return Boolean(publicKey && privateKey);
+};
+
+// The local push stub is plain http on a private address; this lets development reach it
+const allowInsecureEndpoints = () => process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true';
+
+// Push services are always https on the default port, on the public internet. Plain http
+// and private addresses are only accepted for a local stub when PUSH_ALLOW_INSECURE_ENDPOINTS=true.
+// Hostnames are checked again when subscribing (hasPublicAddress) and at connect time.
+const isAllowedEndpoint = (endpoint) => {
+  try {
+    const url = new URL(endpoint);
+    if (allowInsecureEndpoints()) return ['http:', 'https:'].includes(url.protocol);
+    if (url.protocol !== 'https:' || url.username || url.password) return false;
+    if (url.port && url.port !== '443') return false;
+    const hostname = hostnameOf(url);
+    return !(net.isIP(hostname) && isBlockedAddress(hostname));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Resolves to false when the endpoint's host resolves to a private, loopback or link-local address
+const hasPublicAddress = async (endpoint) => {
+  if (allowInsecureEndpoints()) return true;
+  return !(await resolvesToBlockedAddress(hostnameOf(new URL(endpoint))));
+};
+
+// Fails the connection when the push service's hostname resolves to a blocked address
+const safeLookup = createSafeLookup({ allowPrivate: allowInsecureEndpoints });
+
+// Signed VAPID JWT for the push service that owns `endpoint`
+const createVapidAuthorization = (endpoint) => {
+  const { publicKey, privateKey, subject } = getVapidConfig();
+  const publicBytes = fromBase64Url(publicKey);
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: privateKey,
+      x: toBase64Url(publicBytes.subarray(1, 33)),
+      y: toBase64Url(publicBytes.subarray(33, 65))
+    }
+  });
+
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: subject
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${publicKey}`;
+};
+
+// Encrypt a payload for one subscription (RFC 8291). Returns the request body.
+const encryptPayload = (payload, { p256dh, auth }) => {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payload is larger than ${MAX_PAYLOAD_BYTES} bytes`);
+  }
+
+  const userAgentPublic = fromBase64Url(p256dh);
+  const authSecret = fromBase64Url(auth);
+
+  const serverKeys = crypto.createECDH('prime256v1');
+  serverKeys.generateKeys();
+  const serverPublic = serverKeys.getPublicKey();
+  const sharedSecret = serverKeys.computeSecret(userAgentPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublic, serverPublic]);
+  const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+  const salt = crypto.randomBytes(16);
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublic.length, 20);
+
+  return Buffer.concat([header, serverPublic, ciphertext]);
+};
+
+// Send one push message. Resolves with the push service's status code; 404 and 410
+// mean the subscription is gone and should be deleted.
+const sendPush = (subscription, payload, { ttl = 24 * 60 * 60, urgency = 'normal', topic } = {}) => {
+  if (!isPushConfigured()) {
+    return Promise.reject(new Error('Web Push is not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)'));
+  }
+  if (!isAllowedEndpoint(subscription.endpoint)) {
+    return Promise.reject(new Error('Push endpoint is not allowed'));
+  }
+
+  const body = encryptPayload(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys);
+  const url = new URL(subscription.endpoint);
+  const headers = {
+    Authorization: createVapidAuthorization(subscription.endpoint),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': body.length,
+    TTL: ttl,
+    Urgency: urgency
+  };
+  if (topic) headers.Topic = topic;
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, { method: 'POST', headers, lookup: safeLookup }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => request.destroy(new Error('Push request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  generateVapidKeys,
+  getVapidConfig,
+  isPushConfigured,
+  isAllowedEndpoint,
+  hasPublicAddress,
+  encryptPayload,
+  sendPush
+};